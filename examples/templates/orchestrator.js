@@ -10,7 +10,7 @@
  * const result = await orchestrator.delegate('planner', 'plan', { goal: 'Build app' });
  */
 
-import { CrossBus, PostMessageTransport } from 'crossbus';
+import { CrossBus, PostMessageTransport, ChildProcessTransport, StdioTransport } from 'crossbus';
 
 export class Orchestrator {
     #bus;
@@ -65,6 +65,15 @@ export class Orchestrator {
                 agent.lastError = event.data.error;
             }
         });
+
+        // Agent gone (e.g. its process exited)
+        this.#bus.on('peer:disconnected', (event) => {
+            const agent = this.#agents.get(event.data.peerId);
+            if (agent) {
+                agent.status = 'disconnected';
+                agent.exitCode = event.data.details?.exitCode;
+            }
+        });
     }
 
     /**
@@ -164,6 +173,17 @@ export class Orchestrator {
         this.#bus.addTransport(new PostMessageTransport(worker), { peerId: agentId });
     }
 
+    /**
+     * Connect an agent running as a Node.js child process, either forked
+     * with an IPC channel or spawned with piped stdin/stdout
+     */
+    connectProcess(agentId, child) {
+        const transport = typeof child.send === 'function'
+            ? new ChildProcessTransport(child)
+            : StdioTransport.fromChildProcess(child);
+        return this.#bus.addTransport(transport, { peerId: agentId });
+    }
+
     /**
      * Delegate task to an agent
      */
@@ -296,6 +316,10 @@ await Promise.all([
 
 console.log('All agents connected!');
 
+// Or run tool agents as separate Node.js processes
+import { fork } from 'node:child_process';
+orchestrator.connectProcess('tool:calculator', fork('./calculator-agent.js'));
+
 // Delegate tasks
 const plan = await orchestrator.delegate('planner', 'infer', {
   messages: [{ role: 'user', content: 'Create a plan to build a todo app' }],
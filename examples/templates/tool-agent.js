@@ -252,6 +252,10 @@ calculator.registerTool('factorial', {
 
 // Connect to hub
 calculator.connect(new PostMessageTransport(window.parent), { peerId: 'hub' });
+
+// Or, running as a Node.js process started by Orchestrator#connectProcess()
+import { ChildProcessTransport } from 'crossbus';
+calculator.connect(ChildProcessTransport.fromParent(), { peerId: 'orchestrator' });
 */
 
 export default ToolAgent;
@@ -167,6 +167,24 @@ const encryptionConfig = {
     ]
 };
 
+// Signing plugin
+const signingConfig = {
+    input: 'src/plugins/signing.js',
+    output: [
+        {
+            file: 'dist/plugins/signing.js',
+            format: 'es',
+            sourcemap: true
+        },
+        {
+            file: 'dist/plugins/signing.min.js',
+            format: 'es',
+            sourcemap: true,
+            plugins: [terserConfig]
+        }
+    ]
+};
+
 // Rate Limiter plugin
 const rateLimiterConfig = {
     input: 'src/plugins/rate-limiter.js',
@@ -287,6 +305,7 @@ export default [
     retryConfig,
     circuitBreakerConfig,
     encryptionConfig,
+    signingConfig,
     rateLimiterConfig,
     compressionConfig,
     batchConfig,
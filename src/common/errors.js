@@ -23,6 +23,7 @@ export const ErrorCode = Object.freeze({
     // Message errors
     ACK_TIMEOUT: 'ERR_ACK_TIMEOUT',
     RESPONSE_TIMEOUT: 'ERR_RESPONSE_TIMEOUT',
+    ABORTED: 'ERR_ABORTED',
     QUEUE_FULL: 'ERR_QUEUE_FULL',
     INVALID_MESSAGE: 'ERR_INVALID_MESSAGE',
     VERSION_MISMATCH: 'ERR_VERSION_MISMATCH',
@@ -58,7 +59,9 @@ export const ErrorCode = Object.freeze({
     PAYLOAD_TOO_LARGE: 'ERR_PAYLOAD_TOO_LARGE',
     RATE_LIMITED: 'ERR_RATE_LIMITED',
     UNAUTHORIZED: 'ERR_UNAUTHORIZED',
-    INVALID_PAYLOAD: 'ERR_INVALID_PAYLOAD'
+    INVALID_PAYLOAD: 'ERR_INVALID_PAYLOAD',
+    CONTEXT_MISMATCH: 'ERR_CONTEXT_MISMATCH',
+    REPLAY_DETECTED: 'ERR_REPLAY_DETECTED'
 });
 
 /**
@@ -121,6 +124,11 @@ const ERROR_META = Object.freeze({
         retryable: true,
         suggestion: 'Increase timeout in request options: { timeout: 10000 }. Check if handler exists on peer.'
     },
+    [ErrorCode.ABORTED]: {
+        message: 'Request aborted',
+        retryable: false,
+        suggestion: 'The AbortSignal passed in request options was aborted. Check error.details.reason.'
+    },
     [ErrorCode.QUEUE_FULL]: {
         message: 'Message queue is full',
         retryable: false,
@@ -240,6 +248,16 @@ const ERROR_META = Object.freeze({
         message: 'Payload validation failed',
         retryable: false,
         suggestion: 'Check payload structure against handler requirements.'
+    },
+    [ErrorCode.CONTEXT_MISMATCH]: {
+        message: 'Encrypted payload was sealed for another message',
+        retryable: false,
+        suggestion: 'The ciphertext was replayed from another handler, signal or peer. Do not forward encrypted payloads between messages.'
+    },
+    [ErrorCode.REPLAY_DETECTED]: {
+        message: 'Message was already received or is too old',
+        retryable: false,
+        suggestion: 'The message was replayed or delayed beyond replayProtection.maxAge. Check the clocks of peers on other machines.'
     }
 });
 
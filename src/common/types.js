@@ -16,6 +16,12 @@ export const PROTOCOL_MARKER = '_cb';
  */
 export const PROTOCOL_VERSION = 1;
 
+/**
+ * Name of the built-in handler that lists a peer's handlers (see `CrossBus#discover`).
+ * @constant {string}
+ */
+export const DISCOVERY_HANDLER = 'crossbus:handlers';
+
 /**
  * Message type codes (compact for wire efficiency).
  * @readonly
@@ -28,6 +34,8 @@ export const MessageType = Object.freeze({
     REQUEST: 'req',
     /** Response - reply to request */
     RESPONSE: 'res',
+    /** Cancel - caller aborted a request */
+    CANCEL: 'cnl',
     /** Acknowledge - delivery confirmation */
     ACK: 'ack',
     /** Handshake - connection negotiation */
@@ -41,6 +49,10 @@ export const MessageType = Object.freeze({
     PONG: 'pog',
     /** Goodbye - graceful disconnect */
     BYE: 'bye',
+    /** Route advertisement - peers reachable through the sender */
+    ROUTE: 'rt',
+    /** Handler advertisement - handlers offered by the sender and the peers behind it */
+    HANDLERS: 'hdl',
     /** Broadcast - message for all peers */
     BROADCAST: 'bc'
 });
@@ -104,6 +116,20 @@ export const DeliveryStatus = Object.freeze({
     FAILED: 'failed'
 });
 
+/**
+ * How `CrossBus#call` picks among the peers offering a handler.
+ * @readonly
+ * @enum {string}
+ */
+export const CallStrategy = Object.freeze({
+    /** Take turns, per handler */
+    ROUND_ROBIN: 'round-robin',
+    /** Fewest requests still waiting for a response */
+    LEAST_PENDING: 'least-pending',
+    /** First provider learned */
+    FIRST: 'first'
+});
+
 /**
  * Default configuration values.
  * @readonly
@@ -121,6 +147,10 @@ export const Defaults = Object.freeze({
     MAX_PENDING_REQUESTS: 1000,
     MAX_QUEUE_SIZE: 100,
     MAX_MESSAGE_SIZE: 1048576, // 1MB
+    CHUNK_THRESHOLD: 262144, // 256KB
+    CHUNK_SIZE: 64000,
+    REPLAY_WINDOW: 1024,
+    REPLAY_MAX_AGE: 300000, // 5 minutes
     TTL: 5
 });
 
@@ -183,3 +183,134 @@ export function timestamp() {
 }
 
 
+
+/**
+ * Number of UTF-8 bytes needed to encode a string.
+ * 
+ * @param {string} str
+ * @returns {number}
+ */
+function utf8Length(str) {
+    let bytes = 0;
+    for (let i = 0; i < str.length; i++) {
+        const code = str.charCodeAt(i);
+        if (code < 0x80) bytes += 1;
+        else if (code < 0x800) bytes += 2;
+        else if (code >= 0xd800 && code <= 0xdbff && i + 1 < str.length) {
+            // Surrogate pair: one 4-byte code point
+            bytes += 4;
+            i++;
+        } else bytes += 3;
+    }
+    return bytes;
+}
+
+/**
+ * Measures the size of a payload in bytes, roughly as it would be
+ * serialized: strings count their UTF-8 bytes, binary data (ArrayBuffer,
+ * typed arrays, DataView, Blob) its byte length, and objects, arrays, Maps
+ * and Sets the sum of their contents plus JSON-like punctuation. Objects
+ * reached twice are only counted once, so cycles are safe.
+ * 
+ * Measuring stops as soon as the size exceeds `limit`, so checking a huge
+ * payload against a small limit is cheap.
+ * 
+ * @param {*} value - Payload to measure.
+ * @param {number} [limit=Infinity] - Stop once the size exceeds this.
+ * @returns {number} Size in bytes (a value above `limit` if it was exceeded).
+ * 
+ * @example
+ * byteSize('héllo');                  // 8 (6 bytes + quotes)
+ * byteSize(new Uint8Array(1024));      // 1024
+ * byteSize(hugeObject, 1024) > 1024;   // true, without walking all of it
+ */
+export function byteSize(value, limit = Infinity) {
+    const seen = new Set();
+    /** @type {any[]} */
+    const stack = [value];
+    let size = 0;
+
+    while (stack.length > 0 && size <= limit) {
+        const item = stack.pop();
+
+        switch (typeof item) {
+            case 'string':
+                size += utf8Length(item) + 2;
+                continue;
+            case 'number':
+            case 'bigint':
+                size += String(item).length;
+                continue;
+            case 'boolean':
+                size += item ? 4 : 5;
+                continue;
+            case 'object':
+                break;
+            default:
+                // undefined, functions and symbols are not sent
+                continue;
+        }
+
+        if (item === null) {
+            size += 4;
+            continue;
+        }
+        if (seen.has(item)) continue;
+        seen.add(item);
+
+        if (item instanceof ArrayBuffer || ArrayBuffer.isView(item)) {
+            size += item.byteLength;
+        } else if (typeof Blob !== 'undefined' && item instanceof Blob) {
+            size += item.size;
+        } else if (item instanceof Date) {
+            size += 26;
+        } else if (Array.isArray(item) || item instanceof Set) {
+            size += 2 + Math.max(0, (Array.isArray(item) ? item.length : item.size) - 1);
+            for (const v of item) stack.push(v);
+        } else if (item instanceof Map) {
+            // Counted as an array of [key, value] pairs
+            size += 2 + Math.max(0, item.size - 1) + 3 * item.size;
+            for (const [k, v] of item) stack.push(k, v);
+        } else {
+            const keys = Object.keys(item);
+            size += 2 + Math.max(0, keys.length - 1);
+            for (const key of keys) {
+                size += utf8Length(key) + 3;
+                stack.push(item[key]);
+            }
+        }
+    }
+
+    return size;
+}
+
+/**
+ * Encodes bytes as base64.
+ * 
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {string}
+ */
+export function toBase64(bytes) {
+    const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    let binary = '';
+    for (let i = 0; i < view.length; i++) {
+        binary += String.fromCharCode(view[i]);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decodes base64 into bytes.
+ * 
+ * @param {string} base64
+ * @returns {Uint8Array<ArrayBuffer>}
+ * @throws {DOMException} If the string is not valid base64.
+ */
+export function fromBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
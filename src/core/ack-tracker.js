@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Delivery acknowledgement tracking for at-least-once signals.
+ * Retransmits unacknowledged messages with exponential backoff and
+ * remembers received message IDs so duplicates can be dropped.
+ * @module core/ack-tracker
+ */
+
+import { DeliveryStatus, Defaults } from '../common/types.js';
+import { deferred } from '../common/utils.js';
+
+/** Received message IDs remembered for de-duplication. */
+const SEEN_LIMIT = 1000;
+
+/**
+ * @typedef {Object} AckOptions
+ * @property {number} [timeout=5000] - Time to wait for an ACK in ms, retransmits included.
+ * @property {number} [retries=3] - Retransmissions before giving up.
+ */
+
+/**
+ * @typedef {Object} AckCallbacks
+ * @property {(peerId: string, message: Object) => boolean} send - Sends the message to a peer, returns false if not sent.
+ */
+
+/**
+ * Per-peer delivery report: `acked`, `timeout` or `failed`
+ * (see `DeliveryStatus`).
+ * @typedef {Record<string, string>} DeliveryReport
+ */
+
+/**
+ * Waits for ACKs of outgoing messages and de-duplicates incoming ones.
+ *
+ * Retransmissions are spread over the timeout with exponential backoff:
+ * with 3 retries and a 5s timeout, copies go out after ~0.33s, 1s and
+ * 2.33s and the peer is reported `timeout` at 5s. A peer that could never
+ * be sent to is reported `failed`.
+ *
+ * @example
+ * const acks = new AckTracker({
+ *   send: (peerId, message) => router.broadcast(message, { include: [peerId] }).delivered > 0
+ * });
+ *
+ * const report = await acks.track(message, ['worker-1', 'worker-2']);
+ * // { 'worker-1': 'acked', 'worker-2': 'timeout' }
+ */
+export class AckTracker {
+    /** @type {AckCallbacks} */
+    #callbacks;
+
+    /**
+     * Outstanding deliveries by message ID.
+     * @type {Map<string, { message: Object, report: DeliveryReport, peers: Map<string, { timer: ReturnType<typeof setTimeout>|null, sent: boolean }>, resolve: (report: DeliveryReport) => void }>}
+     */
+    #pending = new Map();
+
+    /** @type {Set<string>} */
+    #seen = new Set();
+
+    /**
+     * Creates a new ACK tracker.
+     *
+     * @param {AckCallbacks} callbacks
+     */
+    constructor(callbacks) {
+        this.#callbacks = callbacks;
+    }
+
+    /**
+     * Number of messages still waiting for ACKs.
+     * @returns {number}
+     */
+    get size() {
+        return this.#pending.size;
+    }
+
+    /**
+     * Sends a message to each peer and waits until every peer has
+     * acknowledged it, timed out or failed.
+     *
+     * @param {Object} message - Message to deliver; its `id` is what peers acknowledge.
+     * @param {string[]} peerIds
+     * @param {AckOptions} [options={}]
+     * @returns {Promise<DeliveryReport>}
+     */
+    track(message, peerIds, options = {}) {
+        const timeout = options.timeout ?? Defaults.ACK_TIMEOUT;
+        const retries = Math.max(0, options.retries ?? 3);
+        const { promise, resolve } = deferred();
+
+        /** @type {DeliveryReport} */
+        const report = {};
+        const entry = { message, report, peers: new Map(), resolve };
+        this.#pending.set(message.id, entry);
+
+        // Delays double each time and add up to the timeout
+        const baseDelay = timeout / (2 ** (retries + 1) - 1);
+
+        // Registered before sending: synchronous transports may answer immediately
+        for (const peerId of peerIds) {
+            entry.peers.set(peerId, { timer: null, sent: false });
+        }
+        for (const [peerId, state] of Array.from(entry.peers)) {
+            this.#attempt(message.id, peerId, state, 0, retries, baseDelay);
+        }
+
+        this.#settleIfDone(message.id);
+        return promise;
+    }
+
+    /**
+     * Records an ACK from a peer.
+     *
+     * @param {string} peerId
+     * @param {string} messageId - ID of the acknowledged message.
+     * @returns {boolean} True if the ACK was expected.
+     */
+    handleAck(peerId, messageId) {
+        return this.#finish(messageId, peerId, DeliveryStatus.ACKED);
+    }
+
+    /**
+     * Fails all outstanding deliveries to a peer, e.g. after it was removed.
+     *
+     * @param {string} peerId
+     */
+    peerGone(peerId) {
+        for (const messageId of Array.from(this.#pending.keys())) {
+            this.#finish(messageId, peerId, DeliveryStatus.FAILED);
+        }
+    }
+
+    /**
+     * Remembers a received message.
+     *
+     * @param {string} key - Unique key of the message, e.g. sender and message ID.
+     * @returns {boolean} True the first time a key is seen, false for duplicates.
+     */
+    markSeen(key) {
+        if (this.#seen.has(key)) return false;
+
+        this.#seen.add(key);
+        if (this.#seen.size > SEEN_LIMIT) {
+            this.#seen.delete(/** @type {string} */(this.#seen.values().next().value));
+        }
+        return true;
+    }
+
+    /**
+     * Fails every outstanding delivery and forgets seen messages.
+     */
+    destroy() {
+        for (const [messageId, entry] of Array.from(this.#pending)) {
+            for (const peerId of entry.peers.keys()) {
+                this.#finish(messageId, peerId, DeliveryStatus.FAILED);
+            }
+        }
+        this.#seen.clear();
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Private methods
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Sends one copy and schedules the next one (or the timeout).
+     */
+    #attempt(messageId, peerId, state, attempt, retries, baseDelay) {
+        const entry = this.#pending.get(messageId);
+        if (!entry) return;
+
+        let sent;
+        try {
+            sent = this.#callbacks.send(peerId, entry.message);
+        } catch {
+            sent = false;
+        }
+        state.sent ||= sent;
+
+        // Synchronous transports may have acknowledged already
+        if (!entry.peers.has(peerId)) return;
+
+        state.timer = setTimeout(() => {
+            if (attempt < retries) {
+                this.#attempt(messageId, peerId, state, attempt + 1, retries, baseDelay);
+            } else {
+                this.#finish(messageId, peerId, state.sent ? DeliveryStatus.TIMEOUT : DeliveryStatus.FAILED);
+            }
+        }, baseDelay * 2 ** attempt);
+    }
+
+    /**
+     * Records the outcome for one peer.
+     * @returns {boolean} True if the peer was still outstanding.
+     */
+    #finish(messageId, peerId, status) {
+        const entry = this.#pending.get(messageId);
+        const state = entry?.peers.get(peerId);
+        if (!entry || !state) return false;
+
+        if (state.timer) clearTimeout(state.timer);
+        entry.peers.delete(peerId);
+        entry.report[peerId] = status;
+
+        this.#settleIfDone(messageId);
+        return true;
+    }
+
+    /**
+     * Resolves a delivery once no peer is outstanding.
+     */
+    #settleIfDone(messageId) {
+        const entry = this.#pending.get(messageId);
+        if (!entry || entry.peers.size > 0) return;
+
+        this.#pending.delete(messageId);
+        entry.resolve(entry.report);
+    }
+}
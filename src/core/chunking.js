@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Encoding of request and response payloads that are sent in
+ * chunks over the stream wire format (see `CrossBusOptions.chunking`).
+ * @module core/chunking
+ */
+
+/**
+ * How a chunked payload was encoded.
+ * @readonly
+ * @enum {string}
+ */
+export const ChunkEncoding = Object.freeze({
+    /** JSON text */
+    JSON: 'json',
+    /** Uint8Array, sent as base64 */
+    BYTES: 'bytes',
+    /** ArrayBuffer, sent as base64 */
+    BUFFER: 'buffer'
+});
+
+/**
+ * Whether `JSON.parse(JSON.stringify(value))` gives back an equivalent
+ * value: no binary data, Maps, Sets, Dates or other class instances.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isJsonSafe(value) {
+    let safe = true;
+    try {
+        JSON.stringify(value, function (key, replaced) {
+            const original = this[key];
+            if (original !== null && typeof original === 'object' &&
+                !Array.isArray(original) && Object.getPrototypeOf(original) !== Object.prototype &&
+                Object.getPrototypeOf(original) !== null) {
+                safe = false;
+            }
+            return safe ? replaced : undefined;
+        });
+    } catch {
+        // Cycles, BigInts
+        return false;
+    }
+    return safe;
+}
+
+/**
+ * Encodes a payload for `WritableSignalStream#write`.
+ *
+ * @param {*} data
+ * @returns {{ encoding: ChunkEncoding, body: string|Uint8Array }|null} Null if the
+ *   payload can't be sent in chunks without changing it; it is then sent as is.
+ */
+export function encodeChunked(data) {
+    if (data instanceof Uint8Array) {
+        return { encoding: ChunkEncoding.BYTES, body: data };
+    }
+    if (data instanceof ArrayBuffer) {
+        return { encoding: ChunkEncoding.BUFFER, body: new Uint8Array(data) };
+    }
+    if (!isJsonSafe(data)) return null;
+
+    return { encoding: ChunkEncoding.JSON, body: JSON.stringify(data) };
+}
+
+/**
+ * Decodes what `ReadableSignalStream#collect` assembled from the chunks.
+ *
+ * @param {string|Uint8Array} body
+ * @param {ChunkEncoding} encoding
+ * @returns {*}
+ */
+export function decodeChunked(body, encoding) {
+    switch (encoding) {
+        case ChunkEncoding.BYTES:
+            return body instanceof Uint8Array ? body : new Uint8Array(0);
+        case ChunkEncoding.BUFFER:
+            return body instanceof Uint8Array
+                ? body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength)
+                : new ArrayBuffer(0);
+        case ChunkEncoding.JSON:
+            return JSON.parse(/** @type {string} */(body));
+        default:
+            throw new TypeError(`Unknown chunk encoding: ${encoding}`);
+    }
+}
@@ -5,37 +5,179 @@
  */
 
 import { EventEmitter } from './event-emitter.js';
-import { MessageType, PeerStatus } from '../common/types.js';
-import { createSignalMessage, createRequestMessage, createResponseMessage } from './message-types.js';
+import { MessageType, PeerStatus, DeliveryStatus, CallStrategy, Defaults, DISCOVERY_HANDLER } from '../common/types.js';
+import {
+    createSignalMessage,
+    createRequestMessage,
+    createResponseMessage,
+    createPingMessage,
+    createPongMessage,
+    createByeMessage,
+    createRouteMessage,
+    createHandlersMessage,
+    createAckMessage,
+    createCancelMessage
+} from './message-types.js';
+import { HeartbeatMonitor } from './heartbeat.js';
+import { AckTracker } from './ack-tracker.js';
+import { WritableSignalStream, ReadableSignalStream, toAsyncIterable } from './stream.js';
+import { PeerRegistry } from './peer-registry.js';
 import { CrossBusError, ErrorCode } from '../common/errors.js';
-import { uuid } from '../common/utils.js';
+import { uuid, deferred, byteSize } from '../common/utils.js';
 import { MessageRouter } from '../router/message-router.js';
 import { PendingRequests } from '../router/pending-requests.js';
+import { HandlerDirectory } from '../router/handler-directory.js';
+import { encodeChunked, decodeChunked } from './chunking.js';
 import { Handshake } from '../security/handshake.js';
 import { OriginValidator } from '../security/origin-validator.js';
+import { ReplayGuard } from '../security/replay-guard.js';
+import { MessageSanitizer, SanitizerPresets } from '../security/sanitizer.js';
+import { AccessControl } from '../security/access-control.js';
+
+/**
+ * Message types exchanged while a peer is still being verified.
+ * @type {Set<string>}
+ */
+const HANDSHAKE_TYPES = new Set([
+    MessageType.HANDSHAKE_INIT,
+    MessageType.HANDSHAKE_ACK,
+    MessageType.HANDSHAKE_COMPLETE,
+    // A peer leaving mid-handshake aborts it instead of waiting in the inbox
+    MessageType.BYE
+]);
+
+/**
+ * Errors after which `call()` tries the next provider.
+ * @type {Set<string>}
+ */
+const FAILOVER_CODES = new Set([
+    ErrorCode.PEER_DISCONNECTED,
+    ErrorCode.PEER_NOT_FOUND,
+    ErrorCode.NO_ROUTE,
+    ErrorCode.SEND_FAILED
+]);
+
+/**
+ * The part of a message counted against `maxPayloadSize`: the payload of a
+ * protocol message (also inside a broadcast envelope) or the data of a
+ * stream message.
+ * 
+ * @param {Object} message
+ * @returns {*}
+ */
+function payloadOf(message) {
+    const inner = message.p && typeof message.p === 'object' ? message.p : message;
+    return inner.payload ?? inner.d ?? inner.data;
+}
+
+/**
+ * Handler name of a request message, if it has one.
+ * 
+ * @param {Object} message
+ * @returns {string|undefined}
+ */
+function requestName(message) {
+    const inner = message.p && typeof message.p === 'object' ? message.p : message;
+    const name = inner.payload?.name ?? inner.handler ?? inner.name;
+    return typeof name === 'string' ? name : undefined;
+}
 
 /**
  * @typedef {Object} CrossBusOptions
  * @property {string} [peerId] - Unique peer identifier (auto-generated if not specified).
- * @property {boolean} [isHub=false] - Whether this instance is the hub.
+ * @property {boolean} [isHub=false] - Whether this instance is the hub. Hubs relay messages
+ *   between their peers and advertise which peers are reachable through them.
  * @property {number} [requestTimeout=30000] - Default request timeout in ms.
  * @property {number} [handshakeTimeout=10000] - Handshake timeout in ms.
+ * @property {import('../security/authenticators.js').HandshakeAuthenticator} [authenticator] - Make peers prove they
+ *   hold a credential during the handshake (see `createHmacAuthenticator`, `createEcdsaAuthenticator`).
+ *   Transports are then added with `handshake: true` unless told otherwise.
+ * @property {boolean|import('./heartbeat.js').HeartbeatOptions} [heartbeat=false] - Ping peers periodically and mark unresponsive ones as disconnected.
+ * @property {boolean|OfflineQueueOptions} [offlineQueue=true] - Queue signals and requests for peers that are (re)connecting.
+ * @property {boolean} [discovery=true] - Answer discovery requests with the handlers (and schemas) this bus offers,
+ *   and advertise the handler names to connected peers for `call()`.
+ * @property {boolean|ChunkingOptions} [chunking=true] - Send large request and response payloads as stream chunks.
+ *   Both sides must support it. Payloads are still bound by `maxPayloadSize`.
+ * @property {boolean|import('../security/replay-guard.js').ReplayProtectionOptions} [replayProtection=true] - Drop
+ *   incoming messages already received from the same peer (by message ID and envelope sequence number) or too old.
+ * @property {boolean|import('../security/sanitizer.js').SanitizerOptions} [sanitize=true] - Check the structure of
+ *   incoming payloads once inbound hooks have decoded them, and of message metadata (depth, key count, array
+ *   and string length), and strip or reject `__proto__` / `constructor` / `prototype` keys. Violations are
+ *   refused with `ERR_INVALID_MESSAGE`.
+ * @property {RoleResolver|Record<string, string[]>} [roles] - Roles of each peer, checked against the policies
+ *   set with `handle(name, fn, { roles })` and `setPolicy()`: a function of the peer's identity, or roles by peer ID.
  * @property {string[]} [allowedOrigins=[]] - Allowed origins for incoming connections.
  * @property {Object} [meta={}] - Metadata to share with peers.
  * @property {string[]} [capabilities=[]] - Supported capabilities.
  * @property {string} [contentType='application/json'] - Preferred serialization format.
- * @property {number} [maxPayloadSize=1048576] - Maximum payload size in bytes (default: 1MB).
- * @property {number} [maxPendingRequests=100] - Maximum concurrent pending requests.
+ * @property {number} [maxPayloadSize=1048576] - Maximum payload size in bytes (default: 1MB, 0 = unlimited),
+ *   checked on outgoing and incoming messages.
+ * @property {number} [maxPendingRequests=100] - Maximum concurrent requests: outgoing in total, and incoming
+ *   from each peer (0 = unlimited).
  * @property {boolean} [strictMode=false] - Enforce strict security (disallows wildcard origins).
  * @property {boolean} [debug=false] - Enable verbose debug logging.
  * @property {string} [debugPrefix='[CrossBus]'] - Prefix for debug log messages.
  */
 
+/**
+ * @typedef {Object} OfflineQueueOptions
+ * @property {number} [maxQueueSize=100] - Max queued messages per peer; the oldest is dropped when full.
+ * @property {number} [maxAge=30000] - Queued messages older than this (ms) are dropped instead of sent.
+ * @property {number} [maxRetries=3] - Send attempts per queued message when draining.
+ */
+
+/**
+ * @typedef {Object} ChunkingOptions
+ * @property {number} [threshold=262144] - Payloads over this size in bytes are sent in chunks.
+ * @property {number} [chunkSize=64000] - Characters per chunk (rounded down to a multiple of 4).
+ */
+
 /**
  * @typedef {Object} HandlerOptions
  * @property {string[]} [allowedPeers] - Peer IDs allowed to call this handler.
+ * @property {string[]} [roles] - Roles allowed to call this handler (any of them), on top of the
+ *   policy matching its name (see `setPolicy()`).
  * @property {number} [rateLimit] - Max calls per second from each peer.
  * @property {Function} [validatePayload] - Custom payload validator function.
+ * @property {Middleware[]} [middleware] - Middleware run for this handler only, after the global ones.
+ * @property {Object} [schema] - JSON Schema published through discovery, e.g. one of
+ *   `schemas/handlers/*.schema.json` (with `request` and `response` properties).
+ */
+
+/**
+ * @typedef {Object} HandlerDescriptor
+ * @property {string} name - Handler name.
+ * @property {Object} [schema] - JSON Schema registered with the handler.
+ */
+
+/**
+ * @typedef {Object} ProxyOptions
+ * @property {boolean} [discover=true] - Fetch the peer's handler list and reject unknown methods locally.
+ * @property {number} [timeout] - Timeout in ms for the discovery request.
+ */
+
+/**
+ * @typedef {Object} MiddlewareContext
+ * @property {string} handlerName - Requested handler.
+ * @property {string} requestId - Request ID.
+ * @property {string} peerId - Calling peer ID.
+ * @property {PeerInfo|undefined} peer - Calling peer, if directly connected.
+ * @property {*} payload - Request payload; may be replaced before calling `next()`.
+ * @property {*} response - Handler result, set once `next()` resolves; may be replaced.
+ * @property {boolean} stream - Whether the caller used `requestStream`.
+ * @property {AbortSignal} signal - Aborted when the caller cancels the request or disconnects.
+ * @property {Object} state - Free-form data shared with later middleware and the handler (`ctx.state`).
+ */
+
+/**
+ * Request middleware. Runs around the handler: code before `await next()`
+ * sees the request, code after it sees `ctx.response`, and errors thrown by
+ * the handler (or later middleware) surface from `next()`. Not calling
+ * `next()` skips the handler.
+ * @callback Middleware
+ * @param {MiddlewareContext} ctx
+ * @param {() => Promise<void>} next - Runs the rest of the chain.
+ * @returns {Promise<void>|void}
  */
 
 /**
@@ -45,18 +187,70 @@ import { OriginValidator } from '../security/origin-validator.js';
  * @property {Object} meta - Peer metadata.
  * @property {PeerStatus} status - Connection status.
  * @property {number} connectedAt - Connection timestamp.
+ * @property {number|null} [rtt] - Last heartbeat round-trip time in ms (heartbeat enabled only).
+ * @property {number|null} [lastSeen] - Timestamp of the last message from the peer (heartbeat enabled only).
+ * @property {PeerLimits} limits - Limits set for this peer, overriding the bus-wide ones.
+ */
+
+/**
+ * What is known about a peer when its roles are resolved.
+ * @typedef {Object} PeerIdentity
+ * @property {string} peerId - Peer identifier.
+ * @property {string|undefined} origin - Origin the peer was added with (undefined if it is behind a hub).
+ * @property {Object} meta - Metadata the peer announced in the handshake or was added with. Only
+ *   as trustworthy as the peer, unless `authenticated`.
+ * @property {boolean} authenticated - Whether the peer proved its ID with the bus's `authenticator`.
+ */
+
+/**
+ * Returns the roles of a peer. Called whenever a policy applies, so it should be cheap.
+ * @callback RoleResolver
+ * @param {PeerIdentity} peer
+ * @returns {string[]|undefined}
+ */
+
+/**
+ * Per-peer overrides of the bus-wide limits, given to `addPeer` or `addTransport`.
+ * @typedef {Object} PeerLimits
+ * @property {number} [maxPayloadSize] - Maximum payload size in bytes, both ways (0 = unlimited).
+ * @property {number} [maxPendingRequests] - Maximum concurrent requests to and from the peer (0 = unlimited).
+ */
+
+/**
+ * Payload of the `security:violation` event.
+ * @typedef {Object} SecurityViolation
+ * @property {string} code - `ERR_PAYLOAD_TOO_LARGE`, `ERR_MAX_PENDING`, `ERR_REPLAY_DETECTED`, `ERR_INVALID_MESSAGE`
+ *   (payload failed sanitizing), or the code of the `CrossBusError` an inbound hook rejected the message with
+ *   (e.g. `ERR_UNAUTHORIZED`).
+ * @property {string} peerId - Offending peer.
+ * @property {number} [limit] - Limit that was exceeded.
+ * @property {number} [size] - Payload size in bytes (at least; measuring stops past the limit).
+ * @property {number} [pending] - Requests from the peer still being handled.
+ * @property {string} [messageType] - Type of the dropped message.
+ * @property {string} [handlerName] - Requested handler.
+ * @property {string} [reason] - Why a hook or the sanitizer rejected the message; `duplicate` or `stale` for replays.
  */
 
 /**
  * @typedef {Object} RequestOptions
  * @property {number} [timeout] - Request timeout in ms.
  * @property {*} [defaultValue] - Value to return on timeout instead of throwing.
+ * @property {AbortSignal} [signal] - Aborts the request locally and cancels the remote handler.
+ */
+
+/**
+ * @typedef {Object} CallOptions
+ * @property {number} [timeout] - Timeout in ms, per provider tried.
+ * @property {*} [defaultValue] - Value to return on timeout instead of throwing.
+ * @property {AbortSignal} [signal] - Aborts the call.
+ * @property {CallStrategy} [strategy='round-robin'] - How to pick the provider.
  */
 
 /**
  * @typedef {Object} BroadcastRequestOptions
  * @property {number} [timeout] - Per-peer timeout in ms.
  * @property {string[]} [exclude] - Peer IDs to exclude.
+ * @property {AbortSignal} [signal] - Aborts all the requests.
  * @property {boolean} [ignoreErrors=true] - Whether to ignore peer errors.
  */
 
@@ -64,8 +258,11 @@ import { OriginValidator } from '../security/origin-validator.js';
  * @typedef {Object} HookContext
  * @property {'signal'|'request'|'response'} type - Message type.
  * @property {string} [peerId] - Peer ID (if applicable).
- * @property {string} [handlerName] - Handler name (for requests).
+ * @property {string} [handlerName] - Handler name (requests and responses) or signal name.
  * @property {'inbound'|'outbound'} direction - Hook direction.
+ * @property {string} [source] - ID of the peer sending the message.
+ * @property {string} [target] - ID of the peer receiving the message (none for signals).
+ * @property {boolean} [failed] - An error response: the payload is its error (`{ code, message }`).
  */
 
 /**
@@ -84,10 +281,19 @@ import { OriginValidator } from '../security/origin-validator.js';
 /**
  * @callback RequestHandler
  * @param {*} payload - Request payload.
- * @param {Object} context - Request context (peerId, meta, etc).
+ * @param {RequestContext} context - Request context.
  * @returns {Promise<*>|*} - Response data.
  */
 
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} peerId - Calling peer ID.
+ * @property {string} requestId - Request ID.
+ * @property {string} handlerName - Invoked handler.
+ * @property {AbortSignal} signal - Aborted when the caller cancels the request or disconnects.
+ * @property {Object} state - Data set by middleware.
+ */
+
 /**
  * CrossBus - Zero-leak, high-performance cross-context messaging.
  * 
@@ -141,6 +347,81 @@ export class CrossBus extends EventEmitter {
     /** @type {OriginValidator} */
     #originValidator;
 
+    /**
+     * Handshakes in flight for transports added with `handshake: true`,
+     * keyed by the provisional peer ID.
+     * @type {Map<string, { ready: Promise<string>, resendInit: Function, cancel: Function }>}
+     */
+    #handshakes = new Map();
+
+    /** @type {Set<string>} Peers that proved their ID with our authenticator */
+    #authenticatedPeers = new Set();
+
+    /** @type {AccessControl} Roles of peers and the roles handlers and signals require */
+    #access;
+
+    /** @type {HeartbeatMonitor|null} */
+    #heartbeat = null;
+
+    /** @type {AckTracker} Signals sent with `ack: true` and received ones already handled */
+    #acks;
+
+    /**
+     * Requests being handled, keyed by `${peerId}:${requestId}`.
+     * @type {Map<string, { peerId: string, controller: AbortController }>}
+     */
+    #inboundRequests = new Map();
+
+    /**
+     * Streams opened by handlers we called through `requestStream`, keyed by request ID.
+     * `queue` settles once the messages received so far went through the inbound hooks.
+     * @type {Map<string, { peerId: string, handlerName: string, stream: ReadableSignalStream, queue: Promise<void> }>}
+     */
+    #responseStreams = new Map();
+
+    /** @type {PeerRegistry|null} Holds messages for peers that are (re)connecting */
+    #offlineQueue = null;
+
+    /** @type {Required<OfflineQueueOptions>} */
+    #queueOptions = { maxQueueSize: Defaults.MAX_QUEUE_SIZE, maxAge: 30000, maxRetries: 3 };
+
+    /** @type {Required<ChunkingOptions>|null} Null when chunking is off */
+    #chunking = null;
+
+    /** @type {ReplayGuard|null} Null when replay protection is off */
+    #replayGuard = null;
+
+    /** @type {MessageSanitizer|null} Null when payloads are not sanitized */
+    #sanitizer = null;
+
+    /**
+     * Chunked payloads being received, keyed by `${peerId}:${streamId}`.
+     * Dropped if their request or response has not arrived after `requestTimeout`.
+     * @type {Map<string, { peerId: string, stream: ReadableSignalStream, size: number, data: Promise<*>, timer: ReturnType<typeof setTimeout> }>}
+     */
+    #chunkedPayloads = new Map();
+
+    /** @type {ReturnType<typeof setTimeout>|null} */
+    #routeAdvertTimer = null;
+
+    /** @type {Set<string>} Peers that receive route advertisements (hubs only) */
+    #routeSubscribers = new Set();
+
+    /** @type {Map<string, string>} Last route advertisement sent to each peer */
+    #advertisedRoutes = new Map();
+
+    /** @type {HandlerDirectory} Handlers offered by other peers */
+    #directory = new HandlerDirectory();
+
+    /** @type {ReturnType<typeof setTimeout>|null} */
+    #handlerAdvertTimer = null;
+
+    /** @type {Set<string>} Peers that receive handler advertisements */
+    #directorySubscribers = new Set();
+
+    /** @type {Map<string, string>} Last handler advertisement sent to each peer */
+    #advertisedHandlers = new Map();
+
     /** @type {string} */
     #contentType;
 
@@ -177,6 +458,21 @@ export class CrossBus extends EventEmitter {
     /** @type {Map<string, HandlerOptions>} */
     #handlerOptions = new Map();
 
+    /** @type {Middleware[]} Run around every request */
+    #middleware = [];
+
+    /** @type {Map<string, Middleware[]>} Run around a single handler */
+    #handlerMiddleware = new Map();
+
+    /** @type {Map<string, Object>} Published through discovery */
+    #handlerSchemas = new Map();
+
+    /** @type {boolean} */
+    #discovery;
+
+    /** @type {boolean} Whether handshakes authenticate peers */
+    #authenticated = false;
+
     /** @type {boolean} */
     #debug = false;
 
@@ -203,17 +499,26 @@ export class CrossBus extends EventEmitter {
         this.#capabilities = options.capabilities ?? [];
         this.#requestTimeout = options.requestTimeout ?? 30000;
 
+        // Security settings
+        this.#maxPayloadSize = options.maxPayloadSize ?? 1024 * 1024; // 1MB
+        this.#maxPendingRequests = options.maxPendingRequests ?? 100;
+        this.#strictMode = options.strictMode ?? false;
+        this.#discovery = options.discovery ?? true;
+
         // Initialize components
         this.#router = new MessageRouter();
         this.#pendingRequests = new PendingRequests({
-            defaultTimeout: this.#requestTimeout
+            defaultTimeout: this.#requestTimeout,
+            maxPending: this.#maxPendingRequests
         });
         this.#handshake = new Handshake({
             peerId: this.#peerId,
             meta: this.#meta,
             capabilities: this.#capabilities,
-            timeout: options.handshakeTimeout ?? 10000
+            timeout: options.handshakeTimeout ?? 10000,
+            authenticator: options.authenticator
         });
+        this.#authenticated = !!options.authenticator;
         this.#originValidator = new OriginValidator({
             allowed: options.allowedOrigins ?? []
         });
@@ -222,11 +527,6 @@ export class CrossBus extends EventEmitter {
         this.#contentType = options.contentType ?? 'application/json';
         // this.#serializer = getSerializer(this.#contentType);
 
-        // Security settings
-        this.#maxPayloadSize = options.maxPayloadSize ?? 1024 * 1024; // 1MB
-        this.#maxPendingRequests = options.maxPendingRequests ?? 100;
-        this.#strictMode = options.strictMode ?? false;
-
         // Debug settings
         this.#debug = options.debug ?? false;
         this.#debugPrefix = options.debugPrefix ?? '[CrossBus]';
@@ -238,10 +538,95 @@ export class CrossBus extends EventEmitter {
         // Initialize handshake capability
         this.#capabilities.push(`serializer:${this.#contentType}`);
 
+        if (options.offlineQueue !== false) {
+            Object.assign(this.#queueOptions, options.offlineQueue === true ? {} : options.offlineQueue);
+            this.#offlineQueue = new PeerRegistry({
+                maxQueueSize: this.#queueOptions.maxQueueSize,
+                maxRetries: this.#queueOptions.maxRetries
+            });
+        }
+
+        if (options.chunking !== false) {
+            const { threshold = Defaults.CHUNK_THRESHOLD, chunkSize = Defaults.CHUNK_SIZE } =
+                options.chunking === true || !options.chunking ? {} : options.chunking;
+            // Base64 chunks must decode on their own
+            this.#chunking = { threshold, chunkSize: Math.max(4, chunkSize - chunkSize % 4) };
+        }
+
+        if (options.replayProtection !== false) {
+            this.#replayGuard = new ReplayGuard(
+                options.replayProtection === true || !options.replayProtection ? {} : options.replayProtection);
+        }
+
+        const roles = options.roles;
+        this.#access = new AccessControl({
+            resolveRoles: typeof roles === 'function'
+                ? (peerId) => roles(this.#identify(peerId))
+                : (peerId) => roles && Object.hasOwn(roles, peerId) ? roles[peerId] : undefined
+        });
+
+        if (options.sanitize !== false) {
+            this.#sanitizer = new MessageSanitizer(options.sanitize === true || !options.sanitize ? {} : options.sanitize);
+        }
+
+        this.#acks = new AckTracker({
+            send: (peerId, message) => this.#router.broadcast(message, { include: [peerId] }).delivered > 0
+        });
+
         // Wire up router events
-        this.#router.on('peer:added', (e) => { this.emit('peer:connected', e.data); });
-        this.#router.on('peer:removed', (e) => { this.emit('peer:disconnected', e.data); });
-        this.#router.on('peer:status', (e) => { this.emit('peer:status', e.data); });
+        // Liveness monitoring
+        if (options.heartbeat) {
+            this.#heartbeat = new HeartbeatMonitor(options.heartbeat === true ? {} : options.heartbeat, {
+                sendPing: (peerId, pingId) => this.#sendPing(peerId, pingId),
+                onDead: (peerId) => this.#handleHeartbeatTimeout(peerId),
+                onAlive: (peerId) => this.#handleHeartbeatRevived(peerId)
+            });
+            this.#heartbeat.start();
+        }
+
+        // Peers still handshaking announce themselves once verified (see #connectWithHandshake)
+        this.#router.on('peer:added', (e) => {
+            if (e.data.status === PeerStatus.CONNECTED) {
+                this.#heartbeat?.track(e.data.peerId);
+                this.#scheduleRouteAdvert();
+                this.#scheduleHandlerAdvert();
+                this.emit('peer:connected', e.data);
+            }
+        });
+        this.#router.on('peer:removed', (e) => {
+            this.#heartbeat?.untrack(e.data.peerId);
+            this.#acks.peerGone(e.data.peerId);
+            // A peer coming back starts its sequence over
+            this.#replayGuard?.forget(e.data.peerId);
+            this.#abortInbound(e.data.peerId, ErrorCode.PEER_DISCONNECTED);
+            this.#failResponseStreams(e.data.peerId, ErrorCode.PEER_DISCONNECTED);
+            this.#dropChunkedPayloads(e.data.peerId, ErrorCode.PEER_DISCONNECTED);
+            this.#routeSubscribers.delete(e.data.peerId);
+            this.#advertisedRoutes.delete(e.data.peerId);
+            this.#directorySubscribers.delete(e.data.peerId);
+            this.#advertisedHandlers.delete(e.data.peerId);
+            this.#directory.remove(e.data.peerId);
+            this.#authenticatedPeers.delete(e.data.peerId);
+            this.#access.forget(e.data.peerId);
+            this.#scheduleRouteAdvert();
+            this.#scheduleHandlerAdvert();
+            if (e.data.status !== PeerStatus.CONNECTING && e.data.status !== PeerStatus.FAILED) {
+                this.emit('peer:disconnected', e.data);
+            }
+        });
+        this.#router.on('peer:status', (e) => {
+            if (e.data.status === PeerStatus.CONNECTED) this.#heartbeat?.track(e.data.peerId);
+            this.#scheduleRouteAdvert();
+            this.#scheduleHandlerAdvert();
+            this.emit('peer:status', e.data);
+        });
+        // Requests to a peer behind a hub fail fast once the hub loses it
+        this.#router.on('route:removed', (e) => {
+            this.#pendingRequests.cancelForPeer(e.data.peerId);
+            this.#failResponseStreams(e.data.peerId, ErrorCode.PEER_DISCONNECTED);
+            this.#dropChunkedPayloads(e.data.peerId, ErrorCode.PEER_DISCONNECTED);
+            this.#scheduleHandlerAdvert();
+        });
 
         if (this.#debug) {
             this.#log('info', `Initialized (isHub: ${this.#isHub})`);
@@ -282,12 +667,24 @@ export class CrossBus extends EventEmitter {
 
     /**
      * Gets peer info by ID.
+     * With heartbeat enabled, includes the last measured `rtt` and `lastSeen`.
      * 
      * @param {string} peerId
      * @returns {PeerInfo|undefined}
      */
     getPeer(peerId) {
-        return this.#router.getPeer(peerId);
+        const peer = this.#router.getPeer(peerId);
+        const stats = peer && this.#heartbeat?.getStats(peerId);
+        return stats ? { ...peer, rtt: stats.rtt, lastSeen: stats.lastSeen } : peer;
+    }
+
+    /**
+     * Gets peers reachable through a hub rather than directly.
+     * 
+     * @returns {Array<{ peerId: string, via: string, hops: number }>}
+     */
+    get routes() {
+        return this.#router.getRoutes();
     }
 
     // ─────────────────────────────────────────────────────────────────
@@ -296,15 +693,30 @@ export class CrossBus extends EventEmitter {
 
     /**
      * Sends a signal to all connected peers.
+     * Peers that are still (re)connecting get it once they are back; they are
+     * listed in `queued` (their delivery status is `DeliveryStatus.QUEUED`).
+     * 
+     * With `ack: true` delivery is at-least-once: every connected peer must
+     * acknowledge the signal, unacknowledged copies are retransmitted with
+     * backoff and receivers drop duplicates. The promise then resolves once
+     * all peers have answered or timed out, `delivered` counts the peers that
+     * acknowledged and `report` holds each peer's `DeliveryStatus`.
      * 
      * @param {string} signalName - Signal name (e.g., 'user:login').
      * @param {*} [payload] - Signal payload.
      * @param {Object} [options={}] - Send options.
      * @param {string[]} [options.exclude] - Peer IDs to exclude.
-     * @returns {Promise<{ delivered: number, failed: string[] }>}
+     * @param {boolean} [options.ack=false] - Wait for delivery acknowledgements.
+     * @param {number} [options.ackTimeout=5000] - Time to wait for each peer's ACK in ms, retransmits included.
+     * @param {number} [options.retries=3] - Retransmissions before a peer is reported `timeout`.
+     * @returns {Promise<{ delivered: number, failed: string[], queued: string[], report?: Record<string, string> }>}
      *  
      * @example
      * bus.signal('user:login', { userId: 123 });
+     * 
+     * @example
+     * const { report } = await hub.signal('session:revoked', { userId }, { ack: true });
+     * // { 'widget-1': 'acked', 'widget-2': 'timeout' }
      */
     async signal(signalName, payload, options = {}) {
         this.#assertNotDestroyed();
@@ -313,24 +725,42 @@ export class CrossBus extends EventEmitter {
         const transformedPayload = await this.#runHooks(
             this.#outboundHooks,
             payload,
-            { type: 'signal', direction: 'outbound' }
+            { type: 'signal', handlerName: signalName, direction: 'outbound', source: this.#peerId }
         );
 
         const message = createSignalMessage(
             signalName,
             transformedPayload,
-            this.#peerId
+            this.#peerId,
+            null,
+            options.ack ? { ack: true } : {}
         );
+        const exclude = new Set(options.exclude ?? []);
+
+        // Peers with a lower limit of their own are skipped and reported as failed
+        const tooLarge = this.#excludeOversized(message, exclude);
 
-        const result = await this.#router.broadcast(message, options);
+        if (options.ack) {
+            const result = await this.#signalWithAck(signalName, message, exclude, options);
+            for (const peerId of tooLarge) result.report[peerId] = DeliveryStatus.FAILED;
+            return { ...result, failed: [...result.failed, ...tooLarge] };
+        }
+
+        const result = await this.#router.broadcast(message, { ...options, exclude: [...exclude] });
+        const queued = this.#queueSignal(message, exclude);
 
-        this.#log('out', `SIGNAL "${signalName}" to ${result.delivered} peers`);
+        this.#log('out', `SIGNAL "${signalName}" to ${result.delivered} peers` +
+            (queued.length ? `, queued for ${queued.length}` : ''));
 
-        return result;
+        return { ...result, failed: [...result.failed, ...tooLarge], queued };
     }
 
     /**
      * Sends a request to a specific peer and waits for response.
+     * Peers advertised by a hub (see `routes`) are reached through it.
+     * 
+     * Aborting `options.signal` rejects with `ERR_ABORTED` and tells the peer
+     * to abort the `ctx.signal` its handler was given.
      * 
      * @param {string} peerId - Target peer ID.
      * @param {string} handlerName - Handler to invoke.
@@ -340,29 +770,113 @@ export class CrossBus extends EventEmitter {
      * 
      * @example
      * const data = await bus.request('widget-1', 'getData', { id: 5 });
+     * 
+     * @example
+     * const controller = new AbortController();
+     * const answer = bus.request('agent', 'generate', { prompt }, { signal: controller.signal });
+     * stopButton.onclick = () => controller.abort();
      */
     async request(peerId, handlerName, payload, options = {}) {
+        return this.#sendRequest(peerId, handlerName, payload, options, {});
+    }
+
+    /**
+     * Calls a streaming handler and iterates over the values it produces.
+     * 
+     * Handlers stream by being async generators or by returning an async
+     * iterable or a `ReadableStream`; any other result arrives as a single
+     * value. Values are sent as they are produced, each going through the
+     * responder's outbound hooks and our inbound hooks and sanitizer as a
+     * `response`; a value they reject fails the stream. Values are not
+     * chunked, so the transport must be able to carry each one. Leaving the
+     * loop early or aborting `options.signal` cancels the handler;
+     * `options.timeout` only applies until the stream starts.
+     * 
+     * @param {string} peerId - Target peer ID.
+     * @param {string} handlerName - Handler to invoke.
+     * @param {*} [payload] - Request payload.
+     * @param {RequestOptions} [options={}]
+     * @returns {AsyncGenerator<*, void, undefined>} Values produced by the handler.
+     * 
+     * @example
+     * // Responder
+     * bus.handle('generate', async function* ({ prompt }, ctx) {
+     *   for await (const token of llm.stream(prompt, { signal: ctx.signal })) {
+     *     yield token;
+     *   }
+     * });
+     * 
+     * // Caller
+     * for await (const token of bus.requestStream('agent', 'generate', { prompt })) {
+     *   output.textContent += token;
+     * }
+     */
+    requestStream(peerId, handlerName, payload, options = {}) {
+        const opened = this.#sendRequest(peerId, handlerName, payload, options, { stream: true });
+        // Rethrown by the first next()
+        opened.catch(() => { });
+        return this.#readResponseStream(opened, options.signal);
+    }
+
+    /**
+     * Sends a request and waits for its response (or, for stream requests, its stream).
+     * 
+     * @param {string} peerId
+     * @param {string} handlerName
+     * @param {*} payload
+     * @param {RequestOptions} options
+     * @param {Object} meta - Request message metadata.
+     * @returns {Promise<*>}
+     */
+    async #sendRequest(peerId, handlerName, payload, options, meta) {
         this.#assertNotDestroyed();
 
+        if (options.signal?.aborted) {
+            throw CrossBusError.from(ErrorCode.ABORTED, { peerId, handlerName, reason: options.signal.reason });
+        }
+
         this.#log('out', `REQUEST "${handlerName}" to ${peerId}`);
 
         const peer = this.#router.getPeer(peerId);
-        if (!peer) {
+        const route = peer ? undefined : this.#router.getRoute(peerId);
+        if (!peer && !route) {
             throw CrossBusError.from(ErrorCode.PEER_NOT_FOUND, { peerId });
         }
 
+        // Hold requests to unverified peers until their handshake settles
+        const handshake = this.#handshakes.get(peerId);
+        if (handshake) {
+            peerId = await handshake.ready;
+        }
+
+        if (peer?.status === PeerStatus.DISCONNECTED) {
+            throw CrossBusError.from(ErrorCode.PEER_DISCONNECTED, { peerId });
+        }
+
+        // The bus-wide limit is enforced by PendingRequests
+        const maxPending = peer?.limits.maxPendingRequests;
+        if (maxPending) {
+            const current = this.#pendingRequests.getForPeer(peerId).length;
+            if (current >= maxPending) {
+                throw CrossBusError.from(ErrorCode.MAX_PENDING, { peerId, handlerName, current, max: maxPending });
+            }
+        }
+
         // Create pending request
         const { requestId, promise } = this.#pendingRequests.create(
             peerId,
             handlerName,
             { timeout: options.timeout ?? this.#requestTimeout }
         );
+        if (options.signal) {
+            this.#cancelOnAbort(options.signal, peerId, handlerName, requestId, promise, !!route);
+        }
 
         // Apply outbound hooks
         const transformedPayload = await this.#runHooks(
             this.#outboundHooks,
             payload,
-            { type: 'request', peerId, handlerName, direction: 'outbound' }
+            { type: 'request', peerId, handlerName, direction: 'outbound', source: this.#peerId, target: peerId }
         );
 
         // Build request message
@@ -371,13 +885,40 @@ export class CrossBus extends EventEmitter {
             transformedPayload,
             this.#peerId,
             peerId,
-            requestId // Pass the tracking ID
+            requestId, // Pass the tracking ID
+            meta
         );
 
+        // Aborted (or timed out) while the hooks ran
+        if (!this.#pendingRequests.has(requestId)) return promise;
+
+        try {
+            this.#assertPayloadSize(message, peerId);
+        } catch (error) {
+            // The caller gets PAYLOAD_TOO_LARGE, not the cancellation
+            promise.catch(() => { });
+            this.#pendingRequests.cancel(requestId);
+            throw error;
+        }
+
+        // Held until the peer is back (or the request times out)
+        if (this.#enqueue(peerId, { kind: 'request', message, requestId })) {
+            this.#log('out', `REQUEST "${handlerName}" queued for ${peerId}`);
+            return promise;
+        }
+
+        // Large payloads go ahead in chunks
+        const outgoing = await this.#chunk(message, (chunk) => this.#routeTo(peerId, chunk));
+
         // Send request
-        const result = this.#router.route({ target: peerId, payload: message });
+        const result = this.#router.route({
+            target: peerId,
+            payload: route ? this.#address(outgoing, peerId) : outgoing
+        });
 
         if (!result.success) {
+            // The caller gets SEND_FAILED below, not the cancellation
+            promise.catch(() => { });
             this.#pendingRequests.cancel(requestId);
             throw CrossBusError.from(ErrorCode.SEND_FAILED, { peerId });
         }
@@ -412,7 +953,7 @@ export class CrossBus extends EventEmitter {
         for (const peerId of this.#router.getPeerIds()) {
             if (exclude.has(peerId)) continue;
 
-            const requestPromise = this.request(peerId, handlerName, payload, { timeout })
+            const requestPromise = this.request(peerId, handlerName, payload, { timeout, signal: options.signal })
                 .then(response => {
                     results.set(peerId, { success: true, data: response });
                 })
@@ -431,6 +972,145 @@ export class CrossBus extends EventEmitter {
         return results;
     }
 
+    /**
+     * Calls a handler on whichever peer offers it.
+     * 
+     * Peers advertise their handlers to the buses they are connected to
+     * (hubs also pass on those of the peers behind them), so no peer ID is
+     * needed. A provider is picked with `options.strategy`; if it turns out
+     * to be gone (`ERR_PEER_DISCONNECTED` and similar), the next one is tried.
+     * 
+     * @param {string} handlerName - Handler to invoke.
+     * @param {*} [payload] - Request payload.
+     * @param {CallOptions} [options={}]
+     * @returns {Promise<*>} Handler response.
+     * @throws {CrossBusError} `ERR_NO_HANDLER` if no reachable peer offers the handler.
+     * 
+     * @example
+     * // Workers register handlers as usual
+     * workerBus.handle('resize', resizeImage);
+     * 
+     * // The page spreads the work over all of them
+     * const thumbnail = await bus.call('resize', { image, width: 128 }, { strategy: 'least-pending' });
+     */
+    async call(handlerName, payload, options = {}) {
+        this.#assertNotDestroyed();
+
+        const providers = this.getProviders(handlerName);
+        if (providers.length === 0) {
+            throw CrossBusError.from(ErrorCode.NO_HANDLER, { handlerName });
+        }
+
+        const ordered = this.#directory.order(
+            handlerName,
+            providers,
+            options.strategy ?? CallStrategy.ROUND_ROBIN,
+            (peerId) => this.#pendingRequests.getForPeer(peerId).length
+        );
+
+        let lastError;
+        for (const peerId of ordered) {
+            try {
+                return await this.request(peerId, handlerName, payload, options);
+            } catch (/** @type {any} */ error) {
+                if (!FAILOVER_CODES.has(error.code)) throw error;
+                this.#log('warn', `CALL "${handlerName}" on ${peerId} failed (${error.code}), trying next provider`);
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Lists the reachable peers that advertised a handler.
+     * 
+     * @param {string} handlerName
+     * @returns {string[]} Peer IDs, in the order they were learned.
+     */
+    getProviders(handlerName) {
+        return this.#directory.getProviders(handlerName).filter(peerId => this.#isReachable(peerId));
+    }
+
+    /**
+     * Lists the handlers a peer offers, with their schemas when registered.
+     * Handlers restricted by `allowedPeers` are only listed to those peers.
+     * 
+     * Rejects with `ERR_NO_HANDLER` if the peer has `discovery: false`.
+     * 
+     * @param {string} peerId - Peer to ask.
+     * @param {RequestOptions} [options={}]
+     * @returns {Promise<HandlerDescriptor[]>}
+     * 
+     * @example
+     * const handlers = await bus.discover('worker-1');
+     * // [{ name: 'getData', schema: { ... } }, { name: 'ping' }]
+     */
+    async discover(peerId, options = {}) {
+        return this.request(peerId, DISCOVERY_HANDLER, undefined, options);
+    }
+
+    /**
+     * Returns an object whose methods call the peer's handlers:
+     * `api.getData(payload, options)` is `request(peerId, 'getData', payload, options)`.
+     * 
+     * By default the peer's handler list is fetched on the first call (and
+     * again when a method is missing from it) so calls to unknown methods
+     * reject locally with `ERR_NO_HANDLER`. Peers that do not answer
+     * discovery are called without the check.
+     * 
+     * @param {string} peerId - Peer whose handlers to call.
+     * @param {ProxyOptions} [options={}]
+     * @returns {Record<string, (payload?: *, options?: RequestOptions) => Promise<*>>}
+     * 
+     * @example
+     * const worker = bus.proxy('worker-1');
+     * const data = await worker.getData({ id: 5 });
+     */
+    proxy(peerId, options = {}) {
+        const discover = options.discover ?? true;
+
+        /** @type {Promise<Set<string>|null>|null} */
+        let known = null;
+
+        const fetchHandlers = () => this.discover(peerId, { timeout: options.timeout }).then(
+            handlers => new Set(handlers.map(h => h.name)),
+            (/** @type {any} */ error) => {
+                if (error.code === ErrorCode.NO_HANDLER) return null;
+                // Try again on the next call
+                known = null;
+                throw error;
+            }
+        );
+
+        /**
+         * @param {string} handlerName
+         * @param {*} payload
+         * @param {RequestOptions} [requestOptions]
+         */
+        const call = async (handlerName, payload, requestOptions) => {
+            if (discover) {
+                let names = await (known ??= fetchHandlers());
+                if (names && !names.has(handlerName)) {
+                    // Registered since the list was fetched?
+                    names = await (known = fetchHandlers());
+                }
+                if (names && !names.has(handlerName)) {
+                    throw CrossBusError.from(ErrorCode.NO_HANDLER, { peerId, handlerName });
+                }
+            }
+            return this.request(peerId, handlerName, payload, requestOptions);
+        };
+
+        return new Proxy(/** @type {Record<string, any>} */({}), {
+            get(_, property) {
+                // Not a thenable, so it can be returned from async functions
+                if (typeof property !== 'string' || property === 'then') return undefined;
+                return (/** @type {*} */ payload, /** @type {RequestOptions} */ requestOptions) =>
+                    call(property, payload, requestOptions);
+            }
+        });
+    }
+
     // ─────────────────────────────────────────────────────────────────
     // Handler API
     // ─────────────────────────────────────────────────────────────────
@@ -455,23 +1135,50 @@ export class CrossBus extends EventEmitter {
      *   rateLimit: 10,                    // Max 10 calls/second per peer
      *   validatePayload: (p) => p.id != null  // Custom validation
      * });
+     * 
+     * // Only peers with the admin role (see the `roles` option)
+     * bus.handle('deleteUser', deleteUser, { roles: ['admin'] });
+     * 
+     * // Handler-specific middleware
+     * bus.handle('search', search, { middleware: [cache({ ttl: 60000 })] });
+     * 
+     * // Published to peers calling discover()
+     * bus.handle('getData', getData, { schema: getDataSchema });
      */
     handle(handlerName, handler, options = {}) {
         if (this.#handlers.has(handlerName)) {
             throw CrossBusError.from(ErrorCode.HANDLER_EXISTS, { handlerName });
         }
 
-        // Store handler options for security checks
-        if (options.allowedPeers || options.rateLimit || options.validatePayload) {
+        /** @type {Middleware[]} */
+        const middleware = [];
+
+        if (options.roles) {
+            this.#access.setHandlerRoles(handlerName, options.roles);
+        }
+
+        // Security options are checked before any middleware runs (see #handleRequest)
+        if (options.allowedPeers || options.rateLimit || options.validatePayload || options.roles) {
             this.#handlerOptions.set(handlerName, options);
         }
 
+        for (const fn of options.middleware ?? []) {
+            if (typeof fn !== 'function') {
+                throw new TypeError('middleware must be functions');
+            }
+            middleware.push(fn);
+        }
+        if (middleware.length > 0) {
+            this.#handlerMiddleware.set(handlerName, middleware);
+        }
+        if (options.schema) {
+            this.#handlerSchemas.set(handlerName, options.schema);
+        }
+
         this.#handlers.set(handlerName, handler);
+        this.#scheduleHandlerAdvert();
 
-        return () => {
-            this.#handlers.delete(handlerName);
-            this.#handlerOptions.delete(handlerName);
-        };
+        return () => this.unhandle(handlerName);
     }
 
     /**
@@ -481,7 +1188,14 @@ export class CrossBus extends EventEmitter {
      * @returns {boolean} True if handler was removed.
      */
     unhandle(handlerName) {
-        return this.#handlers.delete(handlerName);
+        if (this.#handlerOptions.get(handlerName)?.roles) this.#access.setHandlerRoles(handlerName, null);
+        this.#handlerOptions.delete(handlerName);
+        this.#handlerMiddleware.delete(handlerName);
+        this.#handlerSchemas.delete(handlerName);
+        if (!this.#handlers.delete(handlerName)) return false;
+
+        this.#scheduleHandlerAdvert();
+        return true;
     }
 
     /**
@@ -494,16 +1208,126 @@ export class CrossBus extends EventEmitter {
         return this.#handlers.has(handlerName);
     }
 
-    // ─────────────────────────────────────────────────────────────────
-    // Hook API
-    // ─────────────────────────────────────────────────────────────────
-
     /**
-     * Adds an inbound hook to transform incoming payloads.
+     * Checks whether a peer may call a handler (or send a signal): whether it
+     * holds one of the roles the matching policy requires. Names without a
+     * policy are open to every peer.
      * 
-     * @param {MessageHook} hookFn - Hook function.
-     * @param {number} [priority=10] - Execution priority (lower = first).
-     * @returns {Function} Unregister function.
+     * @param {string} peerId
+     * @param {string} name - Handler or signal name.
+     * @param {import('../security/access-control.js').AccessType} [type='request']
+     * @returns {boolean}
+     * 
+     * @example
+     * bus.can('widget-1', 'deleteUser'); // false unless widget-1 is an admin
+     */
+    can(peerId, name, type = 'request') {
+        return this.#access.can(peerId, name, type);
+    }
+
+    /**
+     * Sets the roles required to call handlers (or send signals) matching a
+     * pattern, replacing the previous policy. Takes effect with the next message.
+     * Roles given to `handle()` are required as well; policies don't replace them.
+     * 
+     * Patterns and roles may end with `*`: `admin:*` covers every name (or role)
+     * starting with `admin:`. An exact name wins over patterns, a longer
+     * pattern over a shorter one.
+     * 
+     * @param {string} pattern - Handler or signal name, or a pattern ending with `*`.
+     * @param {string[]|null} roles - Roles allowed (any of them; none closes the name); null removes the policy.
+     * @param {import('../security/access-control.js').AccessType} [type='request']
+     * @returns {boolean} True if a policy was set or removed.
+     * 
+     * @example
+     * bus.setPolicy('admin:*', ['admin']);
+     * bus.setPolicy('chat:*', ['user', 'admin'], 'signal');
+     */
+    setPolicy(pattern, roles, type = 'request') {
+        const changed = this.#access.setPolicy(pattern, roles, type);
+        if (type === 'request') this.#scheduleHandlerAdvert();
+        return changed;
+    }
+
+    /**
+     * Sets the roles of a peer, overriding the `roles` option until the peer
+     * disconnects.
+     * 
+     * @param {string} peerId
+     * @param {string[]|null} roles - Null goes back to the `roles` option.
+     */
+    setRoles(peerId, roles) {
+        this.#access.setRoles(peerId, roles);
+        this.#scheduleHandlerAdvert();
+    }
+
+    /**
+     * Gets the roles of a peer.
+     * 
+     * @param {string} peerId
+     * @returns {string[]}
+     */
+    getRoles(peerId) {
+        return this.#access.getRoles(peerId);
+    }
+
+    /**
+     * Adds middleware that runs around every incoming request, in the order
+     * added, before handler-specific middleware. It also runs for requests
+     * to unknown handlers (`next()` then throws `ERR_NO_HANDLER`).
+     * 
+     * @param {Middleware} middleware
+     * @returns {Function} Unregister function.
+     * 
+     * @example
+     * // Logging
+     * bus.use(async (ctx, next) => {
+     *   const start = Date.now();
+     *   try {
+     *     await next();
+     *     console.log(`${ctx.handlerName} from ${ctx.peerId}: ${Date.now() - start}ms`);
+     *   } catch (error) {
+     *     console.warn(`${ctx.handlerName} from ${ctx.peerId} failed: ${error.code}`);
+     *     throw error;
+     *   }
+     * });
+     * 
+     * // Authentication
+     * bus.use(async (ctx, next) => {
+     *   ctx.state.user = await sessions.get(ctx.peer?.meta.sessionId);
+     *   if (!ctx.state.user) throw CrossBusError.from(ErrorCode.UNAUTHORIZED);
+     *   await next();
+     * });
+     */
+    use(middleware) {
+        if (typeof middleware !== 'function') {
+            throw new TypeError('middleware must be a function');
+        }
+
+        this.#middleware.push(middleware);
+
+        return () => {
+            const index = this.#middleware.indexOf(middleware);
+            if (index === -1) return false;
+            this.#middleware.splice(index, 1);
+            return true;
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Hook API
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Adds an inbound hook to transform incoming payloads.
+     * A hook rejects the message by throwing a `CrossBusError`: requests
+     * are answered with it, responses fail with it and signals are dropped
+     * (see `security:violation`). Other errors are logged and the payload
+     * is passed on unmodified.
+     * 
+     * @param {MessageHook} hookFn - Hook function.
+     * @param {number} [priority=10] - Execution priority (lower = first).
+     * @returns {Function} Unregister function.
      * 
      * @example
      * // Decrypt incoming messages
@@ -583,330 +1407,2071 @@ export class CrossBus extends EventEmitter {
     // ─────────────────────────────────────────────────────────────────
 
     /**
-     * Adds a peer with a send function.
-     * Used for hub mode when managing connections manually.
+     * Adds a peer with a send function.
+     * Used for hub mode when managing connections manually.
+     * 
+     * @param {string} peerId - Peer identifier.
+     * @param {EventListener} sendFn - Function to send messages.
+     * @param {Object} [options={}] - Additional options.
+     * @param {number} [options.maxPayloadSize] - Overrides `maxPayloadSize` for this peer.
+     * @param {number} [options.maxPendingRequests] - Overrides `maxPendingRequests` for this peer.
+     */
+    addPeer(peerId, sendFn, options = {}) {
+        this.#assertNotDestroyed();
+        this.#router.addPeer(peerId, sendFn, options);
+    }
+
+    /**
+     * Removes a peer without notifying it.
+     * Pending requests to the peer are rejected with `ERR_PEER_DISCONNECTED`.
+     * 
+     * @param {string} peerId
+     * @param {string} [reason='removed'] - Reason reported in `peer:disconnected`.
+     * @param {Object} [details] - More about the reason, reported in `peer:disconnected` (e.g. `{ exitCode }`).
+     * @returns {boolean}
+     */
+    removePeer(peerId, reason = 'removed', details) {
+        this.#pendingRequests.cancelForPeer(peerId);
+        this.#offlineQueue?.remove(peerId);
+        return this.#router.removePeer(peerId, reason, details);
+    }
+
+    /**
+     * Updates a peer's connection status.
+     * Use this for transports that report their own connection state: while a
+     * peer is `connecting` or `reconnecting`, signals and requests are queued
+     * (see the `offlineQueue` option) and flushed in order once it is `connected`.
+     * 
+     * @param {string} peerId
+     * @param {PeerStatus} status
+     * @returns {boolean} True if the peer exists.
+     * 
+     * @example
+     * bridge.onDisconnect(() => bus.setPeerStatus('native', PeerStatus.RECONNECTING));
+     * bridge.onReconnect(() => bus.setPeerStatus('native', PeerStatus.CONNECTED));
+     */
+    setPeerStatus(peerId, status) {
+        const peer = this.#router.getPeer(peerId);
+        if (!peer) return false;
+        if (peer.status === status) return true;
+
+        this.#router.setPeerStatus(peerId, status);
+        if (status === PeerStatus.CONNECTED) {
+            this.#drainQueue(peerId);
+        }
+        return true;
+    }
+
+    /**
+     * Gracefully disconnects from a peer.
+     * Sends a BYE so the remote bus drops us too, then removes the peer.
+     * 
+     * @param {string} peerId
+     * @param {string} [reason='disconnect'] - Reason sent to the peer and reported locally.
+     * @returns {boolean} True if the peer was known.
+     * 
+     * @example
+     * bus.disconnect('widget-1');
+     * // On the widget: peer:disconnected { peerId: 'host', reason: 'disconnect' }
+     */
+    disconnect(peerId, reason = 'disconnect') {
+        const peer = this.#router.getPeer(peerId);
+        if (!peer) return false;
+
+        this.#sendBye(peer, reason);
+        this.#handshakes.get(peerId)?.cancel();
+        return this.removePeer(peerId, reason);
+    }
+
+    /**
+     * Adds a transport and automatically wires up message handling.
+     * This is the recommended way to connect transports for AI agents.
+     * 
+     * With `handshake: true` the peer stays in `PeerStatus.CONNECTING` until
+     * the handshake completes: inbound messages are held, requests wait for
+     * the result and `peer:connected` fires only once the peer is verified.
+     * If no `peerId` is given, the ID announced by the remote peer is adopted;
+     * if one is given, a different remote ID rejects the handshake.
+     * 
+     * @param {Object} transport - Transport instance with send() and onMessage() methods.
+     * @param {Object} [options={}] - Additional options.
+     * @param {string} [options.peerId] - Override peer ID (defaults to transport's peerId or auto-generated).
+     * @param {string} [options.origin='*'] - Origin for message validation.
+     * @param {boolean} [options.handshake] - Verify the peer with a handshake before routing to it
+     *   (default: true with an `authenticator`, false otherwise).
+     * @param {number} [options.maxPayloadSize] - Overrides `maxPayloadSize` for this peer.
+     * @param {number} [options.maxPendingRequests] - Overrides `maxPendingRequests` for this peer.
+     * @returns {Function} Cleanup function to remove the transport.
+     * 
+     * If the transport has `onStateChange()` (e.g. `WebSocketTransport`), the bus
+     * takes it over to mark the peer `reconnecting` while the transport is down.
+     * If it has `onDisconnect()` (e.g. `WorkerThreadsTransport`), the peer is
+     * removed once the transport reports it gone for good.
+     * 
+     * @example
+     * // Simple usage
+     * const cleanup = bus.addTransport(new PostMessageTransport(iframe.contentWindow));
+     * 
+     * // With options
+     * const cleanup = bus.addTransport(transport, { peerId: 'my-agent' });
+     * 
+     * // Verified connection
+     * bus.addTransport(transport, { peerId: 'worker-1', handshake: true });
+     * bus.on('peer:connected', (e) => console.log(e.data.capabilities));
+     * 
+     * // Cleanup when done
+     * cleanup();
+     */
+    addTransport(transport, options = {}) {
+        this.#assertNotDestroyed();
+
+        if (!transport || typeof transport.send !== 'function') {
+            throw new TypeError('Transport must have a send() method');
+        }
+
+        const origin = options.origin || '*';
+        const handshake = options.handshake ?? this.#authenticated;
+
+        // Mutable so a completed handshake can re-key the peer under its verified ID
+        const link = {
+            peerId: options.peerId || transport.peerId || `transport-${uuid()}`,
+            /** @type {Object[]|null} Messages held until the handshake completes */
+            inbox: handshake ? [] : null
+        };
+
+        // Wire up inbound: transport -> CrossBus
+        if (typeof transport.onMessage === 'function') {
+            transport.onMessage((message) => {
+                if (link.inbox && !HANDSHAKE_TYPES.has(message?.type ?? message?.t)) {
+                    link.inbox.push(message);
+                    return;
+                }
+                this.handleMessage(message, origin, link.peerId);
+            });
+        }
+
+        // Wire up outbound: CrossBus -> transport
+        const sendFn = (message) => {
+            transport.send(message);
+        };
+
+        // Transports that reconnect on their own (e.g. WebSocket) report it here,
+        // so messages are queued while they are down
+        if (this.#offlineQueue && typeof transport.onStateChange === 'function') {
+            transport.onStateChange((state) => {
+                const status = this.#router.getPeer(link.peerId)?.status;
+                if (state === 'connected') {
+                    if (status === PeerStatus.RECONNECTING) this.setPeerStatus(link.peerId, PeerStatus.CONNECTED);
+                } else if (status === PeerStatus.CONNECTED) {
+                    this.setPeerStatus(link.peerId, PeerStatus.RECONNECTING);
+                }
+            });
+        }
+
+        // Transports whose other end can go away for good (e.g. an exited worker)
+        if (typeof transport.onDisconnect === 'function') {
+            transport.onDisconnect((reason, details) => {
+                this.#handshakes.get(link.peerId)?.cancel();
+                this.removePeer(link.peerId, reason, details);
+            });
+        }
+
+        if (handshake) {
+            this.#router.addPeer(link.peerId, sendFn, { ...options, status: PeerStatus.CONNECTING });
+            this.#connectWithHandshake(link, sendFn, {
+                origin: options.origin,
+                adoptRemoteId: !options.peerId
+            });
+        } else {
+            this.addPeer(link.peerId, sendFn, options);
+            this.#openRouteExchange(link.peerId);
+        }
+
+        // Return cleanup function
+        return () => {
+            this.#handshakes.get(link.peerId)?.cancel();
+            this.removePeer(link.peerId);
+            if (typeof transport.destroy === 'function') {
+                transport.destroy();
+            }
+        };
+    }
+
+    /**
+     * Handles an incoming message.
+     * Call this when receiving a message from any transport.
+     * 
+     * @param {Object} message - The received message.
+     * @param {string} origin - Origin of the message.
+     * @param {string} [peerId] - Source peer ID if known.
+     * @param {Function} [replyFn] - Function to reply to the sender.
+     */
+    async handleMessage(message, origin, peerId, replyFn) {
+        if (this.#destroyed) return;
+
+        // Validate origin
+        if (!this.#originValidator.isAllowed(origin)) {
+            console.warn(`[CrossBus] Blocked message from unauthorized origin: ${origin}`);
+            return;
+        }
+
+        const msgType = message.type ?? message.t;
+
+        // Any traffic proves the peer is alive
+        if (peerId) this.#heartbeat?.touch(peerId);
+
+        // Oversized messages are dropped before anything looks into them
+        if (!(await this.#checkInboundSize(message, msgType, peerId, replyFn))) return;
+
+        // Routing metadata is read long before hooks run: sanitized first
+        if (this.#sanitizer) {
+            try {
+                message = this.#sanitizeMeta(message, this.#sanitizer);
+            } catch (/** @type {any} */ error) {
+                this.#log('warn', `Rejected ${msgType} from ${peerId}: ${error.message}`);
+                this.#reportViolation({
+                    code: error.code,
+                    peerId: peerId ?? 'unknown',
+                    messageType: msgType,
+                    reason: error.message
+                });
+                await this.#refuse(message, msgType, peerId, replyFn, { code: error.code, message: error.message });
+                return;
+            }
+        }
+
+        // Duplicates and stale messages never reach hooks or handlers. Envelope
+        // sequence numbers belong to the hop; IDs and timestamps to the original sender
+        if (!this.#checkReplay(message, msgType, peerId, replyFn, 'hop')) return;
+        const dest = message.meta?.dest;
+        const relayed = typeof dest === 'string' && dest !== this.#peerId;
+        const sender = relayed ? peerId : this.#senderOf(message, peerId);
+        let senderReply = replyFn;
+        if (sender !== peerId) {
+            const hop = this.#replyPath(peerId, replyFn);
+            senderReply = hop && ((reply) => hop(this.#address(reply, /** @type {string} */(sender))));
+        }
+        if (!relayed && !this.#checkReplay(message, msgType, sender, senderReply, 'sender')) return;
+
+        // Heartbeats are answered before hooks: they carry no application data
+        if (msgType === MessageType.PING || msgType === MessageType.PONG) {
+            this.#handleHeartbeat(message, msgType, peerId, replyFn);
+            return;
+        }
+
+        if (msgType === MessageType.BYE) {
+            this.#handleBye(message, peerId);
+            return;
+        }
+
+        if (msgType === MessageType.ROUTE) {
+            this.#handleRouteAdvert(message, peerId);
+            return;
+        }
+
+        if (msgType === MessageType.HANDLERS) {
+            this.#handleHandlerAdvert(message, peerId);
+            return;
+        }
+
+        if (msgType === MessageType.ACK) {
+            if (peerId) this.#acks.handleAck(peerId, message.payload?.messageId);
+            return;
+        }
+
+        // Addressed to someone else: relay (hubs) or bounce; the destination checks it for replays
+        if (relayed) {
+            await this.#relay(message, peerId);
+            return;
+        }
+
+        // Relayed traffic is attributed to its original sender and answered along the same path
+        replyFn = senderReply;
+        peerId = sender;
+
+        if (msgType === MessageType.CANCEL) {
+            this.#handleCancel(message, peerId);
+            return;
+        }
+
+        // Streamed responses (see requestStream) and chunked payloads
+        if (msgType === 'stream') {
+            if (!this.#handleChunk(message, peerId)) await this.#handleResponseStream(message, peerId);
+            return;
+        }
+
+        // At-least-once signals: every copy is acknowledged, only the first is handled
+        if ((msgType === MessageType.SIGNAL || msgType === MessageType.BROADCAST) &&
+            !this.#acknowledge(message.p ?? message, peerId, replyFn)) {
+            return;
+        }
+
+        // Large payloads arrive in chunks ahead of their request or response
+        if ((msgType === MessageType.REQUEST || msgType === MessageType.RESPONSE) &&
+            typeof message.meta?.chunked === 'string') {
+            try {
+                message = await this.#unchunk(message, peerId);
+            } catch (/** @type {any} */ error) {
+                this.#log('warn', `Dropped chunked ${msgType} from ${peerId}: ${error.message}`);
+                await this.#refuse(message, msgType, peerId, replyFn, {
+                    code: error.code ?? ErrorCode.INVALID_MESSAGE,
+                    message: error.message
+                });
+                return;
+            }
+        }
+
+        // Apply inbound hooks to payload
+        // Support both standard 'payload'/'data' and legacy 'p'
+        const rawPayload = message.payload ?? message.data ?? message.p;
+
+        // Normalize fields based on schema
+        let handlerOrName = message.handler ?? message.name;
+        let dataContent = rawPayload;
+
+        // If ProtocolMessage (has 'payload' object containing metadata), extract from it
+        if (message.payload && typeof message.payload === 'object' && !message.p) {
+            if (msgType === MessageType.SIGNAL || msgType === MessageType.BROADCAST) {
+                handlerOrName = message.payload.name;
+                dataContent = message.payload.data;
+            } else if (msgType === MessageType.REQUEST) {
+                handlerOrName = message.payload.name;
+                dataContent = message.payload.data;
+            } else if (msgType === MessageType.RESPONSE) {
+                // Response payload structure? createResponseMessage puts 'data' in payload
+                dataContent = message.payload.data;
+            }
+        }
+        // Handle envelope format: { t, p: { type, payload: { name, data } } }
+        // Router creates envelopes with 'p' containing the original signal message
+        // Detect by: has 't' (not 'type'), has 'p' with nested 'payload' (ProtocolMessage structure)
+        else if (message.t && !message.type && message.p && typeof message.p === 'object' && message.p.payload) {
+            const innerMsg = message.p;
+            // Extract from nested ProtocolMessage
+            handlerOrName = innerMsg.payload.name ?? innerMsg.name;
+            dataContent = innerMsg.payload.data ?? innerMsg.data;
+        }
+
+        // Every message carrying application data goes through the hooks, with a payload or not,
+        // so hooks checking messages (e.g. signatures) see them all. Error responses carry their error.
+        const isSignal = msgType === MessageType.SIGNAL || msgType === MessageType.BROADCAST;
+
+        // Peers without the roles a handler or signal requires are refused before anything runs
+        if ((isSignal || msgType === MessageType.REQUEST) && typeof handlerOrName === 'string' &&
+            !this.#access.can(peerId ?? '', handlerOrName, isSignal ? 'signal' : 'request')) {
+            const error = CrossBusError.from(ErrorCode.UNAUTHORIZED, { handler: handlerOrName, peer: peerId });
+            this.#log('warn', `Refused ${msgType} "${handlerOrName}" from ${peerId}: missing role`);
+            this.#reportViolation({
+                code: error.code,
+                peerId: peerId ?? 'unknown',
+                messageType: msgType,
+                handlerName: handlerOrName,
+                reason: 'Missing role'
+            });
+            await this.#refuse(message, msgType, peerId, replyFn, { code: error.code, message: error.message });
+            return;
+        }
+        const failed = msgType === MessageType.RESPONSE && (message.payload?.success ?? message.success) === false;
+        let failure = failed ? (message.payload?.error ?? message.error) : undefined;
+        if (isSignal || msgType === MessageType.REQUEST || msgType === MessageType.RESPONSE) {
+            // Responses don't carry the handler name: it's the one we requested
+            if (msgType === MessageType.RESPONSE && handlerOrName === undefined) {
+                handlerOrName = this.#pendingRequests.get(message.payload?.requestId ?? message.id)?.handlerName;
+            }
+            /** @type {HookContext} */
+            const hookContext = {
+                type: isSignal ? 'signal' :
+                    msgType === MessageType.REQUEST ? 'request' : 'response',
+                peerId,
+                handlerName: handlerOrName,
+                direction: 'inbound',
+                source: peerId,
+                target: isSignal ? undefined : this.#peerId
+            };
+            if (failed) hookContext.failed = true;
+            // Run hooks, then sanitize what they decoded; a CrossBusError from either rejects the message
+            try {
+                let content = await this.#runHooks(this.#inboundHooks, failed ? failure : dataContent, hookContext, true);
+                if (this.#sanitizer) content = this.#sanitizer.sanitize(content);
+                if (failed) failure = content; else dataContent = content;
+            } catch (/** @type {any} */ error) {
+                this.#log('warn', `Rejected ${msgType} from ${peerId}: ${error.message}`);
+                this.#reportViolation({
+                    code: error.code,
+                    peerId: peerId ?? 'unknown',
+                    messageType: msgType,
+                    handlerName: handlerOrName,
+                    reason: error.message
+                });
+                await this.#refuse(message, msgType, peerId, replyFn, { code: error.code, message: error.message });
+                return;
+            }
+        }
+
+        switch (msgType) {
+            case MessageType.BROADCAST:  // Broadcast has same structure as signal
+            case MessageType.SIGNAL:
+                if (typeof handlerOrName !== 'string') {
+                    console.warn('[CrossBus] Invalid signal name type');
+                    return;
+                }
+                await this.#handleSignal(handlerOrName, dataContent, peerId);
+                break;
+
+            case MessageType.REQUEST:
+                if (typeof handlerOrName !== 'string') {
+                    console.warn('[CrossBus] Invalid handler name type');
+                    return;
+                }
+                // Pass normalized ID
+                // const reqId = message.id ?? (message.payload ? message.payload.id : undefined);
+                // Wait, 'id' is top level in ProtocolMessage AND legacy.
+
+                await this.#handleRequest(message.id, handlerOrName, dataContent, peerId, replyFn,
+                    message.meta?.stream === true);
+                break;
+
+            case MessageType.RESPONSE:
+                this.#handleResponse(message.payload?.requestId ?? message.id, !failed, dataContent, failure, peerId);
+                break;
+
+            case MessageType.HANDSHAKE_INIT:
+            case MessageType.HANDSHAKE_ACK:
+            case MessageType.HANDSHAKE_COMPLETE: {
+                // Handshake replies bypass routing: the peer may not be CONNECTED yet
+                const reply = this.#replyPath(peerId, replyFn);
+                if (!reply) {
+                    console.warn(`[CrossBus] No reply path for handshake from ${peerId}`);
+                    return;
+                }
+                // Authenticated handshakes continue asynchronously; a failed reply leaves the peer to time out
+                Promise.resolve(this.#handshake.handleMessage(message, origin, /** @type {EventListener} */(reply)))
+                    .catch(() => { });
+
+                // Our own INIT may have been sent before the peer was listening
+                if (msgType === MessageType.HANDSHAKE_INIT && peerId) {
+                    this.#handshakes.get(peerId)?.resendInit();
+                }
+                break;
+            }
+
+            default:
+                console.warn(`[CrossBus] Unknown message type: ${msgType}`);
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Lifecycle
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Destroys the CrossBus, cleaning up all resources.
+     */
+    destroy() {
+        if (this.#destroyed) return;
+
+        this.#destroyed = true;
+
+        // Cancel all pending requests and handshakes
+        this.#pendingRequests.cancelAll();
+        this.#handshake.cancelAll();
+        this.#heartbeat?.destroy();
+        this.#acks.destroy();
+        this.#replayGuard?.clear();
+        this.#abortInbound(null, ErrorCode.DESTROYED);
+        this.#failResponseStreams(null, ErrorCode.DESTROYED);
+        this.#dropChunkedPayloads(null, ErrorCode.DESTROYED);
+        this.#offlineQueue?.clear();
+        if (this.#routeAdvertTimer) clearTimeout(this.#routeAdvertTimer);
+        if (this.#handlerAdvertTimer) clearTimeout(this.#handlerAdvertTimer);
+        this.#directory.clear();
+
+        // Clear handlers
+        this.#handlers.clear();
+
+        // Say goodbye before dropping peers
+        for (const peerId of this.#router.getPeerIds()) {
+            const peer = this.#router.getPeer(peerId);
+            if (peer) this.#sendBye(peer, 'destroyed');
+        }
+        this.#router.clearPeers('destroyed');
+
+        // Clear event listeners
+        this.clear();
+
+        this.emit('destroyed', {});
+    }
+
+    /**
+     * Checks if the bus has been destroyed.
+     * @returns {boolean}
+     */
+    get isDestroyed() {
+        return this.#destroyed;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Private handlers
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Runs the handshake for a transport added with `handshake: true` and
+     * promotes the peer to CONNECTED once the remote side has answered.
+     * 
+     * @param {{ peerId: string, inbox: Object[]|null }} link - Transport link state.
+     * @param {(message: Object) => void} sendFn - Raw send function of the transport.
+     * @param {{ origin?: string, adoptRemoteId: boolean }} options
+     */
+    async #connectWithHandshake(link, sendFn, options) {
+        const provisionalId = link.peerId;
+        const ready = deferred();
+        // Nobody may be waiting on it; failures are also reported via 'handshake:failed'
+        ready.promise.catch(() => { });
+
+        /** @type {Object|null} */
+        let initMsg = null;
+        let resent = false;
+
+        this.#handshakes.set(provisionalId, {
+            ready: ready.promise,
+            resendInit: () => {
+                if (initMsg && !resent) {
+                    resent = true;
+                    sendFn(initMsg);
+                }
+            },
+            cancel: () => {
+                if (initMsg) this.#handshake.cancel(initMsg.handshakeId);
+            }
+        });
+
+        const result = await this.#handshake.initiate((message) => {
+            if (message.type === MessageType.HANDSHAKE_INIT) initMsg = message;
+            sendFn(message);
+        });
+
+        this.#handshakes.delete(provisionalId);
+        const inbox = link.inbox ?? [];
+        link.inbox = null;
+
+        const error = this.#verifyHandshake(result, provisionalId, options.adoptRemoteId);
+        if (error) {
+            this.#router.setPeerStatus(provisionalId, PeerStatus.FAILED);
+            this.#router.removePeer(provisionalId);
+            this.#offlineQueue?.remove(provisionalId);
+            ready.reject(error);
+            this.#log('error', `HANDSHAKE with ${provisionalId} failed: ${error.message}`);
+            this.emit('handshake:failed', { peerId: provisionalId, code: error.code, reason: error.message });
+            return;
+        }
+
+        const remote = /** @type {NonNullable<typeof result.peer>} */ (result.peer);
+        const peerId = remote.peerId;
+
+        // Re-key under the verified ID (removing a CONNECTING peer emits nothing)
+        if (peerId !== provisionalId) {
+            const limits = this.#router.getPeer(provisionalId)?.limits;
+            this.#router.removePeer(provisionalId);
+            this.#router.addPeer(peerId, sendFn, { ...limits, origin: options.origin, status: PeerStatus.CONNECTING });
+            link.peerId = peerId;
+
+            // Signals queued under the provisional ID belong to the verified peer
+            const queued = this.#offlineQueue?.drainQueue(provisionalId) ?? [];
+            this.#offlineQueue?.remove(provisionalId);
+            for (const item of queued) this.#enqueue(peerId, item.message);
+        }
+
+        const meta = remote.meta ?? {};
+        const capabilities = remote.capabilities ?? [];
+        this.#router.updatePeer(peerId, { meta, capabilities });
+        if (this.#authenticated) this.#authenticatedPeers.add(peerId);
+        this.#router.setPeerStatus(peerId, PeerStatus.CONNECTED);
+        this.#drainQueue(peerId);
+
+        this.#log('info', `HANDSHAKE with ${peerId} complete`);
+        this.emit('peer:connected', { peerId, meta, capabilities });
+        ready.resolve(peerId);
+        this.#openRouteExchange(peerId);
+
+        // Deliver what the peer sent while it was being verified
+        for (const message of inbox) {
+            this.handleMessage(message, options.origin || '*', peerId);
+        }
+    }
+
+    /**
+     * Checks a handshake result against the transport it was run for.
+     * 
+     * @param {import('../security/handshake.js').HandshakeResult} result
+     * @param {string} provisionalId - Peer ID the transport was added under.
+     * @param {boolean} adoptRemoteId - Whether a different remote ID is acceptable.
+     * @returns {CrossBusError|null} Error if the peer must not be connected.
+     */
+    #verifyHandshake(result, provisionalId, adoptRemoteId) {
+        const remote = result.peer;
+
+        if (!result.success || !remote) {
+            return new CrossBusError(
+                /** @type {any} */(result.error) ?? ErrorCode.HANDSHAKE_REJECTED,
+                result.reason,
+                { details: { peerId: provisionalId } }
+            );
+        }
+
+        if (!this.#router.getPeer(provisionalId)) {
+            return new CrossBusError(ErrorCode.HANDSHAKE_REJECTED, 'Transport removed during handshake', {
+                details: { peerId: provisionalId }
+            });
+        }
+
+        if (remote.peerId === provisionalId) return null;
+
+        if (!adoptRemoteId) {
+            return new CrossBusError(ErrorCode.HANDSHAKE_REJECTED, 'Remote peer ID does not match', {
+                details: { peerId: provisionalId, remotePeerId: remote.peerId }
+            });
+        }
+
+        if (this.#router.getPeer(remote.peerId)) {
+            return CrossBusError.from(ErrorCode.PEER_EXISTS, { peerId: remote.peerId });
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets the function that replies directly to a peer, bypassing status checks.
+     * 
+     * @param {string} [peerId]
+     * @param {Function} [replyFn] - Explicit reply function, preferred if given.
+     * @returns {Function|undefined}
+     */
+    #replyPath(peerId, replyFn) {
+        return replyFn ?? (peerId ? this.#router.getPeer(peerId)?.sendFn : undefined);
+    }
+
+    /**
+     * Answers PINGs and records PONGs.
+     * 
+     */
+    #handleHeartbeat(message, msgType, peerId, replyFn) {
+        if (msgType === MessageType.PING) {
+            const reply = this.#replyPath(peerId, replyFn);
+            try {
+                reply?.(createPongMessage(message.id, this.#peerId, message.payload?.sentAt));
+            } catch (/** @type {any} */ error) {
+                this.#log('error', `PONG to ${peerId} failed: ${error.message}`);
+            }
+            return;
+        }
+
+        if (peerId && message.payload) {
+            this.#heartbeat?.handlePong(peerId, message.payload.pingId, message.payload.sentAt);
+        }
+    }
+
+    /**
+     * Sends a heartbeat PING to a peer.
+     * DISCONNECTED peers are pinged too, so they can come back.
+     * 
+     * @param {string} peerId
+     * @param {string} pingId - Message ID for the PING.
+     * @returns {boolean} True if sent.
+     */
+    #sendPing(peerId, pingId) {
+        const peer = this.#router.getPeer(peerId);
+        if (!peer || peer.status === PeerStatus.CONNECTING) return false;
+
+        peer.sendFn(createPingMessage(this.#peerId, pingId));
+        return true;
+    }
+
+    /**
+     * Marks a peer that stopped answering heartbeats as disconnected.
+     * 
+     * @param {string} peerId
+     */
+    #handleHeartbeatTimeout(peerId) {
+        const peer = this.#router.getPeer(peerId);
+        if (!peer || peer.status !== PeerStatus.CONNECTED) return;
+
+        this.#router.setPeerStatus(peerId, PeerStatus.DISCONNECTED);
+        const cancelled = this.#pendingRequests.cancelForPeer(peerId);
+
+        this.#log('warn', `Peer ${peerId} missed heartbeats (${cancelled} requests rejected)`);
+        this.emit('peer:disconnected', { peerId, meta: peer.meta, reason: 'heartbeat-timeout' });
+    }
+
+    /**
+     * Restores a peer that answered again after a heartbeat timeout.
+     * 
+     * @param {string} peerId
+     */
+    #handleHeartbeatRevived(peerId) {
+        const peer = this.#router.getPeer(peerId);
+        if (!peer || peer.status !== PeerStatus.DISCONNECTED) return;
+
+        this.#router.setPeerStatus(peerId, PeerStatus.CONNECTED);
+
+        this.#log('info', `Peer ${peerId} is responding again`);
+        this.emit('peer:connected', { peerId, meta: peer.meta, reason: 'heartbeat' });
+    }
+
+    /**
+     * Removes a peer that announced it is leaving.
+     * 
+     */
+    #handleBye(message, peerId) {
+        if (!peerId || !this.#router.getPeer(peerId)) return;
+
+        const reason = message.payload?.reason ?? message.p?.reason;
+        this.#handshakes.get(peerId)?.cancel();
+        this.removePeer(peerId, typeof reason === 'string' ? reason : 'bye');
+
+        this.#log('info', `Peer ${peerId} said goodbye`);
+    }
+
+    /**
+     * Sends a BYE directly through a peer's send function.
+     * Best effort: the peer may already be gone.
+     * 
+     * @param {Object} peer - Routing entry.
+     * @param {string} reason
+     */
+    #sendBye(peer, reason) {
+        try {
+            peer.sendFn(createByeMessage(this.#peerId, reason));
+        } catch (/** @type {any} */ error) {
+            this.#log('warn', `BYE to ${peer.peerId} failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Starts exchanging routes with a peer connected through `addTransport`.
+     * Hubs subscribe the peer to their advertisements; other buses send an
+     * empty advertisement as a hello, so a hub on the far end (which may
+     * have added us with plain `addPeer`) knows we want its routes.
+     * Every bus subscribes the peer to its handler advertisements.
+     * 
+     * @param {string} peerId
+     */
+    #openRouteExchange(peerId) {
+        this.#subscribeToHandlers(peerId);
+
+        if (this.#isHub) {
+            this.#routeSubscribers.add(peerId);
+            this.#scheduleRouteAdvert();
+            return;
+        }
+
+        try {
+            this.#router.getPeer(peerId)?.sendFn(createRouteMessage(this.#peerId, []));
+        } catch (/** @type {any} */ error) {
+            this.#log('warn', `Route hello to ${peerId} failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Queues a signal for every (re)connecting peer.
+     * 
+     * @param {Object} message - Signal message.
+     * @param {Set<string>} exclude - Peer IDs to skip.
+     * @returns {string[]} Peers the signal was queued for.
+     */
+    #queueSignal(message, exclude) {
+        /** @type {string[]} */
+        const queued = [];
+        if (!this.#offlineQueue) return queued;
+
+        for (const peerId of this.#router.getPeerIds()) {
+            if (!exclude.has(peerId) && this.#enqueue(peerId, { kind: 'signal', message })) {
+                queued.push(peerId);
+            }
+        }
+        return queued;
+    }
+
+    /**
+     * Sends a signal to each connected peer and waits for their ACKs.
+     * 
+     * @param {string} signalName
+     * @param {Object} message - Signal message, flagged with `meta.ack`.
+     * @param {Set<string>} exclude - Peer IDs to skip.
+     * @param {{ ackTimeout?: number, retries?: number }} options
+     * @returns {Promise<{ delivered: number, failed: string[], queued: string[], report: Record<string, string> }>}
+     */
+    async #signalWithAck(signalName, message, exclude, options) {
+        const targets = this.#router.getPeerIds().filter((peerId) =>
+            !exclude.has(peerId) && this.#router.getPeer(peerId)?.status === PeerStatus.CONNECTED);
+        const queued = this.#queueSignal(message, exclude);
+
+        this.#log('out', `SIGNAL "${signalName}" to ${targets.length} peers, awaiting ACKs` +
+            (queued.length ? `, queued for ${queued.length}` : ''));
+
+        const report = await this.#acks.track(message, targets, {
+            timeout: options.ackTimeout,
+            retries: options.retries
+        });
+
+        let delivered = 0;
+        /** @type {string[]} */
+        const failed = [];
+        for (const peerId of targets) {
+            if (report[peerId] === DeliveryStatus.ACKED) delivered++;
+            else failed.push(peerId);
+        }
+        for (const peerId of queued) report[peerId] = DeliveryStatus.QUEUED;
+
+        return { delivered, failed, queued, report };
+    }
+
+    /**
+     * Acknowledges a signal that asked for it and filters out retransmissions.
+     * 
+     * @param {Object} message - Signal message (unwrapped from its envelope).
+     * @param {string} [peerId] - Sender.
+     * @param {Function} [replyFn]
+     * @returns {boolean} True if the signal should be handled.
+     */
+    #acknowledge(message, peerId, replyFn) {
+        if (!message.meta?.ack || typeof message.id !== 'string') return true;
+
+        try {
+            this.#replyPath(peerId, replyFn)?.(createAckMessage(message.id, this.#peerId));
+        } catch (/** @type {any} */ error) {
+            this.#log('warn', `ACK to ${peerId} failed: ${error.message}`);
+        }
+
+        return this.#acks.markSeen(`${peerId ?? ''}:${message.id}`);
+    }
+
+    /**
+     * Queues a message if the peer is (re)connecting.
+     * Expired entries at the head of the queue are dropped first.
+     * 
+     * @param {string} peerId
+     * @param {{ kind: 'signal'|'request', message: Object, requestId?: string }} entry
+     * @returns {boolean} True if queued, false if the message should be sent (or fail) now.
+     */
+    #enqueue(peerId, entry) {
+        const peer = this.#router.getPeer(peerId);
+        const registry = this.#offlineQueue;
+        if (!registry || !peer ||
+            (peer.status !== PeerStatus.CONNECTING && peer.status !== PeerStatus.RECONNECTING)) {
+            return false;
+        }
+
+        if (!registry.has(peerId)) {
+            registry.add({ id: peerId, type: peer.meta?.type ?? 'unknown', origin: peer.origin, target: null });
+        }
+
+        const queue = registry.getQueuedMessages(peerId);
+        const expiredBefore = Date.now() - this.#queueOptions.maxAge;
+        while (queue.length > 0 && queue[0].timestamp < expiredBefore) {
+            this.#dropQueued(peerId, /** @type {any} */(queue.shift()).message, ErrorCode.PEER_DISCONNECTED);
+        }
+        // PeerRegistry makes room by dropping the oldest message
+        if (queue.length >= this.#queueOptions.maxQueueSize) {
+            this.#dropQueued(peerId, queue[0].message, ErrorCode.QUEUE_FULL);
+        }
+
+        return registry.queueMessage(peerId, entry);
+    }
+
+    /**
+     * Sends queued messages to a peer that is connected again, oldest first.
+     * Messages that fail to send are retried on the next drain, up to `maxRetries`.
+     * Large request payloads are chunked now, as they would have been when sent.
+     * 
+     * @param {string} peerId
+     * @returns {Promise<void>}
+     */
+    async #drainQueue(peerId) {
+        const registry = this.#offlineQueue;
+        if (!registry?.has(peerId)) return;
+
+        const items = registry.drainQueue(peerId);
+        const expiredBefore = Date.now() - this.#queueOptions.maxAge;
+        let sent = 0;
+
+        for (const item of items) {
+            const entry = item.message;
+
+            if (item.timestamp < expiredBefore) {
+                this.#dropQueued(peerId, entry, ErrorCode.PEER_DISCONNECTED);
+                continue;
+            }
+            // Timed out (or cancelled) while waiting
+            if (entry.kind === 'request' && !this.#pendingRequests.has(entry.requestId)) continue;
+
+            let result;
+            if (entry.kind === 'signal') {
+                result = this.#router.broadcast(entry.message, { include: [peerId] });
+            } else {
+                try {
+                    const outgoing = await this.#chunk(entry.message, (chunk) => this.#routeTo(peerId, chunk));
+                    result = this.#router.route({ target: peerId, payload: outgoing });
+                } catch (/** @type {any} */ error) {
+                    this.#log('warn', `Queued request ${entry.requestId} to ${peerId} failed: ${error.message}`);
+                    this.#dropQueued(peerId, entry, ErrorCode.SEND_FAILED);
+                    continue;
+                }
+            }
+
+            if (result.delivered > 0) {
+                sent++;
+            } else if (++item.retries < this.#queueOptions.maxRetries) {
+                registry.getQueuedMessages(peerId).push(item);
+            } else {
+                this.#dropQueued(peerId, entry, ErrorCode.SEND_FAILED);
+            }
+        }
+
+        if (items.length > 0) {
+            this.#log('out', `Flushed ${sent}/${items.length} queued messages to ${peerId}`);
+        }
+    }
+
+    /**
+     * Discards a queued message, failing its request if it has one.
+     * 
+     * @param {string} peerId
+     * @param {{ kind: string, requestId?: string }} entry
+     * @param {ErrorCode} code
+     */
+    #dropQueued(peerId, entry, code) {
+        if (entry.kind === 'request' && entry.requestId) {
+            this.#pendingRequests.reject(entry.requestId, CrossBusError.from(code, {
+                peerId,
+                requestId: entry.requestId
+            }));
+        }
+    }
+
+    /**
+     * Stores the peers a direct peer (usually a hub) says it can reach.
+     * Any advertisement also subscribes the sender to ours.
+     * 
+     */
+    #handleRouteAdvert(message, peerId) {
+        const routes = message.payload?.routes;
+        if (!peerId || !this.#router.getPeer(peerId) || !Array.isArray(routes)) return;
+
+        if (this.#isHub && !this.#routeSubscribers.has(peerId)) {
+            this.#routeSubscribers.add(peerId);
+            this.#scheduleRouteAdvert();
+        }
+        this.#subscribeToHandlers(peerId);
+
+        // Direct peers are never reached through someone else
+        const valid = routes.filter((r) =>
+            typeof r?.peerId === 'string' &&
+            r.peerId !== this.#peerId &&
+            !this.#router.getPeer(r.peerId) &&
+            Number.isInteger(r.hops) && r.hops > 0 && r.hops < Defaults.TTL
+        );
+
+        if (this.#router.setRoutes(peerId, valid)) {
+            this.#log('info', `Routes via ${peerId}: ${valid.map(r => r.peerId).join(', ') || 'none'}`);
+            this.#scheduleRouteAdvert();
+            this.#scheduleHandlerAdvert();
+        }
+    }
+
+    /**
+     * Subscribes a peer to our handler advertisements.
+     * 
+     * @param {string} peerId
+     */
+    #subscribeToHandlers(peerId) {
+        if (this.#directorySubscribers.has(peerId)) return;
+
+        this.#directorySubscribers.add(peerId);
+        this.#scheduleHandlerAdvert();
+    }
+
+    /**
+     * Stores the handlers a direct peer says it (and, for hubs, the peers
+     * behind it) offers. Any advertisement also subscribes the sender to ours.
+     * 
+     * @param {Object} message
+     * @param {string} [peerId]
+     */
+    #handleHandlerAdvert(message, peerId) {
+        const providers = message.payload?.providers;
+        if (!peerId || !this.#router.getPeer(peerId) || !Array.isArray(providers)) return;
+
+        this.#subscribeToHandlers(peerId);
+
+        const valid = providers.filter((p) =>
+            typeof p?.peerId === 'string' &&
+            p.peerId !== this.#peerId &&
+            Array.isArray(p.handlers) && p.handlers.every((/** @type {*} */ h) => typeof h === 'string')
+        );
+
+        if (this.#directory.set(peerId, valid)) {
+            this.#log('info', `Handlers via ${peerId}: ${valid.map(p => `${p.peerId} (${p.handlers.length})`).join(', ') || 'none'}`);
+            this.#scheduleHandlerAdvert();
+        }
+    }
+
+    /**
+     * Coalesces bursts of handler, peer and route changes into one advertisement.
+     */
+    #scheduleHandlerAdvert() {
+        if (this.#handlerAdvertTimer || this.#destroyed || this.#directorySubscribers.size === 0) return;
+
+        this.#handlerAdvertTimer = setTimeout(() => {
+            this.#handlerAdvertTimer = null;
+            if (!this.#destroyed) this.#advertiseHandlers();
+        }, 0);
+    }
+
+    /**
+     * Tells every subscribed peer which handlers it can `call()` through us:
+     * our own (unless discovery is off, and only those its `allowedPeers`
+     * let it call) and, for hubs, those of the other peers we can reach.
+     * Like routes, only changes are sent.
+     */
+    #advertiseHandlers() {
+        for (const peerId of this.#directorySubscribers) {
+            if (this.#router.getPeer(peerId)?.status !== PeerStatus.CONNECTED) continue;
+
+            /** @type {Array<{ peerId: string, handlers: string[] }>} */
+            const providers = [];
+            const own = this.#discovery ? this.#describeHandlers(peerId).map(h => h.name) : [];
+            if (own.length > 0) providers.push({ peerId: this.#peerId, handlers: own });
+
+            if (this.#isHub) {
+                for (const entry of this.#directory.getEntries(peerId)) {
+                    if (entry.peerId !== peerId && this.#isReachable(entry.peerId)) providers.push(entry);
+                }
+            }
+
+            const key = JSON.stringify(providers);
+            if ((this.#advertisedHandlers.get(peerId) ?? '[]') === key) continue;
+            this.#advertisedHandlers.set(peerId, key);
+
+            try {
+                this.#router.getPeer(peerId)?.sendFn(createHandlersMessage(this.#peerId, providers));
+            } catch (/** @type {any} */ error) {
+                this.#log('warn', `Handler advertisement to ${peerId} failed: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Whether requests to a peer can go out now: it is connected, or
+     * reachable through a connected hub.
+     * 
+     * @param {string} peerId
+     * @returns {boolean}
+     */
+    #isReachable(peerId) {
+        const peer = this.#router.getPeer(peerId);
+        return peer ? peer.status === PeerStatus.CONNECTED : !!this.#router.getRoute(peerId);
+    }
+
+    /**
+     * Coalesces bursts of peer and route changes into one advertisement (hubs only).
+     */
+    #scheduleRouteAdvert() {
+        if (!this.#isHub || this.#routeAdvertTimer || this.#destroyed) return;
+
+        this.#routeAdvertTimer = setTimeout(() => {
+            this.#routeAdvertTimer = null;
+            if (!this.#destroyed) this.#advertiseRoutes();
+        }, 0);
+    }
+
+    /**
+     * Tells every subscribed peer which other peers it can reach through us.
+     * Routes are never advertised back to the peer they were learned from,
+     * and stop spreading once they would exceed the TTL. Peers only hear
+     * about changes: an unchanged (or still empty) table is not resent.
+     */
+    #advertiseRoutes() {
+        const direct = this.#router.getPeerIds()
+            .filter((id) => this.#router.getPeer(id)?.status === PeerStatus.CONNECTED);
+        const indirect = this.#router.getRoutes();
+
+        for (const peerId of direct) {
+            if (!this.#routeSubscribers.has(peerId)) continue;
+
+            /** @type {Map<string, number>} */
+            const reachable = new Map();
+            for (const other of direct) {
+                if (other !== peerId) reachable.set(other, 1);
+            }
+            for (const route of indirect) {
+                const hops = route.hops + 1;
+                if (route.via === peerId || route.peerId === peerId || hops >= Defaults.TTL) continue;
+                if (!reachable.has(route.peerId)) reachable.set(route.peerId, hops);
+            }
+
+            const routes = Array.from(reachable, ([id, hops]) => ({ peerId: id, hops }));
+            const key = JSON.stringify(routes);
+            if ((this.#advertisedRoutes.get(peerId) ?? '[]') === key) continue;
+            this.#advertisedRoutes.set(peerId, key);
+
+            try {
+                this.#router.getPeer(peerId)?.sendFn(createRouteMessage(this.#peerId, routes));
+            } catch (/** @type {any} */ error) {
+                this.#log('warn', `Route advertisement to ${peerId} failed: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Forwards a message addressed to another peer one hop closer.
+     * Only hubs relay; everyone else bounces it with `ERR_NO_ROUTE`.
+     * 
+     */
+    async #relay(message, fromPeerId) {
+        const meta = message.meta;
+        const relayed = this.#senderOf(message, fromPeerId) !== fromPeerId;
+        const src = relayed ? meta.src : fromPeerId;
+        /** @type {string[]} */
+        const path = relayed ? meta.path : [];
+        const ttl = (Number.isInteger(meta.ttl) ? meta.ttl : Defaults.TTL) - 1;
+
+        if (!this.#isHub) {
+            await this.#relayFailed(message, fromPeerId, src, ErrorCode.NO_ROUTE);
+            return;
+        }
+
+        if (ttl <= 0 || path.includes(this.#peerId)) {
+            await this.#relayFailed(message, fromPeerId, src, ErrorCode.TTL_EXCEEDED);
+            return;
+        }
+
+        // Direct peers first, then peers advertised to us by other hubs
+        const nextHop = this.#router.getPeer(meta.dest) ?? this.#router.getPeer(this.#router.getRoute(meta.dest)?.via ?? '');
+        if (!nextHop || nextHop.peerId === fromPeerId || nextHop.status !== PeerStatus.CONNECTED) {
+            await this.#relayFailed(message, fromPeerId, src, ErrorCode.NO_ROUTE);
+            return;
+        }
+
+        try {
+            nextHop.sendFn(Object.freeze({
+                ...message,
+                meta: Object.freeze({ ...meta, src, ttl, path: [...path, this.#peerId] })
+            }));
+            this.#log('out', `RELAY ${message.type ?? message.t} ${src} -> ${meta.dest} via ${nextHop.peerId}`);
+        } catch {
+            await this.#relayFailed(message, fromPeerId, src, ErrorCode.SEND_FAILED);
+        }
+    }
+
+    /**
+     * Reports a message that could not be relayed.
+     * Requests get an error response so the caller does not wait for a timeout.
+     * 
+     */
+    async #relayFailed(message, fromPeerId, src, code) {
+        this.#log('warn', `Cannot relay ${message.type} from ${src} to ${message.meta.dest}: ${code}`);
+
+        if (message.type !== MessageType.REQUEST) return;
+
+        const error = CrossBusError.from(code, { peerId: message.meta.dest });
+        const response = await this.#failedResponse(message.id, { code, message: error.message }, src, requestName(message));
+        try {
+            this.#router.getPeer(fromPeerId)?.sendFn(src === fromPeerId ? response : this.#address(response, src));
+        } catch {
+            // Previous hop is gone: the caller will time out
+        }
+    }
+
+    /**
+     * Adds routing metadata so hubs can forward a message to a non-adjacent peer.
+     * 
+     * @param {Object} message - Protocol message.
+     * @param {string} dest - Final destination peer ID.
+     * @returns {Object}
+     */
+    #address(message, dest) {
+        return Object.freeze({
+            ...message,
+            meta: Object.freeze({ ...message.meta, src: this.#peerId, dest, ttl: Defaults.TTL })
+        });
+    }
+
+    /**
+     * Gets the original sender of a message.
+     * Only the hub we route to a peer through may speak for that peer, and
+     * nobody may speak for a direct peer; anything else is attributed to the
+     * direct peer.
+     * 
+     * @param {Object} message
+     * @param {string} [peerId] - Direct peer the message arrived from.
+     * @returns {string|undefined}
+     */
+    #senderOf(message, peerId) {
+        const meta = message.meta;
+        const path = meta?.path;
+        const src = meta?.src;
+        if (!peerId || typeof src !== 'string' || src === peerId ||
+            !Array.isArray(path) || path[path.length - 1] !== peerId) {
+            return peerId;
+        }
+        if (this.#router.getPeer(src) || this.#router.getRoute(src)?.via !== peerId) {
+            this.#log('warn', `Ignored sender ${src} claimed by ${peerId}`);
+            return peerId;
+        }
+        return src;
+    }
+
+    /**
+     * Handles incoming signal.
+     * 
+     */
+    async #handleSignal(name, data, peerId) {
+        await this.emit(name, {
+            payload: data,
+            source: peerId
+        });
+    }
+
+    /**
+     * Handles incoming request: runs the middleware chain around the handler
+     * and answers with its result or error.
+     * Stream requests (see `requestStream`) are answered with stream messages
+     * once the handler has returned.
+     * 
+     */
+    async #handleRequest(requestId, handlerName, data, peerId, replyFn, stream = false) {
+        /** @param {Object} message */
+        const send = (message) => replyFn ? replyFn(message) : peerId && this.#routeTo(peerId, message);
+
+        // Peers may only keep so many requests in flight
+        const limit = this.#limitsOf(peerId).maxPendingRequests;
+        const pending = this.#countInbound(peerId);
+        if (limit > 0 && pending >= limit) {
+            const error = CrossBusError.from(ErrorCode.MAX_PENDING, { peerId, handlerName, current: pending, max: limit });
+            this.#reportViolation({ code: error.code, peerId, limit, pending, handlerName });
+            send(await this.#failedResponse(requestId, { code: error.code, message: error.message }, peerId, handlerName));
+            return;
+        }
+
+        const key = `${peerId}:${requestId}`;
+        const controller = new AbortController();
+        this.#inboundRequests.set(key, { peerId, controller });
+
+        /** @type {MiddlewareContext} */
+        const ctx = {
+            handlerName,
+            requestId,
+            peerId,
+            peer: peerId ? this.getPeer(peerId) : undefined,
+            payload: data,
+            response: undefined,
+            stream,
+            signal: controller.signal,
+            state: {}
+        };
+
+        let response;
+
+        try {
+            // Against what the peer sent, before middleware can answer or rewrite the context
+            const securityCheck = this.#checkHandlerSecurity(handlerName, peerId, data);
+            if (!securityCheck.allowed) {
+                throw securityCheck.error ?? CrossBusError.from(ErrorCode.UNAUTHORIZED, { handler: handlerName });
+            }
+
+            await this.#runMiddleware(ctx);
+            const result = ctx.response;
+            const values = toAsyncIterable(result);
+
+            if (stream) {
+                await this.#streamResponse(requestId, handlerName, peerId, values ?? [result], send, controller.signal);
+                return;
+            }
+
+            // Plain requests to streaming handlers get all the values at once
+            let value = result;
+            if (values) {
+                value = [];
+                for await (const chunk of values) value.push(chunk);
+            }
+
+            // Apply outbound hooks to response
+            const transformedResult = await this.#runHooks(
+                this.#outboundHooks,
+                value,
+                { type: 'response', peerId, handlerName: handlerName, direction: 'outbound', source: this.#peerId, target: peerId }
+            );
+
+            response = createResponseMessage(
+                requestId,
+                transformedResult,
+                this.#peerId,
+                true
+            );
+            this.#assertPayloadSize(response, peerId);
+        } catch (/** @type {any} */ error) {
+            response = await this.#failedResponse(requestId, {
+                code: error.code ?? ErrorCode.HANDLER_ERROR,
+                message: error.message
+            }, peerId, handlerName);
+        } finally {
+            this.#inboundRequests.delete(key);
+        }
+
+        // Nobody is waiting for the answer any more
+        if (controller.signal.aborted) {
+            this.#log('info', `REQUEST "${handlerName}" from ${peerId} was cancelled`);
+            return;
+        }
+
+        // Send response, large payloads in chunks ahead of it
+        send(await this.#chunk(response, send));
+    }
+
+    /**
+     * Runs the global and handler middleware, then the handler, which sets
+     * `ctx.response`.
+     * 
+     * @param {MiddlewareContext} ctx
+     * @returns {Promise<void>}
+     */
+    async #runMiddleware(ctx) {
+        /** @type {RequestHandler|undefined} */
+        let handler = this.#handlers.get(ctx.handlerName);
+        if (!handler && ctx.handlerName === DISCOVERY_HANDLER && this.#discovery) {
+            handler = (_, { peerId }) => this.#describeHandlers(peerId);
+        }
+        const chain = [...this.#middleware, ...(this.#handlerMiddleware.get(ctx.handlerName) ?? [])];
+        let called = -1;
+
+        /** @param {number} i */
+        const dispatch = async (i) => {
+            if (i <= called) throw new Error('next() called multiple times');
+            called = i;
+
+            if (i < chain.length) {
+                await chain[i](ctx, () => dispatch(i + 1));
+                return;
+            }
+
+            if (!handler) {
+                throw new CrossBusError(ErrorCode.NO_HANDLER, 'Handler not found', {
+                    details: { handlerName: ctx.handlerName }
+                });
+            }
+            ctx.response = await handler(ctx.payload, {
+                peerId: ctx.peerId,
+                requestId: ctx.requestId,
+                handlerName: ctx.handlerName,
+                signal: ctx.signal,
+                state: ctx.state
+            });
+        };
+
+        await dispatch(0);
+    }
+
+    /**
+     * What the `roles` option is told about a peer.
+     * 
+     * @param {string} peerId
+     * @returns {PeerIdentity}
+     */
+    #identify(peerId) {
+        const peer = this.#router.getPeer(peerId);
+        return {
+            peerId,
+            origin: peer?.origin,
+            meta: peer?.meta ?? {},
+            authenticated: this.#authenticatedPeers.has(peerId)
+        };
+    }
+
+    /**
+     * Answers a discovery request: the handlers the peer may call (by
+     * `allowedPeers` and roles).
+     * 
+     * @param {string} peerId - Asking peer.
+     * @returns {HandlerDescriptor[]}
+     */
+    #describeHandlers(peerId) {
+        /** @type {HandlerDescriptor[]} */
+        const handlers = [];
+
+        for (const name of this.#handlers.keys()) {
+            const allowedPeers = this.#handlerOptions.get(name)?.allowedPeers;
+            if (name === DISCOVERY_HANDLER || (allowedPeers && !allowedPeers.includes(peerId)) ||
+                !this.#access.can(peerId, name)) continue;
+
+            const schema = this.#handlerSchemas.get(name);
+            handlers.push(schema ? { name, schema } : { name });
+        }
+
+        return handlers;
+    }
+
+    /**
+     * Sends the values produced by a handler as a stream, using the request ID
+     * as stream ID. Stops early if the caller cancels.
+     * 
+     * @param {string} requestId
+     * @param {string} handlerName
+     * @param {string} peerId - Caller.
+     * @param {AsyncIterable<*>|Iterable<*>} values
+     * @param {Function} send
+     * @param {AbortSignal} signal - Aborted when the caller cancels or disconnects.
+     */
+    async #streamResponse(requestId, handlerName, peerId, values, send, signal) {
+        const writer = new WritableSignalStream(send, handlerName, { streamId: requestId, objectMode: true });
+
+        try {
+            await writer.open();
+            for await (const chunk of values) {
+                // Leaving the loop also stops the handler's generator
+                if (signal.aborted) break;
+                // Each value is a response of its own to the outbound hooks
+                const value = await this.#runHooks(
+                    this.#outboundHooks,
+                    chunk,
+                    { type: 'response', peerId, handlerName, direction: 'outbound', source: this.#peerId, target: peerId }
+                );
+                if (signal.aborted) break;
+                this.#assertPayloadSize({ d: value }, peerId);
+                await writer.write(value);
+            }
+            if (!signal.aborted) await writer.end();
+        } catch (/** @type {any} */ error) {
+            if (!signal.aborted) await writer.abort(error?.message ?? String(error)).catch(() => { });
+        }
+
+        if (signal.aborted) {
+            this.#log('info', `STREAM "${handlerName}" (${requestId}) was cancelled`);
+        }
+    }
+
+    /**
+     * Handles the stream messages answering one of our stream requests.
+     * The `open` message resolves the pending request with the stream.
+     * Values go through the inbound hooks and the sanitizer like any response,
+     * one at a time so they stay in order; one they reject fails the stream
+     * and cancels the handler.
+     * 
+     * @returns {Promise<void>} Settles once the message went through the hooks.
+     */
+    async #handleResponseStream(message, peerId) {
+        const streamId = message.sid;
+
+        if (message.st === 'open') {
+            const pending = this.#pendingRequests.get(streamId);
+            if (!pending || pending.targetPeer !== peerId) return;
+
+            const stream = new ReadableSignalStream(streamId, message.name, message.meta);
+            this.#responseStreams.set(streamId, {
+                peerId: /** @type {string} */(peerId),
+                handlerName: pending.handlerName,
+                stream,
+                queue: Promise.resolve()
+            });
+            this.#pendingRequests.resolve(streamId, { requestId: streamId, success: true, data: stream });
+            return;
+        }
+
+        const entry = this.#responseStreams.get(streamId);
+        if (!entry || entry.peerId !== peerId) return;
+
+        entry.queue = entry.queue.then(() => this.#receiveStreamMessage(streamId, entry, message));
+        await entry.queue;
+    }
+
+    /**
+     * Delivers a message of a response stream, after the ones before it.
+     * 
+     * @param {string} streamId
+     * @param {{ peerId: string, handlerName: string, stream: ReadableSignalStream }} entry
+     * @param {Object} message - Stream message.
+     * @returns {Promise<void>}
+     */
+    async #receiveStreamMessage(streamId, entry, message) {
+        // Closed while earlier values were in the hooks
+        if (this.#responseStreams.get(streamId) !== entry) return;
+
+        const { peerId } = entry;
+        switch (message.st) {
+            case 'data': {
+                let value = message.d;
+                try {
+                    value = await this.#runHooks(this.#inboundHooks, value, {
+                        type: 'response',
+                        peerId,
+                        handlerName: entry.handlerName,
+                        direction: 'inbound',
+                        source: peerId,
+                        target: this.#peerId
+                    }, true);
+                    if (this.#sanitizer) value = this.#sanitizer.sanitize(value);
+                } catch (/** @type {any} */ error) {
+                    this.#log('warn', `Rejected stream value from ${peerId}: ${error.message}`);
+                    this.#reportViolation({
+                        code: error.code,
+                        peerId,
+                        messageType: 'stream',
+                        handlerName: entry.handlerName,
+                        reason: error.message
+                    });
+                    this.#closeResponseStream(streamId, error);
+                    return;
+                }
+                if (this.#responseStreams.get(streamId) === entry) entry.stream.push({ ...message, d: value });
+                break;
+            }
+            case 'end':
+                this.#responseStreams.delete(streamId);
+                entry.stream.end(message.meta);
+                break;
+            case 'error':
+                this.#responseStreams.delete(streamId);
+                entry.stream.error(new CrossBusError(ErrorCode.HANDLER_ERROR, message.reason, {
+                    details: { peerId, requestId: streamId, handlerName: entry.stream.name }
+                }));
+                break;
+        }
+    }
+
+    /**
+     * Iterates over a response stream once it is open.
+     * Stopping before the end (or aborting) cancels the handler.
+     * 
+     * @param {Promise<ReadableSignalStream>} opened
+     * @param {AbortSignal} [signal]
+     * @returns {AsyncGenerator<*, void, undefined>}
+     */
+    async *#readResponseStream(opened, signal) {
+        const stream = await opened;
+        const onAbort = () => this.#closeResponseStream(stream.streamId, CrossBusError.from(ErrorCode.ABORTED, {
+            requestId: stream.streamId,
+            handlerName: stream.name,
+            reason: signal?.reason
+        }));
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            yield* stream;
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+            this.#closeResponseStream(stream.streamId);
+        }
+    }
+
+    /**
+     * Stops reading a response stream that has not ended and cancels its handler.
+     * 
+     * @param {string} streamId
+     * @param {Error} [error] - Error for the reader, if it is still reading.
+     */
+    #closeResponseStream(streamId, error) {
+        const entry = this.#responseStreams.get(streamId);
+        if (!entry) return;
+
+        this.#responseStreams.delete(streamId);
+        if (error) entry.stream.error(error);
+
+        try {
+            this.#routeTo(entry.peerId, createCancelMessage(streamId, this.#peerId));
+        } catch (/** @type {any} */ err) {
+            this.#log('warn', `CANCEL to ${entry.peerId} failed: ${err.message}`);
+        }
+    }
+
+    /**
+     * Fails the response streams from a peer, or from everyone.
+     * 
+     * @param {string|null} peerId - Peer whose streams to fail, null for all.
+     * @param {ErrorCode} code
+     */
+    #failResponseStreams(peerId, code) {
+        for (const [streamId, entry] of this.#responseStreams) {
+            if (peerId !== null && entry.peerId !== peerId) continue;
+
+            this.#responseStreams.delete(streamId);
+            entry.stream.error(CrossBusError.from(code, { peerId: entry.peerId, requestId: streamId }));
+        }
+    }
+
+    /**
+     * Sends the data of a request or response over the chunking threshold
+     * ahead of the message, as stream chunks.
+     * 
+     * @param {Object} message - Request or response message.
+     * @param {(message: Object) => *} send - Sends a message to the peer the request or response is for.
+     * @returns {Promise<Object>} The message to send: without its data if that went in chunks.
+     */
+    async #chunk(message, send) {
+        const data = message.payload?.data;
+        if (!this.#chunking || data === undefined) return message;
+
+        const { threshold, chunkSize } = this.#chunking;
+        if (byteSize(data, threshold) <= threshold) return message;
+
+        // Anything JSON can't carry is sent as is
+        const encoded = encodeChunked(data);
+        if (!encoded) return message;
+
+        const writer = new WritableSignalStream(send, message.type, {
+            chunkSize,
+            meta: { chunked: true, encoding: encoded.encoding }
+        });
+        await writer.write(encoded.body);
+        await writer.end();
+
+        this.#log('out', `Sent ${message.type} ${message.id} in chunks (${writer.streamId})`);
+        return {
+            ...message,
+            payload: { ...message.payload, data: undefined },
+            meta: { ...message.meta, chunked: writer.streamId }
+        };
+    }
+
+    /**
+     * Collects the chunks of a payload sent ahead of its request or response.
+     * 
+     * @param {Object} message - Stream message.
+     * @param {string} [peerId]
+     * @returns {boolean} True if the message belongs to a chunked payload.
+     */
+    #handleChunk(message, peerId) {
+        const key = `${peerId}:${message.sid}`;
+
+        if (message.st === 'open') {
+            if (message.meta?.chunked !== true || !peerId) return false;
+
+            if (this.#chunkedPayloads.has(key)) {
+                this.#log('in', `Ignored chunked payload ${message.sid} from ${peerId}: already open`);
+                return true;
+            }
+            // Payloads are only useful with their message, so they count as pending ones
+            const limit = this.#limitsOf(peerId).maxPendingRequests;
+            let pending = 0;
+            for (const entry of this.#chunkedPayloads.values()) {
+                if (entry.peerId === peerId) pending++;
+            }
+            if (limit > 0 && pending >= limit) {
+                this.#reportViolation({ code: ErrorCode.MAX_PENDING, peerId, limit, pending, messageType: 'stream' });
+                return true;
+            }
+
+            const stream = new ReadableSignalStream(message.sid, message.name, message.meta);
+            const data = stream.collect().then(body => decodeChunked(body, message.meta.encoding));
+            // Awaited once the request or response arrives
+            data.catch(() => { });
+            const timer = setTimeout(() => {
+                this.#chunkedPayloads.delete(key);
+                stream.error(CrossBusError.from(ErrorCode.INVALID_MESSAGE, { peerId, reason: 'Payload chunks expired' }));
+            }, this.#requestTimeout);
+            this.#chunkedPayloads.set(key, { peerId, stream, size: 0, data, timer });
+            return true;
+        }
+
+        const entry = this.#chunkedPayloads.get(key);
+        if (!entry) return false;
+
+        switch (message.st) {
+            case 'data': {
+                if (entry.stream.ended) break;
+
+                entry.size += message.b64 ? Math.floor(String(message.d).length * 3 / 4) : byteSize(message.d) - 2;
+                const limit = this.#limitsOf(peerId).maxPayloadSize;
+                if (limit && entry.size > limit) {
+                    const error = CrossBusError.from(ErrorCode.PAYLOAD_TOO_LARGE, { peerId, size: entry.size, limit });
+                    this.#reportViolation({ code: error.code, peerId: entry.peerId, limit, size: entry.size, messageType: 'stream' });
+                    entry.stream.error(error);
+                    break;
+                }
+                entry.stream.push(message);
+                break;
+            }
+            case 'end':
+                entry.stream.end();
+                break;
+            case 'error':
+                entry.stream.error(CrossBusError.from(ErrorCode.INVALID_MESSAGE, { peerId, reason: message.reason }));
+                break;
+        }
+        return true;
+    }
+
+    /**
+     * Waits for the chunks of a request or response payload and puts the
+     * data back into the message.
+     * 
+     * @param {Object} message
+     * @param {string} [peerId]
+     * @returns {Promise<Object>}
+     * @throws {CrossBusError} If the chunks are missing, were aborted or exceed `maxPayloadSize`.
+     */
+    async #unchunk(message, peerId) {
+        const key = `${peerId}:${message.meta.chunked}`;
+        const entry = this.#chunkedPayloads.get(key);
+        if (!entry) {
+            throw CrossBusError.from(ErrorCode.INVALID_MESSAGE, { peerId, reason: 'Missing payload chunks' });
+        }
+
+        try {
+            const data = await entry.data;
+            return { ...message, payload: { ...message.payload, data } };
+        } finally {
+            clearTimeout(entry.timer);
+            this.#chunkedPayloads.delete(key);
+        }
+    }
+
+    /**
+     * Fails the chunked payloads still being received from a peer.
+     * 
+     * @param {string|null} peerId - Peer, or null for all.
+     * @param {string} code - Error code.
+     */
+    #dropChunkedPayloads(peerId, code) {
+        for (const [key, entry] of this.#chunkedPayloads) {
+            if (peerId !== null && entry.peerId !== peerId) continue;
+
+            clearTimeout(entry.timer);
+            this.#chunkedPayloads.delete(key);
+            entry.stream.error(CrossBusError.from(code, { peerId: entry.peerId }));
+        }
+    }
+
+    /**
+     * Routes a message to a peer, addressing it for relay if the peer is
+     * only reachable through a hub.
      * 
-     * @param {string} peerId - Peer identifier.
-     * @param {EventListener} sendFn - Function to send messages.
-     * @param {Object} [options={}] - Additional options.
+     * @param {string} peerId
+     * @param {Object} message
+     * @returns {import('../router/message-router.js').RouteResult}
      */
-    addPeer(peerId, sendFn, options = {}) {
-        this.#assertNotDestroyed();
-        this.#router.addPeer(peerId, sendFn, options);
+    #routeTo(peerId, message) {
+        return this.#router.route({
+            target: peerId,
+            payload: this.#router.getPeer(peerId) ? message : this.#address(message, peerId)
+        });
     }
 
     /**
-     * Removes a peer.
+     * Rejects a pending request when its signal aborts and asks the peer to
+     * stop handling it.
      * 
+     * @param {AbortSignal} signal
      * @param {string} peerId
-     * @returns {boolean}
+     * @param {string} handlerName
+     * @param {string} requestId
+     * @param {Promise<*>} promise - The pending request, used to remove the listener once settled.
+     * @param {boolean} indirect - Whether the peer is reached through a hub.
      */
-    removePeer(peerId) {
-        this.#pendingRequests.cancelForPeer(peerId);
-        return this.#router.removePeer(peerId);
+    #cancelOnAbort(signal, peerId, handlerName, requestId, promise, indirect) {
+        const onAbort = () => {
+            const rejected = this.#pendingRequests.reject(requestId, CrossBusError.from(ErrorCode.ABORTED, {
+                peerId,
+                handlerName,
+                requestId,
+                reason: signal.reason
+            }));
+            if (!rejected) return;
+
+            const reason = signal.reason instanceof Error ? signal.reason.message : signal.reason;
+            const cancel = createCancelMessage(requestId, this.#peerId,
+                reason === undefined ? undefined : String(reason));
+            try {
+                this.#router.route({ target: peerId, payload: indirect ? this.#address(cancel, peerId) : cancel });
+            } catch (/** @type {any} */ error) {
+                this.#log('warn', `CANCEL to ${peerId} failed: ${error.message}`);
+            }
+            this.#log('out', `CANCEL "${handlerName}" to ${peerId}`);
+        };
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        const cleanup = () => signal.removeEventListener('abort', onAbort);
+        promise.then(cleanup, cleanup);
     }
 
     /**
-     * Adds a transport and automatically wires up message handling.
-     * This is the recommended way to connect transports for AI agents.
-     * 
-     * @param {Object} transport - Transport instance with send() and onMessage() methods.
-     * @param {Object} [options={}] - Additional options.
-     * @param {string} [options.peerId] - Override peer ID (defaults to transport's peerId or auto-generated).
-     * @param {string} [options.origin='*'] - Origin for message validation.
-     * @returns {Function} Cleanup function to remove the transport.
-     * 
-     * @example
-     * // Simple usage
-     * const cleanup = bus.addTransport(new PostMessageTransport(iframe.contentWindow));
-     * 
-     * // With options
-     * const cleanup = bus.addTransport(transport, { peerId: 'my-agent' });
+     * Aborts a request this bus is handling, at the caller's request.
      * 
-     * // Cleanup when done
-     * cleanup();
      */
-    addTransport(transport, options = {}) {
-        this.#assertNotDestroyed();
+    #handleCancel(message, peerId) {
+        const requestId = message.payload?.requestId;
+        const inbound = this.#inboundRequests.get(`${peerId}:${requestId}`);
+        if (!inbound) return;
 
-        if (!transport || typeof transport.send !== 'function') {
-            throw new TypeError('Transport must have a send() method');
-        }
+        inbound.controller.abort(CrossBusError.from(ErrorCode.ABORTED, {
+            peerId,
+            requestId,
+            reason: message.payload?.reason
+        }));
+    }
 
-        const peerId = options.peerId || transport.peerId || `transport-${uuid()}`;
-        const origin = options.origin || '*';
+    /**
+     * Aborts the requests being handled for a peer, or for everyone.
+     * 
+     * @param {string|null} peerId - Peer whose requests to abort, null for all.
+     * @param {ErrorCode} code - Error used as the abort reason.
+     */
+    #abortInbound(peerId, code) {
+        for (const [key, inbound] of this.#inboundRequests) {
+            if (peerId !== null && inbound.peerId !== peerId) continue;
 
-        // Wire up inbound: transport -> CrossBus
-        if (typeof transport.onMessage === 'function') {
-            transport.onMessage((message) => {
-                this.handleMessage(message, origin, peerId);
-            });
+            this.#inboundRequests.delete(key);
+            inbound.controller.abort(CrossBusError.from(code, { peerId: inbound.peerId }));
         }
+    }
 
-        // Wire up outbound: CrossBus -> transport
-        this.addPeer(peerId, (message) => {
-            transport.send(message);
-        }, options);
-
-        // Return cleanup function
-        return () => {
-            this.removePeer(peerId);
-            if (typeof transport.destroy === 'function') {
-                transport.destroy();
+    /**
+     * Turns down an incoming message: requests get an error response,
+     * responses fail the pending request, signals are dropped.
+     * 
+     * @param {Object} message
+     * @param {string} msgType
+     * @param {string|undefined} peerId - Sender.
+     * @param {Function|undefined} replyFn - Path back to the sender.
+     * @param {{ code: string, message: string }} failure
+     * @returns {Promise<void>}
+     */
+    async #refuse(message, msgType, peerId, replyFn, failure) {
+        if (msgType === MessageType.RESPONSE) {
+            this.#handleResponse(message.payload?.requestId ?? message.id, false, null, failure, peerId);
+        } else if (msgType === MessageType.REQUEST) {
+            const response = await this.#failedResponse(message.id, failure, peerId, requestName(message));
+            try {
+                if (replyFn) replyFn(response); else if (peerId) this.#routeTo(peerId, response);
+            } catch {
+                // Sender is gone: nothing to answer
             }
-        };
+        }
     }
 
     /**
-     * Handles an incoming message.
-     * Call this when receiving a message from any transport.
+     * Builds an error response. The error goes through the outbound hooks
+     * like any payload, so that e.g. it is signed or encrypted.
      * 
-     * @param {Object} message - The received message.
-     * @param {string} origin - Origin of the message.
-     * @param {string} [peerId] - Source peer ID if known.
-     * @param {Function} [replyFn] - Function to reply to the sender.
+     * @param {string} requestId
+     * @param {{ code: string, message: string }} failure
+     * @param {string|undefined} peerId - Requesting peer.
+     * @param {string|undefined} handlerName
+     * @returns {Promise<Object>}
      */
-    async handleMessage(message, origin, peerId, replyFn) {
-        if (this.#destroyed) return;
+    async #failedResponse(requestId, failure, peerId, handlerName) {
+        const error = await this.#runHooks(this.#outboundHooks, failure, {
+            type: 'response', peerId, handlerName, direction: 'outbound', source: this.#peerId, target: peerId, failed: true
+        });
+        return createResponseMessage(requestId, null, this.#peerId, false, error);
+    }
 
-        // Validate origin
-        if (!this.#originValidator.isAllowed(origin)) {
-            console.warn(`[CrossBus] Blocked message from unauthorized origin: ${origin}`);
+    /**
+     * Handles incoming response.
+     * 
+     * @param {string} requestId
+     * @param {boolean} success
+     * @param {*} data
+     * @param {*} error
+     * @param {string} [peerId] - Sender.
+     */
+    #handleResponse(requestId, success, data, error, peerId) {
+        // Only the peer we asked answers; hubs on the way may only report that they could not relay
+        const pending = this.#pendingRequests.get(requestId);
+        if (!pending) return;
+        if (pending.targetPeer !== peerId &&
+            (success || !peerId || this.#router.getRoute(pending.targetPeer)?.via !== peerId)) {
+            this.#log('warn', `Ignored response to ${requestId} from ${peerId}: sent to ${pending.targetPeer}`);
             return;
         }
 
-        // Apply inbound hooks to payload
-        // Apply inbound hooks to payload
-        // Support both standard 'payload'/'data' and legacy 'p'
-        const rawPayload = message.payload ?? message.data ?? message.p;
-        const msgType = message.type ?? message.t;
+        this.#pendingRequests.resolve(requestId, {
+            requestId,
+            success,
+            data,
+            error
+        });
+    }
 
-        // Normalize fields based on schema
-        let handlerOrName = message.handler ?? message.name;
-        let dataContent = rawPayload;
+    /**
+     * Limits that apply to a peer: its own, or the bus-wide ones.
+     * 
+     * @param {string} [peerId]
+     * @returns {{ maxPayloadSize: number, maxPendingRequests: number }}
+     */
+    #limitsOf(peerId) {
+        const limits = peerId ? this.#router.getPeer(peerId)?.limits : undefined;
+        return {
+            maxPayloadSize: limits?.maxPayloadSize ?? this.#maxPayloadSize,
+            maxPendingRequests: limits?.maxPendingRequests ?? this.#maxPendingRequests
+        };
+    }
 
-        // If ProtocolMessage (has 'payload' object containing metadata), extract from it
-        if (message.payload && typeof message.payload === 'object' && !message.p) {
-            if (msgType === MessageType.SIGNAL || msgType === MessageType.BROADCAST) {
-                handlerOrName = message.payload.name;
-                dataContent = message.payload.data;
-            } else if (msgType === MessageType.REQUEST) {
-                handlerOrName = message.payload.name;
-                dataContent = message.payload.data;
-            } else if (msgType === MessageType.RESPONSE) {
-                // Response payload structure? createResponseMessage puts 'data' in payload
-                dataContent = message.payload.data;
-            }
-        }
-        // Handle envelope format: { t, p: { type, payload: { name, data } } }
-        // Router creates envelopes with 'p' containing the original signal message
-        // Detect by: has 't' (not 'type'), has 'p' with nested 'payload' (ProtocolMessage structure)
-        else if (message.t && !message.type && message.p && typeof message.p === 'object' && message.p.payload) {
-            const innerMsg = message.p;
-            // Extract from nested ProtocolMessage
-            handlerOrName = innerMsg.payload.name ?? innerMsg.name;
-            dataContent = innerMsg.payload.data ?? innerMsg.data;
-        }
+    /**
+     * Throws `ERR_PAYLOAD_TOO_LARGE` if an outgoing message is over the limit for its peer.
+     * 
+     * @param {Object} message
+     * @param {string} [peerId]
+     */
+    #assertPayloadSize(message, peerId) {
+        const limit = this.#limitsOf(peerId).maxPayloadSize;
+        if (!limit) return;
 
-        if (dataContent !== undefined) {
-            const hookContext = {
-                type: msgType === MessageType.SIGNAL ? 'signal' :
-                    msgType === MessageType.REQUEST ? 'request' : 'response',
-                peerId,
-                handlerName: handlerOrName,
-                direction: 'inbound'
-            };
-            // Run hooks
-            dataContent = await this.#runHooks(this.#inboundHooks, dataContent, hookContext);
+        const size = byteSize(payloadOf(message), limit);
+        if (size > limit) {
+            throw CrossBusError.from(ErrorCode.PAYLOAD_TOO_LARGE, { peerId, size, limit });
         }
+    }
 
-        switch (msgType) {
-            case MessageType.BROADCAST:  // Broadcast has same structure as signal
-            case MessageType.SIGNAL:
-                if (typeof handlerOrName !== 'string') {
-                    console.warn('[CrossBus] Invalid signal name type');
-                    return;
-                }
-                await this.#handleSignal(handlerOrName, dataContent, peerId);
-                break;
-
-            case MessageType.REQUEST:
-                if (typeof handlerOrName !== 'string') {
-                    console.warn('[CrossBus] Invalid handler name type');
-                    return;
-                }
-                // Pass normalized ID
-                // const reqId = message.id ?? (message.payload ? message.payload.id : undefined);
-                // Wait, 'id' is top level in ProtocolMessage AND legacy.
-
-                await this.#handleRequest(message.id, handlerOrName, dataContent, peerId, replyFn);
-                break;
-
-            case MessageType.RESPONSE: {
-                let success = message.success;
-                let error = message.error;
-
-                // Extract from ProtocolMessage payload if needed
-                if (message.payload && message.payload.success !== undefined) {
-                    success = message.payload.success;
-                    error = message.payload.error;
-                }
+    /**
+     * Adds the peers whose own `maxPayloadSize` a broadcast message exceeds
+     * to `exclude`. Throws if it exceeds the bus-wide limit.
+     * 
+     * @param {Object} message
+     * @param {Set<string>} exclude - Updated in place.
+     * @returns {string[]} Peers skipped because of their limit.
+     */
+    #excludeOversized(message, exclude) {
+        this.#assertPayloadSize(message);
 
-                // If legacy response structure inside payload?
-                this.#handleResponse(message.payload?.requestId ?? message.id, success, dataContent, error);
-                break;
+        /** @type {string[]} */
+        const skipped = [];
+        let size = -1;
+        for (const peerId of this.#router.getPeerIds()) {
+            const limit = this.#router.getPeer(peerId)?.limits.maxPayloadSize;
+            if (!limit || exclude.has(peerId)) continue;
+
+            // Measured once, and only if some peer has a limit of its own
+            if (size < 0) size = byteSize(payloadOf(message));
+            if (size > limit) {
+                exclude.add(peerId);
+                skipped.push(peerId);
             }
-
-            case MessageType.HANDSHAKE_INIT:
-            case MessageType.HANDSHAKE_ACK:
-            case MessageType.HANDSHAKE_COMPLETE:
-                this.#handshake.handleMessage(message, origin, /** @type {EventListener} */(replyFn));
-                break;
-
-            default:
-                console.warn(`[CrossBus] Unknown message type: ${msgType}`);
         }
+        return skipped;
     }
 
-    // ─────────────────────────────────────────────────────────────────
-    // Lifecycle
-    // ─────────────────────────────────────────────────────────────────
-
     /**
-     * Destroys the CrossBus, cleaning up all resources.
+     * Drops an incoming message over the sender's payload limit, reporting
+     * it as a security violation. Requests get an error response so the
+     * caller doesn't wait for the timeout.
+     * 
+     * @param {Object} message
+     * @param {string} msgType
+     * @param {string} [peerId] - Direct sender.
+     * @param {Function} [replyFn]
+     * @returns {Promise<boolean>} True if the message may be processed.
      */
-    destroy() {
-        if (this.#destroyed) return;
-
-        this.#destroyed = true;
-
-        // Cancel all pending requests
-        this.#pendingRequests.cancelAll();
+    async #checkInboundSize(message, msgType, peerId, replyFn) {
+        const limit = this.#limitsOf(peerId).maxPayloadSize;
+        if (!limit) return true;
 
-        // Clear handlers
-        this.#handlers.clear();
+        const size = byteSize(payloadOf(message), limit);
+        if (size <= limit) return true;
 
-        // Clear peers
-        this.#router.clearPeers();
+        const error = CrossBusError.from(ErrorCode.PAYLOAD_TOO_LARGE, { peerId, size, limit });
+        this.#log('warn', `Dropped ${msgType} from ${peerId}: payload over ${limit} bytes`);
+        this.#reportViolation({ code: error.code, peerId: peerId ?? 'unknown', limit, size, messageType: msgType });
 
-        // Clear event listeners
-        this.clear();
+        // A payload missing a chunk can't be put together
+        if (msgType === 'stream') {
+            this.#chunkedPayloads.get(`${this.#senderOf(message, peerId)}:${message.sid}`)?.stream.error(error);
+        }
 
-        this.emit('destroyed', {});
+        if (msgType === MessageType.REQUEST) {
+            const src = this.#senderOf(message, peerId);
+            const failure = { code: error.code, message: error.message };
+            const response = await this.#failedResponse(message.id, failure, src, requestName(message));
+            try {
+                this.#replyPath(peerId, replyFn)?.(src === peerId ? response : this.#address(response, /** @type {string} */(src)));
+            } catch {
+                // Sender is gone: nothing to answer
+            }
+        }
+        return false;
     }
 
     /**
-     * Checks if the bus has been destroyed.
-     * @returns {boolean}
+     * Sanitizes the `meta` of a message, and of the message inside an envelope.
+     * 
+     * @param {Object} message
+     * @param {MessageSanitizer} sanitizer
+     * @returns {Object} The message, copied if keys were stripped.
+     * @throws {CrossBusError} `ERR_INVALID_MESSAGE` if the metadata breaks a limit.
      */
-    get isDestroyed() {
-        return this.#destroyed;
+    #sanitizeMeta(message, sanitizer) {
+        if (message.meta !== undefined) {
+            const meta = sanitizer.sanitize(message.meta, 'meta');
+            if (meta !== message.meta) message = { ...message, meta };
+        }
+        if (message.p && typeof message.p === 'object' && message.p.meta !== undefined) {
+            const meta = sanitizer.sanitize(message.p.meta, 'meta');
+            if (meta !== message.p.meta) message = { ...message, p: { ...message.p, meta } };
+        }
+        return message;
     }
 
-    // ─────────────────────────────────────────────────────────────────
-    // Private handlers
-    // ─────────────────────────────────────────────────────────────────
-
     /**
-     * Handles incoming signal.
+     * Drops an incoming message already received from the same peer, or too
+     * old to tell, reporting it as a security violation. Replayed requests
+     * get no response: the original one was answered.
+     * The hop's envelope sequence number is checked against the peer that
+     * sent it to us; the message ID and timestamp against its original sender,
+     * so one spoke of a hub cannot shadow the messages of another.
      * 
+     * @param {Object} message
+     * @param {string} msgType
+     * @param {string|undefined} peerId - Direct sender (`hop`) or original sender (`sender`).
+     * @param {Function|undefined} replyFn
+     * @param {'hop'|'sender'} part - What to check.
+     * @returns {boolean} True if the message may be processed.
      */
-    async #handleSignal(name, data, peerId) {
-        await this.emit(name, {
-            payload: data,
-            source: peerId
+    #checkReplay(message, msgType, peerId, replyFn, part) {
+        if (!this.#replayGuard || !peerId) return true;
+
+        // Envelopes carry the router's sequence number around the protocol message
+        const enveloped = message.p && typeof message.p === 'object';
+        const inner = enveloped ? message.p : message;
+        const verdict = this.#replayGuard.check(peerId, part === 'hop'
+            ? { seq: enveloped ? message.seq : undefined }
+            : { id: inner.id, timestamp: inner.timestamp ?? message.ts });
+        if (!verdict) return true;
+
+        // Retransmitted at-least-once signals: our ACK got lost, send it again
+        if (verdict === 'duplicate' && part === 'sender' && inner.meta?.ack) {
+            this.#acknowledge(inner, peerId, replyFn);
+            return false;
+        }
+
+        this.#log('warn', `Dropped ${verdict} ${msgType} from ${peerId}`);
+        this.#reportViolation({
+            code: ErrorCode.REPLAY_DETECTED,
+            peerId,
+            messageType: msgType,
+            reason: verdict
         });
+        return false;
     }
 
     /**
-     * Handles incoming request.
+     * Counts the requests from a peer that are still being handled.
      * 
+     * @param {string} peerId
+     * @returns {number}
      */
-    async #handleRequest(requestId, handlerName, data, peerId, replyFn) {
-        const handler = this.#handlers.get(handlerName);
-
-        let response;
-
-        if (!handler) {
-            response = createResponseMessage(
-                requestId,
-                null,
-                this.#peerId,
-                false,
-                {
-                    code: ErrorCode.NO_HANDLER,
-                    message: 'Handler not found'
-                }
-            );
-        } else {
-            // Check handler security (allowedPeers, rateLimit, validatePayload)
-            const securityCheck = this.#checkHandlerSecurity(handlerName, peerId, data);
-            if (!securityCheck.allowed) {
-                response = createResponseMessage(
-                    requestId,
-                    null,
-                    this.#peerId,
-                    false,
-                    {
-                        code: securityCheck.error?.code ?? ErrorCode.UNAUTHORIZED,
-                        message: securityCheck.error?.message ?? 'Security check failed'
-                    }
-                );
-            } else {
-                try {
-                    const result = await handler(data, {
-                        peerId,
-                        requestId: requestId,
-                        handlerName: handlerName
-                    });
-
-                    // Apply outbound hooks to response
-                    const transformedResult = await this.#runHooks(
-                        this.#outboundHooks,
-                        result,
-                        { type: 'response', peerId, handlerName: handlerName, direction: 'outbound' }
-                    );
-
-                    response = createResponseMessage(
-                        requestId,
-                        transformedResult,
-                        this.#peerId,
-                        true
-                    );
-                } catch (/** @type {any} */ error) {
-                    response = createResponseMessage(
-                        requestId,
-                        null,
-                        this.#peerId,
-                        false,
-                        {
-                            code: error.code ?? ErrorCode.HANDLER_ERROR,
-                            message: error.message
-                        }
-                    );
-                }
-            }
-        }
-
-        // Send response
-        if (replyFn) {
-            replyFn(response);
-        } else if (peerId) {
-            this.#router.route({ target: peerId, payload: response });
+    #countInbound(peerId) {
+        let count = 0;
+        for (const entry of this.#inboundRequests.values()) {
+            if (entry.peerId === peerId) count++;
         }
+        return count;
     }
 
     /**
-     * Handles incoming response.
+     * Emits `security:violation` for monitoring.
      * 
+     * @param {SecurityViolation} violation
      */
-    #handleResponse(requestId, success, data, error) {
-        this.#pendingRequests.resolve(requestId, {
-            requestId,
-            success,
-            data,
-            error
-        });
+    #reportViolation(violation) {
+        this.emit('security:violation', violation);
     }
 
     /**
@@ -923,14 +3488,23 @@ export class CrossBus extends EventEmitter {
 
     /**
      * Runs a chain of hooks on a payload.
+     * Hook errors are logged and the payload goes on unmodified, except
+     * `CrossBusError`s when `rejectable`: those reject the message.
      * 
+     * @param {Array<{ fn: MessageHook }>} hooks
+     * @param {*} payload
+     * @param {HookContext} context
+     * @param {boolean} [rejectable=false] - Whether hooks may reject the message (inbound).
+     * @returns {Promise<*>}
+     * @throws {CrossBusError} From a hook, if `rejectable`.
      */
-    async #runHooks(hooks, payload, context) {
+    async #runHooks(hooks, payload, context, rejectable = false) {
         let current = payload;
         for (const { fn } of hooks) {
             try {
                 current = await fn(current, context);
             } catch (error) {
+                if (rejectable && error instanceof CrossBusError) throw error;
                 console.error('[CrossBus] Hook error:', error);
                 // Continue with unmodified payload on error
             }
@@ -1089,6 +3663,14 @@ export class CrossBus extends EventEmitter {
         return this.#maxPayloadSize;
     }
 
+    /**
+     * Gets the maximum number of concurrent requests.
+     * @returns {number}
+     */
+    get maxPendingRequests() {
+        return this.#maxPendingRequests;
+    }
+
     /**
      * Gets whether strict mode is enabled.
      * @returns {boolean}
@@ -1211,6 +3793,8 @@ export class CrossBus extends EventEmitter {
      * - 1MB max payload size
      * - 100 max pending requests
      * - 30s request timeout
+     * - strict payload sanitizing (`SanitizerPresets.STRICT`: dangerous keys are rejected);
+     *   `sanitize` options override single limits
      * 
      * @param {CrossBusOptions} options - Configuration options
      * @returns {CrossBus} Configured instance
@@ -1244,7 +3828,11 @@ export class CrossBus extends EventEmitter {
             maxPayloadSize: 1024 * 1024,
             maxPendingRequests: 100,
             requestTimeout: 30000,
-            ...options
+            ...options,
+            sanitize: options.sanitize === false ? false : {
+                ...SanitizerPresets.STRICT,
+                ...(typeof options.sanitize === 'object' ? options.sanitize : {})
+            }
         });
     }
 
@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Heartbeat monitor for peer liveness detection.
+ * Pings peers periodically, measures round-trip time and reports
+ * peers that stop answering.
+ * @module core/heartbeat
+ */
+
+import { Defaults } from '../common/types.js';
+import { uuid } from '../common/utils.js';
+
+/**
+ * @typedef {Object} HeartbeatOptions
+ * @property {number} [interval=15000] - Time between pings in ms.
+ * @property {number} [timeout=5000] - Time to wait for a PONG in ms.
+ * @property {number} [maxMissed=2] - Consecutive missed PONGs before a peer is considered dead.
+ */
+
+/**
+ * @typedef {Object} HeartbeatStats
+ * @property {number|null} rtt - Last measured round-trip time in ms.
+ * @property {number|null} lastSeen - Timestamp of the last message from the peer.
+ * @property {number} missed - Consecutive missed heartbeats.
+ * @property {boolean} alive - Whether the peer is currently considered alive.
+ */
+
+/**
+ * @typedef {Object} HeartbeatCallbacks
+ * @property {(peerId: string, pingId: string) => boolean} sendPing - Sends a PING with the given message ID, returns false if not sent.
+ * @property {(peerId: string, stats: HeartbeatStats) => void} onDead - Called when a peer misses too many heartbeats.
+ * @property {(peerId: string, stats: HeartbeatStats) => void} [onAlive] - Called when a dead peer shows signs of life.
+ */
+
+/**
+ * Tracks liveness of a set of peers.
+ *
+ * Each tick sends a PING to every tracked peer. A PING that is not answered
+ * within `timeout` counts as missed; after `maxMissed` consecutive misses the
+ * peer is reported dead. Any traffic from the peer (not only PONGs) resets
+ * the counter and revives a dead peer.
+ *
+ * @example
+ * const monitor = new HeartbeatMonitor({ interval: 1000 }, {
+ *   sendPing: (peerId, pingId) => send(peerId, createPingMessage(me, pingId)),
+ *   onDead: (peerId) => markDisconnected(peerId)
+ * });
+ *
+ * monitor.track('worker-1');
+ * monitor.start();
+ */
+export class HeartbeatMonitor {
+    /** @type {number} */
+    #interval;
+
+    /** @type {number} */
+    #timeout;
+
+    /** @type {number} */
+    #maxMissed;
+
+    /** @type {HeartbeatCallbacks} */
+    #callbacks;
+
+    /**
+     * @type {Map<string, HeartbeatStats & { pending: { id: string, timer: ReturnType<typeof setTimeout> }|null }>}
+     */
+    #peers = new Map();
+
+    /** @type {ReturnType<typeof setInterval>|null} */
+    #timer = null;
+
+    /**
+     * Creates a new heartbeat monitor.
+     *
+     * @param {HeartbeatOptions} options
+     * @param {HeartbeatCallbacks} callbacks
+     */
+    constructor(options, callbacks) {
+        this.#interval = options.interval ?? Defaults.HEARTBEAT_INTERVAL;
+        this.#timeout = options.timeout ?? Defaults.HEARTBEAT_TIMEOUT;
+        this.#maxMissed = options.maxMissed ?? 2;
+        this.#callbacks = callbacks;
+    }
+
+    /**
+     * Whether the periodic timer is running.
+     * @returns {boolean}
+     */
+    get running() {
+        return this.#timer !== null;
+    }
+
+    /**
+     * Starts periodic pinging.
+     */
+    start() {
+        if (this.#timer) return;
+
+        this.#timer = setInterval(() => this.pingAll(), this.#interval);
+        // Liveness checks alone should not keep a Node process alive
+        /** @type {any} */ (this.#timer).unref?.();
+    }
+
+    /**
+     * Stops periodic pinging and clears outstanding PING timers.
+     */
+    stop() {
+        if (this.#timer) {
+            clearInterval(this.#timer);
+            this.#timer = null;
+        }
+        for (const state of this.#peers.values()) {
+            this.#clearPending(state);
+        }
+    }
+
+    /**
+     * Starts tracking a peer.
+     *
+     * @param {string} peerId
+     */
+    track(peerId) {
+        if (this.#peers.has(peerId)) return;
+
+        this.#peers.set(peerId, {
+            rtt: null,
+            lastSeen: Date.now(),
+            missed: 0,
+            alive: true,
+            pending: null
+        });
+    }
+
+    /**
+     * Stops tracking a peer.
+     *
+     * @param {string} peerId
+     * @returns {boolean} True if the peer was tracked.
+     */
+    untrack(peerId) {
+        const state = this.#peers.get(peerId);
+        if (!state) return false;
+
+        this.#clearPending(state);
+        return this.#peers.delete(peerId);
+    }
+
+    /**
+     * Sends a PING to every tracked peer that has none outstanding.
+     */
+    pingAll() {
+        for (const peerId of Array.from(this.#peers.keys())) {
+            this.ping(peerId);
+        }
+    }
+
+    /**
+     * Sends a PING to a single peer.
+     *
+     * @param {string} peerId
+     * @returns {boolean} True if a PING was sent.
+     */
+    ping(peerId) {
+        const state = this.#peers.get(peerId);
+        if (!state || state.pending) return false;
+
+        // Registered before sending: synchronous transports may answer immediately
+        const pingId = uuid();
+        state.pending = {
+            id: pingId,
+            timer: setTimeout(() => {
+                state.pending = null;
+                this.#miss(peerId, state);
+            }, this.#timeout)
+        };
+
+        let sent;
+        try {
+            sent = this.#callbacks.sendPing(peerId, pingId);
+        } catch {
+            sent = false;
+        }
+
+        if (!sent) {
+            // Could not even send: counts as a miss right away
+            if (state.pending?.id === pingId) this.#clearPending(state);
+            this.#miss(peerId, state);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Records traffic from a peer. Revives peers previously reported dead.
+     *
+     * @param {string} peerId
+     */
+    touch(peerId) {
+        const state = this.#peers.get(peerId);
+        if (!state) return;
+
+        state.lastSeen = Date.now();
+        state.missed = 0;
+
+        if (!state.alive) {
+            state.alive = true;
+            this.#callbacks.onAlive?.(peerId, this.#snapshot(state));
+        }
+    }
+
+    /**
+     * Handles a PONG and updates the round-trip time.
+     *
+     * @param {string} peerId
+     * @param {string} pingId - ID of the PING being answered.
+     * @param {number} sentAt - Timestamp echoed back from the PING.
+     * @returns {number|null} Measured RTT, or null if the PONG was unexpected.
+     */
+    handlePong(peerId, pingId, sentAt) {
+        const state = this.#peers.get(peerId);
+        if (!state) return null;
+
+        this.touch(peerId);
+
+        if (state.pending?.id !== pingId) return null;
+
+        this.#clearPending(state);
+        state.rtt = Math.max(0, Date.now() - sentAt);
+        return state.rtt;
+    }
+
+    /**
+     * Gets liveness stats for a peer.
+     *
+     * @param {string} peerId
+     * @returns {HeartbeatStats|undefined}
+     */
+    getStats(peerId) {
+        const state = this.#peers.get(peerId);
+        return state ? this.#snapshot(state) : undefined;
+    }
+
+    /**
+     * Stops the monitor and forgets all peers.
+     */
+    destroy() {
+        this.stop();
+        this.#peers.clear();
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Private methods
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Counts a missed heartbeat and reports the peer once over the limit.
+     */
+    #miss(peerId, state) {
+        state.missed++;
+
+        if (state.alive && state.missed >= this.#maxMissed) {
+            state.alive = false;
+            this.#callbacks.onDead(peerId, this.#snapshot(state));
+        }
+    }
+
+    /**
+     * Copies the public stats of a peer state.
+     * @returns {HeartbeatStats}
+     */
+    #snapshot(state) {
+        return {
+            rtt: state.rtt,
+            lastSeen: state.lastSeen,
+            missed: state.missed,
+            alive: state.alive
+        };
+    }
+
+    /**
+     * Clears an outstanding PING.
+     */
+    #clearPending(state) {
+        if (state.pending) {
+            clearTimeout(state.pending.timer);
+            state.pending = null;
+        }
+    }
+}
@@ -101,15 +101,16 @@ export function createMessage(type, payload, meta = {}, id = null) {
  * @param {*} data - Signal data.
  * @param {string} sourcePeerId - Source peer ID.
  * @param {string|null} [destPeerId] - Destination peer ID.
+ * @param {Object} [meta={}] - Additional metadata (e.g. `{ ack: true }`).
  * @returns {ProtocolMessage} Signal message.
  */
-export function createSignalMessage(name, data, sourcePeerId, destPeerId = null) {
+export function createSignalMessage(name, data, sourcePeerId, destPeerId = null, meta = {}) {
   return createMessage(MessageType.SIGNAL, {
     name,
     data,
     source: sourcePeerId,
     dest: destPeerId
-  });
+  }, meta);
 }
 
 /**
@@ -186,15 +187,16 @@ export function createHandshakeComplete(peerId, success) {
  * @param {string} sourcePeerId - Source peer ID.
  * @param {string} destPeerId - Destination peer ID.
  * @param {string|null} [id=null] - Optional custom request ID.
+ * @param {Object} [meta={}] - Additional metadata (e.g. `{ stream: true }`).
  * @returns {ProtocolMessage} Request message.
  */
-export function createRequestMessage(name, data, sourcePeerId, destPeerId, id = null) {
+export function createRequestMessage(name, data, sourcePeerId, destPeerId, id = null, meta = {}) {
   return createMessage(MessageType.REQUEST, {
     name,
     data,
     source: sourcePeerId,
     dest: destPeerId
-  }, {}, id);
+  }, meta, id);
 }
 
 /**
@@ -217,6 +219,108 @@ export function createResponseMessage(requestId, data, sourcePeerId, success = t
   });
 }
 
+/**
+ * Creates a request cancellation message.
+ * 
+ * @param {string} requestId - ID of the request being cancelled.
+ * @param {string} sourcePeerId - Source (requesting) peer ID.
+ * @param {string} [reason] - Why the request was aborted.
+ * @returns {ProtocolMessage} Cancel message.
+ */
+export function createCancelMessage(requestId, sourcePeerId, reason) {
+  return createMessage(MessageType.CANCEL, {
+    requestId,
+    source: sourcePeerId,
+    reason
+  });
+}
+
+/**
+ * Creates a heartbeat ping message.
+ * 
+ * @param {string} sourcePeerId - Source peer ID.
+ * @param {string|null} [id=null] - Optional custom message ID.
+ * @returns {ProtocolMessage} Ping message.
+ */
+export function createPingMessage(sourcePeerId, id = null) {
+  return createMessage(MessageType.PING, {
+    source: sourcePeerId,
+    sentAt: Date.now()
+  }, {}, id);
+}
+
+/**
+ * Creates a heartbeat pong message.
+ * 
+ * @param {string} pingId - ID of the ping being answered.
+ * @param {string} sourcePeerId - Source peer ID.
+ * @param {number} sentAt - Send timestamp echoed from the ping.
+ * @returns {ProtocolMessage} Pong message.
+ */
+export function createPongMessage(pingId, sourcePeerId, sentAt) {
+  return createMessage(MessageType.PONG, {
+    pingId,
+    source: sourcePeerId,
+    sentAt
+  });
+}
+
+/**
+ * Creates a delivery acknowledgement.
+ * 
+ * @param {string} messageId - ID of the message being acknowledged.
+ * @param {string} sourcePeerId - Source peer ID.
+ * @returns {ProtocolMessage} Ack message.
+ */
+export function createAckMessage(messageId, sourcePeerId) {
+  return createMessage(MessageType.ACK, {
+    messageId,
+    source: sourcePeerId
+  });
+}
+
+/**
+ * Creates a disconnect (BYE) message.
+ * 
+ * @param {string} sourcePeerId - Source peer ID.
+ * @param {string} [reason='disconnect'] - Why the sender is leaving.
+ * @returns {ProtocolMessage} Bye message.
+ */
+export function createByeMessage(sourcePeerId, reason = 'disconnect') {
+  return createMessage(MessageType.BYE, {
+    source: sourcePeerId,
+    reason
+  });
+}
+
+/**
+ * Creates a route advertisement message.
+ * 
+ * @param {string} sourcePeerId - Advertising (hub) peer ID.
+ * @param {Array<{ peerId: string, hops: number }>} routes - Peers reachable through the sender.
+ * @returns {ProtocolMessage} Route message.
+ */
+export function createRouteMessage(sourcePeerId, routes) {
+  return createMessage(MessageType.ROUTE, {
+    source: sourcePeerId,
+    routes
+  });
+}
+
+/**
+ * Creates a handler advertisement message.
+ * 
+ * @param {string} sourcePeerId - Advertising peer ID.
+ * @param {Array<{ peerId: string, handlers: string[] }>} providers - Handlers offered by the sender and the peers behind it.
+ * @returns {ProtocolMessage} Handlers message.
+ */
+export function createHandlersMessage(sourcePeerId, providers) {
+  return createMessage(MessageType.HANDLERS, {
+    source: sourcePeerId,
+    providers
+  });
+}
+
 /**
  * Validates if an object is a valid CrossBus protocol message.
  * 
@@ -11,6 +11,9 @@ import { uuid } from '../common/utils.js';
  * @typedef {Object} StreamOptions
  * @property {number} [chunkSize=64000] - Size of each chunk in bytes.
  * @property {number} [timeout=30000] - Timeout for stream operations in ms.
+ * @property {string} [streamId] - Stream ID to use instead of a random one.
+ * @property {boolean} [objectMode=false] - Send each written value as one chunk, as is
+ *   (no JSON or base64 encoding). The transport must be able to carry the values.
  */
 
 /**
@@ -64,6 +67,9 @@ export class WritableSignalStream {
     /** @type {Object} */
     #meta;
 
+    /** @type {boolean} */
+    #objectMode;
+
     /**
      * Creates a new writable stream.
      * 
@@ -72,11 +78,12 @@ export class WritableSignalStream {
      * @param {StreamOptions & { meta?: Object }} [options={}] - Options.
      */
     constructor(sendFn, name, options = {}) {
-        this.#streamId = uuid();
+        this.#streamId = options.streamId ?? uuid();
         this.#name = name;
         this.#sendFn = sendFn;
         this.#chunkSize = options.chunkSize ?? 64000;
         this.#meta = options.meta ?? {};
+        this.#objectMode = options.objectMode ?? false;
     }
 
     /**
@@ -128,6 +135,16 @@ export class WritableSignalStream {
             await this.open();
         }
 
+        if (this.#objectMode) {
+            await this.#send({
+                st: 'data',
+                seq: this.#seq++,
+                d: data,
+                b64: false
+            });
+            return;
+        }
+
         // Convert data to sendable format
         let payload;
         let isBase64 = false;
@@ -384,11 +401,11 @@ export class ReadableSignalStream {
     /**
      * Marks stream as errored.
      * 
-     * @param {string} reason - Error reason.
+     * @param {string|Error} reason - Error reason, or the error readers should get.
      */
     error(reason) {
         this.#ended = true;
-        this.#error = new Error(reason);
+        this.#error = reason instanceof Error ? reason : new Error(reason);
 
         if (this.#resolveNext) {
             const resolve = this.#resolveNext;
@@ -472,6 +489,43 @@ export class ReadableSignalStream {
     }
 }
 
+/**
+ * Gets an async iterable for a handler result that produces several values:
+ * an async generator (or any other async iterable) or a WHATWG `ReadableStream`.
+ * 
+ * @param {*} value
+ * @returns {AsyncIterable<any>|null} Null if the value is a single value.
+ */
+export function toAsyncIterable(value) {
+    if (value === null || typeof value !== 'object') return null;
+
+    if (typeof value[Symbol.asyncIterator] === 'function') return value;
+
+    // Browsers without ReadableStream async iteration
+    if (typeof value.getReader === 'function') {
+        return (async function* () {
+            const reader = value.getReader();
+            let finished = false;
+            try {
+                while (true) {
+                    const { done, value: chunk } = await reader.read();
+                    if (done) {
+                        finished = true;
+                        return;
+                    }
+                    yield chunk;
+                }
+            } finally {
+                // Stopped early: the source can stop producing
+                if (!finished) await reader.cancel().catch(() => { });
+                reader.releaseLock();
+            }
+        })();
+    }
+
+    return null;
+}
+
 /**
  * Stream manager for CrossBus.
  * Handles creating, sending, and receiving streams.
@@ -10,6 +10,15 @@
 
 export declare const PROTOCOL_MARKER: number;
 export declare const PROTOCOL_VERSION: number;
+/** How bus.call() picks among the peers offering a handler */
+export declare const CallStrategy: {
+    readonly ROUND_ROBIN: 'round-robin';
+    readonly LEAST_PENDING: 'least-pending';
+    readonly FIRST: 'first';
+};
+
+/** Name of the built-in handler answering discover() */
+export declare const DISCOVERY_HANDLER: 'crossbus:handlers';
 
 export declare const MessageType: {
     readonly SIGNAL: 'sig';
@@ -46,6 +55,9 @@ export declare const ErrorCode: {
     readonly RATE_LIMITED: 'ERR_RATE_LIMITED';
     readonly UNAUTHORIZED: 'ERR_UNAUTHORIZED';
     readonly INVALID_PAYLOAD: 'ERR_INVALID_PAYLOAD';
+    readonly CONTEXT_MISMATCH: 'ERR_CONTEXT_MISMATCH';
+    readonly REPLAY_DETECTED: 'ERR_REPLAY_DETECTED';
+    readonly ABORTED: 'ERR_ABORTED';
 };
 
 // ─────────────────────────────────────────────────────────────────
@@ -73,12 +85,28 @@ export declare function isRetryable(error: unknown): boolean;
 export interface CrossBusOptions {
     /** Unique peer identifier (auto-generated if not specified) */
     peerId?: string;
-    /** Whether this instance is the hub */
+    /** Whether this instance is the hub (relays between peers and advertises routes) */
     isHub?: boolean;
     /** Default request timeout in ms */
     requestTimeout?: number;
     /** Handshake timeout in ms */
     handshakeTimeout?: number;
+    /** Make peers prove they hold a credential during the handshake; transports then default to `handshake: true` */
+    authenticator?: HandshakeAuthenticator;
+    /** Ping peers periodically and mark unresponsive ones as disconnected */
+    heartbeat?: boolean | HeartbeatOptions;
+    /** Queue messages for connecting/reconnecting peers (default: enabled) */
+    offlineQueue?: boolean | OfflineQueueOptions;
+    /** Answer discovery requests and advertise this bus's handlers for call() (default: true) */
+    discovery?: boolean;
+    /** Send large request and response payloads as stream chunks; both sides must support it (default: enabled) */
+    chunking?: boolean | ChunkingOptions;
+    /** Drop incoming messages already received from the same peer, or too old (default: enabled) */
+    replayProtection?: boolean | ReplayProtectionOptions;
+    /** Check the structure of incoming payloads (after inbound hooks) and metadata, and strip or reject prototype keys (default: enabled, strict under createSecure) */
+    sanitize?: boolean | SanitizerOptions;
+    /** Roles of each peer, checked against handler and signal policies: resolved from the peer's identity, or by peer ID */
+    roles?: ((peer: PeerIdentity) => string[] | undefined) | Record<string, string[]>;
     /** Allowed origins for incoming connections */
     allowedOrigins?: string[];
     /** Metadata to share with peers */
@@ -87,9 +115,9 @@ export interface CrossBusOptions {
     capabilities?: string[];
     /** Preferred serialization format */
     contentType?: string;
-    /** Maximum payload size in bytes (default: 1MB) */
+    /** Maximum payload size in bytes, checked both ways (default: 1MB, 0 = unlimited) */
     maxPayloadSize?: number;
-    /** Maximum concurrent pending requests (default: 100) */
+    /** Maximum concurrent requests: outgoing in total, incoming per peer (default: 100, 0 = unlimited) */
     maxPendingRequests?: number;
     /** Enforce strict security (disallows wildcard origins) */
     strictMode?: boolean;
@@ -99,23 +127,133 @@ export interface CrossBusOptions {
     debugPrefix?: string;
 }
 
+export interface HeartbeatOptions {
+    /** Time between pings in ms (default: 15000) */
+    interval?: number;
+    /** Time to wait for a pong in ms (default: 5000) */
+    timeout?: number;
+    /** Consecutive missed pongs before a peer is disconnected (default: 2) */
+    maxMissed?: number;
+}
+
+export interface OfflineQueueOptions {
+    /** Maximum queued messages per peer, oldest dropped first (default: 100) */
+    maxQueueSize?: number;
+    /** Maximum time a message may wait in ms (default: 30000) */
+    maxAge?: number;
+    /** Send attempts per message on flush (default: 3) */
+    maxRetries?: number;
+}
+
+export interface ChunkingOptions {
+    /** Payloads over this size in bytes are sent in chunks (default: 262144) */
+    threshold?: number;
+    /** Characters per chunk, rounded down to a multiple of 4 (default: 64000) */
+    chunkSize?: number;
+}
+
+export interface ReplayProtectionOptions {
+    /** Envelope sequence numbers tracked per peer; older ones are stale (default: 1024) */
+    window?: number;
+    /** Messages stamped more than this many ms before or after our clock are stale; IDs are remembered this long (default: 300000, 0 = no limit) */
+    maxAge?: number;
+    /** Message IDs remembered per peer, oldest forgotten first; messages no newer than a forgotten one are stale (default: 10000) */
+    maxIds?: number;
+}
+
+export interface SanitizerOptions {
+    /** Deepest nesting of objects and arrays, the payload being level 1 (default: 64) */
+    maxDepth?: number;
+    /** Most keys in one object (default: 10000, 0 = unlimited) */
+    maxKeys?: number;
+    /** Longest array (default: 0 = unlimited) */
+    maxArrayLength?: number;
+    /** Longest string in UTF-16 code units (default: 0 = unlimited) */
+    maxStringLength?: number;
+    /** Drop `__proto__` / `constructor` / `prototype` keys, or refuse the message (default: 'strip') */
+    dangerousKeys?: 'strip' | 'reject';
+}
+
 export interface HandlerOptions {
     /** Whitelist of peer IDs allowed to call this handler */
     allowedPeers?: string[];
+    /** Roles allowed to call this handler, any of them; required on top of the matching policy (see setPolicy) */
+    roles?: string[];
     /** Maximum calls per second per peer */
     rateLimit?: number;
     /** Custom payload validation function */
     validatePayload?: (payload: unknown) => boolean;
+    /** Middleware run for this handler only, after the global ones */
+    middleware?: Middleware[];
+    /** JSON Schema published through discovery (e.g. schemas/handlers/*.schema.json) */
+    schema?: Record<string, unknown>;
+}
+
+export interface HandlerDescriptor {
+    name: string;
+    /** JSON Schema registered with the handler */
+    schema?: Record<string, unknown>;
+}
+
+export interface ProxyOptions {
+    /** Fetch the peer's handler list and reject unknown methods locally (default: true) */
+    discover?: boolean;
+    /** Timeout in ms for the discovery request */
+    timeout?: number;
+}
+
+/** Methods of a proxy returned by bus.proxy() */
+export type PeerProxy = Record<string, (payload?: unknown, options?: RequestOptions) => Promise<unknown>>;
+
+export interface MiddlewareContext {
+    handlerName: string;
+    requestId: string;
+    peerId: string;
+    /** Calling peer, if directly connected */
+    peer: PeerInfo | undefined;
+    /** Request payload; may be replaced before calling next() */
+    payload: unknown;
+    /** Handler result once next() resolves; may be replaced */
+    response: unknown;
+    /** Whether the caller used requestStream() */
+    stream: boolean;
+    signal: AbortSignal;
+    /** Shared with later middleware and the handler */
+    state: Record<string, unknown>;
+}
+
+export type Middleware = (ctx: MiddlewareContext, next: () => Promise<void>) => void | Promise<void>;
+
+export interface AddTransportOptions extends PeerLimits {
+    /** Override peer ID (defaults to transport's peerId or auto-generated) */
+    peerId?: string;
+    /** Origin for message validation */
+    origin?: string;
+    /** Verify the peer with a handshake before routing to it (default: true with an `authenticator`) */
+    handshake?: boolean;
 }
 
 export interface RequestOptions {
     /** Request timeout in ms */
     timeout?: number;
+    /** Rejects the request with ERR_ABORTED and aborts the remote handler's `context.signal` */
+    signal?: AbortSignal;
+}
+
+export interface CallOptions extends RequestOptions {
+    /** How to pick the provider (default: 'round-robin') */
+    strategy?: 'round-robin' | 'least-pending' | 'first';
 }
 
 export interface SignalOptions {
     /** Peer IDs to exclude from broadcast */
     exclude?: string[];
+    /** Wait for each peer to acknowledge the signal, retransmitting as needed */
+    ack?: boolean;
+    /** Time to wait for each peer's ACK in ms, retransmits included (default: 5000) */
+    ackTimeout?: number;
+    /** Retransmissions before a peer is reported 'timeout' (default: 3) */
+    retries?: number;
 }
 
 export interface SignalResult {
@@ -123,6 +261,10 @@ export interface SignalResult {
     delivered: number;
     /** Peer IDs that failed to receive */
     failed: string[];
+    /** Peer IDs the signal was queued for until they (re)connect */
+    queued: string[];
+    /** Delivery status of each peer (with `ack: true` only) */
+    report?: Record<string, 'acked' | 'timeout' | 'failed' | 'queued'>;
 }
 
 export interface HealthStatus {
@@ -158,6 +300,61 @@ export interface PeerInfo {
     status: string;
     meta?: Record<string, unknown>;
     capabilities?: string[];
+    /** Last heartbeat round-trip time in ms (heartbeat enabled only) */
+    rtt?: number | null;
+    /** Timestamp of the last message from the peer (heartbeat enabled only) */
+    lastSeen?: number | null;
+    /** Limits set for this peer, overriding the bus-wide ones */
+    limits?: PeerLimits;
+}
+
+/** What the `roles` option is told about a peer */
+export interface PeerIdentity {
+    peerId: string;
+    /** Origin the peer was added with; undefined behind a hub */
+    origin: string | undefined;
+    /** Metadata the peer announced; only trustworthy if authenticated */
+    meta: Record<string, unknown>;
+    /** Whether the peer proved its ID with the bus's authenticator */
+    authenticated: boolean;
+}
+
+/** Incoming requests to a handler, or incoming signals */
+export type AccessType = 'request' | 'signal';
+
+/** Per-peer overrides of maxPayloadSize / maxPendingRequests */
+export interface PeerLimits {
+    maxPayloadSize?: number;
+    maxPendingRequests?: number;
+}
+
+export interface AddPeerOptions extends PeerLimits {
+    meta?: Record<string, unknown>;
+    origin?: string;
+}
+
+/** Data of the 'security:violation' event */
+export interface SecurityViolation {
+    /** `ERR_PAYLOAD_TOO_LARGE`, `ERR_MAX_PENDING`, `ERR_REPLAY_DETECTED`, `ERR_INVALID_MESSAGE`, or the code an inbound hook rejected the message with */
+    code: string;
+    peerId: string;
+    limit?: number;
+    /** Payload size in bytes (at least: measuring stops past the limit) */
+    size?: number;
+    /** Requests from the peer still being handled */
+    pending?: number;
+    messageType?: string;
+    handlerName?: string;
+    /** Why a hook or the sanitizer rejected the message; `duplicate` or `stale` for replays */
+    reason?: string;
+}
+
+/** A peer reachable through a hub rather than directly */
+export interface RouteInfo {
+    peerId: string;
+    /** Directly connected peer (hub) messages are sent through */
+    via: string;
+    hops: number;
 }
 
 // ─────────────────────────────────────────────────────────────────
@@ -171,8 +368,10 @@ export declare class CrossBus {
     readonly peerId: string;
     readonly isHub: boolean;
     readonly peers: string[];
+    readonly routes: RouteInfo[];
     readonly peerCount: number;
     readonly maxPayloadSize: number;
+    readonly maxPendingRequests: number;
     readonly strictMode: boolean;
     readonly debug: boolean;
     readonly uptime: number;
@@ -182,23 +381,46 @@ export declare class CrossBus {
     static createSecure(options: CrossBusOptions): CrossBus;
 
     // Peer Management
-    addPeer(peerId: string, sendFn: (message: unknown) => void): void;
-    removePeer(peerId: string): boolean;
+    addPeer(peerId: string, sendFn: (message: unknown) => void, options?: AddPeerOptions): void;
+    removePeer(peerId: string, reason?: string, details?: object): boolean;
+    /** Sends BYE to the peer, then removes it */
+    disconnect(peerId: string, reason?: string): boolean;
     getPeer(peerId: string): PeerInfo | undefined;
+    /** Updates a peer's status; queued messages are flushed when it becomes connected */
+    setPeerStatus(peerId: string, status: string): boolean;
     hasPeer(peerId: string): boolean;
 
     // Transport Management
-    addTransport(transport: Transport, options?: { peerId?: string }): void;
+    addTransport(transport: Transport, options?: AddTransportOptions): () => void;
     removeTransport(transport: Transport): boolean;
 
     // Messaging
     signal(name: string, payload?: unknown, options?: SignalOptions): Promise<SignalResult>;
     request<T = unknown>(peerId: string, handler: string, payload?: unknown, options?: RequestOptions): Promise<T>;
+    /** Calls a streaming handler (async generator, AsyncIterable or ReadableStream result) */
+    requestStream<T = unknown>(peerId: string, handler: string, payload?: unknown, options?: RequestOptions): AsyncGenerator<T, void, undefined>;
+    /** Calls a handler on whichever peer offers it, failing over to the next provider */
+    call<T = unknown>(handler: string, payload?: unknown, options?: CallOptions): Promise<T>;
+    /** Reachable peers that advertised a handler */
+    getProviders(handler: string): string[];
+    /** Lists the handlers a peer offers */
+    discover(peerId: string, options?: RequestOptions): Promise<HandlerDescriptor[]>;
+    /** Calls the peer's handlers as methods: api.getData(payload) */
+    proxy<T = PeerProxy>(peerId: string, options?: ProxyOptions): T;
 
     // Handler Registration
     handle(name: string, handler: (payload: unknown, context: HandlerContext) => unknown | Promise<unknown>, options?: HandlerOptions): () => void;
     unhandle(name: string): boolean;
     hasHandler(name: string): boolean;
+    /** Whether a peer holds a role the policy for a handler (or signal) requires; names without a policy are open */
+    can(peerId: string, name: string, type?: AccessType): boolean;
+    /** Sets the roles required for names matching a pattern (`admin:*`); null removes the policy */
+    setPolicy(pattern: string, roles: string[] | null, type?: AccessType): boolean;
+    /** Overrides the roles of a peer until it disconnects; null goes back to the `roles` option */
+    setRoles(peerId: string, roles: string[] | null): void;
+    getRoles(peerId: string): string[];
+    /** Adds middleware around every incoming request */
+    use(middleware: Middleware): () => boolean;
 
     // Event Handling
     on(event: string, handler: (event: SignalEvent) => void, options?: { mode?: 'sync' | 'async' }): () => void;
@@ -224,6 +446,10 @@ export interface HandlerContext {
     peerId: string;
     requestId: string;
     handlerName: string;
+    /** Aborted when the caller cancels the request or disconnects */
+    signal: AbortSignal;
+    /** Data set by middleware */
+    state: Record<string, unknown>;
 }
 
 export interface HookContext {
@@ -231,6 +457,12 @@ export interface HookContext {
     direction: 'inbound' | 'outbound';
     peerId?: string;
     handlerName?: string;
+    /** ID of the peer sending the message. */
+    source?: string;
+    /** ID of the peer receiving the message (none for signals). */
+    target?: string;
+    /** An error response: the payload is its error (`{ code, message }`). */
+    failed?: boolean;
 }
 
 export type HookFunction = (payload: unknown, context: HookContext) => unknown | Promise<unknown>;
@@ -251,6 +483,8 @@ export interface Transport {
     readonly peerId?: string;
     send(message: unknown): void;
     onMessage(handler: (message: unknown) => void): void;
+    /** When present, `addTransport` removes the peer once the transport reports it gone */
+    onDisconnect?(handler: (reason: string, details?: object) => void): void;
     destroy(): void;
 }
 
@@ -259,6 +493,8 @@ export interface PostMessageTransportOptions {
     allowedOrigins?: string[];
     autoTransfer?: boolean;
     contentType?: string;
+    /** Send BYE on `pagehide` / worker `close` (default: true) */
+    byeOnUnload?: boolean;
 }
 
 export declare class PostMessageTransport implements Transport {
@@ -288,13 +524,44 @@ export interface WebSocketTransportOptions {
     reconnectInterval?: number;
     maxReconnectAttempts?: number;
     heartbeatInterval?: number;
+    /** Resume the server session after a reconnect, retransmitting what either side missed */
+    resume?: boolean;
+    /** With `resume`, sent messages kept until acknowledged (default: 1000) */
+    maxUnackedMessages?: number;
+    /** Bytes buffered on the socket above which channel messages are queued (default: 1 MiB) */
+    highWaterMark?: number;
+}
+
+export interface WebSocketChannelOptions {
+    /** Messages held while the socket is backed up; more throw `ERR_QUEUE_FULL` (default: 1000) */
+    maxQueueSize?: number;
+}
+
+/** One logical peer on a shared WebSocket; add it to a bus like any transport */
+export declare class WebSocketChannel implements Transport {
+    /** Channel ID, the same at both ends */
+    readonly id: string;
+    /** Messages waiting for the socket */
+    readonly bufferedAmount: number;
+    readonly isDestroyed: boolean;
+    send(message: unknown): void;
+    onMessage(handler: (message: unknown) => void): void;
+    offMessage(): void;
+    onDisconnect(handler: (reason: string, details?: object) => void): void;
+    onStateChange(handler: (state: string) => void): void;
+    /** Closes this channel only */
+    destroy(): void;
 }
 
 export declare class WebSocketTransport implements Transport {
     readonly peerId: string;
     readonly state: 'connecting' | 'connected' | 'disconnected' | 'error';
     readonly isConnected: boolean;
+    /** Token of the server session (with `resume`) */
+    readonly sessionId: string | null;
     constructor(options: WebSocketTransportOptions);
+    /** Transport of the peer on a channel of this socket, e.g. a `WebSocketHub` service */
+    channel(id: string, options?: WebSocketChannelOptions): WebSocketChannel;
     connect(): Promise<void>;
     disconnect(): void;
     send(message: unknown): boolean;
@@ -303,6 +570,256 @@ export declare class WebSocketTransport implements Transport {
     destroy(): void;
 }
 
+export interface WorkerThreadsTransportOptions {
+    autoTransfer?: boolean;
+    contentType?: string;
+    /** Terminate a wrapped `Worker` on `destroy()` (default: true) */
+    terminateOnDestroy?: boolean;
+}
+
+/** Anything with `postMessage()`, `on()` and `off()`: a worker_threads `Worker` or `MessagePort` */
+export interface WorkerThreadsTarget {
+    postMessage(value: unknown, transferList?: readonly unknown[]): void;
+    on(event: string, listener: (...args: any[]) => void): unknown;
+    off(event: string, listener: (...args: any[]) => void): unknown;
+}
+
+export interface WorkerThreadsDisconnectDetails {
+    /** Exit code of the worker, for `exit` */
+    exitCode?: number;
+    /** Uncaught error that ended the worker, for `error` */
+    error?: Error;
+}
+
+export declare class WorkerThreadsTransport implements Transport {
+    static isSupported(): boolean;
+    /** Worker side: wraps `parentPort`; throws ERR_UNSUPPORTED outside a worker thread */
+    static fromParentPort(parentPort: WorkerThreadsTarget | null, options?: WorkerThreadsTransportOptions): WorkerThreadsTransport;
+    readonly isDestroyed: boolean;
+    readonly isDisconnected: boolean;
+    constructor(target: WorkerThreadsTarget, options?: WorkerThreadsTransportOptions);
+    send(message: unknown, transfer?: readonly unknown[]): void;
+    /** Hands a MessagePort to the other thread, which receives it through `onPort()` */
+    sendPort(port: WorkerThreadsTarget, meta?: Record<string, unknown>): void;
+    onMessage(handler: (message: unknown, context: { origin: string }) => void): void;
+    offMessage(): void;
+    onDisconnect(handler: (reason: 'exit' | 'error' | 'close', details?: WorkerThreadsDisconnectDetails) => void): void;
+    onPort(handler: (port: any, meta: Record<string, unknown>) => void): void;
+    destroy(): void;
+}
+
+export interface ProcessExitDetails {
+    /** Exit code, null if the child was killed by a signal */
+    exitCode?: number | null;
+    /** Signal that killed the child */
+    signal?: string | null;
+    /** Why the child could not be spawned */
+    error?: Error;
+}
+
+/** The IPC end of a child process (e.g. from `fork()`), or `process` inside it */
+export interface IpcTarget {
+    send(message: unknown, callback?: (error: Error | null) => void): boolean;
+    on(event: string, listener: (...args: any[]) => void): unknown;
+    off(event: string, listener: (...args: any[]) => void): unknown;
+}
+
+export interface ChildProcessTransportOptions {
+    /** Messages held while the IPC channel is backed up (default: 1000) */
+    maxQueueSize?: number;
+    /** Kill a wrapped child process on `destroy()` (default: true) */
+    killOnDestroy?: boolean;
+}
+
+export declare class ChildProcessTransport implements Transport {
+    static isSupported(): boolean;
+    /** Child side: wraps `process`; throws ERR_UNSUPPORTED without an IPC channel */
+    static fromParent(proc?: Omit<IpcTarget, 'send'> & { send?: IpcTarget['send'] }, options?: ChildProcessTransportOptions): ChildProcessTransport;
+    /** Messages waiting for the IPC channel to flush */
+    readonly bufferedAmount: number;
+    readonly isDestroyed: boolean;
+    readonly isDisconnected: boolean;
+    constructor(target: IpcTarget, options?: ChildProcessTransportOptions);
+    send(message: unknown): void;
+    onMessage(handler: (message: unknown, context: { origin: string }) => void): void;
+    offMessage(): void;
+    onDisconnect(handler: (reason: 'exit' | 'error' | 'close', details?: ProcessExitDetails) => void): void;
+    destroy(): void;
+}
+
+export interface StdioTransportOptions {
+    /** Readable stream messages are read from */
+    input: NodeReadable;
+    /** Writable stream messages are written to */
+    output: NodeWritable;
+    /** Child process at the other end: its exit is reported as the disconnect */
+    child?: NodeChildProcess;
+    /** Longest line accepted, in characters (default: 16 MiB) */
+    maxLineLength?: number;
+    /** Messages held while `output` is backed up (default: 1000) */
+    maxQueueSize?: number;
+    /** Kill `child` on `destroy()` (default: true) */
+    killOnDestroy?: boolean;
+}
+
+/** The parts of a Node.js readable stream `StdioTransport` uses */
+export interface NodeReadable {
+    on(event: string, listener: (...args: any[]) => void): unknown;
+    off(event: string, listener: (...args: any[]) => void): unknown;
+    pause(): unknown;
+}
+
+/** The parts of a Node.js writable stream `StdioTransport` uses */
+export interface NodeWritable {
+    write(chunk: string): boolean;
+    on(event: string, listener: (...args: any[]) => void): unknown;
+    off(event: string, listener: (...args: any[]) => void): unknown;
+}
+
+/** The parts of a Node.js `ChildProcess` `StdioTransport` uses */
+export interface NodeChildProcess {
+    readonly pid?: number;
+    readonly stdin: NodeWritable | null;
+    readonly stdout: NodeReadable | null;
+    kill(signal?: string | number): boolean;
+    on(event: string, listener: (...args: any[]) => void): unknown;
+    off(event: string, listener: (...args: any[]) => void): unknown;
+}
+
+/** Newline-delimited JSON over a readable/writable stream pair */
+export declare class StdioTransport implements Transport {
+    static isSupported(): boolean;
+    /** Talks to a child spawned with piped stdin and stdout */
+    static fromChildProcess(child: NodeChildProcess, options?: Partial<StdioTransportOptions>): StdioTransport;
+    /** Talks to the parent through this process's stdin/stdout */
+    static fromProcess(proc?: { stdin: NodeReadable; stdout: NodeWritable }, options?: Partial<StdioTransportOptions>): StdioTransport;
+    /** Messages waiting for the output stream to drain */
+    readonly bufferedAmount: number;
+    readonly isDestroyed: boolean;
+    readonly isDisconnected: boolean;
+    constructor(options: StdioTransportOptions);
+    send(message: unknown): void;
+    onMessage(handler: (message: unknown, context: { origin: string }) => void): void;
+    offMessage(): void;
+    onDisconnect(handler: (reason: 'exit' | 'error' | 'close', details?: ProcessExitDetails) => void): void;
+    destroy(): void;
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Server
+// ─────────────────────────────────────────────────────────────────
+
+/** The parts of a Node.js `IncomingMessage` `WebSocketHub` uses */
+export interface UpgradeRequest {
+    readonly method?: string;
+    readonly url?: string;
+    readonly headers: Record<string, string | string[] | undefined>;
+}
+
+/** The parts of a Node.js `http.Server` `WebSocketHub` uses */
+export interface UpgradeServer {
+    on(event: 'upgrade', listener: (request: any, socket: any, head: any) => void): unknown;
+    off(event: 'upgrade', listener: (request: any, socket: any, head: any) => void): unknown;
+    listenerCount(event: string): number;
+}
+
+export interface WebSocketHubOptions {
+    /** Server to attach to right away */
+    server?: UpgradeServer;
+    /** Only upgrade requests for this path are accepted (default: '/') */
+    path?: string;
+    /** Largest message a client may send, in bytes (default: 16 MiB) */
+    maxMessageSize?: number;
+    /** WebSocket ping interval; a connection that misses a pong is dropped. 0 disables (default: 30000) */
+    pingIntervalMs?: number;
+    /** Accepts or refuses (401) an upgrade request */
+    verifyClient?: (request: UpgradeRequest) => boolean | Promise<boolean>;
+    /** Extra `addTransport()` options for every connection */
+    peerOptions?: AddTransportOptions;
+    /** How long a `resume` client's session is kept after its socket dropped. 0 disables (default: 30000) */
+    sessionTimeoutMs?: number;
+    /** Messages kept per session until the client acknowledges them (default: 1000) */
+    maxUnackedMessages?: number;
+    /** Buses reachable on channels: a client's `channel(id)` becomes a peer of `services[id]` */
+    services?: Record<string, CrossBus>;
+    /** Bytes buffered on a socket above which channel messages are queued (default: 1 MiB) */
+    highWaterMark?: number;
+}
+
+export interface WebSocketCloseDetails {
+    /** Close code; 1006 if the connection dropped without one */
+    code: number;
+    reason: string;
+}
+
+/** Server end of one WebSocket connection, created by `WebSocketHub` */
+export declare class WebSocketConnection implements Transport {
+    /** Provisional peer ID, replaced by the ID the client proves in the handshake */
+    readonly peerId: string;
+    /** Bytes written but not yet flushed to the network */
+    readonly bufferedAmount: number;
+    readonly isDestroyed: boolean;
+    readonly isDisconnected: boolean;
+    /** Token the client resumes its session with; null without `resume` */
+    readonly sessionId: string | null;
+    /** Resolves once the connection (or its session) has ended */
+    readonly closed: Promise<void>;
+    send(message: unknown): void;
+    onMessage(handler: (message: unknown, context: { origin: string }) => void): void;
+    offMessage(): void;
+    onDisconnect(handler: (reason: 'close', details: WebSocketCloseDetails) => void): void;
+    onStateChange(handler: (state: 'connected' | 'disconnected') => void): void;
+    /** Open channels */
+    readonly channelCount: number;
+    channel(id: string, options?: WebSocketChannelOptions): WebSocketChannel;
+    /** Asked to open the channel of a message for one that is not open */
+    onChannel(handler: (id: string) => void): void;
+    /** Continues the session on a new socket; false if it has ended */
+    resume(socket: unknown, ack: number): boolean;
+    close(code?: number, reason?: string): void;
+    ping(): void;
+    destroy(): void;
+}
+
+/** Accepts `WebSocketTransport` clients on a Node.js http server, one peer per connection */
+export declare class WebSocketHub {
+    /** Open connections, including those still in the handshake and sessions waiting to be resumed */
+    readonly connectionCount: number;
+    constructor(bus: CrossBus, options?: WebSocketHubOptions);
+    attach(server: UpgradeServer): void;
+    detach(server?: UpgradeServer): void;
+    /** For servers that route `upgrade` events themselves; the path is not checked */
+    handleUpgrade(request: UpgradeRequest, socket: unknown, head?: Uint8Array): Promise<WebSocketConnection | null>;
+    /** Detaches and closes every connection (default code 1001) */
+    close(code?: number, reason?: string): Promise<void>;
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Security
+// ─────────────────────────────────────────────────────────────────
+
+export interface HandshakeAuthenticator {
+    /** Scheme name, announced in the handshake; both peers must use the same one */
+    type: string;
+    /** Creates the proof that we hold our credential */
+    sign(data: string): Promise<string>;
+    /** Checks the proof sent by a peer claiming to be `peerId` */
+    verify(data: string, proof: string, peerId: string): Promise<boolean>;
+}
+
+export interface EcdsaAuthenticatorOptions {
+    /** Our ECDSA P-256 private key */
+    privateKey: CryptoKey | JsonWebKey;
+    /** Public keys of trusted peers by peer ID; peers without one are rejected */
+    publicKeys:
+        | Record<string, CryptoKey | JsonWebKey>
+        | ((peerId: string) => CryptoKey | JsonWebKey | undefined | Promise<CryptoKey | JsonWebKey | undefined>);
+}
+
+export declare function createHmacAuthenticator(secret: string | BufferSource | CryptoKey): HandshakeAuthenticator;
+export declare function createEcdsaAuthenticator(options: EcdsaAuthenticatorOptions): HandshakeAuthenticator;
+export declare function generateEcdsaKeyPair(extractable?: boolean): Promise<CryptoKeyPair>;
+
 // ─────────────────────────────────────────────────────────────────
 // Testing Utilities
 // ─────────────────────────────────────────────────────────────────
@@ -378,6 +895,80 @@ export declare function withEncryption(key: CryptoKey): {
     decrypt: (data: unknown) => Promise<unknown>;
 };
 
+export declare const KEY_EXCHANGE_HANDLER: 'crossbus:key-exchange';
+
+export interface SessionEncryptionOptions {
+    /** Exchange a new key with each peer this often, in ms (0 = never). */
+    rotateInterval?: number;
+    /** How long a replaced key still decrypts messages, in ms. */
+    gracePeriod?: number;
+    /** Timeout of a key exchange, in ms. */
+    exchangeTimeout?: number;
+    /** Signs the exchanged public keys. */
+    authenticator?: HandshakeAuthenticator;
+}
+
+export declare class SessionEncryption {
+    constructor(bus: CrossBus, options?: SessionEncryptionOptions);
+    ready(peerId: string): Promise<string>;
+    getKeyId(peerId: string): string | null;
+    rotate(peerId: string): Promise<string>;
+    destroy(): void;
+}
+
+export declare function withSessionEncryption(bus: CrossBus, options?: SessionEncryptionOptions): SessionEncryption;
+
+// Signing Plugin
+export declare const SigningAlgorithm: {
+    readonly ED25519: 'Ed25519';
+    readonly ECDSA: 'ECDSA';
+};
+
+export interface SignedPayload {
+    _signed: true;
+    /** JSON of the payload, signed as is */
+    data?: string;
+    sig: string;
+    kid: string;
+    alg: 'Ed25519' | 'ECDSA';
+    context: {
+        type: string | null;
+        name: string | null;
+        source: string | null;
+        target: string | null;
+        ts: number;
+    };
+}
+
+export interface SigningOptions {
+    privateKey: CryptoKey | JsonWebKey;
+    keyId: string;
+    /** Public keys of the peers, by peer ID and key ID */
+    publicKeys?: Record<string, Record<string, CryptoKey | JsonWebKey>>;
+    /** How long a peer's previous keys are still accepted after `addPeerKey`, in ms */
+    gracePeriod?: number;
+    /** Payloads signed more than this many ms before or after our clock are rejected (default: 60000, 0 = no limit) */
+    maxAge?: number;
+}
+
+export declare class Signing {
+    static generateKeyPair(algorithm?: 'Ed25519' | 'ECDSA', extractable?: boolean): Promise<CryptoKeyPair>;
+    static importKey(key: CryptoKey | JsonWebKey, usage: 'sign' | 'verify'): Promise<CryptoKey>;
+    static sign(payload: unknown, privateKey: CryptoKey, options?: { keyId?: string; context?: Record<string, string | null | undefined> }): Promise<SignedPayload>;
+    static verify(signed: SignedPayload, publicKey: CryptoKey, options?: { context?: Record<string, string | null | undefined>; maxAge?: number }): Promise<unknown>;
+}
+
+export declare class MessageSigner {
+    constructor(bus: CrossBus, options: SigningOptions);
+    readonly keyId: string;
+    rotate(privateKey: CryptoKey | JsonWebKey, keyId: string): void;
+    addPeerKey(peerId: string, keyId: string, publicKey: CryptoKey | JsonWebKey): void;
+    removePeerKey(peerId: string, keyId?: string): boolean;
+    destroy(): void;
+}
+
+export declare function withSigning(bus: CrossBus, options: SigningOptions): MessageSigner;
+
 // Compression Plugin
 export declare function withCompression(): {
     compress: (data: unknown) => Promise<unknown>;
@@ -9,6 +9,7 @@ export { CrossBus } from './core/cross-bus.js';
 export { EventEmitter, createFastEmitter } from './core/event-emitter.js';
 export { WritableSignalStream, ReadableSignalStream, StreamManager } from './core/stream.js';
 export { PresenceManager, createPresence } from './core/presence.js';
+export { HeartbeatMonitor } from './core/heartbeat.js';
 
 // Common
 export {
@@ -17,8 +18,10 @@ export {
     PeerStatus,
     PeerType,
     DeliveryStatus,
+    CallStrategy,
     PROTOCOL_MARKER,
-    PROTOCOL_VERSION
+    PROTOCOL_VERSION,
+    DISCOVERY_HANDLER
 } from './common/types.js';
 
 export {
@@ -35,7 +38,8 @@ export {
     withTimeout,
     isCloneable,
     detectPeerType,
-    timestamp
+    timestamp,
+    byteSize
 } from './common/utils.js';
 
 // Transports
@@ -46,14 +50,29 @@ export { SharedWorkerTransport } from './transports/shared-worker.js';
 export { ServiceWorkerTransport } from './transports/service-worker.js';
 export { NativeBridgeTransport } from './transports/native-bridge.js';
 export { WebSocketTransport } from './transports/websocket.js';
+export { WorkerThreadsTransport } from './transports/worker-threads.js';
+export { ChildProcessTransport } from './transports/child-process.js';
+export { StdioTransport } from './transports/stdio.js';
+
+// Server
+export { WebSocketHub, WebSocketConnection } from './server/websocket-hub.js';
 
 // Security
 export { OriginValidator, OriginValidatorPresets } from './security/origin-validator.js';
 export { Handshake } from './security/handshake.js';
+export { ReplayGuard } from './security/replay-guard.js';
+export { MessageSanitizer, SanitizerPresets } from './security/sanitizer.js';
+export { AccessControl } from './security/access-control.js';
+export {
+    createHmacAuthenticator,
+    createEcdsaAuthenticator,
+    generateEcdsaKeyPair
+} from './security/authenticators.js';
 
 // Router
 export { MessageRouter } from './router/message-router.js';
 export { PendingRequests } from './router/pending-requests.js';
+export { HandlerDirectory } from './router/handler-directory.js';
 
 // Ordering (causal consistency for multi-context sync)
 export { VectorClock } from './ordering/vector-clock.js';
@@ -5,11 +5,30 @@
  * @module plugins/encryption
  */
 
+import { CrossBusError, ErrorCode } from '../common/errors.js';
+import { uuid, toBase64, fromBase64 } from '../common/utils.js';
+import { PeerStatus } from '../common/types.js';
+
 /**
  * @typedef {Object} EncryptedPayload
  * @property {boolean} _encrypted - Marker indicating encrypted content
  * @property {string} ciphertext - Base64-encoded encrypted data
  * @property {string} iv - Base64-encoded initialization vector
+ * @property {string} [kid] - ID of the session key used (session encryption)
+ * @property {MessageBinding} [context] - Message the payload is sealed to (authenticated, not encrypted)
+ */
+
+/**
+ * The message a payload is encrypted for. It is authenticated with the
+ * ciphertext (AES-GCM additional data), so the payload can't be replayed
+ * in another message.
+ * 
+ * @typedef {Object} MessageBinding
+ * @property {string|null} [type] - Message type ('signal', 'request' or 'response')
+ * @property {string|null} [name] - Handler or signal name
+ * @property {string|null} [source] - Sending peer ID
+ * @property {string|null} [target] - Receiving peer ID (none for signals)
+ * @property {number} [ts] - When the payload was encrypted (set by `encrypt`)
  */
 
 /**
@@ -130,14 +149,18 @@ export class Encryption {
      * 
      * @param {any} payload - Data to encrypt (will be JSON serialized)
      * @param {CryptoKey} key - Encryption key
+     * @param {Object} [options={}] - Encryption options
+     * @param {string} [options.keyId] - Key ID to put in the envelope, so the receiver can pick the key
+     * @param {MessageBinding} [options.binding] - Message to seal the payload to
      * @returns {Promise<EncryptedPayload>} Encrypted payload
      */
-    static async encrypt(payload, key) {
+    static async encrypt(payload, key, options = {}) {
         // Wrap payload with timestamp for replay protection
         const wrapped = {
             data: payload,
             _ts: Date.now()
         };
+        const context = options.binding ? { ...bindingFields(options.binding), ts: wrapped._ts } : undefined;
 
         const encoder = new TextEncoder();
         const data = encoder.encode(JSON.stringify(wrapped));
@@ -149,17 +172,22 @@ export class Encryption {
         const ciphertext = await crypto.subtle.encrypt(
             {
                 name: this.ALGORITHM,
-                iv
+                iv,
+                ...(context && { additionalData: additionalData(context) })
             },
             key,
             data
         );
 
-        return {
+        /** @type {EncryptedPayload} */
+        const encrypted = {
             _encrypted: true,
             ciphertext: this.#arrayBufferToBase64(ciphertext),
             iv: this.#arrayBufferToBase64(iv)
         };
+        if (options.keyId !== undefined) encrypted.kid = options.keyId;
+        if (context) encrypted.context = context;
+        return encrypted;
     }
 
     /**
@@ -169,24 +197,48 @@ export class Encryption {
      * @param {CryptoKey} key - Decryption key
      * @param {Object} [options={}] - Decryption options
      * @param {number} [options.ttl=60000] - Time-to-live window in ms (replay protection)
+     * @param {MessageBinding} [options.binding] - Message the payload must have been sealed to
      * @returns {Promise<any>} Decrypted payload
-     * @throws {Error} If message is expired (replay attack)
+     * @throws {CrossBusError} `ERR_CONTEXT_MISMATCH` if the payload was sealed to another message,
+     *   `ERR_UNAUTHORIZED` if it cannot be decrypted (wrong key, tampered ciphertext or context),
+     *   `ERR_REPLAY_DETECTED` if it is older than `ttl`
      */
     static async decrypt(encrypted, key, options = {}) {
-        const ciphertext = this.#base64ToArrayBuffer(encrypted.ciphertext);
-        const iv = this.#base64ToArrayBuffer(encrypted.iv);
+        const context = encrypted.context;
 
-        const decrypted = await crypto.subtle.decrypt(
-            {
-                name: this.ALGORITHM,
-                iv
-            },
-            key,
-            ciphertext
-        );
+        if (options.binding) {
+            const expected = bindingFields(options.binding);
+            const actual = context && typeof context === 'object' ? bindingFields(context) : null;
+            if (!actual || typeof context?.ts !== 'number' ||
+                Object.keys(expected).some(field => expected[field] !== actual[field])) {
+                throw new CrossBusError(
+                    ErrorCode.CONTEXT_MISMATCH,
+                    `Encrypted payload was sealed for another message (expected ${expected.type} ${expected.name} from ${expected.source})`,
+                    { details: { expected, actual } }
+                );
+            }
+        }
 
-        const decoder = new TextDecoder();
-        const unwrapped = JSON.parse(decoder.decode(decrypted));
+        // A tampered context fails authentication like a tampered ciphertext
+        let unwrapped;
+        try {
+            const ciphertext = this.#base64ToArrayBuffer(encrypted.ciphertext);
+            const iv = this.#base64ToArrayBuffer(encrypted.iv);
+            const decrypted = await crypto.subtle.decrypt(
+                {
+                    name: this.ALGORITHM,
+                    iv,
+                    ...(context && { additionalData: additionalData(context) })
+                },
+                key,
+                ciphertext
+            );
+            unwrapped = JSON.parse(new TextDecoder().decode(decrypted));
+        } catch (error) {
+            throw new CrossBusError(ErrorCode.UNAUTHORIZED, 'Encrypted payload could not be decrypted', {
+                cause: /** @type {Error} */ (error)
+            });
+        }
 
         // Handle legacy payloads (no timestamp) vs new wrapped payloads
         const payload = unwrapped._ts ? unwrapped.data : unwrapped;
@@ -199,7 +251,11 @@ export class Encryption {
 
             // Check if expired
             if (now - timestamp > ttl) {
-                throw new Error(`Message expired (replay attack detected). Age: ${now - timestamp}ms, TTL: ${ttl}ms`);
+                throw new CrossBusError(
+                    ErrorCode.REPLAY_DETECTED,
+                    `Message expired (replay attack detected). Age: ${now - timestamp}ms, TTL: ${ttl}ms`,
+                    { details: { age: now - timestamp, ttl } }
+                );
             }
 
             // Check for future timestamps (clock skew/manipulation)
@@ -213,6 +269,9 @@ export class Encryption {
 
     /**
      * Creates hook functions for automatic encryption/decryption.
+     * Payloads are sealed to their message (type, handler or signal name,
+     * source and target peers, timestamp): a ciphertext moved to another
+     * handler or peer is rejected with `ERR_CONTEXT_MISMATCH`.
      * 
      * @param {CryptoKey} key - Encryption key
      * @returns {{ encryptHook: import('../core/cross-bus.js').MessageHook, decryptHook: import('../core/cross-bus.js').MessageHook }}
@@ -227,17 +286,89 @@ export class Encryption {
             encryptHook: async (payload, context) => {
                 // Skip if already encrypted
                 if (payload && payload._encrypted) return payload;
-                return await this.encrypt(payload, key);
+                return await this.encrypt(payload, key, { binding: bindingOf(context) });
             },
 
             decryptHook: async (payload, context) => {
                 // Skip if not encrypted
                 if (!payload || !payload._encrypted) return payload;
-                return await this.decrypt(payload, key);
+                return await this.decrypt(payload, key, { binding: bindingOf(context) });
             }
         };
     }
 
+    /**
+     * Generates an ephemeral ECDH P-256 key pair for a key exchange.
+     * 
+     * @returns {Promise<CryptoKeyPair>} Key pair
+     */
+    static async generateKeyPair() {
+        return /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey(
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            ['deriveBits']
+        ));
+    }
+
+    /**
+     * Exports an ECDH public key to base64 (raw, uncompressed point).
+     * 
+     * @param {CryptoKey} publicKey - ECDH public key
+     * @returns {Promise<string>} Base64-encoded key
+     */
+    static async exportPublicKey(publicKey) {
+        return toBase64(await crypto.subtle.exportKey('raw', publicKey));
+    }
+
+    /**
+     * Imports an ECDH public key exported with `exportPublicKey`.
+     * 
+     * @param {string} keyStr - Base64-encoded key
+     * @returns {Promise<CryptoKey>} ECDH public key
+     */
+    static async importPublicKey(keyStr) {
+        return await crypto.subtle.importKey(
+            'raw',
+            fromBase64(keyStr),
+            { name: 'ECDH', namedCurve: 'P-256' },
+            true,
+            []
+        );
+    }
+
+    /**
+     * Derives an AES-256-GCM session key from an ECDH exchange with HKDF-SHA256.
+     * Both sides get the same key from their own private key and the other's public key.
+     * 
+     * @param {CryptoKey} privateKey - Our ECDH private key
+     * @param {CryptoKey} publicKey - The peer's ECDH public key
+     * @param {Object} [options={}] - HKDF parameters
+     * @param {string} [options.salt=''] - HKDF salt
+     * @param {string} [options.info=''] - HKDF info, binding the key to its use
+     * @returns {Promise<CryptoKey>} Session key (not extractable)
+     */
+    static async deriveSessionKey(privateKey, publicKey, options = {}) {
+        const encoder = new TextEncoder();
+        const secret = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+        const material = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+
+        return await crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: encoder.encode(options.salt ?? ''),
+                info: encoder.encode(options.info ?? '')
+            },
+            material,
+            {
+                name: this.ALGORITHM,
+                length: this.KEY_LENGTH
+            },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
     // ─────────────────────────────────────────────────────────────────
     // Private helpers
     // ─────────────────────────────────────────────────────────────────
@@ -280,3 +411,505 @@ export function withEncryption(bus, key) {
     bus.addInboundHook(decryptHook);
     return bus;
 }
+
+/**
+ * Handler answering session key exchanges (see `withSessionEncryption`).
+ * @constant {string}
+ */
+export const KEY_EXCHANGE_HANDLER = 'crossbus:key-exchange';
+
+/**
+ * @typedef {Object} SessionEncryptionOptions
+ * @property {number} [rotateInterval=0] - Exchange a new key with each peer this often, in ms (0 = never).
+ * @property {number} [gracePeriod=30000] - How long a replaced key still decrypts messages, in ms.
+ * @property {number} [exchangeTimeout=10000] - Timeout of a key exchange, in ms.
+ * @property {import('../security/authenticators.js').HandshakeAuthenticator} [authenticator] - Signs the exchanged
+ *   public keys, so a peer relaying the exchange (e.g. a hub) can't put itself in the middle.
+ */
+
+/**
+ * @typedef {Object} SessionKey
+ * @property {CryptoKey} key - AES-GCM key.
+ * @property {number} expiresAt - When a replaced key stops decrypting (Infinity while in use).
+ */
+
+/**
+ * A signal payload, encrypted once for each peer it is sent to.
+ * @typedef {Object} SessionSignalPayload
+ * @property {true} _encrypted - Marker indicating encrypted content
+ * @property {Record<string, EncryptedPayload>} recipients - The payload encrypted with each peer's key, by peer ID
+ */
+
+/**
+ * @typedef {Object} PeerKeys
+ * @property {string|null} sending - ID of the key we encrypt with (from our last exchange).
+ * @property {SessionKey|null} ours - The key we encrypt with.
+ * @property {Map<string, SessionKey>} theirs - Keys the peer encrypts with (from its exchanges), by ID.
+ * @property {Promise<string>|null} exchanging - Our exchange in progress.
+ * @property {ReturnType<typeof setTimeout>|null} timer - Next rotation.
+ */
+
+/**
+ * Per-peer session keys for the encryption hooks.
+ * 
+ * Each peer runs an ECDH (P-256) exchange through `KEY_EXCHANGE_HANDLER`
+ * when it connects (or before its first message if that was missed) and
+ * derives an AES-GCM key for the pair with HKDF. The hooks encrypt with
+ * the key of `context.peerId` and put its ID (`kid`) in the envelope, so
+ * a peer only ever holds the keys for its own traffic.
+ * 
+ * Each side encrypts with the key of the exchange it started and decrypts
+ * with the keys of the exchanges the peer started, so a side never sends
+ * with a key the other can't have derived yet. Keys can be rotated on a
+ * schedule or with `rotate()`; replaced keys keep decrypting for
+ * `gracePeriod` so messages in flight aren't lost.
+ * 
+ * Signals are broadcast with a single payload, so it carries a copy
+ * encrypted for each connected peer (see `SessionSignalPayload`) and grows
+ * with their number. Peers that are not connected when the signal is sent
+ * get no copy and drop it, even if it is queued for them.
+ * 
+ * Payloads under an unknown or expired key, and signals without a copy for
+ * us, are refused with `ERR_UNAUTHORIZED` (see `security:violation`).
+ * 
+ * @example
+ * import { withSessionEncryption } from 'crossbus/plugins/encryption';
+ * 
+ * const session = withSessionEncryption(bus, { rotateInterval: 15 * 60 * 1000 });
+ * await bus.request('widget', 'getData'); // encrypted with the page/widget key
+ */
+export class SessionEncryption {
+    /** @type {import('../core/cross-bus.js').CrossBus} */
+    #bus;
+
+    /** @type {Required<Omit<SessionEncryptionOptions, 'authenticator'>>} */
+    #options;
+
+    /** @type {import('../security/authenticators.js').HandshakeAuthenticator|null} */
+    #authenticator;
+
+    /** @type {Map<string, PeerKeys>} */
+    #peers = new Map();
+
+    /** @type {Function[]} Undo the hooks, handler and listeners */
+    #cleanup = [];
+
+    /**
+     * Installs the session encryption hooks and key exchange handler on a bus.
+     * 
+     * @param {import('../core/cross-bus.js').CrossBus} bus
+     * @param {SessionEncryptionOptions} [options={}]
+     */
+    constructor(bus, options = {}) {
+        this.#bus = bus;
+        this.#options = {
+            rotateInterval: options.rotateInterval ?? 0,
+            gracePeriod: options.gracePeriod ?? 30000,
+            exchangeTimeout: options.exchangeTimeout ?? 10000
+        };
+        this.#authenticator = options.authenticator ?? null;
+
+        bus.handle(KEY_EXCHANGE_HANDLER, (offer, { peerId }) => this.#answer(offer, peerId));
+        const connected = bus.on('peer:connected', (e) => {
+            this.#exchange(e.data.peerId).catch(() => { });
+        }, { mode: 'sync' });
+        const disconnected = bus.on('peer:disconnected', (e) => this.#forget(e.data.peerId), { mode: 'sync' });
+
+        this.#cleanup.push(
+            () => bus.unhandle(KEY_EXCHANGE_HANDLER),
+            bus.addOutboundHook((payload, context) => this.#encrypt(payload, context)),
+            bus.addInboundHook((payload, context) => this.#decrypt(payload, context)),
+            () => connected.unsubscribe(),
+            () => disconnected.unsubscribe()
+        );
+    }
+
+    /**
+     * Waits for a session key with a peer, exchanging one if needed.
+     * 
+     * @param {string} peerId
+     * @returns {Promise<string>} ID of the key we encrypt with.
+     */
+    async ready(peerId) {
+        return (await this.#sendingKey(peerId)).kid;
+    }
+
+    /**
+     * Gets the ID of the key we encrypt with for a peer.
+     * 
+     * @param {string} peerId
+     * @returns {string|null}
+     */
+    getKeyId(peerId) {
+        return this.#peers.get(peerId)?.sending ?? null;
+    }
+
+    /**
+     * Exchanges a new key with a peer now. The peer keeps accepting the old
+     * one for `gracePeriod`.
+     * 
+     * @param {string} peerId
+     * @returns {Promise<string>} ID of the new key.
+     */
+    async rotate(peerId) {
+        return this.#exchange(peerId);
+    }
+
+    /**
+     * Removes the hooks and handler and forgets all keys.
+     */
+    destroy() {
+        for (const undo of this.#cleanup) undo();
+        this.#cleanup = [];
+        for (const peerId of [...this.#peers.keys()]) this.#forget(peerId);
+    }
+
+    /**
+     * Outbound hook: encrypts with the key of the peer the message is for.
+     * 
+     * @param {*} payload
+     * @param {import('../core/cross-bus.js').HookContext} context
+     * @returns {Promise<*>}
+     */
+    async #encrypt(payload, context) {
+        if (context.handlerName === KEY_EXCHANGE_HANDLER || payload?._encrypted) return payload;
+        if (context.type === 'signal') return this.#encryptSignal(payload, context);
+
+        // Never sent in clear: hook errors would let the plain payload through
+        if (!context.peerId) return withheld();
+        try {
+            const { kid, key } = await this.#sendingKey(context.peerId);
+            return await Encryption.encrypt(payload, key, { keyId: kid, binding: bindingOf(context) });
+        } catch (error) {
+            console.error(`[CrossBus] No session key for ${context.peerId}:`, error);
+            return withheld();
+        }
+    }
+
+    /**
+     * Encrypts a signal payload with the key of each connected peer.
+     * 
+     * @param {*} payload
+     * @param {import('../core/cross-bus.js').HookContext} context
+     * @returns {Promise<SessionSignalPayload>}
+     */
+    async #encryptSignal(payload, context) {
+        /** @type {Record<string, EncryptedPayload>} */
+        const recipients = {};
+        const connected = this.#bus.peers.filter(peerId => this.#bus.getPeer(peerId)?.status === PeerStatus.CONNECTED);
+
+        await Promise.all(connected.map(async (peerId) => {
+            try {
+                const { kid, key } = await this.#sendingKey(peerId);
+                recipients[peerId] = await Encryption.encrypt(payload, key, {
+                    keyId: kid,
+                    binding: { ...bindingOf(context), target: peerId }
+                });
+            } catch (error) {
+                console.error(`[CrossBus] No session key for ${peerId}, signal "${context.handlerName}" not sent to it:`, error);
+            }
+        }));
+        return { _encrypted: true, recipients };
+    }
+
+    /**
+     * Inbound hook: decrypts with the key the envelope names.
+     * 
+     * @param {*} payload
+     * @param {import('../core/cross-bus.js').HookContext} context
+     * @returns {Promise<*>}
+     */
+    async #decrypt(payload, context) {
+        if (!payload || !payload._encrypted) return payload;
+
+        // Signals: our own copy, sealed to us
+        let envelope = payload;
+        let binding = bindingOf(context);
+        if (payload.recipients && typeof payload.recipients === 'object') {
+            envelope = Object.hasOwn(payload.recipients, this.#bus.peerId) ? payload.recipients[this.#bus.peerId] : undefined;
+            if (!envelope || typeof envelope !== 'object') {
+                throw new CrossBusError(
+                    ErrorCode.UNAUTHORIZED,
+                    `Signal from ${context.peerId} was not encrypted for us`,
+                    { details: { peerId: context.peerId } }
+                );
+            }
+            binding = { ...binding, target: this.#bus.peerId };
+        }
+
+        const stored = typeof envelope.kid === 'string'
+            ? this.#peers.get(/** @type {string} */(context.peerId))?.theirs.get(envelope.kid)
+            : undefined;
+        if (!stored || stored.expiresAt < Date.now()) {
+            throw new CrossBusError(
+                ErrorCode.UNAUTHORIZED,
+                `Unknown or expired session key ${envelope.kid} for ${context.peerId}`,
+                { details: { peerId: context.peerId, kid: envelope.kid } }
+            );
+        }
+        return await Encryption.decrypt(envelope, stored.key, { binding });
+    }
+
+    /**
+     * Gets the key we encrypt with for a peer, exchanging one if there is none yet.
+     * 
+     * @param {string} peerId
+     * @returns {Promise<{ kid: string, key: CryptoKey }>}
+     */
+    async #sendingKey(peerId) {
+        const entry = this.#entry(peerId);
+        if (!entry.ours) await (entry.exchanging ?? this.#exchange(peerId));
+
+        const current = this.#peers.get(peerId);
+        if (!current?.ours || !current.sending) {
+            throw CrossBusError.from(ErrorCode.PEER_DISCONNECTED, { peerId });
+        }
+        return { kid: current.sending, key: current.ours.key };
+    }
+
+    /**
+     * Runs a key exchange with a peer; we encrypt with the new key once it's done.
+     * 
+     * @param {string} peerId
+     * @returns {Promise<string>} ID of the new key.
+     */
+    #exchange(peerId) {
+        const entry = this.#entry(peerId);
+        if (entry.exchanging) return entry.exchanging;
+
+        const exchanging = this.#offer(peerId).then(({ kid, key }) => {
+            if (this.#peers.get(peerId) !== entry) {
+                throw CrossBusError.from(ErrorCode.PEER_DISCONNECTED, { peerId });
+            }
+            entry.sending = kid;
+            entry.ours = { key, expiresAt: Infinity };
+            this.#schedule(peerId, entry);
+            return kid;
+        }).finally(() => {
+            if (entry.exchanging === exchanging) entry.exchanging = null;
+        });
+
+        entry.exchanging = exchanging;
+        return exchanging;
+    }
+
+    /**
+     * Sends our public key and derives the key from the peer's answer.
+     * 
+     * @param {string} peerId
+     * @returns {Promise<{ kid: string, key: CryptoKey }>}
+     */
+    async #offer(peerId) {
+        const kid = uuid();
+        const pair = await Encryption.generateKeyPair();
+        const publicKey = await Encryption.exportPublicKey(pair.publicKey);
+
+        const answer = await this.#bus.request(peerId, KEY_EXCHANGE_HANDLER, {
+            kid,
+            publicKey,
+            proof: await this.#sign(kid, publicKey, peerId)
+        }, { timeout: this.#options.exchangeTimeout });
+
+        if (!answer || typeof answer.publicKey !== 'string') {
+            throw new CrossBusError(ErrorCode.INVALID_MESSAGE, 'Invalid key exchange answer', { details: { peerId } });
+        }
+        await this.#verify(kid, answer.publicKey, answer.proof, peerId);
+
+        return { kid, key: await this.#derive(kid, pair.privateKey, answer.publicKey, peerId) };
+    }
+
+    /**
+     * Answers a key exchange started by a peer: the peer encrypts with the
+     * new key from now on, the ones it used before expire.
+     * 
+     * @param {*} offer
+     * @param {string} peerId
+     * @returns {Promise<{ kid: string, publicKey: string, proof?: string }>}
+     */
+    async #answer(offer, peerId) {
+        if (!offer || typeof offer.kid !== 'string' || typeof offer.publicKey !== 'string') {
+            throw new CrossBusError(ErrorCode.INVALID_MESSAGE, 'Invalid key exchange offer', { details: { peerId } });
+        }
+        await this.#verify(offer.kid, offer.publicKey, offer.proof, peerId);
+
+        const pair = await Encryption.generateKeyPair();
+        const publicKey = await Encryption.exportPublicKey(pair.publicKey);
+        const key = await this.#derive(offer.kid, pair.privateKey, offer.publicKey, peerId);
+
+        const { theirs } = this.#entry(peerId);
+        const now = Date.now();
+        for (const [kid, stored] of theirs) {
+            if (stored.expiresAt < now) theirs.delete(kid);
+            else stored.expiresAt = Math.min(stored.expiresAt, now + this.#options.gracePeriod);
+        }
+        theirs.set(offer.kid, { key, expiresAt: Infinity });
+
+        return { kid: offer.kid, publicKey, proof: await this.#sign(offer.kid, publicKey, peerId) };
+    }
+
+    /**
+     * Derives the key both peers get from an exchange.
+     * 
+     * @param {string} kid
+     * @param {CryptoKey} privateKey - Our private key.
+     * @param {string} publicKey - The peer's public key (base64).
+     * @param {string} peerId
+     * @returns {Promise<CryptoKey>}
+     */
+    async #derive(kid, privateKey, publicKey, peerId) {
+        return Encryption.deriveSessionKey(privateKey, await Encryption.importPublicKey(publicKey), {
+            salt: kid,
+            info: ['crossbus-session:1', ...[this.#bus.peerId, peerId].sort()].join('\n')
+        });
+    }
+
+    /**
+     * Schedules the next rotation of our key with a peer.
+     * 
+     * @param {string} peerId
+     * @param {PeerKeys} entry
+     */
+    #schedule(peerId, entry) {
+        if (entry.timer) clearTimeout(entry.timer);
+        entry.timer = null;
+        if (this.#options.rotateInterval <= 0) return;
+
+        entry.timer = setTimeout(() => {
+            entry.timer = null;
+            this.#exchange(peerId).catch(() => { });
+        }, this.#options.rotateInterval);
+        /** @type {any} */ (entry.timer).unref?.();
+    }
+
+    /**
+     * Signs our side of an exchange, if an authenticator is set.
+     * 
+     * @param {string} kid
+     * @param {string} publicKey
+     * @param {string} peerId - Peer the exchange is with.
+     * @returns {Promise<string|undefined>}
+     */
+    async #sign(kid, publicKey, peerId) {
+        return this.#authenticator?.sign(exchangeTranscript(kid, publicKey, this.#bus.peerId, peerId));
+    }
+
+    /**
+     * Checks the peer's side of an exchange, if an authenticator is set.
+     * 
+     * @param {string} kid
+     * @param {string} publicKey
+     * @param {*} proof
+     * @param {string} peerId
+     * @returns {Promise<void>}
+     * @throws {CrossBusError} If the proof is missing or invalid.
+     */
+    async #verify(kid, publicKey, proof, peerId) {
+        if (!this.#authenticator) return;
+
+        const data = exchangeTranscript(kid, publicKey, peerId, this.#bus.peerId);
+        if (typeof proof !== 'string' || !await this.#authenticator.verify(data, proof, peerId)) {
+            throw new CrossBusError(ErrorCode.UNAUTHORIZED, 'Invalid key exchange proof', { details: { peerId } });
+        }
+    }
+
+    /**
+     * @param {string} peerId
+     * @returns {PeerKeys}
+     */
+    #entry(peerId) {
+        let entry = this.#peers.get(peerId);
+        if (!entry) {
+            entry = { sending: null, ours: null, theirs: new Map(), exchanging: null, timer: null };
+            this.#peers.set(peerId, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * @param {string} peerId
+     */
+    #forget(peerId) {
+        const entry = this.#peers.get(peerId);
+        if (entry?.timer) clearTimeout(entry.timer);
+        this.#peers.delete(peerId);
+    }
+}
+
+/**
+ * The message a hook runs for.
+ * 
+ * @param {import('../core/cross-bus.js').HookContext} [context]
+ * @returns {MessageBinding}
+ */
+function bindingOf(context) {
+    return {
+        type: context?.type,
+        name: context?.handlerName,
+        source: context?.source,
+        target: context?.target
+    };
+}
+
+/**
+ * The fields of a binding that must match, normalized.
+ * 
+ * @param {MessageBinding} binding
+ * @returns {{ type: string|null, name: string|null, source: string|null, target: string|null }}
+ */
+function bindingFields(binding) {
+    return {
+        type: binding.type ?? null,
+        name: binding.name ?? null,
+        source: binding.source ?? null,
+        target: binding.target ?? null
+    };
+}
+
+/**
+ * AES-GCM additional data for a sealed context.
+ * 
+ * @param {MessageBinding} context
+ * @returns {Uint8Array}
+ */
+function additionalData(context) {
+    const { type, name, source, target } = bindingFields(context);
+    return new TextEncoder().encode(JSON.stringify(['crossbus-aad:1', type, name, source, target, context.ts ?? null]));
+}
+
+/**
+ * What a key exchange proof signs.
+ * 
+ * @param {string} kid
+ * @param {string} publicKey
+ * @param {string} signerId
+ * @param {string} verifierId
+ * @returns {string}
+ */
+function exchangeTranscript(kid, publicKey, signerId, verifierId) {
+    return ['crossbus-session:1', kid, publicKey, signerId, verifierId].join('\n');
+}
+
+/**
+ * An envelope that can't be decrypted, sent instead of a payload that
+ * could not be encrypted.
+ * 
+ * @returns {EncryptedPayload}
+ */
+function withheld() {
+    return { _encrypted: true, ciphertext: '', iv: '', kid: '' };
+}
+
+/**
+ * Helper to encrypt a bus's traffic with per-peer session keys.
+ * 
+ * @param {import("../core/cross-bus.js").CrossBus} bus - CrossBus instance
+ * @param {SessionEncryptionOptions} [options={}]
+ * @returns {SessionEncryption} Handle to inspect, rotate or remove the keys
+ * 
+ * @example
+ * const session = withSessionEncryption(bus, { rotateInterval: 60 * 60 * 1000 });
+ * await session.ready('widget'); // optional: requests wait for the key anyway
+ */
+export function withSessionEncryption(bus, options = {}) {
+    return new SessionEncryption(bus, options);
+}
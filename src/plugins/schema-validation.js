@@ -250,6 +250,8 @@ export function withSchemaValidation(schema, handler) {
 
 /**
  * Creates a validation hook that validates all inbound messages.
+ * Responses are not validated: the schemas describe what a handler accepts,
+ * not what it returns.
  * 
  * @param {Object<string, JSONSchema>} schemas - Map of handler name to schema
  * @returns {Function} Hook function for use with addInboundHook()
@@ -273,6 +275,8 @@ export function createValidationHook(schemas) {
     }
 
     return function validationHook(payload, context) {
+        if (context.type === 'response') return payload;
+
         const validator = validators.get(context.handlerName);
 
         if (validator) {
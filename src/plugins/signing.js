@@ -0,0 +1,481 @@
+/**
+ * @fileoverview Signing plugin for CrossBus.
+ * Signs message payloads with Ed25519 or ECDSA (P-256) so receivers can
+ * check who sent them and that nothing was changed, while they stay
+ * readable (e.g. for auditing). Uses the Web Crypto API.
+ *
+ * @module plugins/signing
+ */
+
+import { CrossBusError, ErrorCode } from '../common/errors.js';
+import { toBase64, fromBase64 } from '../common/utils.js';
+
+/**
+ * Supported signature algorithms.
+ * @readonly
+ * @enum {string}
+ */
+export const SigningAlgorithm = Object.freeze({
+    /** Ed25519 */
+    ED25519: 'Ed25519',
+    /** ECDSA on P-256 with SHA-256 */
+    ECDSA: 'ECDSA'
+});
+
+/**
+ * @typedef {Object} SignedContext
+ * @property {string|null} type - Message type ('signal', 'request' or 'response')
+ * @property {string|null} name - Handler or signal name
+ * @property {string|null} source - Sending peer ID
+ * @property {string|null} target - Receiving peer ID (none for signals)
+ * @property {number} ts - When the payload was signed
+ */
+
+/**
+ * @typedef {Object} SignedPayload
+ * @property {boolean} _signed - Marker indicating signed content
+ * @property {string} [data] - JSON of the payload, signed as is (none for an undefined payload)
+ * @property {string} sig - Base64-encoded signature
+ * @property {string} kid - ID of the signing key
+ * @property {SigningAlgorithm} alg - Signature algorithm
+ * @property {SignedContext} context - Message the signature covers
+ */
+
+/**
+ * @typedef {Object} MessageContext
+ * @property {string|null} [type] - Message type
+ * @property {string|null} [name] - Handler or signal name
+ * @property {string|null} [source] - Sending peer ID
+ * @property {string|null} [target] - Receiving peer ID
+ */
+
+const ECDSA_KEY = { name: 'ECDSA', namedCurve: 'P-256' };
+const ECDSA_SIGN = { name: 'ECDSA', hash: 'SHA-256' };
+const ED25519 = { name: 'Ed25519' };
+
+/**
+ * Signing utilities for CrossBus messages.
+ *
+ * @example
+ * import { Signing } from 'crossbus/plugins/signing';
+ *
+ * const keys = await Signing.generateKeyPair();
+ * const signed = await Signing.sign({ amount: 10 }, keys.privateKey, { keyId: 'audit-1' });
+ * const payload = await Signing.verify(signed, keys.publicKey);
+ */
+export class Signing {
+    /**
+     * Generates a key pair.
+     *
+     * @param {SigningAlgorithm} [algorithm='ECDSA'] - Ed25519 is smaller and faster, ECDSA works in older browsers
+     * @param {boolean} [extractable=true] - Whether the keys can be exported (e.g. to hand out the public key as JWK)
+     * @returns {Promise<CryptoKeyPair>} Key pair
+     */
+    static async generateKeyPair(algorithm = SigningAlgorithm.ECDSA, extractable = true) {
+        return /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey(
+            keyParams(algorithm),
+            extractable,
+            ['sign', 'verify']
+        ));
+    }
+
+    /**
+     * Imports a public or private key from JWK. The algorithm is taken from the key.
+     *
+     * @param {CryptoKey|JsonWebKey} key - Key (returned as is if already imported)
+     * @param {'sign'|'verify'} usage - What the key is for
+     * @returns {Promise<CryptoKey>} Imported key
+     * @throws {TypeError} If the key is not an Ed25519 or P-256 key
+     */
+    static async importKey(key, usage) {
+        if (isCryptoKey(key)) return key;
+
+        let algorithm;
+        if (key?.kty === 'OKP' && key.crv === 'Ed25519') algorithm = SigningAlgorithm.ED25519;
+        else if (key?.kty === 'EC' && key.crv === 'P-256') algorithm = SigningAlgorithm.ECDSA;
+        else throw new TypeError('Signing keys must be Ed25519 or ECDSA P-256 keys');
+
+        return await crypto.subtle.importKey('jwk', key, keyParams(algorithm), false, [usage]);
+    }
+
+    /**
+     * Signs a payload and the message it is sent in.
+     *
+     * @param {any} payload - Data to sign (will be JSON serialized)
+     * @param {CryptoKey} privateKey - Ed25519 or ECDSA P-256 private key
+     * @param {Object} [options={}] - Signing options
+     * @param {string} [options.keyId=''] - ID of the key, so the receiver can pick the public key
+     * @param {MessageContext} [options.context] - Message the payload is sent in
+     * @returns {Promise<SignedPayload>} Signed payload
+     */
+    static async sign(payload, privateKey, options = {}) {
+        const alg = /** @type {SigningAlgorithm} */ (privateKey.algorithm.name);
+        const kid = options.keyId ?? '';
+        const context = { ...contextFields(options.context), ts: Date.now() };
+        const data = payload === undefined ? undefined : JSON.stringify(payload);
+
+        const signature = await crypto.subtle.sign(
+            signParams(alg),
+            privateKey,
+            signedBytes(alg, kid, context, data)
+        );
+
+        return { _signed: true, data, sig: toBase64(signature), kid, alg, context };
+    }
+
+    /**
+     * Verifies a signed payload.
+     *
+     * @param {SignedPayload} signed - Signed payload
+     * @param {CryptoKey} publicKey - Public key of the signer
+     * @param {Object} [options={}] - Verification options
+     * @param {MessageContext} [options.context] - Message the payload must have been signed for
+     * @param {number} [options.maxAge] - Refuse payloads signed more than this many ms before (or after)
+     *   now, so old messages can't be replayed (default: no limit)
+     * @returns {Promise<any>} Payload
+     * @throws {CrossBusError} `ERR_UNAUTHORIZED` if the signature is invalid, too old or for another message
+     */
+    static async verify(signed, publicKey, options = {}) {
+        if (!signed || signed._signed !== true || typeof signed.sig !== 'string' ||
+            !signed.context || typeof signed.context.ts !== 'number') {
+            throw unauthorized('Unsigned message');
+        }
+
+        const alg = /** @type {SigningAlgorithm} */ (publicKey.algorithm.name);
+        if (signed.alg !== alg) {
+            throw unauthorized(`Signed with ${signed.alg}, expected ${alg}`);
+        }
+
+        if (options.context) {
+            const expected = contextFields(options.context);
+            const actual = contextFields(signed.context);
+            if (Object.keys(expected).some(field => expected[field] !== actual[field])) {
+                throw unauthorized('Payload was signed for another message', { expected, actual });
+            }
+        }
+
+        const maxAge = options.maxAge ?? 0;
+        if (maxAge > 0) {
+            const age = Date.now() - signed.context.ts;
+            if (Math.abs(age) > maxAge) {
+                throw unauthorized(`Signature expired. Age: ${age}ms, max: ${maxAge}ms`, { age, maxAge });
+            }
+        }
+
+        let signature;
+        try {
+            signature = fromBase64(signed.sig);
+        } catch {
+            throw unauthorized('Invalid signature');
+        }
+        const valid = await crypto.subtle.verify(
+            signParams(alg),
+            publicKey,
+            signature,
+            signedBytes(alg, signed.kid ?? '', signed.context, signed.data)
+        );
+        if (!valid) throw unauthorized('Invalid signature');
+
+        return signed.data === undefined ? undefined : JSON.parse(signed.data);
+    }
+}
+
+/**
+ * @typedef {Object} SigningOptions
+ * @property {CryptoKey|JsonWebKey} privateKey - Our private key.
+ * @property {string} keyId - ID of our key; peers register our public key under it.
+ * @property {Record<string, Record<string, CryptoKey|JsonWebKey>>} [publicKeys={}] - Public keys of the
+ *   peers, by peer ID and key ID. Messages from other peers or keys are rejected.
+ * @property {number} [gracePeriod=30000] - How long a peer's previous keys are still accepted after
+ *   `addPeerKey` gives it a new one, in ms.
+ * @property {number} [maxAge=60000] - Payloads signed longer ago than this (ms), or further ahead
+ *   of our clock, are rejected (0 = no limit).
+ */
+
+/**
+ * @typedef {Object} PeerKey
+ * @property {Promise<CryptoKey>} key - Public key.
+ * @property {number} expiresAt - When the key stops being accepted (Infinity until replaced).
+ */
+
+/**
+ * Signs every outbound payload and checks the signature of every inbound
+ * one against the keys registered for its sender. Unsigned messages,
+ * unknown keys, invalid signatures, payloads moved to another handler
+ * or peer and payloads signed more than `maxAge` ago are rejected with
+ * `ERR_UNAUTHORIZED`.
+ *
+ * @example
+ * import { withSigning } from 'crossbus/plugins/signing';
+ *
+ * const signer = withSigning(bus, {
+ *   privateKey: auditKeys.privateKey,
+ *   keyId: 'host-2026-10',
+ *   publicKeys: { widget: { 'widget-2026-10': widgetPublicJwk } }
+ * });
+ *
+ * // Later: the widget rotated its key; the old one is accepted for 30s more
+ * signer.addPeerKey('widget', 'widget-2026-11', newWidgetPublicJwk);
+ */
+export class MessageSigner {
+    /** @type {Promise<CryptoKey>} */
+    #privateKey;
+
+    /** @type {string} */
+    #keyId;
+
+    /** @type {number} */
+    #gracePeriod;
+
+    /** @type {number} */
+    #maxAge;
+
+    /** @type {Map<string, Map<string, PeerKey>>} */
+    #peers = new Map();
+
+    /** @type {Function[]} Undo the hooks */
+    #cleanup = [];
+
+    /**
+     * Installs the signing hooks on a bus.
+     *
+     * @param {import('../core/cross-bus.js').CrossBus} bus
+     * @param {SigningOptions} options
+     */
+    constructor(bus, options) {
+        const { privateKey, keyId, publicKeys = {}, gracePeriod = 30000, maxAge = 60000 } = options ?? {};
+        if (!privateKey || typeof keyId !== 'string') {
+            throw new TypeError('Signing needs a privateKey and a keyId');
+        }
+
+        this.#gracePeriod = gracePeriod;
+        this.#maxAge = maxAge;
+        this.#privateKey = importQuietly(privateKey, 'sign');
+        this.#keyId = keyId;
+        for (const [peerId, keys] of Object.entries(publicKeys)) {
+            for (const [id, key] of Object.entries(keys)) this.#store(peerId, id, key);
+        }
+
+        this.#cleanup.push(
+            bus.addOutboundHook((payload, context) => this.#sign(payload, context)),
+            bus.addInboundHook((payload, context) => this.#verify(payload, context))
+        );
+    }
+
+    /**
+     * ID of the key we sign with.
+     * @type {string}
+     */
+    get keyId() {
+        return this.#keyId;
+    }
+
+    /**
+     * Signs with a new key from now on. Peers must have its public key.
+     *
+     * @param {CryptoKey|JsonWebKey} privateKey
+     * @param {string} keyId
+     */
+    rotate(privateKey, keyId) {
+        this.#privateKey = importQuietly(privateKey, 'sign');
+        this.#keyId = keyId;
+    }
+
+    /**
+     * Registers a new public key for a peer. Its other keys are accepted
+     * for the grace period only.
+     *
+     * @param {string} peerId
+     * @param {string} keyId
+     * @param {CryptoKey|JsonWebKey} publicKey
+     */
+    addPeerKey(peerId, keyId, publicKey) {
+        const now = Date.now();
+        for (const [id, stored] of this.#peers.get(peerId) ?? []) {
+            if (id !== keyId) stored.expiresAt = Math.min(stored.expiresAt, now + this.#gracePeriod);
+        }
+        this.#store(peerId, keyId, publicKey);
+    }
+
+    /**
+     * Stops accepting a peer's key, or all its keys, right away.
+     *
+     * @param {string} peerId
+     * @param {string} [keyId]
+     * @returns {boolean} True if a key was removed.
+     */
+    removePeerKey(peerId, keyId) {
+        if (keyId === undefined) return this.#peers.delete(peerId);
+        return this.#peers.get(peerId)?.delete(keyId) ?? false;
+    }
+
+    /**
+     * Removes the hooks.
+     */
+    destroy() {
+        for (const undo of this.#cleanup) undo();
+        this.#cleanup = [];
+    }
+
+    /**
+     * Outbound hook.
+     *
+     * @param {*} payload
+     * @param {import('../core/cross-bus.js').HookContext} context
+     * @returns {Promise<SignedPayload|*>}
+     */
+    async #sign(payload, context) {
+        if (payload?._signed) return payload;
+        const signed = await Signing.sign(payload, await this.#privateKey, { keyId: this.#keyId, context: contextOf(context) });
+
+        // Errors stay readable to peers that don't check signatures; those that do read the signed copy
+        return context.failed && payload && typeof payload === 'object' ? { ...payload, ...signed } : signed;
+    }
+
+    /**
+     * Inbound hook.
+     *
+     * @param {*} payload
+     * @param {import('../core/cross-bus.js').HookContext} context
+     * @returns {Promise<*>}
+     * @throws {CrossBusError} `ERR_UNAUTHORIZED` to reject the message.
+     */
+    async #verify(payload, context) {
+        const peerId = context.source ?? context.peerId;
+        if (!payload?._signed) throw unauthorized('Unsigned message', { peerId });
+
+        const stored = peerId ? this.#peers.get(peerId)?.get(payload.kid) : undefined;
+        if (!stored) throw unauthorized(`Unknown signing key ${payload.kid}`, { peerId });
+        if (stored.expiresAt < Date.now()) throw unauthorized(`Expired signing key ${payload.kid}`, { peerId });
+
+        let key;
+        try {
+            key = await stored.key;
+        } catch {
+            throw unauthorized(`Unusable signing key ${payload.kid}`, { peerId });
+        }
+        return Signing.verify(payload, key, { context: contextOf(context), maxAge: this.#maxAge });
+    }
+
+    /**
+     * @param {string} peerId
+     * @param {string} keyId
+     * @param {CryptoKey|JsonWebKey} publicKey
+     */
+    #store(peerId, keyId, publicKey) {
+        const key = importQuietly(publicKey, 'verify');
+
+        let keys = this.#peers.get(peerId);
+        if (!keys) {
+            keys = new Map();
+            this.#peers.set(peerId, keys);
+        }
+        keys.set(keyId, { key, expiresAt: Infinity });
+    }
+}
+
+/**
+ * Helper to sign a bus's traffic and require signatures from its peers.
+ *
+ * @param {import("../core/cross-bus.js").CrossBus} bus - CrossBus instance
+ * @param {SigningOptions} options
+ * @returns {MessageSigner} Handle to rotate keys or remove the hooks
+ *
+ * @example
+ * const keys = await Signing.generateKeyPair(SigningAlgorithm.ED25519);
+ * withSigning(bus, { privateKey: keys.privateKey, keyId: 'page-1', publicKeys });
+ */
+export function withSigning(bus, options) {
+    return new MessageSigner(bus, options);
+}
+
+/**
+ * @param {*} value
+ * @returns {value is CryptoKey}
+ */
+function isCryptoKey(value) {
+    return typeof CryptoKey !== 'undefined' && value instanceof CryptoKey;
+}
+
+/**
+ * Imports a key now; a bad key is reported when it's used.
+ *
+ * @param {CryptoKey|JsonWebKey} key
+ * @param {'sign'|'verify'} usage
+ * @returns {Promise<CryptoKey>}
+ */
+function importQuietly(key, usage) {
+    const imported = Signing.importKey(key, usage);
+    imported.catch(() => { });
+    return imported;
+}
+
+/**
+ * @param {SigningAlgorithm} algorithm
+ * @returns {AlgorithmIdentifier|EcKeyImportParams}
+ */
+function keyParams(algorithm) {
+    if (algorithm === SigningAlgorithm.ED25519) return ED25519;
+    if (algorithm === SigningAlgorithm.ECDSA) return ECDSA_KEY;
+    throw new TypeError(`Unsupported signing algorithm: ${algorithm}`);
+}
+
+/**
+ * @param {SigningAlgorithm} algorithm
+ * @returns {AlgorithmIdentifier|EcdsaParams}
+ */
+function signParams(algorithm) {
+    if (algorithm === SigningAlgorithm.ED25519) return ED25519;
+    if (algorithm === SigningAlgorithm.ECDSA) return ECDSA_SIGN;
+    throw unauthorized(`Unsupported signing algorithm: ${algorithm}`);
+}
+
+/**
+ * The message a hook runs for.
+ *
+ * @param {import('../core/cross-bus.js').HookContext} context
+ * @returns {MessageContext}
+ */
+function contextOf(context) {
+    return { type: context.type, name: context.handlerName, source: context.source, target: context.target };
+}
+
+/**
+ * The fields of a message context that must match, normalized.
+ *
+ * @param {MessageContext} [context]
+ * @returns {{ type: string|null, name: string|null, source: string|null, target: string|null }}
+ */
+function contextFields(context) {
+    return {
+        type: context?.type ?? null,
+        name: context?.name ?? null,
+        source: context?.source ?? null,
+        target: context?.target ?? null
+    };
+}
+
+/**
+ * What a signature covers.
+ *
+ * @param {string} alg
+ * @param {string} kid
+ * @param {MessageContext & { ts: number }} context
+ * @param {string|undefined} data
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function signedBytes(alg, kid, context, data) {
+    const { type, name, source, target } = contextFields(context);
+    return new TextEncoder().encode(
+        JSON.stringify(['crossbus-sig:1', alg, kid, type, name, source, target, context.ts, data ?? null])
+    );
+}
+
+/**
+ * @param {string} reason
+ * @param {Object} [details]
+ * @returns {CrossBusError}
+ */
+function unauthorized(reason, details = {}) {
+    return new CrossBusError(ErrorCode.UNAUTHORIZED, reason, { details });
+}
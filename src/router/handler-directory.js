@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Directory of the handlers offered by other peers.
+ * Built from handler advertisements and used to pick a provider for
+ * `CrossBus#call`.
+ * @module router/handler-directory
+ */
+
+import { CallStrategy } from '../common/types.js';
+
+/**
+ * @typedef {Object} HandlerProvider
+ * @property {string} peerId - Peer offering the handlers.
+ * @property {string[]} handlers - Handler names.
+ */
+
+/**
+ * Keeps track of which peers offer which handlers.
+ *
+ * Providers are stored per direct peer they were learned from, the same way
+ * `MessageRouter` stores routes: a hub advertises its own handlers together
+ * with those of the peers behind it, and each advertisement replaces what
+ * was learned from that hub before.
+ *
+ * @example
+ * const directory = new HandlerDirectory();
+ * directory.set('hub', [
+ *   { peerId: 'hub', handlers: ['status'] },
+ *   { peerId: 'worker-1', handlers: ['resize'] },
+ *   { peerId: 'worker-2', handlers: ['resize'] }
+ * ]);
+ *
+ * directory.getProviders('resize'); // ['worker-1', 'worker-2']
+ * directory.order('resize', ['worker-1', 'worker-2'], 'round-robin'); // ['worker-1', 'worker-2']
+ * directory.order('resize', ['worker-1', 'worker-2'], 'round-robin'); // ['worker-2', 'worker-1']
+ */
+export class HandlerDirectory {
+    /** @type {Map<string, Map<string, string[]>>} Handler names by provider, keyed by the direct peer they were learned from */
+    #byVia = new Map();
+
+    /** @type {Map<string, number>} Next round-robin position per handler */
+    #cursors = new Map();
+
+    /**
+     * Replaces the providers learned from a direct peer.
+     *
+     * @param {string} via - Direct peer the advertisement came from.
+     * @param {HandlerProvider[]} providers
+     * @returns {boolean} True if the directory changed.
+     */
+    set(via, providers) {
+        /** @type {Map<string, string[]>} */
+        const next = new Map();
+        for (const { peerId, handlers } of providers) {
+            if (handlers.length > 0) next.set(peerId, [...new Set(handlers)].sort());
+        }
+
+        const previous = this.#byVia.get(via);
+        const changed = next.size !== (previous?.size ?? 0) ||
+            [...next].some(([peerId, handlers]) => previous?.get(peerId)?.join('\0') !== handlers.join('\0'));
+        if (!changed) return false;
+
+        if (next.size > 0) {
+            this.#byVia.set(via, next);
+        } else {
+            this.#byVia.delete(via);
+        }
+        return true;
+    }
+
+    /**
+     * Forgets everything learned from a direct peer, e.g. after it was removed.
+     *
+     * @param {string} via
+     * @returns {boolean} True if the directory changed.
+     */
+    remove(via) {
+        return this.#byVia.delete(via);
+    }
+
+    /**
+     * Gets the handlers a peer offers. What the peer advertised itself wins
+     * over what others advertised for it.
+     *
+     * @param {string} peerId
+     * @param {string} [excludeVia] - Ignore what was learned from this peer.
+     * @returns {string[]}
+     */
+    getHandlers(peerId, excludeVia) {
+        if (peerId !== excludeVia) {
+            const own = this.#byVia.get(peerId)?.get(peerId);
+            if (own) return own;
+        }
+
+        for (const [via, providers] of this.#byVia) {
+            if (via !== excludeVia && providers.has(peerId)) {
+                return /** @type {string[]} */ (providers.get(peerId));
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Gets the peers offering a handler, in the order they were learned.
+     *
+     * @param {string} handlerName
+     * @returns {string[]}
+     */
+    getProviders(handlerName) {
+        return this.getEntries().filter(p => p.handlers.includes(handlerName)).map(p => p.peerId);
+    }
+
+    /**
+     * Gets every known provider with its handlers.
+     *
+     * @param {string} [excludeVia] - Ignore what was learned from this peer.
+     * @returns {HandlerProvider[]}
+     */
+    getEntries(excludeVia) {
+        /** @type {Set<string>} */
+        const peerIds = new Set();
+        for (const [via, providers] of this.#byVia) {
+            if (via === excludeVia) continue;
+            for (const peerId of providers.keys()) peerIds.add(peerId);
+        }
+
+        return Array.from(peerIds, peerId => ({ peerId, handlers: this.getHandlers(peerId, excludeVia) }));
+    }
+
+    /**
+     * Orders providers of a handler by preference. Callers try them in
+     * turn, so the rest of the list is the failover order.
+     *
+     * @param {string} handlerName
+     * @param {string[]} peerIds - Providers to choose from.
+     * @param {string} strategy - One of `CallStrategy`.
+     * @param {(peerId: string) => number} [load] - Pending requests per peer (`least-pending`).
+     * @returns {string[]}
+     * @throws {TypeError} If the strategy is unknown.
+     */
+    order(handlerName, peerIds, strategy, load = () => 0) {
+        switch (strategy) {
+            case CallStrategy.FIRST:
+                return [...peerIds];
+
+            case CallStrategy.LEAST_PENDING: {
+                const pending = new Map(peerIds.map(peerId => [peerId, load(peerId)]));
+                return [...peerIds].sort((a, b) => /** @type {number} */(pending.get(a)) - /** @type {number} */(pending.get(b)));
+            }
+
+            case CallStrategy.ROUND_ROBIN: {
+                if (peerIds.length === 0) return [];
+                const start = (this.#cursors.get(handlerName) ?? 0) % peerIds.length;
+                this.#cursors.set(handlerName, (start + 1) % peerIds.length);
+                return [...peerIds.slice(start), ...peerIds.slice(0, start)];
+            }
+
+            default:
+                throw new TypeError(`Unknown call strategy: ${strategy}`);
+        }
+    }
+
+    /**
+     * Forgets all providers.
+     */
+    clear() {
+        this.#byVia.clear();
+        this.#cursors.clear();
+    }
+}
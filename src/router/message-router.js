@@ -13,9 +13,18 @@ import { EventEmitter } from '../core/event-emitter.js';
  * @property {string} peerId - Peer identifier.
  * @property {Function} sendFn - Function to send to this peer.
  * @property {Object} meta - Peer metadata.
+ * @property {string[]} [capabilities] - Peer capabilities (from handshake).
  * @property {string} origin - Peer origin.
  * @property {PeerStatus} status - Connection status.
  * @property {number} connectedAt - Connection timestamp.
+ * @property {{ maxPayloadSize?: number, maxPendingRequests?: number }} limits - Per-peer overrides of the bus limits.
+ */
+
+/**
+ * @typedef {Object} IndirectRoute
+ * @property {string} peerId - Peer reachable through another peer.
+ * @property {string} via - Directly attached peer to send through.
+ * @property {number} hops - Number of hops to reach the peer.
  */
 
 /**
@@ -33,6 +42,7 @@ import { EventEmitter } from '../core/event-emitter.js';
  * - Routes unicast messages to specific peers
  * - Broadcasts messages to all/selected peers
  * - Tracks message delivery
+ * - Forwards unicast to peers advertised as reachable through a direct peer
  * 
  * Performance optimizations:
  * - Object-based cache for fast peer lookup (faster than Map.get)
@@ -71,6 +81,9 @@ export class MessageRouter extends EventEmitter {
     /** @type {string[]} Cached peer IDs array for fast iteration */
     #peerIds = [];
 
+    /** @type {Map<string, Map<string, number>>} Hop counts of indirect peers, keyed by the direct peer they are reachable through */
+    #routesByVia = new Map();
+
     /**
      * Creates a new message router.
      */
@@ -86,6 +99,9 @@ export class MessageRouter extends EventEmitter {
      * @param {Object} [options={}] - Additional options.
      * @param {Object} [options.meta={}] - Peer metadata.
      * @param {string} [options.origin='unknown'] - Peer origin.
+     * @param {PeerStatus} [options.status=PeerStatus.CONNECTED] - Initial status.
+     * @param {number} [options.maxPayloadSize] - Payload limit for this peer (stored in `limits`).
+     * @param {number} [options.maxPendingRequests] - Pending request limit for this peer (stored in `limits`).
      * @throws {CrossBusError} If peer already exists.
      * 
      * @example
@@ -108,9 +124,12 @@ export class MessageRouter extends EventEmitter {
             sendFn,
             meta: options.meta ?? {},
             origin: options.origin ?? 'unknown',
-            status: PeerStatus.CONNECTED,
-            connectedAt: Date.now()
+            status: options.status ?? PeerStatus.CONNECTED,
+            connectedAt: Date.now(),
+            limits: {}
         };
+        if (options.maxPayloadSize !== undefined) entry.limits.maxPayloadSize = options.maxPayloadSize;
+        if (options.maxPendingRequests !== undefined) entry.limits.maxPendingRequests = options.maxPendingRequests;
 
         // Full feature storage
         this.#peers.set(peerId, entry);
@@ -122,16 +141,18 @@ export class MessageRouter extends EventEmitter {
         this.#peerIds.push(peerId);
 
         // Emit peer added event
-        this.emit('peer:added', { peerId, meta: entry.meta });
+        this.emit('peer:added', { peerId, meta: entry.meta, status: entry.status });
     }
 
     /**
      * Removes a peer from the routing table.
      * 
      * @param {string} peerId - Peer to remove.
+     * @param {string} [reason] - Why the peer was removed, included in `peer:removed`.
+     * @param {Object} [details] - More about the reason (e.g. an exit code), included in `peer:removed`.
      * @returns {boolean} True if peer was removed.
      */
-    removePeer(peerId) {
+    removePeer(peerId, reason, details) {
         const peer = this.#peerCache[peerId];
         if (!peer) return false;
 
@@ -146,7 +167,12 @@ export class MessageRouter extends EventEmitter {
         if (idx !== -1) this.#peerIds.splice(idx, 1);
 
         // Emit peer removed event
-        this.emit('peer:removed', { peerId, meta: peer.meta });
+        this.emit('peer:removed', {
+            peerId, meta: peer.meta, status: peer.status, reason, ...(details && { details })
+        });
+
+        // Everything reachable only through this peer is gone too
+        this.setRoutes(peerId, []);
 
         return true;
     }
@@ -181,6 +207,83 @@ export class MessageRouter extends EventEmitter {
         return this.#peers.size;
     }
 
+    /**
+     * Replaces the set of peers reachable through a direct peer.
+     * Emits `route:removed` for peers that are no longer reachable at all.
+     * 
+     * @param {string} via - Direct peer the routes were learned from.
+     * @param {Array<{ peerId: string, hops: number }>} routes - Advertised peers.
+     * @returns {boolean} True if the routing table changed.
+     */
+    setRoutes(via, routes) {
+        const previous = this.#routesByVia.get(via);
+        const next = new Map();
+
+        for (const { peerId, hops } of routes) {
+            // Direct peers always win; a peer can't be reached through itself
+            if (peerId === via || this.#peerCache[peerId]) continue;
+            next.set(peerId, hops);
+        }
+
+        const changed = next.size !== (previous?.size ?? 0) ||
+            [...next].some(([peerId, hops]) => previous?.get(peerId) !== hops);
+        if (!changed) return false;
+
+        if (next.size > 0 && this.#peerCache[via]) {
+            this.#routesByVia.set(via, next);
+        } else {
+            this.#routesByVia.delete(via);
+        }
+
+        for (const peerId of previous?.keys() ?? []) {
+            if (!this.#peerCache[peerId] && !this.getRoute(peerId)) {
+                this.emit('route:removed', { peerId, via });
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Gets the best indirect route to a peer.
+     * Only routes through CONNECTED peers are considered.
+     * 
+     * @param {string} peerId
+     * @returns {IndirectRoute|undefined}
+     */
+    getRoute(peerId) {
+        /** @type {IndirectRoute|undefined} */
+        let best;
+
+        for (const [via, routes] of this.#routesByVia) {
+            const hops = routes.get(peerId);
+            if (hops === undefined || this.#peerCache[via]?.status !== PeerStatus.CONNECTED) continue;
+            if (!best || hops < best.hops) best = { peerId, via, hops };
+        }
+
+        return best;
+    }
+
+    /**
+     * Gets all indirectly reachable peers, best route first per peer.
+     * 
+     * @returns {IndirectRoute[]}
+     */
+    getRoutes() {
+        const peerIds = new Set();
+        for (const routes of this.#routesByVia.values()) {
+            for (const peerId of routes.keys()) peerIds.add(peerId);
+        }
+
+        /** @type {IndirectRoute[]} */
+        const result = [];
+        for (const peerId of peerIds) {
+            const route = this.getRoute(peerId);
+            if (route) result.push(route);
+        }
+        return result;
+    }
+
     /**
      * Routes a message to a specific peer or broadcasts.
      * 
@@ -272,15 +375,36 @@ export class MessageRouter extends EventEmitter {
         }
     }
 
+    /**
+     * Updates peer metadata and capabilities in place.
+     * 
+     * @param {string} peerId
+     * @param {Object} updates
+     * @param {Object} [updates.meta] - Replacement metadata.
+     * @param {string[]} [updates.capabilities] - Replacement capabilities.
+     * @returns {boolean} True if peer exists.
+     */
+    updatePeer(peerId, updates) {
+        const peer = this.#peerCache[peerId];
+        if (!peer) return false;
+
+        if (updates.meta !== undefined) peer.meta = updates.meta;
+        if (updates.capabilities !== undefined) peer.capabilities = updates.capabilities;
+        return true;
+    }
+
     /**
      * Clears all peers.
+     * 
+     * @param {string} [reason] - Removal reason passed to each `peer:removed`.
      */
-    clearPeers() {
+    clearPeers(reason) {
         // Fast iteration using cached array
         const peerIds = this.#peerIds.slice();
         for (const peerId of peerIds) {
-            this.removePeer(peerId);
+            this.removePeer(peerId, reason);
         }
+        this.#routesByVia.clear();
     }
 
     // ─────────────────────────────────────────────────────────────────
@@ -292,7 +416,8 @@ export class MessageRouter extends EventEmitter {
      * 
      */
     #routeUnicast(peerId, payload) {
-        const peer = this.#peerCache[peerId];
+        const route = this.#peerCache[peerId] ? undefined : this.getRoute(peerId);
+        const peer = this.#peerCache[route?.via ?? peerId];
 
         if (!peer) {
             return {
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Role-based access control for handlers and signals.
+ * Maps handler and signal names to the roles a peer needs to call or
+ * send them, and peers to the roles they hold.
+ * @module security/access-control
+ */
+
+/**
+ * What a policy applies to: incoming requests to a handler, or incoming signals.
+ * @typedef {'request'|'signal'} AccessType
+ */
+
+/**
+ * @typedef {Object} AccessControlOptions
+ * @property {(peerId: string) => string[]|undefined} [resolveRoles] - Roles of a peer that was not
+ *   given any with `setRoles()`.
+ */
+
+/**
+ * Checks whether peers hold the roles a handler or signal requires.
+ *
+ * Policies map a name pattern to the roles allowed: a peer needs any one of
+ * them. Names without a policy are open to everyone; a policy with no roles
+ * closes the name to everyone. An exact name wins over patterns, and a
+ * longer pattern over a shorter one.
+ *
+ * Handlers may also require roles of their own (`setHandlerRoles()`). Those
+ * are kept apart from policies: a peer needs both, and neither setting nor
+ * removing a policy changes them.
+ *
+ * Patterns, required roles and held roles may all end with `*`, matching
+ * anything that starts with what comes before it:
+ * - policy `admin:*` covers the handlers `admin:deleteUser`, `admin:ban`, ...
+ * - role `admin:*` satisfies a policy requiring `admin:users`
+ * - policy requiring `admin:*` is satisfied by role `admin:users`
+ * - role `*` satisfies every policy
+ *
+ * @example
+ * const access = new AccessControl();
+ * access.setPolicy('admin:*', ['admin']);
+ * access.setRoles('widget-1', ['user']);
+ *
+ * access.can('widget-1', 'admin:deleteUser'); // false
+ * access.can('widget-1', 'getProfile');       // true (no policy)
+ */
+export class AccessControl {
+    /** @type {Record<AccessType, Map<string, string[]>>} Required roles by name pattern */
+    #policies = { request: new Map(), signal: new Map() };
+
+    /** @type {Map<string, string[]>} Roles required by a handler itself, by handler name */
+    #handlerRoles = new Map();
+
+    /** @type {Map<string, string[]>} Roles set for a peer */
+    #roles = new Map();
+
+    /** @type {((peerId: string) => string[]|undefined)|undefined} */
+    #resolveRoles;
+
+    /**
+     * Creates a new access control table.
+     *
+     * @param {AccessControlOptions} [options={}]
+     */
+    constructor(options = {}) {
+        this.#resolveRoles = options.resolveRoles;
+    }
+
+    /**
+     * Sets the roles required for names matching a pattern.
+     *
+     * @param {string} pattern - Handler or signal name, or a pattern ending with `*`.
+     * @param {string[]|null} roles - Roles allowed (any of them); null removes the policy.
+     * @param {AccessType} [type='request']
+     * @returns {boolean} True if a policy was set or removed.
+     */
+    setPolicy(pattern, roles, type = 'request') {
+        const policies = this.#policiesOf(type);
+        if (typeof pattern !== 'string' || pattern === '') {
+            throw new TypeError('Policy pattern must be a non-empty string');
+        }
+        if (roles === null) return policies.delete(pattern);
+
+        policies.set(pattern, validRoles(roles));
+        return true;
+    }
+
+    /**
+     * Sets the roles a handler itself requires, checked on top of the policy
+     * matching its name.
+     *
+     * @param {string} name - Handler name.
+     * @param {string[]|null} roles - Roles allowed (any of them); null removes them.
+     * @returns {boolean} True if roles were set or removed.
+     */
+    setHandlerRoles(name, roles) {
+        if (roles === null) return this.#handlerRoles.delete(name);
+
+        this.#handlerRoles.set(name, validRoles(roles));
+        return true;
+    }
+
+    /**
+     * Gets the roles required for a name: those of the most specific policy matching it.
+     *
+     * @param {string} name - Handler or signal name.
+     * @param {AccessType} [type='request']
+     * @returns {string[]|null} Null if no policy applies.
+     */
+    getPolicy(name, type = 'request') {
+        const policies = this.#policiesOf(type);
+        const exact = policies.get(name);
+        if (exact) return [...exact];
+
+        let best = null;
+        let bestLength = -1;
+        for (const [pattern, roles] of policies) {
+            if (pattern.length > bestLength && covers(pattern, name)) {
+                best = roles;
+                bestLength = pattern.length;
+            }
+        }
+        return best && [...best];
+    }
+
+    /**
+     * Lists the policies of a type.
+     *
+     * @param {AccessType} [type='request']
+     * @returns {Record<string, string[]>} Required roles by pattern.
+     */
+    getPolicies(type = 'request') {
+        /** @type {Record<string, string[]>} */
+        const result = {};
+        for (const [pattern, roles] of this.#policiesOf(type)) result[pattern] = [...roles];
+        return result;
+    }
+
+    /**
+     * Sets the roles a peer holds, replacing resolved ones.
+     *
+     * @param {string} peerId
+     * @param {string[]|null} roles - Null falls back to the resolved roles.
+     */
+    setRoles(peerId, roles) {
+        if (roles === null) {
+            this.#roles.delete(peerId);
+            return;
+        }
+        this.#roles.set(peerId, validRoles(roles));
+    }
+
+    /**
+     * Gets the roles a peer holds.
+     *
+     * @param {string} peerId
+     * @returns {string[]}
+     */
+    getRoles(peerId) {
+        const roles = this.#roles.get(peerId) ?? this.#resolveRoles?.(peerId);
+        return Array.isArray(roles) ? [...roles] : [];
+    }
+
+    /**
+     * Checks whether a peer may call a handler or send a signal.
+     *
+     * @param {string} peerId
+     * @param {string} name - Handler or signal name.
+     * @param {AccessType} [type='request']
+     * @returns {boolean}
+     */
+    can(peerId, name, type = 'request') {
+        const own = type === 'request' ? this.#handlerRoles.get(name) : undefined;
+        if (own && !this.#holds(peerId, own)) return false;
+
+        const required = this.getPolicy(name, type);
+        return !required || this.#holds(peerId, required);
+    }
+
+    /**
+     * Forgets the roles set for a peer.
+     *
+     * @param {string} peerId
+     * @returns {boolean} True if roles were set.
+     */
+    forget(peerId) {
+        return this.#roles.delete(peerId);
+    }
+
+    /**
+     * Removes every policy and role.
+     */
+    clear() {
+        this.#policies.request.clear();
+        this.#policies.signal.clear();
+        this.#handlerRoles.clear();
+        this.#roles.clear();
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Private methods
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Whether a peer holds any of the required roles.
+     *
+     * @param {string} peerId
+     * @param {string[]} required
+     * @returns {boolean}
+     */
+    #holds(peerId, required) {
+        const held = this.getRoles(peerId);
+        return required.some(role => held.some(own => own === role || covers(own, role) || covers(role, own)));
+    }
+
+    /**
+     * @param {AccessType} type
+     * @returns {Map<string, string[]>}
+     */
+    #policiesOf(type) {
+        const policies = Object.hasOwn(this.#policies, type) ? this.#policies[type] : undefined;
+        if (!policies) {
+            throw new TypeError(`Unknown access type: ${type}`);
+        }
+        return policies;
+    }
+}
+
+/**
+ * Whether a pattern ending with `*` covers a value.
+ *
+ * @param {string} pattern
+ * @param {string} value
+ * @returns {boolean}
+ */
+function covers(pattern, value) {
+    return pattern.endsWith('*') && value.startsWith(pattern.slice(0, -1));
+}
+
+/**
+ * @param {*} roles
+ * @returns {string[]}
+ */
+function validRoles(roles) {
+    if (!Array.isArray(roles) || roles.some(role => typeof role !== 'string' || role === '')) {
+        throw new TypeError('Roles must be an array of non-empty strings');
+    }
+    return [...roles];
+}
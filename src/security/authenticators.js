@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Authenticators for the handshake: prove that a peer holds a
+ * credential by answering a random challenge (see `Handshake`).
+ * Uses the Web Crypto API.
+ * @module security/authenticators
+ */
+
+import { toBase64, fromBase64 } from '../common/utils.js';
+
+/**
+ * @typedef {Object} HandshakeAuthenticator
+ * @property {string} type - Scheme name, announced in the handshake. Both peers must use the same one.
+ * @property {(data: string) => Promise<string>} sign - Creates the proof that we hold our credential.
+ * @property {(data: string, proof: string, peerId: string) => Promise<boolean>} verify - Checks the proof
+ *   sent by a peer claiming to be `peerId`.
+ */
+
+/**
+ * @typedef {Object} EcdsaAuthenticatorOptions
+ * @property {CryptoKey|JsonWebKey} privateKey - Our ECDSA P-256 private key.
+ * @property {Record<string, CryptoKey|JsonWebKey>|((peerId: string) => CryptoKey|JsonWebKey|undefined|Promise<CryptoKey|JsonWebKey|undefined>)} publicKeys -
+ *   Public keys of the peers we trust, by peer ID. Peers without a key are rejected.
+ */
+
+const ECDSA = { name: 'ECDSA', namedCurve: 'P-256' };
+const ECDSA_SIGN = { name: 'ECDSA', hash: 'SHA-256' };
+const HMAC = { name: 'HMAC', hash: 'SHA-256' };
+
+const encoder = new TextEncoder();
+
+/**
+ * Creates an authenticator for peers sharing a secret: each proves it holds
+ * the secret with an HMAC-SHA256 of the challenge.
+ *
+ * @param {string|BufferSource|CryptoKey} secret - Shared secret, or an HMAC key.
+ * @returns {HandshakeAuthenticator}
+ *
+ * @example
+ * const bus = new CrossBus({ authenticator: createHmacAuthenticator(issuedSecret) });
+ */
+export function createHmacAuthenticator(secret) {
+    if (secret === undefined || secret === null || secret === '') {
+        throw new TypeError('HMAC authenticator needs a secret');
+    }
+
+    /** @type {Promise<CryptoKey>} */
+    const key = isCryptoKey(secret)
+        ? Promise.resolve(secret)
+        : crypto.subtle.importKey(
+            'raw',
+            typeof secret === 'string' ? encoder.encode(secret) : /** @type {BufferSource} */(secret),
+            HMAC,
+            false,
+            ['sign', 'verify']
+        );
+    // Reported by sign() and verify()
+    key.catch(() => { });
+
+    return {
+        type: 'hmac',
+        async sign(data) {
+            return toBase64(await crypto.subtle.sign(HMAC, await key, encoder.encode(data)));
+        },
+        async verify(data, proof) {
+            return crypto.subtle.verify(HMAC, await key, decodeProof(proof), encoder.encode(data));
+        }
+    };
+}
+
+/**
+ * Creates an authenticator for peers with key pairs: each signs the
+ * challenge with its ECDSA P-256 private key and is checked against the
+ * public key registered for its peer ID.
+ *
+ * @param {EcdsaAuthenticatorOptions} options
+ * @returns {HandshakeAuthenticator}
+ *
+ * @example
+ * const bus = new CrossBus({
+ *   authenticator: createEcdsaAuthenticator({
+ *     privateKey: hostKeys.privateKey,
+ *     publicKeys: { 'widget-1': widgetPublicJwk }
+ *   })
+ * });
+ */
+export function createEcdsaAuthenticator(options) {
+    const { privateKey, publicKeys } = options ?? {};
+    if (!privateKey || !publicKeys) {
+        throw new TypeError('ECDSA authenticator needs a privateKey and publicKeys');
+    }
+
+    const signingKey = importEcdsaKey(privateKey, 'sign');
+    signingKey.catch(() => { });
+
+    /** @type {Map<string, Promise<CryptoKey>>} */
+    const imported = new Map();
+
+    /**
+     * @param {string} peerId
+     * @returns {Promise<CryptoKey|null>}
+     */
+    const publicKeyOf = async (peerId) => {
+        const key = typeof publicKeys === 'function'
+            ? await publicKeys(peerId)
+            : (Object.hasOwn(publicKeys, peerId) ? publicKeys[peerId] : undefined);
+        if (!key) return null;
+        if (isCryptoKey(key) || typeof publicKeys === 'function') return importEcdsaKey(key, 'verify');
+
+        // JWKs from the table are imported once
+        let cached = imported.get(peerId);
+        if (!cached) {
+            cached = importEcdsaKey(key, 'verify');
+            imported.set(peerId, cached);
+        }
+        return cached;
+    };
+
+    return {
+        type: 'ecdsa',
+        async sign(data) {
+            return toBase64(await crypto.subtle.sign(ECDSA_SIGN, await signingKey, encoder.encode(data)));
+        },
+        async verify(data, proof, peerId) {
+            const key = await publicKeyOf(peerId);
+            if (!key) return false;
+            return crypto.subtle.verify(ECDSA_SIGN, key, decodeProof(proof), encoder.encode(data));
+        }
+    };
+}
+
+/**
+ * Generates an ECDSA P-256 key pair for `createEcdsaAuthenticator`.
+ *
+ * @param {boolean} [extractable=true] - Whether the keys can be exported (e.g. to hand out the public key as JWK).
+ * @returns {Promise<CryptoKeyPair>}
+ */
+export async function generateEcdsaKeyPair(extractable = true) {
+    return /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey(ECDSA, extractable, ['sign', 'verify']));
+}
+
+/**
+ * @param {*} value
+ * @returns {value is CryptoKey}
+ */
+function isCryptoKey(value) {
+    return typeof CryptoKey !== 'undefined' && value instanceof CryptoKey;
+}
+
+/**
+ * @param {CryptoKey|JsonWebKey} key
+ * @param {'sign'|'verify'} usage
+ * @returns {Promise<CryptoKey>}
+ */
+async function importEcdsaKey(key, usage) {
+    if (isCryptoKey(key)) return key;
+    return crypto.subtle.importKey('jwk', key, ECDSA, false, [usage]);
+}
+
+/**
+ * Decodes a base64 proof; garbage decodes to nothing, which never verifies.
+ *
+ * @param {string} proof
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function decodeProof(proof) {
+    try {
+        return fromBase64(proof);
+    } catch {
+        return new Uint8Array(0);
+    }
+}
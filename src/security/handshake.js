@@ -6,7 +6,7 @@
 
 import { MessageType, HandshakePhase } from '../common/types.js';
 import { ErrorCode } from '../common/errors.js';
-import { uuid, deferred, withTimeout } from '../common/utils.js';
+import { uuid, deferred, withTimeout, toBase64 } from '../common/utils.js';
 
 /**
  * @typedef {Object} HandshakeConfig
@@ -14,6 +14,8 @@ import { uuid, deferred, withTimeout } from '../common/utils.js';
  * @property {number} [timeout=10000] - Handshake timeout in ms.
  * @property {Object} [meta={}] - Metadata to share with peer.
  * @property {string[]} [capabilities=[]] - Supported capabilities.
+ * @property {import('./authenticators.js').HandshakeAuthenticator} [authenticator] - Makes both sides prove
+ *   they hold a credential; peers that can't are rejected.
  */
 
 /**
@@ -55,6 +57,12 @@ import { uuid, deferred, withTimeout } from '../common/utils.js';
  *     │                                   │
  *     │  ✓ Connected                      │
  * ```
+ * 
+ * With an authenticator, INIT and ACK each carry a random challenge that the
+ * other side answers with a proof (ACK and COMPLETE respectively) over the
+ * challenge, the handshake ID and both peer IDs. The initiator checks the
+ * responder's proof before sending COMPLETE; the responder checks the
+ * initiator's when COMPLETE arrives. `handleMessage` then returns a promise.
  */
 export class Handshake {
     /** @type {string} */
@@ -72,6 +80,9 @@ export class Handshake {
     /** @type {Map<string, Object>} */
     #pendingHandshakes = new Map();
 
+    /** @type {import('./authenticators.js').HandshakeAuthenticator|null} */
+    #authenticator;
+
     /**
      * Creates a new Handshake handler.
      * 
@@ -82,6 +93,7 @@ export class Handshake {
         this.#meta = config.meta ?? {};
         this.#capabilities = config.capabilities ?? [];
         this.#timeout = config.timeout ?? 10000;
+        this.#authenticator = config.authenticator ?? null;
     }
 
     /**
@@ -104,6 +116,7 @@ export class Handshake {
             peerId: this.#localPeerId,
             meta: this.#meta,
             capabilities: this.#capabilities,
+            auth: this.#authenticator ? { type: this.#authenticator.type, challenge: createChallenge() } : undefined,
             timestamp: Date.now()
         };
     }
@@ -171,9 +184,11 @@ export class Handshake {
             const result = await withTimeout(promise, this.#timeout);
             return result;
         } catch (/** @type {any} */ error) {
-            this.#pendingHandshakes.delete(initMsg.handshakeId);
+            // Rejections and cancellations remove the entry before rejecting,
+            // so an entry that is still pending means the timeout fired
+            const timedOut = this.#pendingHandshakes.delete(initMsg.handshakeId);
 
-            if (error.code === ErrorCode.HANDSHAKE_TIMEOUT) {
+            if (timedOut || error.code === ErrorCode.HANDSHAKE_TIMEOUT) {
                 return {
                     success: false,
                     error: ErrorCode.HANDSHAKE_TIMEOUT,
@@ -196,7 +211,8 @@ export class Handshake {
      * @param {string} origin - Origin of the message.
      * @param {EventListener} sendFn - Function to send response.
      * @param {EventListener} [validateFn] - Optional validation function.
-     * @returns {PeerInfo|null} Peer info if handshake completes, null otherwise.
+     * @returns {PeerInfo|null|Promise<PeerInfo|null>} Peer info if handshake completes, null otherwise
+     *   (a promise with an authenticator).
      */
     handleMessage(message, origin, sendFn, validateFn) {
         switch (message.type) {
@@ -232,7 +248,8 @@ export class Handshake {
     cancel(handshakeId) {
         const pending = this.#pendingHandshakes.get(handshakeId);
         if (pending) {
-            pending.reject(new Error('Handshake cancelled'));
+            // Responder-side entries have no promise to settle
+            pending.reject?.(new Error('Handshake cancelled'));
             this.#pendingHandshakes.delete(handshakeId);
         }
     }
@@ -242,7 +259,7 @@ export class Handshake {
      */
     cancelAll() {
         for (const [id, pending] of this.#pendingHandshakes) {
-            pending.reject(new Error('All handshakes cancelled'));
+            pending.reject?.(new Error('All handshakes cancelled'));
         }
         this.#pendingHandshakes.clear();
     }
@@ -263,6 +280,10 @@ export class Handshake {
             return null;
         }
 
+        if (this.#authenticator) {
+            return this.#authenticateInit(message, origin, sendFn, this.#authenticator);
+        }
+
         // Accept the connection
         const ack = this.createAckMessage(message, true);
         sendFn(ack);
@@ -281,6 +302,50 @@ export class Handshake {
         return null; // Wait for complete message
     }
 
+    /**
+     * Answers the initiator's challenge and sends our own with the ACK.
+     * 
+     * @param {Object} message - HANDSHAKE_INIT message.
+     * @param {string} origin
+     * @param {EventListener} sendFn
+     * @param {import('./authenticators.js').HandshakeAuthenticator} authenticator
+     * @returns {Promise<null>}
+     */
+    async #authenticateInit(message, origin, sendFn, authenticator) {
+        const auth = message.auth;
+        if (!auth || typeof auth.challenge !== 'string') {
+            sendFn(this.createAckMessage(message, false, 'Authentication required'));
+            return null;
+        }
+        if (auth.type !== authenticator.type) {
+            sendFn(this.createAckMessage(message, false, `Unsupported authentication: ${auth.type}`));
+            return null;
+        }
+
+        let proof;
+        try {
+            proof = await authenticator.sign(transcript('ack', message.handshakeId, auth.challenge, this.#localPeerId, message.peerId));
+        } catch {
+            sendFn(this.createAckMessage(message, false, 'Authentication failed'));
+            return null;
+        }
+
+        const challenge = createChallenge();
+        this.#pendingHandshakes.set(message.handshakeId, {
+            phase: HandshakePhase.ACK_SENT,
+            challenge,
+            remotePeer: {
+                peerId: message.peerId,
+                origin,
+                meta: message.meta,
+                capabilities: message.capabilities
+            }
+        });
+
+        sendFn({ ...this.createAckMessage(message, true), auth: { type: authenticator.type, proof, challenge } });
+        return null;
+    }
+
     /**
      * Handles HANDSHAKE_ACK message (we are initiator).
      * 
@@ -298,10 +363,74 @@ export class Handshake {
             return null;
         }
 
+        if (this.#authenticator) {
+            return this.#authenticateAck(message, origin, sendFn, pending, this.#authenticator);
+        }
+
         // Send complete message
         const complete = this.createCompleteMessage(message.handshakeId);
         sendFn(complete);
 
+        return this.#connected(message, origin, pending);
+    }
+
+    /**
+     * Checks the responder's proof, then answers its challenge with the COMPLETE.
+     * 
+     * @param {Object} message - Accepting HANDSHAKE_ACK message.
+     * @param {string} origin
+     * @param {EventListener} sendFn
+     * @param {Object} pending - Our pending handshake.
+     * @param {import('./authenticators.js').HandshakeAuthenticator} authenticator
+     * @returns {Promise<PeerInfo|null>}
+     */
+    async #authenticateAck(message, origin, sendFn, pending, authenticator) {
+        const handshakeId = message.handshakeId;
+        const auth = message.auth;
+
+        /**
+         * @param {string} reason
+         * @returns {null}
+         */
+        const fail = (reason) => {
+            if (this.#pendingHandshakes.delete(handshakeId)) {
+                sendFn({ ...this.createCompleteMessage(handshakeId), confirmed: false, reason });
+                pending.reject(new Error(reason));
+            }
+            return null;
+        };
+
+        if (!auth || typeof auth.proof !== 'string' || typeof auth.challenge !== 'string') {
+            return fail('Peer did not authenticate');
+        }
+
+        let proof;
+        try {
+            const data = transcript('ack', handshakeId, pending.initMsg.auth.challenge, message.peerId, this.#localPeerId);
+            if (!await authenticator.verify(data, auth.proof, message.peerId)) {
+                return fail('Invalid authentication proof');
+            }
+            proof = await authenticator.sign(transcript('complete', handshakeId, auth.challenge, this.#localPeerId, message.peerId));
+        } catch (/** @type {any} */ error) {
+            return fail(`Authentication failed: ${error?.message ?? error}`);
+        }
+
+        // Timed out or cancelled in the meantime
+        if (!this.#pendingHandshakes.has(handshakeId)) return null;
+
+        sendFn({ ...this.createCompleteMessage(handshakeId), auth: { proof } });
+        return this.#connected(message, origin, pending);
+    }
+
+    /**
+     * Settles our handshake once the responder accepted (and proved who it is).
+     * 
+     * @param {Object} message - HANDSHAKE_ACK message.
+     * @param {string} origin
+     * @param {Object} pending - Our pending handshake.
+     * @returns {PeerInfo}
+     */
+    #connected(message, origin, pending) {
         // Create peer info
         const peerInfo = {
             peerId: message.peerId,
@@ -337,6 +466,10 @@ export class Handshake {
             return null;
         }
 
+        if (pending.challenge && this.#authenticator) {
+            return this.#authenticateComplete(message, pending, this.#authenticator);
+        }
+
         // Handshake complete!
         const peerInfo = {
             ...pending.remotePeer,
@@ -346,4 +479,56 @@ export class Handshake {
         this.#pendingHandshakes.delete(message.handshakeId);
         return peerInfo;
     }
+
+    /**
+     * Checks the initiator's proof sent with the COMPLETE.
+     * 
+     * @param {Object} message - HANDSHAKE_COMPLETE message.
+     * @param {Object} pending - Pending responder-side handshake.
+     * @param {import('./authenticators.js').HandshakeAuthenticator} authenticator
+     * @returns {Promise<PeerInfo|null>}
+     */
+    async #authenticateComplete(message, pending, authenticator) {
+        this.#pendingHandshakes.delete(message.handshakeId);
+
+        const peerId = pending.remotePeer.peerId;
+        const proof = message.auth?.proof;
+        if (typeof proof !== 'string') return null;
+
+        try {
+            const data = transcript('complete', message.handshakeId, pending.challenge, peerId, this.#localPeerId);
+            if (!await authenticator.verify(data, proof, peerId)) return null;
+        } catch {
+            return null;
+        }
+
+        return {
+            ...pending.remotePeer,
+            connectedAt: Date.now()
+        };
+    }
+}
+
+/**
+ * Creates a random challenge.
+ * 
+ * @returns {string}
+ */
+function createChallenge() {
+    return toBase64(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * What a proof signs: the challenge, bound to the handshake step, the
+ * handshake and both peers so it can't be replayed or reflected elsewhere.
+ * 
+ * @param {'ack'|'complete'} step - Message carrying the proof.
+ * @param {string} handshakeId
+ * @param {string} challenge
+ * @param {string} signerId - Peer creating the proof.
+ * @param {string} verifierId - Peer checking it.
+ * @returns {string}
+ */
+function transcript(step, handshakeId, challenge, signerId, verifierId) {
+    return ['crossbus-handshake:1', step, handshakeId, challenge, signerId, verifierId].join('\n');
 }
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Replay protection for incoming messages.
+ * Remembers, per peer, the message IDs and envelope sequence numbers it
+ * has seen so duplicates and stale messages can be dropped.
+ * @module security/replay-guard
+ */
+
+import { Defaults } from '../common/types.js';
+
+/**
+ * @typedef {Object} ReplayProtectionOptions
+ * @property {number} [window=1024] - Envelope sequence numbers tracked per peer. Numbers further
+ *   behind the highest one seen are stale.
+ * @property {number} [maxAge=300000] - Messages older than this (ms) are stale; message IDs are
+ *   remembered this long (0 = no age limit). Messages stamped further than this ahead of our
+ *   clock are stale too.
+ * @property {number} [maxIds=10000] - Message IDs remembered per peer; the oldest are forgotten first,
+ *   and messages stamped no later than a forgotten one are stale.
+ */
+
+/**
+ * What identifies a message for replay detection; any field may be missing.
+ * @typedef {Object} ReplayMark
+ * @property {string} [id] - Message ID.
+ * @property {number} [seq] - Envelope sequence number.
+ * @property {number} [timestamp] - When the sender created the message (ms).
+ */
+
+/**
+ * Why a message was refused: seen before, or too old to tell.
+ * @typedef {'duplicate'|'stale'} ReplayVerdict
+ */
+
+/**
+ * @typedef {Object} PeerWindow
+ * @property {number} highest - Highest sequence number seen (0 = none yet).
+ * @property {Uint8Array} seen - Sequence numbers seen, as a ring of `window` slots.
+ * @property {Map<string, {expires: number, timestamp?: number}>} ids - Message IDs seen, with the
+ *   time they can be forgotten and their message's timestamp.
+ * @property {number} floor - Timestamp of the newest ID forgotten to stay under `maxIds`;
+ *   messages stamped no later than this are stale (-Infinity = none forgotten).
+ */
+
+/**
+ * Detects replayed messages, per peer.
+ *
+ * Two checks complement each other:
+ * - Envelope sequence numbers (see `MessageRouter`) slide a window of
+ *   `window` numbers: numbers in the window are accepted once, numbers
+ *   behind it are stale. Numbers start over only for a peer that was
+ *   forgotten (`forget()`, e.g. when it disconnects).
+ * - Message IDs are remembered for `maxAge`; messages older than that are
+ *   refused by their timestamp, so an ID is never forgotten while its
+ *   message could still be accepted. Timestamps more than `maxAge` away
+ *   from our clock, either way, are stale. IDs forgotten early to stay
+ *   under `maxIds` raise a floor: messages stamped no later than the
+ *   newest of them are stale too.
+ *
+ * @example
+ * const guard = new ReplayGuard({ window: 256 });
+ *
+ * guard.check('widget-1', { id: message.id, timestamp: message.timestamp }); // null
+ * guard.check('widget-1', { id: message.id, timestamp: message.timestamp }); // 'duplicate'
+ */
+export class ReplayGuard {
+    /** @type {number} */
+    #window;
+
+    /** @type {number} */
+    #maxAge;
+
+    /** @type {number} */
+    #maxIds;
+
+    /** @type {Map<string, PeerWindow>} */
+    #peers = new Map();
+
+    /**
+     * Creates a new replay guard.
+     *
+     * @param {ReplayProtectionOptions} [options={}]
+     */
+    constructor(options = {}) {
+        this.#window = Math.max(1, options.window ?? Defaults.REPLAY_WINDOW);
+        this.#maxAge = options.maxAge ?? Defaults.REPLAY_MAX_AGE;
+        this.#maxIds = Math.max(1, options.maxIds ?? 10000);
+    }
+
+    /**
+     * Checks a message from a peer and remembers it if it is new.
+     *
+     * @param {string} peerId - Peer the message came from.
+     * @param {ReplayMark} mark
+     * @returns {ReplayVerdict|null} Null if the message is new.
+     */
+    check(peerId, { id, seq, timestamp }) {
+        const now = Date.now();
+        let peer = this.#peers.get(peerId);
+        if (!peer) {
+            peer = { highest: 0, seen: new Uint8Array(this.#window), ids: new Map(), floor: -Infinity };
+            this.#peers.set(peerId, peer);
+        }
+
+        const stamped = typeof timestamp === 'number' && Number.isFinite(timestamp);
+        if (stamped) {
+            if (this.#maxAge > 0 && Math.abs(now - /** @type {number} */(timestamp)) > this.#maxAge) return 'stale';
+            if (/** @type {number} */(timestamp) <= peer.floor) return 'stale';
+        }
+
+        const hasSeq = Number.isInteger(seq) && /** @type {number} */(seq) > 0;
+        if (hasSeq) {
+            const verdict = this.#checkSeq(peer, /** @type {number} */(seq));
+            if (verdict) return verdict;
+        }
+
+        if (typeof id === 'string') {
+            this.#forgetExpired(peer, now);
+            if (peer.ids.has(id)) return 'duplicate';
+
+            // Kept until the message would be stale anyway
+            const expires = this.#maxAge > 0 ? (stamped ? /** @type {number} */(timestamp) : now) + this.#maxAge : Infinity;
+            peer.ids.set(id, { expires, timestamp: stamped ? timestamp : undefined });
+            if (peer.ids.size > this.#maxIds) {
+                const [oldest, forgotten] = /** @type {[string, {timestamp?: number}]} */(peer.ids.entries().next().value);
+                peer.ids.delete(oldest);
+                if (forgotten.timestamp !== undefined) peer.floor = Math.max(peer.floor, forgotten.timestamp);
+            }
+        }
+
+        if (hasSeq) this.#markSeq(peer, /** @type {number} */(seq));
+        return null;
+    }
+
+    /**
+     * Forgets a peer, e.g. when it disconnects: its counters start over.
+     *
+     * @param {string} peerId
+     * @returns {boolean} True if the peer was known.
+     */
+    forget(peerId) {
+        return this.#peers.delete(peerId);
+    }
+
+    /**
+     * Forgets every peer.
+     */
+    clear() {
+        this.#peers.clear();
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Private methods
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * @param {PeerWindow} peer
+     * @param {number} seq
+     * @returns {ReplayVerdict|null}
+     */
+    #checkSeq(peer, seq) {
+        if (seq > peer.highest) return null;
+        if (seq <= peer.highest - this.#window) return 'stale';
+        return peer.seen[seq % this.#window] ? 'duplicate' : null;
+    }
+
+    /**
+     * @param {PeerWindow} peer
+     * @param {number} seq
+     */
+    #markSeq(peer, seq) {
+        if (seq > peer.highest) {
+            // Slots of the numbers skipped over now belong to the new ones
+            const from = Math.max(peer.highest + 1, seq - this.#window + 1);
+            for (let n = from; n <= seq; n++) peer.seen[n % this.#window] = 0;
+            peer.highest = seq;
+        }
+        peer.seen[seq % this.#window] = 1;
+    }
+
+    /**
+     * @param {PeerWindow} peer
+     * @param {number} now
+     */
+    #forgetExpired(peer, now) {
+        for (const [id, { expires }] of peer.ids) {
+            if (expires > now) break;
+            peer.ids.delete(id);
+        }
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Structural checks for incoming payloads.
+ * Limits nesting, key counts, array and string lengths, and strips or
+ * rejects keys that could pollute prototypes.
+ * @module security/sanitizer
+ */
+
+import { CrossBusError, ErrorCode } from '../common/errors.js';
+
+/**
+ * @typedef {Object} SanitizerOptions
+ * @property {number} [maxDepth=64] - Deepest nesting of objects and arrays (the payload itself is level 1).
+ * @property {number} [maxKeys=10000] - Most keys in a single object (0 = unlimited).
+ * @property {number} [maxArrayLength=0] - Longest array (0 = unlimited).
+ * @property {number} [maxStringLength=0] - Longest string, in UTF-16 code units (0 = unlimited).
+ * @property {'strip'|'reject'} [dangerousKeys='strip'] - What to do with `__proto__`, `constructor`
+ *   and `prototype` keys: drop them from the payload, or refuse the message.
+ */
+
+/** Keys that reach into prototypes when a payload is merged into another object. */
+const DANGEROUS_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Sanitizer settings: `DEFAULT` for `new CrossBus()`, `STRICT` for
+ * `CrossBus.createSecure()`.
+ * @type {Readonly<{ DEFAULT: Readonly<Required<SanitizerOptions>>, STRICT: Readonly<Required<SanitizerOptions>> }>}
+ */
+export const SanitizerPresets = Object.freeze({
+    DEFAULT: Object.freeze({
+        maxDepth: 64,
+        maxKeys: 10000,
+        maxArrayLength: 0,
+        maxStringLength: 0,
+        dangerousKeys: /** @type {'strip'} */ ('strip')
+    }),
+    STRICT: Object.freeze({
+        maxDepth: 16,
+        maxKeys: 1000,
+        maxArrayLength: 10000,
+        maxStringLength: 262144,
+        dangerousKeys: /** @type {'reject'} */ ('reject')
+    })
+});
+
+/**
+ * Checks the structure of payloads received from other contexts.
+ *
+ * Only plain objects and arrays are walked: binary data, dates and other
+ * built-ins are passed through. A payload that breaks a limit (or carries a
+ * dangerous key, with `dangerousKeys: 'reject'`) throws a `CrossBusError`
+ * with code `ERR_INVALID_MESSAGE`; the error's details name the `rule`, the
+ * `path` to the offending value and the `limit`.
+ *
+ * Payloads are never modified: when keys are stripped, the objects on the
+ * way to them are copied.
+ *
+ * @example
+ * const sanitizer = new MessageSanitizer({ maxDepth: 8 });
+ *
+ * sanitizer.sanitize(JSON.parse('{"__proto__":{"admin":true},"name":"x"}'));
+ * // { name: 'x' }
+ */
+export class MessageSanitizer {
+    /** @type {Required<SanitizerOptions>} */
+    #limits;
+
+    /**
+     * Creates a new sanitizer.
+     *
+     * @param {SanitizerOptions} [options={}] - Limits; missing ones come from `SanitizerPresets.DEFAULT`.
+     */
+    constructor(options = {}) {
+        this.#limits = { ...SanitizerPresets.DEFAULT, ...options };
+        if (!(this.#limits.maxDepth >= 1)) {
+            throw new TypeError('maxDepth must be at least 1');
+        }
+    }
+
+    /**
+     * The limits in effect.
+     * @returns {Readonly<Required<SanitizerOptions>>}
+     */
+    get limits() {
+        return Object.freeze({ ...this.#limits });
+    }
+
+    /**
+     * Checks a payload.
+     *
+     * @param {*} payload
+     * @param {string} [name='payload'] - What the payload is, for the `path` of violations.
+     * @returns {*} The payload, or a copy without dangerous keys.
+     * @throws {CrossBusError} `ERR_INVALID_MESSAGE` if the payload breaks a limit.
+     */
+    sanitize(payload, name = 'payload') {
+        return this.#visit(payload, 1, name);
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Private methods
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * @param {*} value
+     * @param {number} depth - Nesting level of `value` if it is an object.
+     * @param {string} path
+     * @returns {*}
+     */
+    #visit(value, depth, path) {
+        const limits = this.#limits;
+
+        if (typeof value === 'string') {
+            if (limits.maxStringLength && value.length > limits.maxStringLength) {
+                throw this.#violation('maxStringLength', path, `String too long (${value.length} > ${limits.maxStringLength})`);
+            }
+            return value;
+        }
+        if (value === null || typeof value !== 'object') return value;
+
+        const isArray = Array.isArray(value);
+        if (!isArray && !isPlainObject(value)) return value;
+
+        if (depth > limits.maxDepth) {
+            throw this.#violation('maxDepth', path, `Payload nested deeper than ${limits.maxDepth} levels`);
+        }
+
+        if (isArray) {
+            if (limits.maxArrayLength && value.length > limits.maxArrayLength) {
+                throw this.#violation('maxArrayLength', path, `Array too long (${value.length} > ${limits.maxArrayLength})`);
+            }
+            /** @type {any[]|null} */
+            let copy = null;
+            for (let i = 0; i < value.length; i++) {
+                const item = this.#visit(value[i], depth + 1, `${path}[${i}]`);
+                if (item !== value[i]) {
+                    copy ??= value.slice();
+                    copy[i] = item;
+                }
+            }
+            return copy ?? value;
+        }
+
+        const keys = Object.keys(value);
+        if (limits.maxKeys && keys.length > limits.maxKeys) {
+            throw this.#violation('maxKeys', path, `Too many keys (${keys.length} > ${limits.maxKeys})`);
+        }
+
+        let changed = false;
+        /** @type {Array<[string, *]>} */
+        const entries = [];
+        for (const key of keys) {
+            if (DANGEROUS_KEYS.has(key)) {
+                if (limits.dangerousKeys === 'reject') {
+                    throw this.#violation('dangerousKeys', path, `Forbidden key "${key}"`);
+                }
+                changed = true;
+                continue;
+            }
+            const item = this.#visit(value[key], depth + 1, `${path}.${key}`);
+            if (item !== value[key]) changed = true;
+            entries.push([key, item]);
+        }
+        if (!changed) return value;
+
+        const copy = Object.create(Object.getPrototypeOf(value));
+        for (const [key, item] of entries) copy[key] = item;
+        return copy;
+    }
+
+    /**
+     * @param {string} rule
+     * @param {string} path
+     * @param {string} problem
+     * @returns {CrossBusError}
+     */
+    #violation(rule, path, problem) {
+        return new CrossBusError(ErrorCode.INVALID_MESSAGE, `${problem} at ${path}`, {
+            details: { rule, path, limit: this.#limits[/** @type {keyof SanitizerOptions} */(rule)] }
+        });
+    }
+}
+
+/**
+ * @param {Object} value
+ * @returns {boolean} True for object literals and `Object.create(null)` objects.
+ */
+function isPlainObject(value) {
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
@@ -0,0 +1,387 @@
+/**
+ * @fileoverview WebSocket (RFC 6455) opening handshake and frame codec.
+ * Plain `Uint8Array`/`DataView` code with no runtime imports, used by
+ * `WebSocketHub` to serve `WebSocketTransport` clients.
+ * @module server/websocket-frames
+ */
+
+import { CrossBusError, ErrorCode } from '../common/errors.js';
+
+/**
+ * Appended to `Sec-WebSocket-Key` to compute `Sec-WebSocket-Accept`.
+ * @type {string}
+ */
+export const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * Frame opcodes.
+ * @readonly
+ * @enum {number}
+ */
+export const Opcode = Object.freeze({
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+});
+
+/**
+ * Close codes used by the hub.
+ * @readonly
+ * @enum {number}
+ */
+export const CloseCode = Object.freeze({
+    NORMAL: 1000,
+    GOING_AWAY: 1001,
+    PROTOCOL_ERROR: 1002,
+    UNSUPPORTED_DATA: 1003,
+    /** Reported when the connection dropped without a close frame; never sent */
+    ABNORMAL: 1006,
+    INVALID_PAYLOAD: 1007,
+    POLICY_VIOLATION: 1008,
+    MESSAGE_TOO_BIG: 1009
+});
+
+/**
+ * A complete message or control frame.
+ * @typedef {Object} Frame
+ * @property {number} opcode - `TEXT`, `BINARY`, `CLOSE`, `PING` or `PONG`
+ *   (fragments are joined under the opcode of the first one).
+ * @property {Uint8Array} payload - Unmasked payload.
+ */
+
+/**
+ * @typedef {Object} FrameParserOptions
+ * @property {number} [maxMessageSize=16777216] - Largest message in bytes, after
+ *   joining fragments; larger ones fail with close code 1009.
+ * @property {boolean} [requireMask=true] - Refuse unmasked frames (clients must mask).
+ */
+
+/**
+ * Computes the `Sec-WebSocket-Accept` header for a `Sec-WebSocket-Key`.
+ *
+ * @param {string} key - The client's `Sec-WebSocket-Key`.
+ * @returns {Promise<string>}
+ *
+ * @example
+ * await acceptKey('dGhlIHNhbXBsZSBub25jZQ=='); // 's3pPLMBiTxaQ9kYGzzhZRbK+xOo='
+ */
+export async function acceptKey(key) {
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(key + WEBSOCKET_GUID));
+    return btoa(String.fromCharCode(...new Uint8Array(digest)));
+}
+
+/**
+ * Encodes a single final frame.
+ *
+ * @param {number} opcode - Frame opcode.
+ * @param {Uint8Array} [payload] - Frame payload.
+ * @param {Uint8Array} [mask] - 4-byte masking key; servers send unmasked frames.
+ * @returns {Uint8Array}
+ */
+export function encodeFrame(opcode, payload = new Uint8Array(0), mask) {
+    const length = payload.length;
+    const lengthBytes = length < 126 ? 0 : length <= 0xFFFF ? 2 : 8;
+    const headerLength = 2 + lengthBytes + (mask ? 4 : 0);
+    const frame = new Uint8Array(headerLength + length);
+    const view = new DataView(frame.buffer);
+
+    frame[0] = 0x80 | opcode;
+    frame[1] = (mask ? 0x80 : 0) | (lengthBytes === 0 ? length : lengthBytes === 2 ? 126 : 127);
+    if (lengthBytes === 2) {
+        view.setUint16(2, length);
+    } else if (lengthBytes === 8) {
+        view.setUint32(2, Math.floor(length / 0x100000000));
+        view.setUint32(6, length >>> 0);
+    }
+
+    if (mask) {
+        frame.set(mask, headerLength - 4);
+        for (let i = 0; i < length; i++) {
+            frame[headerLength + i] = payload[i] ^ mask[i & 3];
+        }
+    } else {
+        frame.set(payload, headerLength);
+    }
+    return frame;
+}
+
+/**
+ * Encodes a close frame.
+ *
+ * @param {number} [code] - Close code; omitted for an empty close frame.
+ * @param {string} [reason=''] - Reason, truncated to fit a control frame.
+ * @returns {Uint8Array}
+ */
+export function encodeClose(code, reason = '') {
+    if (code === undefined) return encodeFrame(Opcode.CLOSE);
+
+    const text = new TextEncoder().encode(reason).subarray(0, 123);
+    const payload = new Uint8Array(2 + text.length);
+    new DataView(payload.buffer).setUint16(0, code);
+    payload.set(text, 2);
+    return encodeFrame(Opcode.CLOSE, payload);
+}
+
+/**
+ * Reads the code and reason of a close frame payload.
+ *
+ * @param {Uint8Array} payload
+ * @returns {{code: number, reason: string}} Code 1005 (no status) for an empty payload.
+ */
+export function decodeClose(payload) {
+    if (payload.length < 2) return { code: 1005, reason: '' };
+    const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+    return { code: view.getUint16(0), reason: new TextDecoder().decode(payload.subarray(2)) };
+}
+
+/**
+ * Incremental frame parser for one connection.
+ *
+ * Feed it socket chunks with `push()`; it returns every message and control
+ * frame completed so far. Fragmented messages are joined, and a payload is
+ * only buffered once its header has been checked against `maxMessageSize`.
+ *
+ * `push()` throws a `CrossBusError` whose `details.closeCode` is the code to
+ * close the connection with; the parser must not be used afterwards.
+ *
+ * @example
+ * const parser = new FrameParser({ maxMessageSize: 1024 * 1024 });
+ * socket.on('data', (chunk) => {
+ *     for (const frame of parser.push(chunk)) handle(frame);
+ * });
+ */
+export class FrameParser {
+    /** @type {number} */
+    #maxMessageSize;
+
+    /** @type {boolean} */
+    #requireMask;
+
+    /** @type {Uint8Array[]} Received bytes not yet parsed */
+    #chunks = [];
+
+    /** @type {number} */
+    #buffered = 0;
+
+    /** @type {number|null} Opcode of the fragmented message in progress */
+    #fragmentOpcode = null;
+
+    /** @type {Uint8Array[]} */
+    #fragments = [];
+
+    /** @type {number} */
+    #fragmentSize = 0;
+
+    /**
+     * @param {FrameParserOptions} [options={}]
+     */
+    constructor(options = {}) {
+        this.#maxMessageSize = options.maxMessageSize ?? 16 * 1024 * 1024;
+        this.#requireMask = options.requireMask ?? true;
+    }
+
+    /**
+     * Parses received bytes.
+     *
+     * @param {Uint8Array} chunk - Bytes read from the socket.
+     * @returns {Frame[]} Messages and control frames completed by this chunk.
+     * @throws {CrossBusError} On a protocol violation or an oversized message.
+     */
+    push(chunk) {
+        if (chunk.length) {
+            this.#chunks.push(chunk);
+            this.#buffered += chunk.length;
+        }
+
+        /** @type {Frame[]} */
+        const frames = [];
+        for (; ;) {
+            const header = this.#readHeader();
+            if (!header || this.#buffered < header.headerLength + header.payloadLength) break;
+
+            this.#take(header.headerLength);
+            const payload = this.#take(header.payloadLength);
+            if (header.mask) {
+                for (let i = 0; i < payload.length; i++) payload[i] ^= header.mask[i & 3];
+            }
+
+            const frame = this.#assemble(header, payload);
+            if (frame) frames.push(frame);
+        }
+        return frames;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Private methods
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Reads and checks the next frame header without consuming it.
+     *
+     * @returns {{fin: boolean, opcode: number, mask: Uint8Array|null, headerLength: number, payloadLength: number}|null}
+     *   Null until the whole header has arrived.
+     */
+    #readHeader() {
+        const start = this.#peek(2);
+        if (!start) return null;
+
+        const fin = (start[0] & 0x80) !== 0;
+        const opcode = start[0] & 0x0F;
+        const masked = (start[1] & 0x80) !== 0;
+        const length7 = start[1] & 0x7F;
+
+        // No extensions are negotiated, so the reserved bits must be clear
+        if (start[0] & 0x70) throw protocolError('Reserved bits set');
+        if (!Object.values(Opcode).includes(/** @type {any} */ (opcode))) throw protocolError(`Unknown opcode ${opcode}`);
+        if (this.#requireMask && !masked) throw protocolError('Unmasked client frame');
+
+        const lengthBytes = length7 === 126 ? 2 : length7 === 127 ? 8 : 0;
+        const headerLength = 2 + lengthBytes + (masked ? 4 : 0);
+        const bytes = this.#peek(headerLength);
+        if (!bytes) return null;
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let payloadLength = length7;
+        if (lengthBytes === 2) {
+            payloadLength = view.getUint16(2);
+        } else if (lengthBytes === 8) {
+            const high = view.getUint32(2);
+            if (high > 0x1FFFFF) throw tooBig(Infinity, this.#maxMessageSize);
+            payloadLength = high * 0x100000000 + view.getUint32(6);
+        }
+
+        if (opcode >= Opcode.CLOSE) {
+            if (!fin || payloadLength > 125) throw protocolError('Invalid control frame');
+        } else {
+            if (opcode === Opcode.CONTINUATION && this.#fragmentOpcode === null) {
+                throw protocolError('Continuation without a message');
+            }
+            if (opcode !== Opcode.CONTINUATION && this.#fragmentOpcode !== null) {
+                throw protocolError('New message before the last one finished');
+            }
+            const size = this.#fragmentSize + payloadLength;
+            if (size > this.#maxMessageSize) throw tooBig(size, this.#maxMessageSize);
+        }
+
+        return {
+            fin,
+            opcode,
+            mask: masked ? bytes.slice(headerLength - 4, headerLength) : null,
+            headerLength,
+            payloadLength
+        };
+    }
+
+    /**
+     * Joins fragments; returns the frame once a message (or a control frame) is complete.
+     *
+     * @param {{fin: boolean, opcode: number}} header
+     * @param {Uint8Array} payload
+     * @returns {Frame|null}
+     */
+    #assemble(header, payload) {
+        if (header.opcode >= Opcode.CLOSE) {
+            return { opcode: header.opcode, payload };
+        }
+
+        if (header.fin && this.#fragmentOpcode === null) {
+            return { opcode: header.opcode, payload };
+        }
+
+        if (this.#fragmentOpcode === null) this.#fragmentOpcode = header.opcode;
+        this.#fragments.push(payload);
+        this.#fragmentSize += payload.length;
+        if (!header.fin) return null;
+
+        const frame = { opcode: this.#fragmentOpcode, payload: concat(this.#fragments, this.#fragmentSize) };
+        this.#fragmentOpcode = null;
+        this.#fragments = [];
+        this.#fragmentSize = 0;
+        return frame;
+    }
+
+    /**
+     * Returns the first `length` buffered bytes without consuming them.
+     *
+     * @param {number} length
+     * @returns {Uint8Array|null} Null if fewer are buffered.
+     */
+    #peek(length) {
+        if (this.#buffered < length) return null;
+        if (this.#chunks[0].length >= length) return this.#chunks[0].subarray(0, length);
+
+        // Keep the joined bytes so the next peek does not join them again
+        const bytes = concat(this.#chunks, length);
+        this.#take(length);
+        this.#chunks.unshift(bytes);
+        this.#buffered += length;
+        return bytes;
+    }
+
+    /**
+     * Consumes `length` buffered bytes.
+     *
+     * @param {number} length
+     * @returns {Uint8Array} A copy the caller may modify.
+     */
+    #take(length) {
+        const result = new Uint8Array(length);
+        let offset = 0;
+        while (offset < length) {
+            const chunk = this.#chunks[0];
+            const count = Math.min(chunk.length, length - offset);
+            result.set(chunk.subarray(0, count), offset);
+            offset += count;
+            if (count === chunk.length) {
+                this.#chunks.shift();
+            } else {
+                this.#chunks[0] = chunk.subarray(count);
+            }
+        }
+        this.#buffered -= length;
+        return result;
+    }
+}
+
+/**
+ * Joins the first `length` bytes of a list of chunks.
+ *
+ * @param {Uint8Array[]} chunks
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+function concat(chunks, length) {
+    const result = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        if (offset >= length) break;
+        const part = chunk.subarray(0, length - offset);
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+/**
+ * @param {string} reason
+ * @returns {CrossBusError}
+ */
+function protocolError(reason) {
+    return CrossBusError.from(ErrorCode.INVALID_MESSAGE, { reason, closeCode: CloseCode.PROTOCOL_ERROR });
+}
+
+/**
+ * @param {number} size
+ * @param {number} maxMessageSize
+ * @returns {CrossBusError}
+ */
+function tooBig(size, maxMessageSize) {
+    return CrossBusError.from(ErrorCode.MESSAGE_TOO_LARGE, {
+        size,
+        maxMessageSize,
+        closeCode: CloseCode.MESSAGE_TOO_BIG
+    });
+}
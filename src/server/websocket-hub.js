@@ -0,0 +1,1045 @@
+/**
+ * @fileoverview WebSocket hub server for Node.js.
+ * Accepts `WebSocketTransport` connections on an `http.Server` and adds each
+ * one to a bus as a peer, without external dependencies.
+ * @module server/websocket-hub
+ */
+
+import {
+    PROTOCOL_MARKER,
+    PROTOCOL_VERSION,
+    isProtocolMessage
+} from '../common/types.js';
+import { CrossBusError, ErrorCode } from '../common/errors.js';
+import { uuid, deferred } from '../common/utils.js';
+import {
+    FrameParser,
+    Opcode,
+    CloseCode,
+    acceptKey,
+    encodeFrame,
+    encodeClose,
+    decodeClose
+} from './websocket-frames.js';
+import { WebSocketSession, SessionParam, SessionMessage, ACK_DELAY_MS } from '../transports/websocket-session.js';
+import { ChannelMultiplexer } from '../transports/websocket-channels.js';
+
+/**
+ * How long a closing connection waits for the client's close frame.
+ * @type {number}
+ */
+const CLOSE_TIMEOUT_MS = 3000;
+
+/**
+ * Status lines for refused upgrades.
+ * @type {Record<number, string>}
+ */
+const STATUS_TEXT = {
+    400: 'Bad Request',
+    401: 'Unauthorized',
+    404: 'Not Found',
+    426: 'Upgrade Required',
+    500: 'Internal Server Error',
+    503: 'Service Unavailable'
+};
+
+/**
+ * @typedef {import('node:http').IncomingMessage} UpgradeRequest
+ * @typedef {import('node:stream').Duplex} UpgradeSocket
+ * @typedef {import('node:http').Server} HttpServer
+ */
+
+/**
+ * @typedef {Object} WebSocketHubOptions
+ * @property {HttpServer} [server] - Server to attach to right away (see `attach()`).
+ * @property {string} [path='/'] - Only upgrade requests for this path are accepted.
+ * @property {number} [maxMessageSize=16777216] - Largest message a client may send,
+ *   in bytes; larger ones close the connection with code 1009.
+ * @property {number} [pingIntervalMs=30000] - WebSocket ping interval; a connection
+ *   that misses a pong is dropped. 0 disables pings.
+ * @property {(request: UpgradeRequest) => boolean|Promise<boolean>} [verifyClient] -
+ *   Accepts or refuses (401) an upgrade request, e.g. by checking a cookie or token.
+ * @property {Object} [peerOptions] - Extra `addTransport()` options for every
+ *   connection, e.g. `maxPayloadSize`.
+ * @property {number} [sessionTimeoutMs=30000] - How long the session of a client
+ *   using `resume` is kept after its socket dropped. 0 disables resumption.
+ * @property {number} [maxUnackedMessages=1000] - Messages kept per session until the
+ *   client acknowledges them; sending more throws `ERR_QUEUE_FULL`.
+ * @property {Record<string, import('../core/cross-bus.js').CrossBus>} [services] - Buses
+ *   reachable on channels, by channel ID: a client's `transport.channel(id)` becomes
+ *   a peer of `services[id]`. Channels for other IDs are ignored.
+ * @property {number} [highWaterMark=1048576] - Bytes buffered on a socket above which
+ *   channel messages are queued, each channel in its own queue.
+ */
+
+/**
+ * @typedef {Object} WebSocketConnectionOptions
+ * @property {string} [origin='*'] - The client's `Origin` header.
+ * @property {number} [maxMessageSize] - See `WebSocketHubOptions`.
+ * @property {boolean} [session=false] - Start a resumable session (the client asked for one).
+ * @property {number} [sessionTimeoutMs=30000] - See `WebSocketHubOptions`.
+ * @property {number} [maxUnackedMessages=1000] - See `WebSocketHubOptions`.
+ * @property {number} [highWaterMark=1048576] - See `WebSocketHubOptions`.
+ */
+
+/**
+ * @typedef {Object} MessageContext
+ * @property {string} origin - The client's `Origin` header, '*' if it sent none.
+ */
+
+/**
+ * @callback MessageHandler
+ * @param {Object} message - The received protocol message.
+ * @param {MessageContext} context - Context information.
+ */
+
+/**
+ * @typedef {Object} CloseDetails
+ * @property {number} code - Close code; 1006 if the connection dropped without one.
+ * @property {string} reason - Close reason, possibly empty.
+ */
+
+/**
+ * @callback DisconnectHandler
+ * @param {'close'} reason - The connection closed.
+ * @param {CloseDetails} details
+ */
+
+/**
+ * Server end of one WebSocket connection, used as the transport of its peer.
+ *
+ * Speaks the `WebSocketTransport` wire format: one JSON message per text
+ * frame. The client's `{type: 'ping'}` heartbeats are answered here and never
+ * reach the bus.
+ *
+ * For a client using `resume`, this is the server end of its session, which
+ * outlives the socket: when the socket drops without a close frame, messages
+ * are held and the peer is `reconnecting` until the client resumes on a new
+ * socket, or `sessionTimeoutMs` passes and the disconnect is reported.
+ *
+ * Messages carrying a channel ID go to that channel's transport instead (see
+ * `channel()`); channels share the connection's session and its disconnect.
+ *
+ * Created by `WebSocketHub`; it has no use on its own.
+ */
+export class WebSocketConnection {
+    /** @type {UpgradeSocket|null} Null while a session waits to be resumed */
+    #socket = null;
+
+    /** @type {string} */
+    #peerId = `ws-${uuid()}`;
+
+    /** @type {string} */
+    #origin;
+
+    /** @type {number|undefined} */
+    #maxMessageSize;
+
+    /** @type {FrameParser|null} Null once the client broke the protocol */
+    #parser = null;
+
+    /** @type {TextDecoder} */
+    #decoder = new TextDecoder('utf-8', { fatal: true });
+
+    /** @type {MessageHandler|null} */
+    #messageHandler = null;
+
+    /** @type {DisconnectHandler|null} */
+    #disconnectHandler = null;
+
+    /** @type {((state: 'connected'|'disconnected') => void)|null} */
+    #stateHandler = null;
+
+    /** @type {WebSocketSession|null} Set for clients using `resume` */
+    #session = null;
+
+    /** @type {string|null} */
+    #sessionId = null;
+
+    /** @type {number} */
+    #sessionTimeoutMs;
+
+    /** @type {ReturnType<typeof setTimeout>|null} Runs out while the session waits to be resumed */
+    #sessionTimer = null;
+
+    /** @type {ReturnType<typeof setTimeout>|null} */
+    #ackTimer = null;
+
+    /** @type {CloseDetails|null} Set once either end has started closing the socket */
+    #closeDetails = null;
+
+    /** @type {boolean} Whether we sent a close frame on the socket */
+    #closeSent = false;
+
+    /** @type {ReturnType<typeof setTimeout>|null} */
+    #closeTimer = null;
+
+    /** @type {boolean} Whether the client answered the last ping */
+    #alive = true;
+
+    /** @type {boolean} Set once either end closed on purpose: the session is not kept */
+    #ended = false;
+
+    /** @type {boolean} */
+    #disconnected = false;
+
+    /** @type {boolean} */
+    #destroyed = false;
+
+    /** @type {{promise: Promise<void>, resolve: () => void}} */
+    #closed = deferred();
+
+    /** @type {ChannelMultiplexer} */
+    #channels;
+
+    /**
+     * @param {UpgradeSocket} socket - Socket of an accepted upgrade request.
+     * @param {WebSocketConnectionOptions} [options={}]
+     */
+    constructor(socket, options = {}) {
+        this.#origin = options.origin ?? '*';
+        this.#maxMessageSize = options.maxMessageSize;
+        this.#sessionTimeoutMs = options.sessionTimeoutMs ?? 30000;
+        this.#channels = new ChannelMultiplexer({
+            write: (message) => this.send(message),
+            bufferedAmount: () => this.bufferedAmount
+        }, { highWaterMark: options.highWaterMark });
+        this.#attach(socket);
+
+        if (options.session) {
+            this.#session = new WebSocketSession({ maxUnacked: options.maxUnackedMessages });
+            this.#sessionId = uuid();
+            this.#writeJson({ type: SessionMessage.SESSION, session: this.#sessionId, ack: 0, resumed: false });
+        }
+    }
+
+    /**
+     * Provisional peer ID, replaced by the ID the client proves in the handshake.
+     * @returns {string}
+     */
+    get peerId() {
+        return this.#peerId;
+    }
+
+    /**
+     * Token the client resumes its session with; null without `resume`.
+     * @returns {string|null}
+     */
+    get sessionId() {
+        return this.#sessionId;
+    }
+
+    /**
+     * Resolves once the connection (or its session) has ended.
+     * @returns {Promise<void>}
+     */
+    get closed() {
+        return this.#closed.promise;
+    }
+
+    /**
+     * Sends a message to the client. In a session, messages sent while the
+     * client is away are held until it resumes.
+     *
+     * @param {Object} message - Protocol message to send.
+     * @throws {CrossBusError} If the connection is destroyed or closed, or
+     *   `maxUnackedMessages` are already waiting.
+     */
+    send(message) {
+        if (this.#destroyed) {
+            throw CrossBusError.from(ErrorCode.DESTROYED, {
+                context: 'WebSocketConnection.send'
+            });
+        }
+        if (this.#disconnected || this.#ended || (this.#closeDetails && !this.#session)) {
+            throw CrossBusError.from(ErrorCode.PEER_DISCONNECTED, {
+                context: 'WebSocketConnection.send'
+            });
+        }
+
+        // Ensure message has protocol marker
+        let envelope = {
+            [PROTOCOL_MARKER]: PROTOCOL_VERSION,
+            ...message
+        };
+        if (this.#session) envelope = this.#session.stamp(envelope);
+
+        if (!this.#closeDetails) this.#writeJson(envelope);
+    }
+
+    /**
+     * Bytes written but not yet flushed to the network.
+     * @returns {number}
+     */
+    get bufferedAmount() {
+        return /** @type {any} */ (this.#socket)?.writableLength ?? 0;
+    }
+
+    /**
+     * Registers a message handler.
+     * Only one handler can be registered; subsequent calls replace previous.
+     *
+     * @param {MessageHandler} handler - Function to handle incoming messages.
+     */
+    onMessage(handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Handler must be a function');
+        }
+        this.#messageHandler = handler;
+    }
+
+    /**
+     * Removes the message handler.
+     */
+    offMessage() {
+        this.#messageHandler = null;
+    }
+
+    /**
+     * Registers a handler called once when the connection has closed (for a
+     * session: when it ended or timed out).
+     * Only one handler can be registered; subsequent calls replace previous.
+     *
+     * @param {DisconnectHandler} handler
+     */
+    onDisconnect(handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Handler must be a function');
+        }
+        this.#disconnectHandler = handler;
+    }
+
+    /**
+     * Returns the transport of the client's peer on a channel, opening the
+     * channel if needed.
+     *
+     * @param {string} id - Channel ID.
+     * @param {import('../transports/websocket-channels.js').ChannelOptions} [options]
+     * @returns {import('../transports/websocket-channels.js').WebSocketChannel}
+     */
+    channel(id, options) {
+        return this.#channels.open(id, options);
+    }
+
+    /**
+     * Registers a handler asked to open the channel of a message that arrives
+     * for one that is not open (see `channel()`); if it does not, messages
+     * for that channel are dropped. Used by `WebSocketHub`.
+     *
+     * @param {(id: string) => void} handler
+     */
+    onChannel(handler) {
+        this.#channels.onChannel(handler);
+    }
+
+    /**
+     * Number of open channels.
+     * @returns {number}
+     */
+    get channelCount() {
+        return this.#channels.size;
+    }
+
+    /**
+     * Registers a handler told when a session's socket dropped and when the
+     * client resumed it. Only one handler can be registered.
+     *
+     * @param {(state: 'connected'|'disconnected') => void} handler
+     */
+    onStateChange(handler) {
+        this.#stateHandler = handler;
+    }
+
+    /**
+     * Starts the closing handshake and ends the session, if any. The socket
+     * is closed once the client answers, or after a few seconds if it does not.
+     *
+     * @param {number} [code=1000] - Close code.
+     * @param {string} [reason=''] - Close reason.
+     */
+    close(code = CloseCode.NORMAL, reason = '') {
+        if (this.#disconnected) return;
+        this.#ended = true;
+
+        // A session waiting to be resumed has no socket to close
+        if (!this.#socket) {
+            this.#handleDisconnect({ code, reason });
+            return;
+        }
+        if (this.#closeDetails) return;
+
+        this.#closeDetails = { code, reason };
+        this.#sendClose(code, reason);
+        const socket = this.#socket;
+        this.#closeTimer = setTimeout(() => socket.destroy(), CLOSE_TIMEOUT_MS);
+        /** @type {any} */ (this.#closeTimer).unref?.();
+    }
+
+    /**
+     * Sends a WebSocket ping, or drops the socket if the last one was never
+     * answered (a session then waits to be resumed).
+     */
+    ping() {
+        if (!this.#socket || this.#closeDetails) return;
+
+        if (!this.#alive) {
+            this.#closeDetails = { code: CloseCode.ABNORMAL, reason: 'Ping timeout' };
+            this.#socket.destroy();
+            return;
+        }
+        this.#alive = false;
+        this.#write(Opcode.PING);
+    }
+
+    /**
+     * Continues the session on the socket the client reconnected with:
+     * tells it how far we received, and retransmits what it has not.
+     * Used by `WebSocketHub`.
+     *
+     * @param {UpgradeSocket} socket - Socket of the resuming upgrade request.
+     * @param {number} ack - Sequence number of the last message the client received.
+     * @returns {boolean} False if the session has ended and cannot be resumed.
+     */
+    resume(socket, ack) {
+        const session = this.#session;
+        if (!session || this.#ended || this.#disconnected) return false;
+
+        // The client may notice a dead socket before we do
+        const previous = this.#socket;
+        this.#socket = null;
+        previous?.destroy();
+
+        if (this.#sessionTimer) {
+            clearTimeout(this.#sessionTimer);
+            this.#sessionTimer = null;
+        }
+        this.#attach(socket);
+
+        this.#writeJson({ type: SessionMessage.SESSION, session: this.#sessionId, ack: session.received, resumed: true });
+        for (const message of session.resend(ack)) {
+            this.#writeJson(message);
+        }
+        this.#stateHandler?.('connected');
+        this.#channels.setState('connected');
+        return true;
+    }
+
+    /**
+     * Destroys the transport and closes the connection with code 1000.
+     * Does not report a disconnect.
+     */
+    destroy() {
+        if (this.#destroyed) return;
+
+        this.#destroyed = true;
+        this.#messageHandler = null;
+        this.#disconnectHandler = null;
+        this.#stateHandler = null;
+        this.close(CloseCode.NORMAL);
+    }
+
+    /**
+     * Checks if transport has been destroyed.
+     * @returns {boolean}
+     */
+    get isDestroyed() {
+        return this.#destroyed;
+    }
+
+    /**
+     * Checks if the connection has closed (for a session: ended or timed out).
+     * @returns {boolean}
+     */
+    get isDisconnected() {
+        return this.#disconnected;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Private methods
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Starts reading from a socket.
+     *
+     * @param {UpgradeSocket} socket
+     */
+    #attach(socket) {
+        this.#socket = socket;
+        this.#parser = new FrameParser({ maxMessageSize: this.#maxMessageSize });
+        this.#closeDetails = null;
+        this.#closeSent = false;
+        this.#alive = true;
+
+        /** @type {any} */ (socket).setNoDelay?.(true);
+        socket.on('data', (chunk) => {
+            if (socket === this.#socket) this.#handleData(chunk);
+        });
+        socket.on('end', () => socket.end());
+        // A failed socket also emits 'close', which is reported there
+        socket.on('error', () => { });
+        socket.on('close', () => {
+            if (socket === this.#socket) this.#handleClose();
+        });
+    }
+
+    /**
+     * @param {number} opcode
+     * @param {Uint8Array} [payload]
+     */
+    #write(opcode, payload) {
+        if (!this.#socket?.writable) return;
+        this.#socket.write(encodeFrame(opcode, payload));
+    }
+
+    /**
+     * @param {Object} message
+     */
+    #writeJson(message) {
+        this.#write(Opcode.TEXT, new TextEncoder().encode(JSON.stringify(message)));
+    }
+
+    /**
+     * @param {number} [code]
+     * @param {string} [reason]
+     */
+    #sendClose(code, reason) {
+        if (this.#closeSent) return;
+        this.#closeSent = true;
+        if (this.#socket?.writable) this.#socket.write(encodeClose(code, reason));
+    }
+
+    /**
+     * Parses socket data into frames.
+     *
+     * @param {Uint8Array} chunk
+     */
+    #handleData(chunk) {
+        if (!this.#parser) return;
+
+        let frames;
+        try {
+            frames = this.#parser.push(chunk);
+        } catch (error) {
+            this.#parser = null;
+            const details = /** @type {CrossBusError} */ (error).details;
+            this.close(details.closeCode, details.reason ?? 'Message too big');
+            this.#socket?.end();
+            return;
+        }
+
+        for (const frame of frames) {
+            this.#handleFrame(frame);
+        }
+    }
+
+    /**
+     * @param {import('./websocket-frames.js').Frame} frame
+     */
+    #handleFrame({ opcode, payload }) {
+        switch (opcode) {
+            case Opcode.CLOSE: {
+                // Closing on purpose ends the session
+                const { code, reason } = decodeClose(payload);
+                this.#ended = true;
+                this.#closeDetails ??= { code, reason };
+                this.#sendClose(code === 1005 ? undefined : code);
+                this.#socket?.end();
+                return;
+            }
+            case Opcode.PING:
+                this.#write(Opcode.PONG, payload);
+                return;
+            case Opcode.PONG:
+                this.#alive = true;
+                return;
+        }
+
+        // Data after a close frame is discarded
+        if (this.#closeDetails) return;
+
+        if (opcode === Opcode.BINARY) {
+            this.close(CloseCode.UNSUPPORTED_DATA, 'Binary messages are not supported');
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(this.#decoder.decode(payload));
+        } catch (error) {
+            if (error instanceof TypeError) {
+                this.close(CloseCode.INVALID_PAYLOAD, 'Invalid UTF-8');
+            }
+            // Anything that is not JSON is not for us
+            return;
+        }
+
+        this.#alive = true;
+        this.#handleMessage(data);
+    }
+
+    /**
+     * Handles incoming messages.
+     *
+     * @param {*} data
+     */
+    #handleMessage(data) {
+        // WebSocketTransport heartbeat
+        if (data?.type === 'ping' && !isProtocolMessage(data)) {
+            this.#writeJson({ type: 'pong' });
+            return;
+        }
+
+        if (this.#session) {
+            if (data?.type === SessionMessage.ACK && !isProtocolMessage(data)) {
+                this.#session.ack(data.ack);
+                return;
+            }
+            // Retransmitted after a resume, but we already had it
+            if (data && typeof data === 'object' && !this.#session.accept(data)) return;
+            this.#scheduleAck();
+        }
+
+        if (this.#channels.receive(data)) return;
+
+        // Skip if no handler
+        if (!this.#messageHandler) return;
+
+        // Skip non-protocol messages
+        if (!isProtocolMessage(data)) return;
+
+        // Invoke handler
+        try {
+            this.#messageHandler(data, {
+                origin: this.#origin
+            });
+        } catch (error) {
+            console.error('[CrossBus] WebSocketConnection handler error:', error);
+        }
+    }
+
+    /**
+     * Acknowledges received messages, at most every `ACK_DELAY_MS`.
+     */
+    #scheduleAck() {
+        if (this.#ackTimer) return;
+
+        this.#ackTimer = setTimeout(() => {
+            this.#ackTimer = null;
+            if (this.#session && !this.#closeDetails) {
+                this.#writeJson({ type: SessionMessage.ACK, ack: this.#session.received });
+            }
+        }, ACK_DELAY_MS);
+        /** @type {any} */ (this.#ackTimer).unref?.();
+    }
+
+    /**
+     * The socket closed: keeps a session that may be resumed, otherwise
+     * reports the disconnect.
+     */
+    #handleClose() {
+        if (this.#closeTimer) clearTimeout(this.#closeTimer);
+        const details = this.#closeDetails ?? { code: CloseCode.ABNORMAL, reason: '' };
+        this.#socket = null;
+        this.#parser = null;
+        if (this.#disconnected) return;
+
+        if (this.#session && !this.#ended && this.#sessionTimeoutMs > 0) {
+            this.#stateHandler?.('disconnected');
+            this.#channels.setState('disconnected');
+            this.#sessionTimer = setTimeout(() => this.#handleDisconnect(details), this.#sessionTimeoutMs);
+            /** @type {any} */ (this.#sessionTimer).unref?.();
+            return;
+        }
+        this.#handleDisconnect(details);
+    }
+
+    /**
+     * Reports the connection gone, once.
+     *
+     * @param {CloseDetails} details
+     */
+    #handleDisconnect(details) {
+        if (this.#disconnected) return;
+        this.#disconnected = true;
+        if (this.#sessionTimer) clearTimeout(this.#sessionTimer);
+        if (this.#ackTimer) clearTimeout(this.#ackTimer);
+        this.#closed.resolve();
+
+        try {
+            this.#disconnectHandler?.('close', details);
+        } catch (error) {
+            console.error('[CrossBus] WebSocketConnection disconnect handler error:', error);
+        }
+        this.#channels.disconnect('close', details);
+    }
+}
+
+/**
+ * WebSocket server for Node.js `http`/`https` servers.
+ *
+ * Performs the WebSocket upgrade itself and adds every connection to the bus
+ * as a peer, with a handshake so the peer is known by the ID the client
+ * proves rather than by connection. Create the bus with `isHub: true` so
+ * clients can also reach each other: the hub advertises every client to
+ * the others and relays their requests and signals.
+ *
+ * The peer is removed when its socket closes; `peer:disconnected` carries
+ * reason `close` and the close `code`/`reason` in `details`. A client whose
+ * handshake fails (e.g. its peer ID is already connected) is closed with
+ * code 1008.
+ *
+ * Clients using `resume` get a session: if their socket drops, the peer
+ * stays (`reconnecting`) for `sessionTimeoutMs`, and a client that reconnects
+ * in time resumes it without a new handshake, each side retransmitting what
+ * the other missed. Anyone holding the session token can resume it, so serve
+ * the hub over `wss:` (an `https` server). A client that closes on purpose
+ * ends its session.
+ *
+ * With `services`, one socket also carries the client's traffic with many
+ * buses of this process: a client's `transport.channel('billing')` becomes a
+ * peer of `services.billing` (with its own handshake), and `billing` a peer
+ * of the client. While a socket is backed up, each channel queues its own
+ * messages and the queues take turns. Such a client need not add the socket's
+ * own transport: one that never answers the hub's handshake stays connected.
+ *
+ * The `Origin` header, if sent, is the origin the bus checks against
+ * `allowedOrigins`; non-browser clients send none and are checked as '*'.
+ *
+ * @example
+ * import { createServer } from 'node:http';
+ *
+ * const bus = new CrossBus({ peerId: 'hub', isHub: true, allowedOrigins: ['https://app.example.com'] });
+ * const server = createServer();
+ * const hub = new WebSocketHub(bus, { server, path: '/crossbus' });
+ * server.listen(8080);
+ *
+ * // In the browser
+ * const transport = new WebSocketTransport({ url: 'ws://localhost:8080/crossbus', peerId: 'dashboard' });
+ * clientBus.addTransport(transport, { peerId: 'hub' });
+ * await transport.connect();
+ *
+ * @example
+ * // Services, each reachable as its own peer
+ * new WebSocketHub(bus, { server, path: '/crossbus', services: { billing: billingBus, search: searchBus } });
+ *
+ * // In the browser
+ * clientBus.addTransport(transport.channel('billing'), { peerId: 'billing' });
+ * clientBus.addTransport(transport.channel('search'), { peerId: 'search' });
+ */
+export class WebSocketHub {
+    /** @type {import('../core/cross-bus.js').CrossBus} */
+    #bus;
+
+    /** @type {string} */
+    #path;
+
+    /** @type {number|undefined} */
+    #maxMessageSize;
+
+    /** @type {number} */
+    #pingIntervalMs;
+
+    /** @type {((request: UpgradeRequest) => boolean|Promise<boolean>)|null} */
+    #verifyClient;
+
+    /** @type {Object} */
+    #peerOptions;
+
+    /** @type {number} */
+    #sessionTimeoutMs;
+
+    /** @type {number|undefined} */
+    #maxUnackedMessages;
+
+    /** @type {Map<string, import('../core/cross-bus.js').CrossBus>} */
+    #services;
+
+    /** @type {number|undefined} */
+    #highWaterMark;
+
+    /** @type {Map<string, WebSocketConnection>} Connections of clients using `resume`, by session */
+    #sessions = new Map();
+
+    /** @type {Map<HttpServer, (request: UpgradeRequest, socket: UpgradeSocket, head: Uint8Array) => void>} */
+    #servers = new Map();
+
+    /** @type {Set<WebSocketConnection>} */
+    #connections = new Set();
+
+    /** @type {ReturnType<typeof setInterval>|null} */
+    #pingTimer = null;
+
+    /** @type {import('../core/event-emitter.js').Subscription} */
+    #handshakeFailed;
+
+    /** @type {boolean} */
+    #closed = false;
+
+    /**
+     * Creates a new hub.
+     *
+     * @param {import('../core/cross-bus.js').CrossBus} bus - Bus the clients become peers of.
+     * @param {WebSocketHubOptions} [options={}] - Configuration.
+     * @throws {TypeError} If bus is not a CrossBus.
+     */
+    constructor(bus, options = {}) {
+        if (!bus || typeof bus.addTransport !== 'function') {
+            throw new TypeError('Bus must be a CrossBus instance');
+        }
+
+        this.#bus = bus;
+        this.#path = options.path ?? '/';
+        this.#maxMessageSize = options.maxMessageSize;
+        this.#pingIntervalMs = options.pingIntervalMs ?? 30000;
+        this.#verifyClient = options.verifyClient ?? null;
+        this.#peerOptions = options.peerOptions ?? {};
+        this.#sessionTimeoutMs = options.sessionTimeoutMs ?? 30000;
+        this.#maxUnackedMessages = options.maxUnackedMessages;
+        this.#services = new Map(Object.entries(options.services ?? {}));
+        this.#highWaterMark = options.highWaterMark;
+
+        this.#handshakeFailed = bus.on('handshake:failed', (event) => {
+            const { peerId, code } = /** @type {any} */ (event.data) ?? {};
+            // A client of services only may never answer
+            if (code === ErrorCode.HANDSHAKE_TIMEOUT && this.#services.size > 0) return;
+            for (const connection of this.#connections) {
+                if (connection.peerId === peerId) connection.close(CloseCode.POLICY_VIOLATION, 'Handshake failed');
+            }
+        }, { mode: 'sync' });
+
+        if (options.server) this.attach(options.server);
+    }
+
+    /**
+     * Number of open connections, including those still in the handshake
+     * and sessions waiting to be resumed.
+     * @returns {number}
+     */
+    get connectionCount() {
+        return this.#connections.size;
+    }
+
+    /**
+     * Starts accepting upgrade requests on a server. Requests for other paths
+     * are left to other `upgrade` listeners, or refused (404) if there are none.
+     *
+     * @param {HttpServer} server - An `http` or `https` server.
+     */
+    attach(server) {
+        if (this.#closed) {
+            throw CrossBusError.from(ErrorCode.DESTROYED, { context: 'WebSocketHub.attach' });
+        }
+        if (this.#servers.has(server)) return;
+
+        /** @type {(request: UpgradeRequest, socket: UpgradeSocket, head: Uint8Array) => void} */
+        const listener = (request, socket, head) => {
+            const url = parseUrl(request);
+            if (!url) {
+                reject(socket, 400);
+                return;
+            }
+            if (url.pathname !== this.#path) {
+                if (server.listenerCount('upgrade') === 1) reject(socket, 404);
+                return;
+            }
+            this.handleUpgrade(request, socket, head).catch((error) => {
+                console.error('[CrossBus] WebSocketHub upgrade error:', error);
+                socket.destroy();
+            });
+        };
+        server.on('upgrade', listener);
+        this.#servers.set(server, listener);
+    }
+
+    /**
+     * Stops accepting upgrade requests on a server (all servers if omitted).
+     * Open connections stay open.
+     *
+     * @param {HttpServer} [server]
+     */
+    detach(server) {
+        for (const [attached, listener] of this.#servers) {
+            if (server && attached !== server) continue;
+            attached.off('upgrade', listener);
+            this.#servers.delete(attached);
+        }
+    }
+
+    /**
+     * Accepts an upgrade request, for servers that route `upgrade` events
+     * themselves. The path is not checked. A request resuming a session
+     * continues its connection.
+     *
+     * @param {UpgradeRequest} request
+     * @param {UpgradeSocket} socket
+     * @param {Uint8Array} [head] - Bytes read past the request headers.
+     * @returns {Promise<WebSocketConnection|null>} The connection, or null if refused.
+     */
+    async handleUpgrade(request, socket, head) {
+        if (this.#closed) return reject(socket, 503);
+
+        const url = parseUrl(request);
+        if (!url) return reject(socket, 400);
+
+        const headers = request.headers;
+        const key = headers['sec-websocket-key'];
+        if (request.method !== 'GET' || headers.upgrade?.toLowerCase() !== 'websocket' ||
+            typeof key !== 'string' || !/^[A-Za-z0-9+/]{22}==$/.test(key)) {
+            return reject(socket, 400);
+        }
+        if (headers['sec-websocket-version'] !== '13') {
+            return reject(socket, 426, { 'Sec-WebSocket-Version': '13' });
+        }
+
+        let accept;
+        try {
+            if (this.#verifyClient && !(await this.#verifyClient(request))) {
+                return reject(socket, 401);
+            }
+            accept = await acceptKey(key);
+        } catch (error) {
+            console.error('[CrossBus] WebSocketHub upgrade error:', error);
+            return reject(socket, 500);
+        }
+        if (socket.destroyed) return null;
+        if (this.#closed) return reject(socket, 503);
+
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        if (head?.length) socket.unshift(head);
+
+        const params = url.searchParams;
+        const resumed = this.#sessions.get(params.get(SessionParam.SESSION) ?? '');
+        if (resumed?.resume(socket, Number(params.get(SessionParam.ACK)) || 0)) {
+            return resumed;
+        }
+
+        const origin = headers.origin ?? '*';
+        const connection = new WebSocketConnection(socket, {
+            origin,
+            maxMessageSize: this.#maxMessageSize,
+            session: params.has(SessionParam.SESSION),
+            sessionTimeoutMs: this.#sessionTimeoutMs,
+            maxUnackedMessages: this.#maxUnackedMessages,
+            highWaterMark: this.#highWaterMark
+        });
+        this.#track(connection);
+
+        // A service's peer is added the first time the client uses its channel
+        connection.onChannel((id) => {
+            const service = this.#services.get(id);
+            if (!service || service.isDestroyed) return;
+            service.addTransport(connection.channel(id), {
+                ...this.#peerOptions,
+                origin,
+                handshake: true
+            });
+        });
+
+        this.#bus.addTransport(connection, {
+            ...this.#peerOptions,
+            origin,
+            handshake: true
+        });
+        return connection;
+    }
+
+    /**
+     * Detaches from all servers and closes every connection.
+     *
+     * @param {number} [code=1001] - Close code sent to clients.
+     * @param {string} [reason='Server shutting down'] - Close reason.
+     * @returns {Promise<void>} Resolves once every connection has closed.
+     */
+    close(code = CloseCode.GOING_AWAY, reason = 'Server shutting down') {
+        this.#closed = true;
+        this.detach();
+        this.#handshakeFailed.unsubscribe();
+
+        const connections = [...this.#connections];
+        for (const connection of connections) {
+            connection.close(code, reason);
+        }
+        return Promise.all(connections.map(connection => connection.closed)).then(() => { });
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Private methods
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Keeps the connection pinged (and its session resumable) while it is open.
+     *
+     * @param {WebSocketConnection} connection
+     */
+    #track(connection) {
+        const sessionId = connection.sessionId;
+        this.#connections.add(connection);
+        if (sessionId) this.#sessions.set(sessionId, connection);
+
+        connection.closed.then(() => {
+            this.#connections.delete(connection);
+            if (sessionId) this.#sessions.delete(sessionId);
+            if (this.#connections.size === 0 && this.#pingTimer) {
+                clearInterval(this.#pingTimer);
+                this.#pingTimer = null;
+            }
+        });
+
+        if (this.#pingIntervalMs > 0 && !this.#pingTimer) {
+            this.#pingTimer = setInterval(() => {
+                for (const open of this.#connections) open.ping();
+            }, this.#pingIntervalMs);
+            /** @type {any} */ (this.#pingTimer).unref?.();
+        }
+    }
+}
+
+/**
+ * Parses the request URL; null if it is not one.
+ *
+ * @param {UpgradeRequest} request
+ * @returns {URL|null}
+ */
+function parseUrl(request) {
+    try {
+        return new URL(request.url ?? '/', 'http://localhost');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Refuses an upgrade request with a plain HTTP response.
+ *
+ * @param {UpgradeSocket} socket
+ * @param {number} status
+ * @param {Record<string, string>} [headers={}]
+ * @returns {null}
+ */
+function reject(socket, status, headers = {}) {
+    if (!socket.writable) {
+        socket.destroy();
+        return null;
+    }
+
+    const text = STATUS_TEXT[status];
+    socket.once('finish', () => socket.destroy());
+    socket.end([
+        `HTTP/1.1 ${status} ${text}`,
+        'Connection: close',
+        'Content-Type: text/plain',
+        `Content-Length: ${text.length}`,
+        ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+        '',
+        text
+    ].join('\r\n'));
+    return null;
+}
@@ -0,0 +1,379 @@
+/**
+ * @fileoverview Child-process IPC transport for Node.js.
+ * Wraps `child.send()` / `child.on('message')` on the parent side and
+ * `process.send()` / `process.on('message')` in the child.
+ * @module transports/child-process
+ */
+
+import {
+    PROTOCOL_MARKER,
+    PROTOCOL_VERSION,
+    isProtocolMessage
+} from '../common/types.js';
+import { CrossBusError, ErrorCode } from '../common/errors.js';
+
+/**
+ * The IPC end the transport wraps: a `ChildProcess` spawned with an `ipc`
+ * channel (e.g. by `fork()`), or `process` inside such a child.
+ * @typedef {import('node:child_process').ChildProcess|NodeJS.Process} IpcTarget
+ */
+
+/**
+ * @typedef {Object} ChildProcessTransportOptions
+ * @property {number} [maxQueueSize=1000] - Messages held while the IPC channel is
+ *   backed up; sending more throws `ERR_QUEUE_FULL`.
+ * @property {boolean} [killOnDestroy=true] - Kill a wrapped child process on `destroy()`.
+ */
+
+/**
+ * @typedef {Object} MessageContext
+ * @property {string} origin - Always 'ipc' for this transport.
+ */
+
+/**
+ * @callback MessageHandler
+ * @param {Object} message - The received protocol message.
+ * @param {MessageContext} context - Context information.
+ */
+
+/**
+ * @typedef {Object} ProcessExitDetails
+ * @property {number|null} [exitCode] - Exit code, null if the child was killed by a signal.
+ * @property {string|null} [signal] - Signal that killed the child, for `exit`.
+ * @property {Error} [error] - Why the child could not be spawned, for `error`.
+ */
+
+/**
+ * @callback DisconnectHandler
+ * @param {'exit'|'error'|'close'} reason - The child exited, could not be
+ *   spawned, or (in the child) the parent closed the channel.
+ * @param {ProcessExitDetails} [details]
+ */
+
+/**
+ * Node.js child-process IPC transport.
+ *
+ * The parent wraps the `ChildProcess` returned by `fork()`; the child wraps
+ * its own `process` with `fromParent()`. Node frames IPC messages itself.
+ *
+ * When `child.send()` reports the channel backed up, further messages are
+ * held and written once it has flushed, in order. At most `maxQueueSize`
+ * are held; `bufferedAmount` tells how many are waiting.
+ *
+ * When the child exits (or cannot be spawned), the transport reports a
+ * disconnect; `addTransport()` turns it into `peer:disconnected` with reason
+ * `exit` and the `exitCode` (or `signal`) in `details`.
+ *
+ * @example
+ * // Parent
+ * import { fork } from 'node:child_process';
+ *
+ * const child = fork('./tool-agent.js');
+ * bus.addTransport(new ChildProcessTransport(child), { peerId: 'tools' });
+ * bus.on('peer:disconnected', (e) => console.log(e.data.reason, e.data.details?.exitCode));
+ *
+ * // tool-agent.js
+ * bus.addTransport(ChildProcessTransport.fromParent(), { peerId: 'orchestrator' });
+ */
+export class ChildProcessTransport {
+    /** @type {IpcTarget|null} */
+    #target;
+
+    /** @type {boolean} True when wrapping a child, false inside one */
+    #isParent;
+
+    /** @type {number} */
+    #maxQueueSize;
+
+    /** @type {boolean} */
+    #killOnDestroy;
+
+    /** @type {Object[]} Messages held while the channel is backed up */
+    #queue = [];
+
+    /** @type {boolean} */
+    #blocked = false;
+
+    /** @type {MessageHandler|null} */
+    #messageHandler = null;
+
+    /** @type {DisconnectHandler|null} */
+    #disconnectHandler = null;
+
+    /** @type {boolean} */
+    #disconnected = false;
+
+    /** @type {boolean} */
+    #destroyed = false;
+
+    /** @type {Array<[string, (...args: any[]) => void]>} Listeners added to the target */
+    #listeners = [];
+
+    /**
+     * Checks if this is running on Node.js (or a runtime providing child_process).
+     *
+     * @returns {boolean} True if child-process IPC is available.
+     */
+    static isSupported() {
+        return typeof process !== 'undefined' && typeof process.versions?.node === 'string';
+    }
+
+    /**
+     * Creates the child side of the transport.
+     *
+     * @param {NodeJS.Process} [proc=process] - The current process.
+     * @param {ChildProcessTransportOptions} [options={}] - Configuration.
+     * @returns {ChildProcessTransport}
+     * @throws {CrossBusError} If the process was not spawned with an IPC channel.
+     */
+    static fromParent(proc = process, options = {}) {
+        if (typeof proc?.send !== 'function') {
+            throw CrossBusError.from(ErrorCode.UNSUPPORTED, {
+                api: 'process.send',
+                reason: 'Process was not spawned with an IPC channel'
+            });
+        }
+        return new ChildProcessTransport(proc, options);
+    }
+
+    /**
+     * Creates a new child-process transport.
+     *
+     * @param {IpcTarget} target - Child process (parent side) or `process` (child side).
+     * @param {ChildProcessTransportOptions} [options={}] - Configuration.
+     * @throws {TypeError} If target cannot send and receive messages.
+     */
+    constructor(target, options = {}) {
+        if (!target || typeof target.send !== 'function' || typeof target.on !== 'function') {
+            throw new TypeError('Target must be a ChildProcess with an IPC channel, or process');
+        }
+
+        this.#target = target;
+        this.#isParent = target !== globalThis.process;
+        this.#maxQueueSize = options.maxQueueSize ?? 1000;
+        this.#killOnDestroy = options.killOnDestroy ?? true;
+
+        this.#listen('message', this.#handleMessage.bind(this));
+        if (this.#isParent) {
+            this.#listen('exit', (exitCode, signal) => this.#handleDisconnect('exit', { exitCode, signal }));
+            this.#listen('error', this.#handleError.bind(this));
+        } else {
+            this.#listen('disconnect', () => this.#handleDisconnect('close'));
+        }
+    }
+
+    /**
+     * Sends a message to the other process.
+     *
+     * @param {Object} message - Protocol message to send.
+     * @throws {CrossBusError} If transport is destroyed, the other end is gone,
+     *   or `maxQueueSize` messages are already waiting.
+     */
+    send(message) {
+        if (this.#destroyed) {
+            throw CrossBusError.from(ErrorCode.DESTROYED, {
+                context: 'ChildProcessTransport.send'
+            });
+        }
+        if (this.#disconnected) {
+            throw CrossBusError.from(ErrorCode.PEER_DISCONNECTED, {
+                context: 'ChildProcessTransport.send'
+            });
+        }
+
+        // Ensure message has protocol marker
+        const envelope = {
+            [PROTOCOL_MARKER]: PROTOCOL_VERSION,
+            ...message
+        };
+
+        if (this.#blocked) {
+            if (this.#queue.length >= this.#maxQueueSize) {
+                throw CrossBusError.from(ErrorCode.QUEUE_FULL, {
+                    context: 'ChildProcessTransport.send',
+                    maxQueueSize: this.#maxQueueSize
+                });
+            }
+            this.#queue.push(envelope);
+            return;
+        }
+
+        this.#write(envelope);
+    }
+
+    /**
+     * Number of messages waiting for the IPC channel to flush.
+     * @returns {number}
+     */
+    get bufferedAmount() {
+        return this.#queue.length;
+    }
+
+    /**
+     * Registers a message handler.
+     * Only one handler can be registered; subsequent calls replace previous.
+     *
+     * @param {MessageHandler} handler - Function to handle incoming messages.
+     */
+    onMessage(handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Handler must be a function');
+        }
+        this.#messageHandler = handler;
+    }
+
+    /**
+     * Removes the message handler.
+     */
+    offMessage() {
+        this.#messageHandler = null;
+    }
+
+    /**
+     * Registers a handler called once when the other end goes away.
+     * Only one handler can be registered; subsequent calls replace previous.
+     *
+     * @param {DisconnectHandler} handler
+     */
+    onDisconnect(handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Handler must be a function');
+        }
+        this.#disconnectHandler = handler;
+    }
+
+    /**
+     * Destroys the transport, dropping held messages. Kills a wrapped child
+     * that is still running (unless `killOnDestroy` is false). Does not
+     * report a disconnect.
+     */
+    destroy() {
+        if (this.#destroyed) return;
+
+        this.#destroyed = true;
+        this.#messageHandler = null;
+        this.#disconnectHandler = null;
+        this.#queue = [];
+
+        const target = /** @type {any} */ (this.#target);
+        for (const [event, listener] of this.#listeners) {
+            target.off(event, listener);
+        }
+        this.#listeners = [];
+
+        if (this.#isParent && this.#killOnDestroy && !this.#disconnected) {
+            target.kill();
+        }
+        this.#target = null;
+    }
+
+    /**
+     * Checks if transport has been destroyed.
+     * @returns {boolean}
+     */
+    get isDestroyed() {
+        return this.#destroyed;
+    }
+
+    /**
+     * Checks if the other end has gone away.
+     * @returns {boolean}
+     */
+    get isDisconnected() {
+        return this.#disconnected;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Private methods
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * @param {string} event
+     * @param {(...args: any[]) => void} listener
+     */
+    #listen(event, listener) {
+        /** @type {any} */ (this.#target).on(event, listener);
+        this.#listeners.push([event, listener]);
+    }
+
+    /**
+     * Writes a message; if the channel reports a backlog, holds further
+     * messages until this one has been written.
+     *
+     * @param {Object} envelope
+     */
+    #write(envelope) {
+        const target = /** @type {any} */ (this.#target);
+        const accepted = target.send(envelope, (/** @type {Error|null} */ error) => {
+            if (error && !this.#disconnected && !this.#destroyed) {
+                console.error('[CrossBus] ChildProcess send error:', error);
+            }
+            if (!accepted) this.#flush();
+        });
+        if (!accepted) this.#blocked = true;
+    }
+
+    /**
+     * Writes held messages until the channel backs up again.
+     */
+    #flush() {
+        this.#blocked = false;
+        while (this.#queue.length && !this.#blocked && !this.#disconnected && !this.#destroyed) {
+            this.#write(/** @type {Object} */ (this.#queue.shift()));
+        }
+    }
+
+    /**
+     * Handles incoming messages.
+     *
+     * @param {*} data
+     */
+    #handleMessage(data) {
+        // Skip if no handler
+        if (!this.#messageHandler) return;
+
+        // Skip non-protocol messages
+        if (!isProtocolMessage(data)) return;
+
+        // Invoke handler
+        try {
+            this.#messageHandler(data, {
+                origin: 'ipc'
+            });
+        } catch (error) {
+            console.error('[CrossBus] ChildProcess handler error:', error);
+        }
+    }
+
+    /**
+     * Handles child process errors: a child that never spawned is gone,
+     * anything else (a failed send or kill) is only logged.
+     *
+     * @param {Error} error
+     */
+    #handleError(error) {
+        if (/** @type {any} */ (this.#target).pid === undefined) {
+            this.#handleDisconnect('error', { error });
+            return;
+        }
+        console.error('[CrossBus] ChildProcess error:', error);
+    }
+
+    /**
+     * Reports the other end gone, once.
+     *
+     * @param {'exit'|'error'|'close'} reason
+     * @param {ProcessExitDetails} [details]
+     */
+    #handleDisconnect(reason, details) {
+        if (this.#disconnected) return;
+        this.#disconnected = true;
+        this.#queue = [];
+
+        try {
+            this.#disconnectHandler?.(reason, details);
+        } catch (error) {
+            console.error('[CrossBus] ChildProcess disconnect handler error:', error);
+        }
+    }
+}
@@ -7,11 +7,13 @@
 import {
     PROTOCOL_MARKER,
     PROTOCOL_VERSION,
+    MessageType,
     isProtocolMessage,
     findTransferables
 } from '../common/types.js';
 import { CrossBusError, ErrorCode } from '../common/errors.js';
 import { getSerializer, detectPreferredContentType } from '../common/serialization.js';
+import { uuid } from '../common/utils.js';
 
 /**
  * @typedef {Window|Worker|ServiceWorker|MessagePort} PostMessageTarget
@@ -25,6 +27,8 @@ import { getSerializer, detectPreferredContentType } from '../common/serializati
  *                                            Empty = same origin only.
  * @property {boolean} [autoTransfer=false] - Auto-detect and transfer transferable objects.
  * @property {string} [contentType='application/json'] - Serialization format.
+ * @property {boolean} [byeOnUnload=true] - Send a BYE to the target when this page
+ *                                          (`pagehide`) or worker (`close`) goes away.
  */
 
 /**
@@ -89,6 +93,9 @@ export class PostMessageTransport {
     /** @type {Function|null} */
     #boundListener = null;
 
+    /** @type {{ target: EventTarget, event: string, listener: EventListener }|null} */
+    #unloadHook = null;
+
     /** @type {boolean} */
     #destroyed = false;
 
@@ -138,6 +145,10 @@ export class PostMessageTransport {
         // Set up message listener
         this.#boundListener = this.#handleMessage.bind(this);
         this.#getListenerTarget().addEventListener('message', /** @type {EventListener} */(this.#boundListener));
+
+        if (options.byeOnUnload !== false) {
+            this.#hookUnload();
+        }
     }
 
     /**
@@ -244,6 +255,12 @@ export class PostMessageTransport {
             this.#getListenerTarget().removeEventListener('message', /** @type {EventListener} */(this.#boundListener));
             this.#boundListener = null;
         }
+
+        if (this.#unloadHook) {
+            const { target, event, listener } = this.#unloadHook;
+            target.removeEventListener(event, listener);
+            this.#unloadHook = null;
+        }
     }
 
     /**
@@ -304,6 +321,38 @@ export class PostMessageTransport {
         }
     }
 
+    /**
+     * Sends a BYE when the current context goes away, so the remote bus
+     * drops this peer instead of waiting for timeouts.
+     * Windows fire `pagehide`; worker scopes fire `close` where supported.
+     */
+    #hookUnload() {
+        const inWorker = typeof DedicatedWorkerGlobalScope !== 'undefined' &&
+            globalThis instanceof DedicatedWorkerGlobalScope;
+
+        /** @type {any} */
+        const target = inWorker ? globalThis : (typeof window !== 'undefined' ? window : null);
+        if (typeof target?.addEventListener !== 'function') return;
+
+        const event = inWorker ? 'close' : 'pagehide';
+        const listener = () => {
+            if (this.#destroyed) return;
+            try {
+                this.send({
+                    id: uuid(),
+                    type: MessageType.BYE,
+                    timestamp: Date.now(),
+                    payload: { reason: event }
+                });
+            } catch {
+                // Target already gone: nothing left to notify
+            }
+        };
+
+        target.addEventListener(event, listener);
+        this.#unloadHook = { target, event, listener };
+    }
+
     /**
      * Checks if an origin is allowed.
      * 
@@ -0,0 +1,450 @@
+/**
+ * @fileoverview Newline-delimited JSON transport over a pair of Node.js streams.
+ * Connects to a child process through its stdin/stdout, or to the parent
+ * through the current process's stdin/stdout.
+ * @module transports/stdio
+ */
+
+import {
+    PROTOCOL_MARKER,
+    PROTOCOL_VERSION,
+    isProtocolMessage
+} from '../common/types.js';
+import { CrossBusError, ErrorCode } from '../common/errors.js';
+
+/**
+ * @typedef {Object} StdioTransportOptions
+ * @property {import('node:stream').Readable} input - Stream messages are read from.
+ * @property {import('node:stream').Writable} output - Stream messages are written to.
+ * @property {import('node:child_process').ChildProcess} [child] - Child process at the other
+ *   end of the streams: its exit is reported as the disconnect.
+ * @property {number} [maxLineLength=16777216] - Longest line accepted, in characters;
+ *   longer ones are dropped.
+ * @property {number} [maxQueueSize=1000] - Messages held while `output` is backed up;
+ *   sending more throws `ERR_QUEUE_FULL`.
+ * @property {boolean} [killOnDestroy=true] - Kill `child` on `destroy()`.
+ */
+
+/**
+ * @typedef {Object} MessageContext
+ * @property {string} origin - Always 'stdio' for this transport.
+ */
+
+/**
+ * @callback MessageHandler
+ * @param {Object} message - The received protocol message.
+ * @param {MessageContext} context - Context information.
+ */
+
+/**
+ * @typedef {import('./child-process.js').ProcessExitDetails} ProcessExitDetails
+ */
+
+/**
+ * @callback DisconnectHandler
+ * @param {'exit'|'error'|'close'} reason - The child exited or could not be
+ *   spawned, or (without a child) `input` ended.
+ * @param {ProcessExitDetails} [details]
+ */
+
+/**
+ * Newline-delimited JSON transport for any readable/writable stream pair.
+ *
+ * Each message is written as one line of JSON. Lines that are not JSON
+ * protocol messages (e.g. log output on stdout) are skipped, so an agent
+ * can keep logging to stderr, or even stdout, while it talks to the bus.
+ * Payloads go through `JSON.stringify()`: binary data does not survive.
+ *
+ * When `output.write()` reports the stream backed up, further messages are
+ * held and written on `drain`, in order. At most `maxQueueSize` are held;
+ * `bufferedAmount` tells how many are waiting.
+ *
+ * With a `child`, its exit is reported as a disconnect; `addTransport()`
+ * turns it into `peer:disconnected` with reason `exit` and the `exitCode`
+ * (or `signal`) in `details`. Without one, `input` ending is reported with
+ * reason `close`.
+ *
+ * @example
+ * // Parent
+ * import { spawn } from 'node:child_process';
+ *
+ * const child = spawn('node', ['tool-agent.js'], { stdio: ['pipe', 'pipe', 'inherit'] });
+ * bus.addTransport(StdioTransport.fromChildProcess(child), { peerId: 'tools' });
+ *
+ * // tool-agent.js
+ * bus.addTransport(StdioTransport.fromProcess(), { peerId: 'orchestrator' });
+ */
+export class StdioTransport {
+    /** @type {import('node:stream').Readable|null} */
+    #input;
+
+    /** @type {import('node:stream').Writable|null} */
+    #output;
+
+    /** @type {import('node:child_process').ChildProcess|null} */
+    #child;
+
+    /** @type {number} */
+    #maxLineLength;
+
+    /** @type {number} */
+    #maxQueueSize;
+
+    /** @type {boolean} */
+    #killOnDestroy;
+
+    /** @type {TextDecoder} */
+    #decoder = new TextDecoder();
+
+    /** @type {string} Incomplete line read so far */
+    #buffer = '';
+
+    /** @type {boolean} True while skipping the rest of an over-long line */
+    #skipping = false;
+
+    /** @type {string[]} Lines held while output is backed up */
+    #queue = [];
+
+    /** @type {boolean} */
+    #blocked = false;
+
+    /** @type {MessageHandler|null} */
+    #messageHandler = null;
+
+    /** @type {((reason: 'exit'|'error'|'close', details?: ProcessExitDetails) => void)|null} */
+    #disconnectHandler = null;
+
+    /** @type {boolean} */
+    #disconnected = false;
+
+    /** @type {boolean} */
+    #destroyed = false;
+
+    /** @type {Array<[any, string, (...args: any[]) => void]>} Listeners added to streams and child */
+    #listeners = [];
+
+    /**
+     * Checks if this is running on Node.js (or a runtime providing Node streams).
+     *
+     * @returns {boolean} True if supported.
+     */
+    static isSupported() {
+        return typeof process !== 'undefined' && typeof process.versions?.node === 'string';
+    }
+
+    /**
+     * Creates a transport talking to a child process through its stdin/stdout.
+     * The child must be spawned with `stdio: ['pipe', 'pipe', ...]`.
+     *
+     * @param {import('node:child_process').ChildProcess} child
+     * @param {Partial<StdioTransportOptions>} [options={}] - Configuration.
+     * @returns {StdioTransport}
+     * @throws {TypeError} If the child's stdin or stdout is not piped.
+     */
+    static fromChildProcess(child, options = {}) {
+        if (!child?.stdout || !child.stdin) {
+            throw new TypeError('Child process must be spawned with piped stdin and stdout');
+        }
+        return new StdioTransport({ ...options, input: child.stdout, output: child.stdin, child });
+    }
+
+    /**
+     * Creates a transport talking to the parent through this process's stdin/stdout.
+     *
+     * @param {NodeJS.Process} [proc=process] - The current process.
+     * @param {Partial<StdioTransportOptions>} [options={}] - Configuration.
+     * @returns {StdioTransport}
+     */
+    static fromProcess(proc = process, options = {}) {
+        return new StdioTransport({ ...options, input: proc.stdin, output: proc.stdout });
+    }
+
+    /**
+     * Creates a new stdio transport.
+     *
+     * @param {StdioTransportOptions} options - Streams and configuration.
+     * @throws {TypeError} If input or output is not a stream.
+     */
+    constructor(options) {
+        const { input, output, child } = options ?? {};
+        if (typeof input?.on !== 'function') {
+            throw new TypeError('input must be a readable stream');
+        }
+        if (typeof output?.write !== 'function' || typeof output.on !== 'function') {
+            throw new TypeError('output must be a writable stream');
+        }
+
+        this.#input = input;
+        this.#output = output;
+        this.#child = child ?? null;
+        this.#maxLineLength = options.maxLineLength ?? 16777216;
+        this.#maxQueueSize = options.maxQueueSize ?? 1000;
+        this.#killOnDestroy = options.killOnDestroy ?? true;
+
+        this.#listen(input, 'data', this.#handleData.bind(this));
+        this.#listen(output, 'drain', this.#flush.bind(this));
+        // Writing to a stream whose reader is gone (EPIPE) must not crash the process
+        this.#listen(output, 'error', this.#handleStreamError.bind(this));
+        this.#listen(input, 'error', this.#handleStreamError.bind(this));
+
+        if (this.#child) {
+            // 'close' rather than 'exit': by then everything the child wrote has been read
+            this.#listen(this.#child, 'close', (exitCode, signal) => this.#handleDisconnect('exit', { exitCode, signal }));
+            this.#listen(this.#child, 'error', (error) => {
+                if (this.#child?.pid === undefined) this.#handleDisconnect('error', { error });
+            });
+        } else {
+            this.#listen(input, 'end', () => this.#handleDisconnect('close'));
+        }
+    }
+
+    /**
+     * Sends a message as one line of JSON.
+     *
+     * @param {Object} message - Protocol message to send.
+     * @throws {CrossBusError} If transport is destroyed, the other end is gone,
+     *   or `maxQueueSize` messages are already waiting.
+     */
+    send(message) {
+        if (this.#destroyed) {
+            throw CrossBusError.from(ErrorCode.DESTROYED, {
+                context: 'StdioTransport.send'
+            });
+        }
+        if (this.#disconnected) {
+            throw CrossBusError.from(ErrorCode.PEER_DISCONNECTED, {
+                context: 'StdioTransport.send'
+            });
+        }
+
+        // Ensure message has protocol marker
+        const line = JSON.stringify({
+            [PROTOCOL_MARKER]: PROTOCOL_VERSION,
+            ...message
+        }) + '\n';
+
+        if (this.#blocked) {
+            if (this.#queue.length >= this.#maxQueueSize) {
+                throw CrossBusError.from(ErrorCode.QUEUE_FULL, {
+                    context: 'StdioTransport.send',
+                    maxQueueSize: this.#maxQueueSize
+                });
+            }
+            this.#queue.push(line);
+            return;
+        }
+
+        this.#blocked = !/** @type {import('node:stream').Writable} */ (this.#output).write(line);
+    }
+
+    /**
+     * Number of messages waiting for the output stream to drain.
+     * @returns {number}
+     */
+    get bufferedAmount() {
+        return this.#queue.length;
+    }
+
+    /**
+     * Registers a message handler.
+     * Only one handler can be registered; subsequent calls replace previous.
+     *
+     * @param {MessageHandler} handler - Function to handle incoming messages.
+     */
+    onMessage(handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Handler must be a function');
+        }
+        this.#messageHandler = handler;
+    }
+
+    /**
+     * Removes the message handler.
+     */
+    offMessage() {
+        this.#messageHandler = null;
+    }
+
+    /**
+     * Registers a handler called once when the other end goes away.
+     * Only one handler can be registered; subsequent calls replace previous.
+     *
+     * @param {DisconnectHandler} handler
+     */
+    onDisconnect(handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Handler must be a function');
+        }
+        this.#disconnectHandler = handler;
+    }
+
+    /**
+     * Destroys the transport, dropping held messages and partial input. Stops
+     * reading `input` (so a process can exit) and kills a running `child`
+     * (unless `killOnDestroy` is false). Does not report a disconnect.
+     */
+    destroy() {
+        if (this.#destroyed) return;
+
+        this.#destroyed = true;
+        this.#messageHandler = null;
+        this.#disconnectHandler = null;
+        this.#queue = [];
+        this.#buffer = '';
+
+        for (const [emitter, event, listener] of this.#listeners) {
+            emitter.off(event, listener);
+        }
+        this.#listeners = [];
+        this.#input?.pause();
+
+        if (this.#child && this.#killOnDestroy && !this.#disconnected) {
+            this.#child.kill();
+        }
+        this.#input = null;
+        this.#output = null;
+        this.#child = null;
+    }
+
+    /**
+     * Checks if transport has been destroyed.
+     * @returns {boolean}
+     */
+    get isDestroyed() {
+        return this.#destroyed;
+    }
+
+    /**
+     * Checks if the other end has gone away.
+     * @returns {boolean}
+     */
+    get isDisconnected() {
+        return this.#disconnected;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Private methods
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * @param {any} emitter
+     * @param {string} event
+     * @param {(...args: any[]) => void} listener
+     */
+    #listen(emitter, event, listener) {
+        emitter.on(event, listener);
+        this.#listeners.push([emitter, event, listener]);
+    }
+
+    /**
+     * Writes held lines until the output backs up again.
+     */
+    #flush() {
+        this.#blocked = false;
+        const output = /** @type {import('node:stream').Writable} */ (this.#output);
+        while (this.#queue.length && !this.#blocked) {
+            this.#blocked = !output.write(/** @type {string} */ (this.#queue.shift()));
+        }
+    }
+
+    /**
+     * Splits incoming data into lines.
+     *
+     * @param {string|Uint8Array} chunk
+     */
+    #handleData(chunk) {
+        let text = typeof chunk === 'string' ? chunk : this.#decoder.decode(chunk, { stream: true });
+
+        let newline = text.indexOf('\n');
+        while (newline !== -1) {
+            const line = this.#buffer + text.slice(0, newline);
+            this.#buffer = '';
+            text = text.slice(newline + 1);
+
+            if (this.#skipping) {
+                this.#skipping = false;
+            } else if (line.length <= this.#maxLineLength) {
+                this.#handleLine(line);
+            } else {
+                this.#dropLine(line.length);
+            }
+            newline = text.indexOf('\n');
+        }
+
+        if (this.#skipping) return;
+        this.#buffer += text;
+        if (this.#buffer.length > this.#maxLineLength) {
+            this.#dropLine(this.#buffer.length);
+            this.#buffer = '';
+            this.#skipping = true;
+        }
+    }
+
+    /**
+     * @param {number} length
+     */
+    #dropLine(length) {
+        console.warn(`[CrossBus] Stdio line dropped: longer than ${this.#maxLineLength} characters (${length})`);
+    }
+
+    /**
+     * Handles one line of input.
+     *
+     * @param {string} line
+     */
+    #handleLine(line) {
+        // Skip if no handler
+        if (!this.#messageHandler) return;
+
+        // Skip anything that is not a JSON object, e.g. log output
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('{')) return;
+
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch {
+            return;
+        }
+
+        // Skip non-protocol messages
+        if (!isProtocolMessage(data)) return;
+
+        // Invoke handler
+        try {
+            this.#messageHandler(data, {
+                origin: 'stdio'
+            });
+        } catch (error) {
+            console.error('[CrossBus] Stdio handler error:', error);
+        }
+    }
+
+    /**
+     * Handles stream errors; a closed pipe means the other end is gone.
+     *
+     * @param {Error} error
+     */
+    #handleStreamError(error) {
+        if (/** @type {any} */ (error).code === 'EPIPE' || this.#disconnected) return;
+        console.error('[CrossBus] Stdio stream error:', error);
+    }
+
+    /**
+     * Reports the other end gone, once.
+     *
+     * @param {'exit'|'error'|'close'} reason
+     * @param {ProcessExitDetails} [details]
+     */
+    #handleDisconnect(reason, details) {
+        if (this.#disconnected) return;
+        this.#disconnected = true;
+        this.#queue = [];
+
+        try {
+            this.#disconnectHandler?.(reason, details);
+        } catch (error) {
+            console.error('[CrossBus] Stdio disconnect handler error:', error);
+        }
+    }
+}
@@ -0,0 +1,456 @@
+/**
+ * @fileoverview Channels: many logical peers over one WebSocket, shared by
+ * `WebSocketTransport` and `WebSocketConnection`.
+ *
+ * Every message of a channel carries the channel ID in `_ch`; messages
+ * without one belong to the socket's own peer. Each channel is a transport of
+ * its own, added to a bus as a separate peer.
+ *
+ * While the socket is backed up (more than `highWaterMark` bytes waiting),
+ * each channel holds its messages in its own queue, and the queues are
+ * drained in turn, one message each: a channel that sends a lot fills its
+ * own queue (then gets `ERR_QUEUE_FULL`) without holding up the others.
+ *
+ * @module transports/websocket-channels
+ */
+
+import { CrossBusError, ErrorCode } from '../common/errors.js';
+
+/**
+ * Message field carrying the channel ID.
+ * @type {string}
+ */
+export const CHANNEL_FIELD = '_ch';
+
+/**
+ * How often queued channel messages are retried while the socket is backed
+ * up (browsers have no drain event).
+ * @type {number}
+ */
+export const DRAIN_INTERVAL_MS = 20;
+
+/**
+ * Refused or closed channel IDs remembered per socket; the oldest are
+ * forgotten first, and their messages ask `onChannel` again.
+ * @type {number}
+ */
+const MAX_REFUSED_CHANNELS = 1000;
+
+/**
+ * @typedef {Object} ChannelLink
+ * @property {(message: Object) => void} write - Sends a message on the socket.
+ * @property {() => number} bufferedAmount - Bytes waiting to be written on the socket.
+ */
+
+/**
+ * @typedef {Object} ChannelOptions
+ * @property {number} [maxQueueSize=1000] - Messages held while the socket is backed
+ *   up; sending more throws `ERR_QUEUE_FULL`.
+ */
+
+/**
+ * @typedef {Object} ChannelState
+ * @property {string} id
+ * @property {number} maxQueueSize
+ * @property {Object[]} queue - Messages waiting for the socket.
+ * @property {((message: Object) => void)|null} messageHandler
+ * @property {((reason: string, details?: Object) => void)|null} disconnectHandler
+ * @property {((state: string) => void)|null} stateHandler
+ * @property {boolean} disconnected
+ * @property {boolean} destroyed
+ */
+
+/**
+ * One logical peer on a shared WebSocket, used as the transport of that peer.
+ * Created by `WebSocketTransport.channel()` or `WebSocketConnection.channel()`.
+ *
+ * @example
+ * bus.addTransport(transport.channel('billing'), { peerId: 'billing' });
+ */
+export class WebSocketChannel {
+    /** @type {ChannelState} */
+    #state;
+
+    /** @type {(state: ChannelState, message: Object) => void} */
+    #send;
+
+    /** @type {(state: ChannelState) => void} */
+    #close;
+
+    /**
+     * @param {ChannelState} state - Shared with the multiplexer.
+     * @param {(state: ChannelState, message: Object) => void} send
+     * @param {(state: ChannelState) => void} close
+     */
+    constructor(state, send, close) {
+        this.#state = state;
+        this.#send = send;
+        this.#close = close;
+    }
+
+    /**
+     * Channel ID, the same at both ends.
+     * @returns {string}
+     */
+    get id() {
+        return this.#state.id;
+    }
+
+    /**
+     * Number of messages waiting for the socket.
+     * @returns {number}
+     */
+    get bufferedAmount() {
+        return this.#state.queue.length;
+    }
+
+    /**
+     * Sends a message on the channel; it is held while the socket is backed up.
+     *
+     * @param {Object} message - Protocol message to send.
+     * @throws {CrossBusError} If the channel is destroyed or its socket has
+     *   closed, or `maxQueueSize` messages are already waiting.
+     */
+    send(message) {
+        if (this.#state.destroyed) {
+            throw CrossBusError.from(ErrorCode.DESTROYED, {
+                context: 'WebSocketChannel.send',
+                channel: this.#state.id
+            });
+        }
+        if (this.#state.disconnected) {
+            throw CrossBusError.from(ErrorCode.PEER_DISCONNECTED, {
+                context: 'WebSocketChannel.send',
+                channel: this.#state.id
+            });
+        }
+        this.#send(this.#state, message);
+    }
+
+    /**
+     * Registers a message handler.
+     * Only one handler can be registered; subsequent calls replace previous.
+     *
+     * @param {(message: Object) => void} handler
+     */
+    onMessage(handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Handler must be a function');
+        }
+        this.#state.messageHandler = handler;
+    }
+
+    /**
+     * Removes the message handler.
+     */
+    offMessage() {
+        this.#state.messageHandler = null;
+    }
+
+    /**
+     * Registers a handler called once when the socket the channel rides on
+     * has closed for good.
+     * Only one handler can be registered; subsequent calls replace previous.
+     *
+     * @param {(reason: string, details?: Object) => void} handler
+     */
+    onDisconnect(handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Handler must be a function');
+        }
+        this.#state.disconnectHandler = handler;
+    }
+
+    /**
+     * Registers a handler told when the socket drops and comes back.
+     * Only one handler can be registered.
+     *
+     * @param {(state: string) => void} handler
+     */
+    onStateChange(handler) {
+        this.#state.stateHandler = handler;
+    }
+
+    /**
+     * Closes the channel and drops its queued messages. The socket and its
+     * other channels stay open.
+     */
+    destroy() {
+        if (this.#state.destroyed) return;
+        this.#close(this.#state);
+    }
+
+    /**
+     * Checks if the channel has been destroyed.
+     * @returns {boolean}
+     */
+    get isDestroyed() {
+        return this.#state.destroyed;
+    }
+}
+
+/**
+ * The channels of one socket: tags what they send, routes what arrives, and
+ * shares the socket fairly between them while it is backed up.
+ *
+ * @example
+ * const channels = new ChannelMultiplexer({
+ *     write: (message) => socket.send(JSON.stringify(message)),
+ *     bufferedAmount: () => socket.bufferedAmount
+ * });
+ * // On receive
+ * if (channels.receive(message)) return; // Was for a channel
+ */
+export class ChannelMultiplexer {
+    /** @type {ChannelLink} */
+    #link;
+
+    /** @type {number} */
+    #highWaterMark;
+
+    /** @type {Map<string, {channel: WebSocketChannel, state: ChannelState}>} */
+    #channels = new Map();
+
+    /** @type {Set<string>} IDs of channels refused or closed, whose messages are dropped (at most MAX_REFUSED_CHANNELS) */
+    #refused = new Set();
+
+    /** @type {((id: string) => void)|null} */
+    #channelHandler = null;
+
+    /** @type {ChannelState[]} Channels with queued messages, in drain order */
+    #waiting = [];
+
+    /** @type {ReturnType<typeof setTimeout>|null} */
+    #drainTimer = null;
+
+    /**
+     * @param {ChannelLink} link - The socket end the channels share.
+     * @param {Object} [options={}]
+     * @param {number} [options.highWaterMark=1048576] - Bytes waiting on the socket
+     *   above which channel messages are queued.
+     */
+    constructor(link, options = {}) {
+        this.#link = link;
+        this.#highWaterMark = options.highWaterMark ?? 1048576;
+    }
+
+    /**
+     * Number of open channels.
+     * @returns {number}
+     */
+    get size() {
+        return this.#channels.size;
+    }
+
+    /**
+     * Opens a channel, or returns the one already open under that ID.
+     *
+     * @param {string} id - Channel ID.
+     * @param {ChannelOptions} [options={}]
+     * @returns {WebSocketChannel}
+     * @throws {TypeError} If id is not a non-empty string.
+     */
+    open(id, options = {}) {
+        if (typeof id !== 'string' || id === '') {
+            throw new TypeError('Channel ID must be a non-empty string');
+        }
+        const open = this.#channels.get(id);
+        if (open) return open.channel;
+
+        /** @type {ChannelState} */
+        const state = {
+            id,
+            maxQueueSize: options.maxQueueSize ?? 1000,
+            queue: [],
+            messageHandler: null,
+            disconnectHandler: null,
+            stateHandler: null,
+            disconnected: false,
+            destroyed: false
+        };
+        const channel = new WebSocketChannel(
+            state,
+            (state, message) => this.#send(state, message),
+            (state) => this.#remove(state)
+        );
+        this.#refused.delete(id);
+        this.#channels.set(id, { channel, state });
+        return channel;
+    }
+
+    /**
+     * Registers a handler asked to open the channel of a message that arrives
+     * for one that is not open. If it does not, that channel's messages are
+     * dropped from then on.
+     *
+     * @param {(id: string) => void} handler
+     */
+    onChannel(handler) {
+        this.#channelHandler = handler;
+    }
+
+    /**
+     * Routes a received message to its channel.
+     *
+     * @param {Object} message - Received message; its `_ch` is removed.
+     * @returns {boolean} False if the message is not for a channel.
+     */
+    receive(message) {
+        const id = /** @type {any} */ (message)?.[CHANNEL_FIELD];
+        if (typeof id !== 'string') return false;
+        delete (/** @type {any} */ (message))[CHANNEL_FIELD];
+
+        if (!this.#channels.has(id) && !this.#refused.has(id)) {
+            try {
+                this.#channelHandler?.(id);
+            } catch (error) {
+                console.error('[CrossBus] Channel handler error:', error);
+            }
+            if (!this.#channels.has(id)) this.#refuse(id);
+        }
+
+        const handler = this.#channels.get(id)?.state.messageHandler;
+        try {
+            handler?.(message);
+        } catch (error) {
+            console.error('[CrossBus] WebSocketChannel handler error:', error);
+        }
+        return true;
+    }
+
+    /**
+     * Tells every channel the socket dropped or came back.
+     *
+     * @param {string} state
+     */
+    setState(state) {
+        for (const { state: channel } of this.#channels.values()) {
+            channel.stateHandler?.(state);
+        }
+    }
+
+    /**
+     * Tells every channel the socket has closed for good; they can no longer send.
+     *
+     * @param {string} reason
+     * @param {Object} [details]
+     */
+    disconnect(reason, details) {
+        this.#stopDrain();
+        this.#waiting = [];
+
+        for (const { state } of this.#channels.values()) {
+            if (state.disconnected) continue;
+            state.disconnected = true;
+            state.queue = [];
+            try {
+                state.disconnectHandler?.(reason, details);
+            } catch (error) {
+                console.error('[CrossBus] WebSocketChannel disconnect handler error:', error);
+            }
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Private methods
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Writes a channel message, or queues it behind the socket.
+     *
+     * @param {ChannelState} state
+     * @param {Object} message
+     */
+    #send(state, message) {
+        const tagged = { ...message, [CHANNEL_FIELD]: state.id };
+
+        if (state.queue.length === 0 && this.#link.bufferedAmount() < this.#highWaterMark) {
+            this.#link.write(tagged);
+            return;
+        }
+        if (state.queue.length >= state.maxQueueSize) {
+            throw CrossBusError.from(ErrorCode.QUEUE_FULL, {
+                context: 'WebSocketChannel.send',
+                channel: state.id,
+                maxQueueSize: state.maxQueueSize
+            });
+        }
+
+        state.queue.push(tagged);
+        if (state.queue.length === 1) this.#waiting.push(state);
+        this.#scheduleDrain();
+    }
+
+    /**
+     * Writes queued messages while the socket has room, one per channel in turn.
+     * A message the socket could not take stays first in its queue and is
+     * retried with the next drain.
+     */
+    #drain() {
+        while (this.#waiting.length && this.#link.bufferedAmount() < this.#highWaterMark) {
+            const state = /** @type {ChannelState} */ (this.#waiting[0]);
+            try {
+                this.#link.write(state.queue[0]);
+            } catch (error) {
+                console.error('[CrossBus] WebSocketChannel write error:', error);
+                break;
+            }
+            state.queue.shift();
+            this.#waiting.shift();
+            if (state.queue.length) this.#waiting.push(state);
+        }
+        if (this.#waiting.length) this.#scheduleDrain();
+    }
+
+    /**
+     * Retries the queues once the socket may have room.
+     */
+    #scheduleDrain() {
+        if (this.#drainTimer) return;
+
+        this.#drainTimer = setTimeout(() => {
+            this.#drainTimer = null;
+            this.#drain();
+        }, DRAIN_INTERVAL_MS);
+        /** @type {any} */ (this.#drainTimer).unref?.();
+    }
+
+    /**
+     * Cancels a scheduled drain.
+     */
+    #stopDrain() {
+        if (this.#drainTimer) {
+            clearTimeout(this.#drainTimer);
+            this.#drainTimer = null;
+        }
+    }
+
+    /**
+     * Closes a channel; later messages for it are dropped.
+     *
+     * @param {ChannelState} state
+     */
+    #remove(state) {
+        state.destroyed = true;
+        state.queue = [];
+        state.messageHandler = null;
+        state.disconnectHandler = null;
+        state.stateHandler = null;
+        this.#waiting = this.#waiting.filter(waiting => waiting !== state);
+        this.#channels.delete(state.id);
+        this.#refuse(state.id);
+    }
+
+    /**
+     * Remembers a channel ID whose messages are dropped.
+     *
+     * @param {string} id
+     */
+    #refuse(id) {
+        this.#refused.delete(id);
+        this.#refused.add(id);
+        if (this.#refused.size > MAX_REFUSED_CHANNELS) {
+            this.#refused.delete(/** @type {string} */ (this.#refused.values().next().value));
+        }
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Resumable WebSocket sessions, shared by `WebSocketTransport`
+ * and `WebSocketHub`.
+ *
+ * Wire protocol, on top of one JSON message per text frame:
+ * - The client asks for a session with the `crossbus_session` query parameter
+ *   (empty on first connect) and says how far it has received with `crossbus_ack`.
+ * - The server's first frame is `{type: 'session', session, ack, resumed}`:
+ *   the token to resume with, how far it has received, and whether it resumed.
+ * - Both sides number the messages they send (`_seq`, from 1), acknowledge
+ *   what they received with `{type: 'session_ack', ack}`, and keep messages
+ *   until they are acknowledged. After a resume, each side retransmits what
+ *   the other has not acknowledged.
+ *
+ * @module transports/websocket-session
+ */
+
+import { CrossBusError, ErrorCode } from '../common/errors.js';
+
+/**
+ * Query parameters of a client asking for a session.
+ * @readonly
+ * @enum {string}
+ */
+export const SessionParam = Object.freeze({
+    SESSION: 'crossbus_session',
+    ACK: 'crossbus_ack'
+});
+
+/**
+ * Control message types (sent without the protocol marker).
+ * @readonly
+ * @enum {string}
+ */
+export const SessionMessage = Object.freeze({
+    SESSION: 'session',
+    ACK: 'session_ack'
+});
+
+/**
+ * How long a side waits before acknowledging what it received.
+ * @type {number}
+ */
+export const ACK_DELAY_MS = 100;
+
+/**
+ * Sequence numbers and retransmission buffer of one side of a session.
+ *
+ * @example
+ * const session = new WebSocketSession({ maxUnacked: 1000 });
+ * socket.send(JSON.stringify(session.stamp(envelope)));
+ * // On receive
+ * if (!session.accept(message)) return; // Already delivered
+ * // On reconnect, once the other side said how far it got
+ * for (const message of session.resend(ack)) socket.send(JSON.stringify(message));
+ */
+export class WebSocketSession {
+    /** @type {number} */
+    #maxUnacked;
+
+    /** @type {number} Sequence number of the last message sent */
+    #sent = 0;
+
+    /** @type {number} Sequence number of the last message received in order */
+    #received = 0;
+
+    /** @type {Array<Object & {_seq: number}>} Sent messages not yet acknowledged */
+    #unacked = [];
+
+    /**
+     * @param {Object} [options={}]
+     * @param {number} [options.maxUnacked=1000] - Messages kept for retransmission;
+     *   sending more throws `ERR_QUEUE_FULL`.
+     */
+    constructor(options = {}) {
+        this.#maxUnacked = options.maxUnacked ?? 1000;
+    }
+
+    /**
+     * Sequence number of the last message received in order.
+     * @returns {number}
+     */
+    get received() {
+        return this.#received;
+    }
+
+    /**
+     * Number of sent messages not yet acknowledged.
+     * @returns {number}
+     */
+    get unacked() {
+        return this.#unacked.length;
+    }
+
+    /**
+     * Numbers a message and keeps it until it is acknowledged.
+     *
+     * @param {Object} envelope - Message to send.
+     * @returns {Object} The message with its `_seq`.
+     * @throws {CrossBusError} If `maxUnacked` messages are already waiting.
+     */
+    stamp(envelope) {
+        if (this.#unacked.length >= this.#maxUnacked) {
+            throw CrossBusError.from(ErrorCode.QUEUE_FULL, {
+                context: 'WebSocketSession.stamp',
+                maxUnacked: this.#maxUnacked
+            });
+        }
+        const message = { ...envelope, _seq: ++this.#sent };
+        this.#unacked.push(message);
+        return message;
+    }
+
+    /**
+     * Checks a received message: true if it is the next one, false if it was
+     * already delivered or arrived out of order. Strips its `_seq`.
+     *
+     * @param {Object} message - Received message; unnumbered ones are accepted.
+     * @returns {boolean}
+     */
+    accept(message) {
+        const seq = /** @type {any} */ (message)._seq;
+        if (typeof seq !== 'number') return true;
+        delete (/** @type {any} */ (message))._seq;
+        if (seq !== this.#received + 1) return false;
+        this.#received = seq;
+        return true;
+    }
+
+    /**
+     * Drops sent messages the other side has received.
+     *
+     * @param {number} ack - Sequence number of the last message it received.
+     */
+    ack(ack) {
+        while (this.#unacked.length && this.#unacked[0]._seq <= ack) {
+            this.#unacked.shift();
+        }
+    }
+
+    /**
+     * Messages to retransmit once the other side said how far it got.
+     *
+     * @param {number} ack - Sequence number of the last message it received.
+     * @returns {Object[]}
+     */
+    resend(ack) {
+        this.ack(ack);
+        return [...this.#unacked];
+    }
+
+    /**
+     * Moves to a new session the other side knows nothing about: nothing has
+     * been received in it yet, and unacknowledged messages are renumbered
+     * from 1 to be sent again.
+     *
+     * @returns {Object[]} Messages to send.
+     */
+    restart() {
+        this.#received = 0;
+        this.#sent = 0;
+        this.#unacked = this.#unacked.map(message => ({ ...message, _seq: ++this.#sent }));
+        return [...this.#unacked];
+    }
+
+    /**
+     * Starts over: forgets what was sent and received.
+     */
+    reset() {
+        this.#sent = 0;
+        this.#received = 0;
+        this.#unacked = [];
+    }
+}
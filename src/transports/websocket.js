@@ -6,6 +6,8 @@
 
 import { uuid } from '../common/utils.js';
 import { PROTOCOL_MARKER, PROTOCOL_VERSION } from '../common/types.js';
+import { WebSocketSession, SessionParam, SessionMessage, ACK_DELAY_MS } from './websocket-session.js';
+import { ChannelMultiplexer } from './websocket-channels.js';
 
 /**
  * @typedef {Object} WebSocketTransportOptions
@@ -16,6 +18,12 @@ import { PROTOCOL_MARKER, PROTOCOL_VERSION } from '../common/types.js';
  * @property {number} [maxReconnectDelayMs=30000] - Max delay with exponential backoff
  * @property {number} [heartbeatIntervalMs=30000] - Heartbeat interval (0 to disable)
  * @property {Object} [protocols] - WebSocket subprotocols
+ * @property {boolean} [resume=false] - Resume the server session after a reconnect,
+ *   retransmitting what either side missed (needs a server that supports it, e.g. `WebSocketHub`)
+ * @property {number} [maxUnackedMessages=1000] - With `resume`, sent messages kept until
+ *   the server acknowledges them; sending more throws `ERR_QUEUE_FULL`
+ * @property {number} [highWaterMark=1048576] - Bytes buffered on the socket above which
+ *   channel messages are queued, each channel in its own queue (see `channel()`)
  */
 
 /**
@@ -32,6 +40,30 @@ import { PROTOCOL_MARKER, PROTOCOL_VERSION } from '../common/types.js';
  * 
  * await transport.connect();
  * transport.send({ type: 'hello', payload: { name: 'client' } });
+ * 
+ * With `resume`, the server issues a session on first connect and both sides
+ * number and acknowledge their messages. After a reconnect the session is
+ * resumed: each side retransmits what the other has not acknowledged, so
+ * nothing sent during a short outage is lost and pending requests still get
+ * their response. If the server no longer knows the session, a new one starts
+ * and unacknowledged messages are sent again in it.
+ * 
+ * @example
+ * const transport = new WebSocketTransport({ url: 'wss://api.example.com/crossbus', resume: true });
+ * bus.addTransport(transport, { peerId: 'hub' });
+ * await transport.connect();
+ * 
+ * One socket can also carry many peers: `channel(id)` returns a transport for
+ * the peer on the other end of that channel (with `WebSocketHub`, one of its
+ * `services`), and messages carry the channel ID. While the socket is backed
+ * up, each channel queues its own messages and the queues take turns, so one
+ * busy peer cannot starve the others.
+ * 
+ * @example
+ * bus.addTransport(transport.channel('billing'), { peerId: 'billing' });
+ * bus.addTransport(transport.channel('search'), { peerId: 'search' });
+ * await transport.connect();
+ * await bus.request('billing', 'invoice', { id: 42 });
  */
 export class WebSocketTransport {
     /** @type {string} */
@@ -79,6 +111,21 @@ export class WebSocketTransport {
     /** @type {boolean} */
     #intentionalClose = false;
 
+    /** @type {WebSocketSession|null} Set with `resume` */
+    #session = null;
+
+    /** @type {string|null} Token of the server session */
+    #sessionId = null;
+
+    /** @type {(() => void)|null} Resolves `connect()` once the session has started */
+    #sessionStarted = null;
+
+    /** @type {ReturnType<typeof setTimeout>|null} */
+    #ackTimer = null;
+
+    /** @type {ChannelMultiplexer} */
+    #channels;
+
     /**
      * Creates a new WebSocket transport.
      * @param {WebSocketTransportOptions} options
@@ -91,6 +138,13 @@ export class WebSocketTransport {
         this.#maxReconnectDelayMs = options.maxReconnectDelayMs ?? 30000;
         this.#currentReconnectDelay = this.#reconnectDelayMs;
         this.#heartbeatIntervalMs = options.heartbeatIntervalMs ?? 30000;
+        if (options.resume) {
+            this.#session = new WebSocketSession({ maxUnacked: options.maxUnackedMessages });
+        }
+        this.#channels = new ChannelMultiplexer({
+            write: (message) => this.send(message),
+            bufferedAmount: () => this.#socket?.bufferedAmount ?? 0
+        }, { highWaterMark: options.highWaterMark });
     }
 
     /** @returns {string} */
@@ -103,6 +157,14 @@ export class WebSocketTransport {
         return this.#state;
     }
 
+    /**
+     * Token of the server session (with `resume`), null before the first connect.
+     * @returns {string|null}
+     */
+    get sessionId() {
+        return this.#sessionId;
+    }
+
     /** @returns {boolean} */
     get isConnected() {
         return this.#state === 'connected' && this.#socket?.readyState === WebSocket.OPEN;
@@ -122,13 +184,15 @@ export class WebSocketTransport {
 
         return new Promise((resolve, reject) => {
             try {
-                this.#socket = new WebSocket(this.#url);
+                this.#socket = new WebSocket(this.#connectUrl());
 
                 this.#socket.onopen = () => {
-                    this.#setState('connected');
-                    this.#currentReconnectDelay = this.#reconnectDelayMs;
-                    this.#flushQueue();
-                    this.#startHeartbeat();
+                    // With a session, the server speaks first
+                    if (this.#session) {
+                        this.#sessionStarted = resolve;
+                        return;
+                    }
+                    this.#handleOpen();
                     resolve();
                 };
 
@@ -138,7 +202,12 @@ export class WebSocketTransport {
 
                 this.#socket.onclose = (event) => {
                     this.#stopHeartbeat();
+                    this.#stopAck();
                     this.#setState('disconnected');
+                    if (this.#sessionStarted) {
+                        this.#sessionStarted = null;
+                        reject(new Error('WebSocket closed before the session started'));
+                    }
 
                     if (!this.#intentionalClose && this.#autoReconnect) {
                         this.#scheduleReconnect();
@@ -164,6 +233,11 @@ export class WebSocketTransport {
     disconnect() {
         this.#intentionalClose = true;
         this.#stopHeartbeat();
+        this.#stopAck();
+
+        // Closing on purpose ends the session
+        this.#session?.reset();
+        this.#sessionId = null;
 
         if (this.#reconnectTimer) {
             clearTimeout(this.#reconnectTimer);
@@ -182,9 +256,10 @@ export class WebSocketTransport {
      * Sends a message to the server.
      * @param {Object} message - Message to send
      * @returns {boolean} Whether the message was sent immediately
+     * @throws {CrossBusError} With `resume`, if `maxUnackedMessages` are waiting.
      */
     send(message) {
-        const envelope = {
+        let envelope = {
             _cb: PROTOCOL_VERSION,
             _m: PROTOCOL_MARKER,
             id: uuid(),
@@ -192,17 +267,31 @@ export class WebSocketTransport {
             timestamp: Date.now(),
             ...message
         };
+        // Kept until acknowledged, which also covers the time we are disconnected
+        if (this.#session) envelope = this.#session.stamp(envelope);
 
         if (this.isConnected && this.#socket) {
             this.#socket.send(JSON.stringify(envelope));
             return true;
         } else {
             // Queue for later
-            this.#messageQueue.push(envelope);
+            if (!this.#session) this.#messageQueue.push(envelope);
             return false;
         }
     }
 
+    /**
+     * Returns the transport of the peer on a channel of this socket, opening
+     * the channel if needed. Add it to the bus like any transport; the
+     * channel's peer is removed when this transport is destroyed.
+     * @param {string} id - Channel ID, e.g. the name of a service behind the server
+     * @param {import('./websocket-channels.js').ChannelOptions} [options]
+     * @returns {import('./websocket-channels.js').WebSocketChannel}
+     */
+    channel(id, options) {
+        return this.#channels.open(id, options);
+    }
+
     /**
      * Sets the message handler.
      * @param {(message: Object) => void} handler
@@ -231,6 +320,14 @@ export class WebSocketTransport {
                 return;
             }
 
+            if (this.#session && !this.#acceptSessionMessage(data)) {
+                return;
+            }
+
+            if (this.#channels.receive(data)) {
+                return;
+            }
+
             if (this.#messageHandler) {
                 this.#messageHandler(data);
             }
@@ -239,6 +336,106 @@ export class WebSocketTransport {
         }
     }
 
+    /**
+     * Marks the connection usable.
+     */
+    #handleOpen() {
+        this.#setState('connected');
+        this.#currentReconnectDelay = this.#reconnectDelayMs;
+        this.#flushQueue();
+        this.#startHeartbeat();
+    }
+
+    /**
+     * URL to connect to; asks for the session to resume, if any.
+     * @returns {string}
+     */
+    #connectUrl() {
+        if (!this.#session) return this.#url;
+
+        const url = new URL(this.#url);
+        url.searchParams.set(SessionParam.SESSION, this.#sessionId ?? '');
+        url.searchParams.set(SessionParam.ACK, String(this.#session.received));
+        return url.toString();
+    }
+
+    /**
+     * Handles session control messages and drops retransmitted duplicates.
+     * 
+     * @param {Object} data - Received message.
+     * @returns {boolean} True if the message is for the handler.
+     */
+    #acceptSessionMessage(data) {
+        const session = /** @type {WebSocketSession} */ (this.#session);
+        const control = !(PROTOCOL_MARKER in data);
+
+        if (control && data.type === SessionMessage.SESSION) {
+            this.#startSession(data);
+            return false;
+        }
+        if (control && data.type === SessionMessage.ACK) {
+            session.ack(data.ack);
+            return false;
+        }
+
+        if (this.#sessionStarted) {
+            // The server went on without a session: it does not support them
+            console.warn('[WebSocketTransport] Server does not support session resumption');
+            this.#startSession({ session: null, ack: 0, resumed: true });
+            this.#session = null;
+            return true;
+        }
+
+        if (!session.accept(data)) return false;
+        this.#scheduleAck();
+        return true;
+    }
+
+    /**
+     * Takes the server's session, retransmits what it has not received, and
+     * marks the connection usable.
+     * 
+     * @param {{session: string|null, ack: number, resumed: boolean}} info
+     */
+    #startSession({ session, ack, resumed }) {
+        const state = /** @type {WebSocketSession} */ (this.#session);
+        const messages = resumed ? state.resend(ack) : state.restart();
+        this.#sessionId = session;
+
+        for (const message of messages) {
+            this.#socket?.send(JSON.stringify(message));
+        }
+        this.#handleOpen();
+
+        const started = this.#sessionStarted;
+        this.#sessionStarted = null;
+        started?.();
+    }
+
+    /**
+     * Acknowledges received messages, at most every `ACK_DELAY_MS`.
+     */
+    #scheduleAck() {
+        if (this.#ackTimer) return;
+
+        this.#ackTimer = setTimeout(() => {
+            this.#ackTimer = null;
+            if (this.isConnected && this.#socket && this.#session) {
+                this.#socket.send(JSON.stringify({ type: SessionMessage.ACK, ack: this.#session.received }));
+            }
+        }, ACK_DELAY_MS);
+    }
+
+    /**
+     * Cancels a scheduled acknowledgement.
+     */
+    #stopAck() {
+        if (this.#ackTimer) {
+            clearTimeout(this.#ackTimer);
+            this.#ackTimer = null;
+        }
+    }
+
     /**
      * Flushes queued messages.
      */
@@ -260,6 +457,7 @@ export class WebSocketTransport {
             if (this.#stateHandler) {
                 this.#stateHandler(state);
             }
+            this.#channels.setState(state);
         }
     }
 
@@ -316,6 +514,7 @@ export class WebSocketTransport {
      */
     destroy() {
         this.disconnect();
+        this.#channels.disconnect('close');
         this.#messageHandler = null;
         this.#stateHandler = null;
         this.#messageQueue = [];
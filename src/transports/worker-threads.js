@@ -0,0 +1,420 @@
+/**
+ * @fileoverview worker_threads transport for Node.js main thread ↔ worker communication.
+ * Wraps a `Worker`, the worker's `parentPort`, or any worker_threads `MessagePort`.
+ * @module transports/worker-threads
+ */
+
+import {
+    PROTOCOL_MARKER,
+    PROTOCOL_VERSION,
+    isProtocolMessage,
+    findTransferables
+} from '../common/types.js';
+import { CrossBusError, ErrorCode } from '../common/errors.js';
+import { getSerializer } from '../common/serialization.js';
+import { uuid } from '../common/utils.js';
+
+/** Message type of a port handed over with `sendPort()`; never reaches the bus. */
+const PORT_HANDOFF = 'prt';
+
+/**
+ * What the transport wraps. Anything with `postMessage()`, `on()` and `off()`
+ * works; these are the ones worker_threads provides.
+ * @typedef {import('node:worker_threads').Worker|import('node:worker_threads').MessagePort} WorkerThreadsTarget
+ */
+
+/**
+ * @typedef {Object} WorkerThreadsTransportOptions
+ * @property {boolean} [autoTransfer=false] - Auto-detect and transfer transferable objects.
+ * @property {string} [contentType='application/json'] - Serialization format.
+ * @property {boolean} [terminateOnDestroy=true] - Terminate a wrapped `Worker` on `destroy()`.
+ */
+
+/**
+ * @typedef {Object} MessageContext
+ * @property {string} origin - Always 'worker_threads' for this transport.
+ */
+
+/**
+ * @callback MessageHandler
+ * @param {Object} message - The received protocol message.
+ * @param {MessageContext} context - Context information.
+ */
+
+/**
+ * @typedef {Object} DisconnectDetails
+ * @property {number} [exitCode] - Exit code of the worker, for `exit`.
+ * @property {Error} [error] - Uncaught error that ended the worker, for `error`.
+ */
+
+/**
+ * @callback DisconnectHandler
+ * @param {'exit'|'error'|'close'} reason - The worker exited, threw an uncaught
+ *   error, or the port was closed from the other side.
+ * @param {DisconnectDetails} [details]
+ */
+
+/**
+ * @callback PortHandler
+ * @param {import('node:worker_threads').MessagePort} port - The port handed over.
+ * @param {Object} meta - Metadata sent along with it.
+ */
+
+/**
+ * Node.js worker_threads transport.
+ *
+ * The main thread wraps the `Worker`, the worker wraps its `parentPort`
+ * with `fromParentPort()`. Both ends behave like `MessageChannelTransport`:
+ * structured clone, optional transfer lists, no origin.
+ *
+ * When the worker exits or dies of an uncaught error, the transport reports
+ * a disconnect; `addTransport()` turns it into `peer:disconnected` with
+ * reason `exit` (and the `exitCode`) or `error`.
+ *
+ * Ports can be handed to the other side with `sendPort()`, e.g. to let two
+ * workers talk directly instead of through the main thread.
+ *
+ * @example
+ * // Main thread
+ * import { Worker } from 'node:worker_threads';
+ *
+ * const worker = new Worker('./agent.js');
+ * bus.addTransport(new WorkerThreadsTransport(worker), { peerId: 'agent' });
+ * await bus.request('agent', 'resize', { image });
+ *
+ * // agent.js
+ * import { parentPort } from 'node:worker_threads';
+ *
+ * const bus = new CrossBus({ peerId: 'agent' });
+ * bus.handle('resize', resize);
+ * bus.addTransport(WorkerThreadsTransport.fromParentPort(parentPort), { peerId: 'main' });
+ */
+export class WorkerThreadsTransport {
+    /** @type {WorkerThreadsTarget|null} */
+    #target;
+
+    /** @type {boolean} */
+    #isWorker;
+
+    /** @type {boolean} */
+    #autoTransfer;
+
+    /** @type {boolean} */
+    #terminateOnDestroy;
+
+    /** @type {import('../common/serialization.js').Serializer} */
+    #serializer;
+
+    /** @type {string} */
+    #contentType;
+
+    /** @type {MessageHandler|null} */
+    #messageHandler = null;
+
+    /** @type {DisconnectHandler|null} */
+    #disconnectHandler = null;
+
+    /** @type {PortHandler|null} */
+    #portHandler = null;
+
+    /** @type {boolean} */
+    #disconnected = false;
+
+    /** @type {boolean} */
+    #destroyed = false;
+
+    /** @type {Array<[string, (...args: any[]) => void]>} Listeners added to the target */
+    #listeners = [];
+
+    /**
+     * Checks if this is running on Node.js (or a runtime providing worker_threads).
+     *
+     * @returns {boolean} True if worker_threads is available.
+     */
+    static isSupported() {
+        return typeof process !== 'undefined' && typeof process.versions?.node === 'string';
+    }
+
+    /**
+     * Creates the worker side of the transport.
+     *
+     * @param {import('node:worker_threads').MessagePort|null} parentPort - `parentPort` from node:worker_threads.
+     * @param {WorkerThreadsTransportOptions} [options={}] - Configuration.
+     * @returns {WorkerThreadsTransport}
+     * @throws {CrossBusError} If not running in a worker thread (`parentPort` is null).
+     */
+    static fromParentPort(parentPort, options = {}) {
+        if (!parentPort) {
+            throw CrossBusError.from(ErrorCode.UNSUPPORTED, {
+                api: 'worker_threads.parentPort',
+                reason: 'Not running in a worker thread'
+            });
+        }
+        return new WorkerThreadsTransport(parentPort, options);
+    }
+
+    /**
+     * Creates a new worker_threads transport.
+     *
+     * @param {WorkerThreadsTarget} target - Worker (main thread side) or MessagePort.
+     * @param {WorkerThreadsTransportOptions} [options={}] - Configuration.
+     * @throws {TypeError} If target cannot post and receive messages.
+     */
+    constructor(target, options = {}) {
+        if (!target || typeof target.postMessage !== 'function' || typeof target.on !== 'function') {
+            throw new TypeError('Target must be a Worker or MessagePort from node:worker_threads');
+        }
+
+        this.#target = target;
+        this.#isWorker = typeof (/** @type {any} */ (target).terminate) === 'function';
+        this.#autoTransfer = options.autoTransfer ?? false;
+        this.#terminateOnDestroy = options.terminateOnDestroy ?? true;
+        this.#contentType = options.contentType ?? 'application/json';
+        this.#serializer = getSerializer(this.#contentType);
+
+        this.#listen('message', this.#handleMessage.bind(this));
+        this.#listen('messageerror', this.#handleError.bind(this));
+        if (this.#isWorker) {
+            this.#listen('error', (error) => this.#handleDisconnect('error', { error }));
+            this.#listen('exit', (exitCode) => this.#handleDisconnect('exit', { exitCode }));
+        } else {
+            this.#listen('close', () => this.#handleDisconnect('close'));
+        }
+    }
+
+    /**
+     * Sends a message to the other thread.
+     *
+     * @param {Object} message - Protocol message to send.
+     * @param {Transferable[]} [transfer] - Transferable objects to pass.
+     * @throws {CrossBusError} If transport is destroyed or the other end is gone.
+     */
+    send(message, transfer) {
+        this.#assertOpen('WorkerThreadsTransport.send');
+
+        // Ensure message has protocol marker
+        const envelope = {
+            [PROTOCOL_MARKER]: PROTOCOL_VERSION,
+            ...message
+        };
+
+        let dataToSend = envelope;
+        if (this.#contentType !== 'application/json') {
+            dataToSend = this.#serializer.serialize(envelope);
+        }
+
+        // Auto-detect transferables if enabled
+        let transferables = transfer;
+        if (this.#autoTransfer && !transfer) {
+            transferables = findTransferables(message);
+            if (transferables.length === 0) {
+                transferables = undefined;
+            }
+        }
+
+        /** @type {any} */ (this.#target).postMessage(dataToSend, transferables);
+    }
+
+    /**
+     * Hands a MessagePort to the other thread, which receives it through `onPort()`.
+     *
+     * @param {import('node:worker_threads').MessagePort} port - Port to transfer; unusable here afterwards.
+     * @param {Object} [meta={}] - Sent along with the port (e.g. the peer ID on its other end).
+     * @throws {CrossBusError} If transport is destroyed or the other end is gone.
+     *
+     * @example
+     * // Main thread: connect two workers directly
+     * const { port1, port2 } = new MessageChannel();
+     * toWorkerA.sendPort(port1, { peerId: 'worker-b' });
+     * toWorkerB.sendPort(port2, { peerId: 'worker-a' });
+     *
+     * // In each worker
+     * transport.onPort((port, meta) => {
+     *   bus.addTransport(new WorkerThreadsTransport(port), { peerId: meta.peerId });
+     * });
+     */
+    sendPort(port, meta = {}) {
+        this.#assertOpen('WorkerThreadsTransport.sendPort');
+        if (!port || typeof port.postMessage !== 'function') {
+            throw new TypeError('Port must be a MessagePort');
+        }
+
+        /** @type {any} */ (this.#target).postMessage({
+            [PROTOCOL_MARKER]: PROTOCOL_VERSION,
+            id: uuid(),
+            t: PORT_HANDOFF,
+            port,
+            meta
+        }, [port]);
+    }
+
+    /**
+     * Registers a message handler.
+     * Only one handler can be registered; subsequent calls replace previous.
+     *
+     * @param {MessageHandler} handler - Function to handle incoming messages.
+     */
+    onMessage(handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Handler must be a function');
+        }
+        this.#messageHandler = handler;
+    }
+
+    /**
+     * Removes the message handler.
+     */
+    offMessage() {
+        this.#messageHandler = null;
+    }
+
+    /**
+     * Registers a handler called once when the other end goes away.
+     * Only one handler can be registered; subsequent calls replace previous.
+     *
+     * @param {DisconnectHandler} handler
+     */
+    onDisconnect(handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Handler must be a function');
+        }
+        this.#disconnectHandler = handler;
+    }
+
+    /**
+     * Registers a handler for ports handed over with `sendPort()`.
+     * Only one handler can be registered; subsequent calls replace previous.
+     *
+     * @param {PortHandler} handler
+     */
+    onPort(handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Handler must be a function');
+        }
+        this.#portHandler = handler;
+    }
+
+    /**
+     * Destroys the transport: closes a wrapped port, terminates a wrapped
+     * worker (unless `terminateOnDestroy` is false). Does not report a disconnect.
+     */
+    destroy() {
+        if (this.#destroyed) return;
+
+        this.#destroyed = true;
+        this.#messageHandler = null;
+        this.#disconnectHandler = null;
+        this.#portHandler = null;
+
+        const target = /** @type {any} */ (this.#target);
+        for (const [event, listener] of this.#listeners) {
+            target.off(event, listener);
+        }
+        this.#listeners = [];
+
+        if (this.#isWorker) {
+            if (this.#terminateOnDestroy && !this.#disconnected) target.terminate();
+        } else {
+            target.close?.();
+        }
+        this.#target = null;
+    }
+
+    /**
+     * Checks if transport has been destroyed.
+     * @returns {boolean}
+     */
+    get isDestroyed() {
+        return this.#destroyed;
+    }
+
+    /**
+     * Checks if the other end has gone away.
+     * @returns {boolean}
+     */
+    get isDisconnected() {
+        return this.#disconnected;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Private methods
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * @param {string} event
+     * @param {(...args: any[]) => void} listener
+     */
+    #listen(event, listener) {
+        /** @type {any} */ (this.#target).on(event, listener);
+        this.#listeners.push([event, listener]);
+    }
+
+    /**
+     * @param {string} context
+     */
+    #assertOpen(context) {
+        if (this.#destroyed) {
+            throw CrossBusError.from(ErrorCode.DESTROYED, { context });
+        }
+        if (this.#disconnected) {
+            throw CrossBusError.from(ErrorCode.PEER_DISCONNECTED, { context });
+        }
+    }
+
+    /**
+     * Handles incoming messages.
+     *
+     * @param {*} data
+     */
+    #handleMessage(data) {
+        // Skip non-protocol messages
+        if (!isProtocolMessage(data)) return;
+
+        if (data.t === PORT_HANDOFF && data.port) {
+            try {
+                this.#portHandler?.(data.port, data.meta ?? {});
+            } catch (error) {
+                console.error('[CrossBus] WorkerThreads port handler error:', error);
+            }
+            return;
+        }
+
+        // Skip if no handler
+        if (!this.#messageHandler) return;
+
+        // Invoke handler
+        try {
+            this.#messageHandler(data, {
+                origin: 'worker_threads'
+            });
+        } catch (error) {
+            console.error('[CrossBus] WorkerThreads handler error:', error);
+        }
+    }
+
+    /**
+     * Handles messages that could not be deserialized.
+     *
+     * @param {Error} error
+     */
+    #handleError(error) {
+        console.error('[CrossBus] WorkerThreads message error:', error);
+    }
+
+    /**
+     * Reports the other end gone, once: a worker dying of an error exits too.
+     *
+     * @param {'exit'|'error'|'close'} reason
+     * @param {DisconnectDetails} [details]
+     */
+    #handleDisconnect(reason, details) {
+        if (this.#disconnected) return;
+        this.#disconnected = true;
+
+        try {
+            this.#disconnectHandler?.(reason, details);
+        } catch (error) {
+            console.error('[CrossBus] WorkerThreads disconnect handler error:', error);
+        }
+    }
+}
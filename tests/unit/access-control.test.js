@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Tests for role-based access control.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { AccessControl } from '../../src/security/access-control.js';
+import { createHmacAuthenticator } from '../../src/security/authenticators.js';
+import { MessageType } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+import { createBuses, link, violations } from './fixtures/buses.js';
+
+const tick = () => new Promise(r => setTimeout(r, 10));
+
+describe('Access control', () => {
+    describe('AccessControl', () => {
+        it('should leave names without a policy open', () => {
+            const access = new AccessControl();
+
+            expect(access.can('a', 'getProfile')).toBe(true);
+            expect(access.getPolicy('getProfile')).toBeNull();
+        });
+
+        it('should require any of the roles of the most specific policy', () => {
+            const access = new AccessControl();
+            access.setPolicy('*', ['user']);
+            access.setPolicy('admin:*', ['admin']);
+            access.setPolicy('admin:users:*', ['admin', 'support']);
+            access.setPolicy('admin:users:list', ['auditor']);
+            access.setRoles('support', ['support']);
+
+            expect(access.getPolicy('getProfile')).toEqual(['user']);
+            expect(access.getPolicy('admin:ban')).toEqual(['admin']);
+            expect(access.getPolicy('admin:users:delete')).toEqual(['admin', 'support']);
+            expect(access.getPolicy('admin:users:list')).toEqual(['auditor']);
+            expect(access.can('support', 'admin:users:delete')).toBe(true);
+            expect(access.can('support', 'admin:ban')).toBe(false);
+            expect(access.can('support', 'admin:users:list')).toBe(false);
+        });
+
+        it('should match wildcard roles both ways', () => {
+            const access = new AccessControl();
+            access.setPolicy('deleteUser', ['admin:users']);
+            access.setPolicy('report', ['audit:*']);
+
+            for (const [roles, name, allowed] of [
+                [['admin:*'], 'deleteUser', true],
+                [['*'], 'deleteUser', true],
+                [['admin'], 'deleteUser', false],
+                [['admin:billing'], 'deleteUser', false],
+                [['audit:read'], 'report', true],
+                [['auditor'], 'report', false]
+            ]) {
+                access.setRoles('peer', roles);
+                expect(access.can('peer', name)).toBe(allowed);
+            }
+        });
+
+        it('should keep request and signal policies apart', () => {
+            const access = new AccessControl();
+            access.setPolicy('chat:*', ['user'], 'signal');
+
+            expect(access.can('a', 'chat:message', 'signal')).toBe(false);
+            expect(access.can('a', 'chat:message')).toBe(true);
+            expect(access.getPolicies('signal')).toEqual({ 'chat:*': ['user'] });
+        });
+
+        it('should close names whose policy has no roles and reopen removed ones', () => {
+            const access = new AccessControl();
+            access.setRoles('a', ['*']);
+            access.setPolicy('shutdown', []);
+
+            expect(access.can('a', 'shutdown')).toBe(false);
+            expect(access.setPolicy('shutdown', null)).toBe(true);
+            expect(access.can('a', 'shutdown')).toBe(true);
+        });
+
+        it('should prefer roles set for a peer over resolved ones', () => {
+            const access = new AccessControl({ resolveRoles: (peerId) => peerId === 'a' ? ['user'] : undefined });
+
+            expect(access.getRoles('a')).toEqual(['user']);
+            expect(access.getRoles('b')).toEqual([]);
+            access.setRoles('a', ['admin']);
+            expect(access.getRoles('a')).toEqual(['admin']);
+            expect(access.forget('a')).toBe(true);
+            expect(access.getRoles('a')).toEqual(['user']);
+        });
+
+        it('should validate policies and roles', () => {
+            const access = new AccessControl();
+
+            expect(() => access.setPolicy('', ['a'])).toThrow(TypeError);
+            expect(() => access.setPolicy('x', /** @type {any} */('admin'))).toThrow(TypeError);
+            expect(() => access.setPolicy('x', ['a'], /** @type {any} */('constructor'))).toThrow(TypeError);
+            expect(() => access.setRoles('a', [''])).toThrow(TypeError);
+        });
+    });
+
+    describe('on a bus', () => {
+        const { createBus, destroyAll } = createBuses();
+
+        afterEach(destroyAll);
+
+        it('should refuse requests from peers without a required role', async () => {
+            const server = createBus('server', { roles: { admin: ['admin'], guest: ['user'] } });
+            const admin = createBus('admin');
+            const guest = createBus('guest');
+            link(server, admin);
+            link(server, guest);
+            const deleteUser = mock(() => 'deleted');
+            server.handle('deleteUser', deleteUser, { roles: ['admin'] });
+            const events = violations(server);
+
+            expect(await admin.request('server', 'deleteUser', { id: 1 })).toBe('deleted');
+            await expect(guest.request('server', 'deleteUser', { id: 1 })).rejects.toMatchObject({
+                code: ErrorCode.UNAUTHORIZED
+            });
+
+            expect(deleteUser).toHaveBeenCalledTimes(1);
+            expect(server.can('admin', 'deleteUser')).toBe(true);
+            expect(server.can('guest', 'deleteUser')).toBe(false);
+            expect(events).toEqual([expect.objectContaining({
+                code: ErrorCode.UNAUTHORIZED,
+                peerId: 'guest',
+                messageType: MessageType.REQUEST,
+                handlerName: 'deleteUser'
+            })]);
+        });
+
+        it('should keep the roles a handler requires apart from policies', () => {
+            const server = createBus('server', { roles: { admin: ['admin', 'user'], guest: ['user'] } });
+            server.handle('deleteUser', () => 'deleted', { roles: ['admin'] });
+
+            server.setPolicy('deleteUser', ['user']);
+            expect(server.can('admin', 'deleteUser')).toBe(true);
+            expect(server.can('guest', 'deleteUser')).toBe(false);
+
+            server.unhandle('deleteUser');
+            server.handle('deleteUser', () => 'deleted');
+            expect(server.can('guest', 'deleteUser')).toBe(true);
+            expect(server.can('nobody', 'deleteUser')).toBe(false);
+        });
+
+        it('should drop signals from peers without a required role', async () => {
+            const server = createBus('server', { roles: { admin: ['admin'] } });
+            const admin = createBus('admin');
+            const guest = createBus('guest');
+            link(server, admin);
+            link(server, guest);
+            server.setPolicy('config:*', ['admin'], 'signal');
+            const received = [];
+            server.on('config:changed', (e) => received.push(e.data.source), { mode: 'sync' });
+
+            await admin.signal('config:changed', { theme: 'dark' });
+            await guest.signal('config:changed', { theme: 'pwned' });
+            await tick();
+
+            expect(received).toEqual(['admin']);
+        });
+
+        it('should resolve roles from the peer identity', async () => {
+            const resolver = mock(({ meta, authenticated }) => authenticated ? meta.roles : ['guest']);
+            const authenticator = createHmacAuthenticator('issued-secret');
+            const server = createBus('server', { roles: resolver, authenticator });
+            const client = createBus('client', { authenticator, meta: { roles: ['admin'] } });
+            const anonymous = createBus('anonymous', { meta: { roles: ['admin'] } });
+            link(server, client);
+            link(server, anonymous, { handshake: false });
+            await tick();
+
+            server.handle('admin:stats', () => 42);
+            server.setPolicy('admin:*', ['admin']);
+
+            expect(await client.request('server', 'admin:stats')).toBe(42);
+            expect(server.getRoles('client')).toEqual(['admin']);
+            expect(server.getRoles('anonymous')).toEqual(['guest']);
+            expect(resolver).toHaveBeenCalledWith(expect.objectContaining({ peerId: 'client', authenticated: true }));
+        });
+
+        it('should apply policy and role changes at runtime', async () => {
+            const server = createBus('server');
+            const client = createBus('client');
+            link(server, client);
+            server.handle('report', () => 'ok');
+
+            expect(await client.request('server', 'report')).toBe('ok');
+
+            server.setPolicy('report', ['auditor']);
+            await expect(client.request('server', 'report')).rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED });
+
+            server.setRoles('client', ['auditor']);
+            expect(await client.request('server', 'report')).toBe('ok');
+
+            server.setRoles('client', null);
+            server.setPolicy('report', null);
+            expect(await client.request('server', 'report')).toBe('ok');
+        });
+
+        it('should only list handlers a peer may call', async () => {
+            const server = createBus('server', { roles: { admin: ['admin'] } });
+            const admin = createBus('admin');
+            const guest = createBus('guest');
+            link(server, admin);
+            link(server, guest);
+            server.handle('ping', () => 'pong');
+            server.handle('deleteUser', () => 'deleted', { roles: ['admin'] });
+
+            expect((await admin.discover('server')).map(h => h.name)).toEqual(['ping', 'deleteUser']);
+            expect((await guest.discover('server')).map(h => h.name)).toEqual(['ping']);
+        });
+
+        it('should drop the policy of a removed handler', () => {
+            const server = createBus('server');
+            server.handle('deleteUser', () => 'deleted', { roles: ['admin'] });
+
+            expect(server.can('anyone', 'deleteUser')).toBe(false);
+            server.unhandle('deleteUser');
+            expect(server.can('anyone', 'deleteUser')).toBe(true);
+        });
+
+        it('should forget roles set for a peer when it disconnects', async () => {
+            const server = createBus('server');
+            const client = createBus('client');
+            link(server, client);
+            server.setRoles('client', ['admin']);
+
+            server.removePeer('client');
+            await tick();
+            expect(server.getRoles('client')).toEqual([]);
+        });
+    });
+});
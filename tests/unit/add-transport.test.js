@@ -5,6 +5,8 @@
 import { describe, it, expect, beforeEach, afterEach, mock } from 'bun:test';
 import { CrossBus } from '../../src/core/cross-bus.js';
 import { createConnectedMocks } from '../../src/testing/mock-transport.js';
+import { MessageType, PeerStatus } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
 
 describe('CrossBus.addTransport()', () => {
     let bus;
@@ -201,6 +203,150 @@ describe('CrossBus.addTransport()', () => {
         });
     });
 
+    describe('Handshake mode', () => {
+        it('should keep peer CONNECTING until the handshake completes', async () => {
+            const { transport1, transport2 } = createConnectedMocks('a', 'b');
+            const busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'], handshakeTimeout: 200 });
+
+            busA.addTransport(transport1, { peerId: 'b', handshake: true });
+
+            expect(busA.getPeer('b').status).toBe(PeerStatus.CONNECTING);
+            expect(transport1.getLastSent().type).toBe(MessageType.HANDSHAKE_INIT);
+
+            // Responder comes online after the first INIT was lost
+            const busB = new CrossBus({ peerId: 'b', allowedOrigins: ['*'], capabilities: ['streaming'] });
+            busB.addTransport(transport2, { peerId: 'a', handshake: true });
+
+            await new Promise(r => setTimeout(r, 20));
+
+            expect(busA.getPeer('b').status).toBe(PeerStatus.CONNECTED);
+            expect(busA.getPeer('b').capabilities).toContain('streaming');
+            expect(busB.getPeer('a').status).toBe(PeerStatus.CONNECTED);
+
+            busA.destroy();
+            busB.destroy();
+        });
+
+        it('should emit peer:connected only after verification', async () => {
+            const { transport1, transport2 } = createConnectedMocks('a', 'b');
+            const busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'] });
+            const busB = new CrossBus({ peerId: 'b', allowedOrigins: ['*'], meta: { role: 'worker' } });
+            busB.addTransport(transport2, { peerId: 'a' });
+
+            const connected = [];
+            busA.on('peer:connected', (e) => connected.push(e.data), { mode: 'sync' });
+
+            busA.addTransport(transport1, { handshake: true });
+            await new Promise(r => setTimeout(r, 20));
+
+            expect(connected).toHaveLength(1);
+            expect(connected[0].peerId).toBe('b');
+            expect(connected[0].meta.role).toBe('worker');
+
+            busA.destroy();
+            busB.destroy();
+        });
+
+        it('should adopt the remote peer ID when none is given', async () => {
+            const { transport1, transport2 } = createConnectedMocks('a', 'b');
+            const busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'] });
+            const busB = new CrossBus({ peerId: 'b', allowedOrigins: ['*'] });
+            busB.addTransport(transport2, { peerId: 'a' });
+            busB.handle('echo', (data) => data);
+
+            const cleanup = busA.addTransport(transport1, { handshake: true });
+            expect(busA.peers).toEqual(['a']); // provisional ID from transport
+
+            await new Promise(r => setTimeout(r, 20));
+            expect(busA.peers).toEqual(['b']);
+            expect(await busA.request('b', 'echo', 42)).toBe(42);
+
+            cleanup();
+            expect(busA.peerCount).toBe(0);
+
+            busA.destroy();
+            busB.destroy();
+        });
+
+        it('should hold requests until the handshake completes', async () => {
+            const { transport1, transport2 } = createConnectedMocks('a', 'b');
+            const busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'] });
+            const busB = new CrossBus({ peerId: 'b', allowedOrigins: ['*'] });
+            busB.handle('echo', (data) => ({ echoed: data }));
+
+            busA.addTransport(transport1, { peerId: 'b', handshake: true });
+            const pending = busA.request('b', 'echo', 'hi');
+
+            busB.addTransport(transport2, { peerId: 'a' });
+            // Answer the INIT that was sent before busB was listening
+            busA.handleMessage({ type: MessageType.HANDSHAKE_INIT, handshakeId: 'x', peerId: 'b' }, '*', 'b');
+
+            expect(await pending).toEqual({ echoed: 'hi' });
+
+            busA.destroy();
+            busB.destroy();
+        });
+
+        it('should fail pending requests with ERR_HANDSHAKE_TIMEOUT', async () => {
+            const transport = { send: mock(() => { }), onMessage: mock(() => { }), peerId: 'silent' };
+            const busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'], handshakeTimeout: 30 });
+
+            const failures = [];
+            busA.on('handshake:failed', (e) => failures.push(e.data), { mode: 'sync' });
+
+            busA.addTransport(transport, { handshake: true });
+
+            await expect(busA.request('silent', 'anything')).rejects.toMatchObject({
+                code: ErrorCode.HANDSHAKE_TIMEOUT
+            });
+            expect(busA.peers).not.toContain('silent');
+            expect(failures[0].code).toBe(ErrorCode.HANDSHAKE_TIMEOUT);
+
+            busA.destroy();
+        });
+
+        it('should reject a remote peer ID that does not match options.peerId', async () => {
+            const { transport1, transport2 } = createConnectedMocks('a', 'b');
+            const busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'] });
+            const busB = new CrossBus({ peerId: 'impostor', allowedOrigins: ['*'] });
+            busB.addTransport(transport2, { peerId: 'a' });
+
+            busA.addTransport(transport1, { peerId: 'b', handshake: true });
+
+            await expect(busA.request('b', 'anything')).rejects.toMatchObject({
+                code: ErrorCode.HANDSHAKE_REJECTED
+            });
+            expect(busA.peerCount).toBe(0);
+
+            busA.destroy();
+            busB.destroy();
+        });
+
+        it('should hold inbound messages until the peer is verified', async () => {
+            const transport = {
+                send: mock(() => { }),
+                onMessage: (handler) => { transport.deliver = handler; },
+                peerId: 'b'
+            };
+            const busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'] });
+            const received = [];
+            busA.on('ping', (e) => received.push(e.data.payload), { mode: 'sync' });
+
+            busA.addTransport(transport, { handshake: true });
+            const init = transport.send.mock.calls[0][0];
+
+            transport.deliver({ t: MessageType.BROADCAST, p: { type: MessageType.SIGNAL, payload: { name: 'ping', data: 1 } } });
+            await new Promise(r => setTimeout(r, 10));
+            expect(received).toEqual([]);
+
+            transport.deliver({ type: MessageType.HANDSHAKE_ACK, handshakeId: init.handshakeId, peerId: 'b', accept: true });
+            await new Promise(r => setTimeout(r, 10));
+            expect(received).toEqual([1]);
+
+            busA.destroy();
+        });
+    });
+
     describe('Throws when destroyed', () => {
         it('should throw if bus is destroyed', () => {
             bus.destroy();
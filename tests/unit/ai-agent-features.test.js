@@ -3,6 +3,7 @@
  */
 import { describe, it, expect, beforeEach, afterEach, mock } from 'bun:test';
 import { CrossBus } from '../../src/core/cross-bus.js';
+import { createConnectedMocks } from '../../src/testing/mock-transport.js';
 import { createValidator, withSchemaValidation, createValidationHook } from '../../src/plugins/schema-validation.js';
 import { ErrorCode } from '../../src/common/errors.js';
 import { MessageType } from '../../src/common/types.js';
@@ -589,5 +590,27 @@ describe('Schema Validation Plugin', () => {
 
             expect(responses[0].payload.success).toBe(true);
         });
+
+        it('should not validate responses against the request schema', async () => {
+            const { transport1, transport2 } = createConnectedMocks('client', 'server');
+            const client = new CrossBus({ peerId: 'client', allowedOrigins: ['*'] });
+            const server = new CrossBus({ peerId: 'server', allowedOrigins: ['*'] });
+            client.addTransport(transport1, { peerId: 'server' });
+            server.addTransport(transport2, { peerId: 'client' });
+
+            const schemas = { deleteUser: { type: 'object', required: ['id'] } };
+            client.addInboundHook(createValidationHook(schemas));
+            server.addInboundHook(createValidationHook(schemas));
+            server.handle('deleteUser', () => ({ ok: true }));
+
+            try {
+                expect(await client.request('server', 'deleteUser', { id: 1 })).toEqual({ ok: true });
+                await expect(client.request('server', 'deleteUser', {}))
+                    .rejects.toMatchObject({ code: ErrorCode.INVALID_PAYLOAD });
+            } finally {
+                client.destroy();
+                server.destroy();
+            }
+        });
     });
 });
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Tests for sending large request and response payloads in chunks.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { MessageType } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+import { createRequestMessage } from '../../src/core/message-types.js';
+import { encodeChunked, decodeChunked, ChunkEncoding } from '../../src/core/chunking.js';
+import { createBuses, link } from './fixtures/buses.js';
+
+const tick = () => new Promise(r => setTimeout(r, 5));
+
+/**
+ * A JSON document of roughly `rows * 40` bytes.
+ */
+function createDocument(rows) {
+    return { title: 'Export', rows: Array.from({ length: rows }, (_, i) => ({ id: i, text: `row number ${i}` })) };
+}
+
+describe('Chunked payloads', () => {
+    const { createBus, destroyAll } = createBuses();
+    let clientTransport;
+    let serverTransport;
+
+    function connect(clientOptions = {}, serverOptions = {}) {
+        const client = createBus('client', clientOptions);
+        const server = createBus('server', serverOptions);
+        ({ transport1: clientTransport, transport2: serverTransport } = link(client, server));
+        return { client, server };
+    }
+
+    /**
+     * Types of the responses and stream messages a transport sent.
+     */
+    function sentTypes(transport) {
+        return transport.getSentMessages()
+            .map(({ message }) => message.type ?? message.t)
+            .filter(type => type === MessageType.RESPONSE || type === 'stream');
+    }
+
+    /**
+     * Largest message a transport sent, in JSON characters.
+     */
+    function largestMessage(transport) {
+        return Math.max(...transport.getSentMessages().map(({ message }) => JSON.stringify(message).length));
+    }
+
+    afterEach(destroyAll);
+
+    it('should send large responses in chunks', async () => {
+        const { client, server } = connect({}, { chunking: { threshold: 1024, chunkSize: 1000 } });
+        const document = createDocument(500);
+        server.handle('export', () => document);
+
+        expect(await client.request('server', 'export')).toEqual(document);
+        expect(largestMessage(serverTransport)).toBeLessThan(1500);
+        expect(sentTypes(serverTransport).filter(type => type === 'stream').length).toBeGreaterThan(10);
+    });
+
+    it('should send large requests in chunks', async () => {
+        const { client, server } = connect({ chunking: { threshold: 1024, chunkSize: 1000 } });
+        const handler = mock((payload) => payload.rows.length);
+        server.handle('import', handler);
+        const document = createDocument(500);
+
+        expect(await client.request('server', 'import', document)).toBe(500);
+        expect(handler.mock.calls[0][0]).toEqual(document);
+        expect(largestMessage(clientTransport)).toBeLessThan(1500);
+    });
+
+    it('should not chunk payloads under the threshold', async () => {
+        const { client, server } = connect({}, { chunking: { threshold: 1024 } });
+        server.handle('small', () => 'x'.repeat(500));
+
+        expect(await client.request('server', 'small')).toBe('x'.repeat(500));
+        expect(sentTypes(serverTransport)).toEqual([MessageType.RESPONSE]);
+    });
+
+    it('should keep binary data binary', async () => {
+        const { client, server } = connect({}, { chunking: { threshold: 1024, chunkSize: 1000 } });
+        const bytes = Uint8Array.from({ length: 5000 }, (_, i) => i % 256);
+        server.handle('bytes', () => bytes);
+        server.handle('buffer', () => bytes.buffer);
+
+        expect(await client.request('server', 'bytes')).toEqual(bytes);
+        const buffer = await client.request('server', 'buffer');
+        expect(buffer).toBeInstanceOf(ArrayBuffer);
+        expect(new Uint8Array(buffer)).toEqual(bytes);
+    });
+
+    it('should send payloads JSON cannot carry as is', async () => {
+        const { client, server } = connect({}, { chunking: { threshold: 1024 } });
+        const value = { when: new Date(0), rows: createDocument(100).rows };
+        server.handle('dated', () => value);
+
+        expect(await client.request('server', 'dated')).toEqual(value);
+        expect(sentTypes(serverTransport)).toEqual([MessageType.RESPONSE]);
+    });
+
+    it('should not chunk when disabled', async () => {
+        const { client, server } = connect({}, { chunking: false });
+        server.handle('export', () => createDocument(500));
+
+        await client.request('server', 'export');
+        expect(sentTypes(serverTransport)).toEqual([MessageType.RESPONSE]);
+    });
+
+    it('should run inbound hooks on the reassembled payload', async () => {
+        const { client, server } = connect({}, { chunking: { threshold: 1024 } });
+        server.handle('export', () => createDocument(500));
+        client.addInboundHook((payload, context) => context.type === 'response' ? payload.rows.length : payload);
+
+        expect(await client.request('server', 'export')).toBe(500);
+    });
+
+    for (const chunkSize of [1000, 64000]) {
+        it(`should enforce maxPayloadSize on the chunks (${chunkSize} per chunk)`, async () => {
+            const { client, server } = connect({ chunking: { threshold: 1024, chunkSize } }, { maxPayloadSize: 4096 });
+            const handler = mock();
+            server.handle('import', handler);
+            const violations = [];
+            server.on('security:violation', (e) => violations.push(e.data), { mode: 'sync' });
+
+            // Only the receiving side knows its limit
+            await expect(client.request('server', 'import', createDocument(500))).rejects.toMatchObject({
+                code: ErrorCode.PAYLOAD_TOO_LARGE
+            });
+            expect(handler).not.toHaveBeenCalled();
+            expect(violations).toHaveLength(1);
+            expect(violations[0]).toMatchObject({ code: ErrorCode.PAYLOAD_TOO_LARGE, peerId: 'client', messageType: 'stream' });
+        });
+    }
+
+    it('should reject requests whose chunks never arrived', async () => {
+        const { client, server } = connect();
+        server.handle('import', () => 'ok');
+
+        const request = createRequestMessage('import', undefined, 'client', 'server', null, { chunked: 'missing' });
+        const replies = [];
+        await server.handleMessage(request, '*', 'client', (reply) => replies.push(reply));
+
+        expect(replies).toHaveLength(1);
+        expect(replies[0].payload).toMatchObject({ success: false, error: { code: ErrorCode.INVALID_MESSAGE } });
+        await client.request('server', 'import');
+    });
+
+    it('should reassemble payloads relayed by a hub', async () => {
+        const hub = createBus('hub', { isHub: true });
+        const page = createBus('page', { chunking: { threshold: 1024, chunkSize: 1000 } });
+        const worker = createBus('worker', { chunking: { threshold: 1024, chunkSize: 1000 } });
+        link(hub, page);
+        link(hub, worker);
+        await tick();
+        worker.handle('echo', (payload) => payload);
+        const document = createDocument(500);
+
+        expect(await page.request('worker', 'echo', document)).toEqual(document);
+    });
+
+    it('should drop chunks from disconnected peers', async () => {
+        const { client, server } = connect();
+        const handler = mock();
+        server.handle('import', handler);
+
+        // An open chunk stream, never finished
+        await server.handleMessage({ t: 'stream', sid: 's1', st: 'open', name: 'req', meta: { chunked: true, encoding: 'json' } }, '*', 'client');
+        const request = createRequestMessage('import', undefined, 'client', 'server', null, { chunked: 's1' });
+        const pending = server.handleMessage(request, '*', 'client', () => { });
+        client.destroy();
+        await pending;
+
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    describe('chunk streams a peer opens', () => {
+        const open = (sid) => ({ t: 'stream', sid, st: 'open', name: 'req', meta: { chunked: true, encoding: 'json' } });
+
+        async function requestWith(server, sid) {
+            const replies = [];
+            const request = createRequestMessage('import', undefined, 'client', 'server', null, { chunked: sid });
+            await server.handleMessage(request, '*', 'client', (reply) => replies.push(reply));
+            return replies[0].payload;
+        }
+
+        it('should refuse a stream ID already open', async () => {
+            const { server } = connect();
+            server.handle('import', (payload) => payload);
+
+            await server.handleMessage(open('s1'), '*', 'client');
+            await server.handleMessage({ t: 'stream', sid: 's1', st: 'data', d: '{"a":' }, '*', 'client');
+            await server.handleMessage(open('s1'), '*', 'client');
+            await server.handleMessage({ t: 'stream', sid: 's1', st: 'data', d: '1}' }, '*', 'client');
+            await server.handleMessage({ t: 'stream', sid: 's1', st: 'end' }, '*', 'client');
+
+            expect(await requestWith(server, 's1')).toMatchObject({ success: true, data: { a: 1 } });
+        });
+
+        it('should cap the streams open per peer at maxPendingRequests', async () => {
+            const { server } = connect({}, { maxPendingRequests: 2 });
+            server.handle('import', () => 'ok');
+            const violations = [];
+            server.on('security:violation', (e) => violations.push(e.data), { mode: 'sync' });
+
+            for (const sid of ['s1', 's2', 's3']) {
+                await server.handleMessage(open(sid), '*', 'client');
+            }
+
+            expect(violations).toEqual([expect.objectContaining({ code: ErrorCode.MAX_PENDING, peerId: 'client', limit: 2 })]);
+            expect(await requestWith(server, 's3')).toMatchObject({
+                success: false,
+                error: { code: ErrorCode.INVALID_MESSAGE }
+            });
+        });
+
+        it('should drop streams whose message has not arrived after requestTimeout', async () => {
+            const { server } = connect({}, { requestTimeout: 20 });
+            server.handle('import', () => 'ok');
+
+            await server.handleMessage(open('s1'), '*', 'client');
+            await server.handleMessage({ t: 'stream', sid: 's1', st: 'data', d: '{}' }, '*', 'client');
+            await server.handleMessage({ t: 'stream', sid: 's1', st: 'end' }, '*', 'client');
+            await new Promise(r => setTimeout(r, 40));
+
+            expect(await requestWith(server, 's1')).toMatchObject({
+                success: false,
+                error: { code: ErrorCode.INVALID_MESSAGE }
+            });
+        });
+    });
+});
+
+describe('chunk encoding', () => {
+    it('should round-trip JSON and binary data', () => {
+        const bytes = new Uint8Array([1, 2, 3]);
+        for (const value of [{ a: [1, 'two', null] }, 'text', 42, bytes, bytes.buffer]) {
+            const { body, encoding } = /** @type {any} */ (encodeChunked(value));
+            expect(decodeChunked(body, encoding)).toEqual(value);
+        }
+    });
+
+    it('should refuse data JSON would change', () => {
+        expect(encodeChunked({ when: new Date() })).toBeNull();
+        expect(encodeChunked(new Map([[1, 2]]))).toBeNull();
+        expect(encodeChunked({ big: 1n })).toBeNull();
+        expect(encodeChunked({ list: [new Set()] })).toBeNull();
+        expect(encodeChunked({ plain: Object.create(null) })?.encoding).toBe(ChunkEncoding.JSON);
+    });
+
+    it('should reject unknown encodings', () => {
+        expect(() => decodeChunked('x', 'xml')).toThrow(TypeError);
+    });
+});
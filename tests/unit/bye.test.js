@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Tests for the graceful disconnect (BYE) protocol.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { CrossBus } from '../../src/core/cross-bus.js';
+import { createConnectedMocks } from '../../src/testing/mock-transport.js';
+import { MessageType, PeerStatus } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+
+const tick = () => new Promise(r => setTimeout(r, 0));
+
+describe('CrossBus BYE', () => {
+    let busA;
+    let busB;
+
+    afterEach(() => {
+        busA?.destroy();
+        busB?.destroy();
+    });
+
+    function connect() {
+        const { transport1, transport2 } = createConnectedMocks('a', 'b');
+        busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'] });
+        busB = new CrossBus({ peerId: 'b', allowedOrigins: ['*'] });
+        busA.addTransport(transport1, { peerId: 'b' });
+        busB.addTransport(transport2, { peerId: 'a' });
+    }
+
+    it('should send BYE to every peer on destroy()', () => {
+        busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'] });
+        const sendB = mock();
+        const sendC = mock();
+        busA.addPeer('b', sendB);
+        busA.addPeer('c', sendC);
+
+        busA.destroy();
+
+        for (const sendFn of [sendB, sendC]) {
+            const bye = sendFn.mock.calls[0][0];
+            expect(bye.type).toBe(MessageType.BYE);
+            expect(bye.payload).toEqual({ source: 'a', reason: 'destroyed' });
+        }
+    });
+
+    it('should remove the peer and emit peer:disconnected when the remote is destroyed', async () => {
+        connect();
+        const events = [];
+        busB.on('peer:disconnected', (e) => events.push(e.data), { mode: 'sync' });
+
+        busA.destroy();
+        await tick();
+
+        expect(busB.getPeer('a')).toBeUndefined();
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ peerId: 'a', reason: 'destroyed' });
+    });
+
+    it('should reject pending requests with ERR_PEER_DISCONNECTED', async () => {
+        connect();
+        busA.handle('slow', () => new Promise(() => { }));
+
+        const pending = busB.request('a', 'slow', {}, { timeout: 5000 });
+        await tick();
+        busA.destroy();
+
+        await expect(pending).rejects.toMatchObject({ code: ErrorCode.PEER_DISCONNECTED });
+    });
+
+    it('should disconnect a single peer and tell it why', async () => {
+        connect();
+        const remote = [];
+        const local = [];
+        busB.on('peer:disconnected', (e) => remote.push(e.data), { mode: 'sync' });
+        busA.on('peer:disconnected', (e) => local.push(e.data), { mode: 'sync' });
+
+        expect(busA.disconnect('b', 'logout')).toBe(true);
+        await tick();
+
+        expect(busA.getPeer('b')).toBeUndefined();
+        expect(busB.getPeer('a')).toBeUndefined();
+        expect(local[0]).toMatchObject({ peerId: 'b', reason: 'logout' });
+        expect(remote[0]).toMatchObject({ peerId: 'a', reason: 'logout' });
+        expect(busA.isDestroyed).toBe(false);
+    });
+
+    it('should return false when disconnecting an unknown peer', () => {
+        busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'] });
+        expect(busA.disconnect('nobody')).toBe(false);
+    });
+
+    it('should still remove the peer if sending BYE fails', () => {
+        busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'] });
+        busA.addPeer('b', () => { throw new Error('closed'); });
+
+        expect(busA.disconnect('b')).toBe(true);
+        expect(busA.getPeer('b')).toBeUndefined();
+    });
+
+    it('should not run inbound hooks on BYE', async () => {
+        busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'] });
+        busA.addPeer('b', mock());
+        const hook = mock((p) => p);
+        busA.addInboundHook(hook);
+
+        await busA.handleMessage({ id: 'bye-1', type: MessageType.BYE, payload: { reason: 'pagehide' } }, '*', 'b');
+
+        expect(hook).not.toHaveBeenCalled();
+        expect(busA.getPeer('b')).toBeUndefined();
+    });
+
+    it('should abort a handshake when the peer leaves', async () => {
+        const { transport1 } = createConnectedMocks('a', 'b');
+        busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'] });
+        const failed = [];
+        busA.on('handshake:failed', (e) => failed.push(e.data), { mode: 'sync' });
+
+        busA.addTransport(transport1, { peerId: 'b', handshake: true });
+        expect(busA.getPeer('b').status).toBe(PeerStatus.CONNECTING);
+
+        await busA.handleMessage({ id: 'bye-1', type: MessageType.BYE, payload: { reason: 'pagehide' } }, '*', 'b');
+        await tick();
+
+        expect(busA.getPeer('b')).toBeUndefined();
+        expect(failed).toHaveLength(1);
+    });
+});
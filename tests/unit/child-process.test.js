@@ -0,0 +1,315 @@
+/**
+ * @fileoverview Tests for the Node.js child-process IPC and stdio transports.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { EventEmitter } from 'node:events';
+import { PassThrough, Writable } from 'node:stream';
+import { fork, spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { CrossBus } from '../../src/core/cross-bus.js';
+import { ChildProcessTransport } from '../../src/transports/child-process.js';
+import { StdioTransport } from '../../src/transports/stdio.js';
+import { MessageType, PROTOCOL_MARKER, PROTOCOL_VERSION } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+
+const AGENT = fileURLToPath(new URL('./fixtures/process-agent.js', import.meta.url));
+
+const tick = (ms = 10) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * A minimal protocol message.
+ */
+function signal(payload) {
+    return { id: crypto.randomUUID(), t: MessageType.SIGNAL, p: payload };
+}
+
+/**
+ * The same, as the other end writes it.
+ */
+function line(payload) {
+    return JSON.stringify({ [PROTOCOL_MARKER]: PROTOCOL_VERSION, ...signal(payload) }) + '\n';
+}
+
+/**
+ * Resolves with the data of the first event a bus emits.
+ */
+function nextEvent(bus, name) {
+    return new Promise(resolve => bus.on(name, (e) => resolve(e.data), { mode: 'sync' }));
+}
+
+/**
+ * An IPC child whose channel backs up after `capacity` unsent messages.
+ */
+class FakeChild extends EventEmitter {
+    pid = 1234;
+    sent = [];
+    #pending = [];
+
+    constructor(capacity) {
+        super();
+        this.capacity = capacity;
+        this.kill = mock();
+    }
+
+    send(message, callback) {
+        this.#pending.push(() => {
+            this.sent.push(message.p);
+            callback(null);
+        });
+        return this.#pending.length < this.capacity;
+    }
+
+    /** Lets the channel write everything it holds. */
+    flush() {
+        while (this.#pending.length) this.#pending.shift()();
+    }
+}
+
+describe('Process transports', () => {
+    const cleanups = [];
+
+    afterEach(() => {
+        while (cleanups.length) cleanups.pop()();
+    });
+
+    function createBus(peerId) {
+        const bus = new CrossBus({ peerId, allowedOrigins: ['*'] });
+        cleanups.push(() => bus.destroy());
+        return bus;
+    }
+
+    function startAgent(mode, peerId) {
+        const child = mode === 'ipc'
+            ? fork(AGENT, [mode, peerId], { stdio: ['ignore', 'ignore', 'inherit', 'ipc'] })
+            : spawn(process.execPath, [AGENT, mode, peerId], { stdio: ['pipe', 'pipe', 'inherit'] });
+        cleanups.push(() => child.kill());
+        return child;
+    }
+
+    describe('ChildProcessTransport', () => {
+        it('should run handlers in a forked process', async () => {
+            const bus = createBus('parent');
+            const child = startAgent('ipc', 'tools');
+            bus.addTransport(new ChildProcessTransport(child), { peerId: 'tools' });
+
+            expect(await bus.request('tools', 'whoami')).toEqual({ peerId: 'tools', pid: child.pid });
+            expect(await bus.request('tools', 'echo', { list: [1, 'two', null] })).toEqual({ list: [1, 'two', null] });
+        });
+
+        it('should report the child exiting with its exit code', async () => {
+            const bus = createBus('parent');
+            bus.addTransport(new ChildProcessTransport(startAgent('ipc', 'tools')), { peerId: 'tools' });
+            const disconnected = nextEvent(bus, 'peer:disconnected');
+
+            await bus.request('tools', 'exit', { code: 7 });
+
+            expect(await disconnected).toMatchObject({
+                peerId: 'tools', reason: 'exit', details: { exitCode: 7, signal: null }
+            });
+            expect(bus.peers).not.toContain('tools');
+        });
+
+        it('should report a child that could not be spawned, and only log later errors', () => {
+            const child = new FakeChild(10);
+            const transport = new ChildProcessTransport(/** @type {any} */(child));
+            const disconnected = mock();
+            transport.onDisconnect(disconnected);
+            const logged = mock();
+            const originalError = console.error;
+            console.error = logged;
+
+            try {
+                child.emit('error', new Error('kill EPERM'));
+                child.pid = undefined;
+                child.emit('error', Object.assign(new Error('spawn ENOENT'), { code: 'ENOENT' }));
+                child.emit('exit', -2, null);
+            } finally {
+                console.error = originalError;
+            }
+
+            expect(logged).toHaveBeenCalledTimes(1);
+            expect(disconnected).toHaveBeenCalledTimes(1);
+            expect(disconnected.mock.calls[0][0]).toBe('error');
+            expect(disconnected.mock.calls[0][1].error.code).toBe('ENOENT');
+        });
+
+        it('should hold messages while the channel is backed up', () => {
+            const child = new FakeChild(2);
+            const transport = new ChildProcessTransport(/** @type {any} */(child), { maxQueueSize: 2 });
+
+            transport.send(signal(1));
+            transport.send(signal(2));
+            transport.send(signal(3));
+            transport.send(signal(4));
+            expect(() => transport.send(signal(5))).toThrow(expect.objectContaining({ code: ErrorCode.QUEUE_FULL }));
+            expect(transport.bufferedAmount).toBe(2);
+
+            child.flush();
+            child.flush();
+            expect(child.sent).toEqual([1, 2, 3, 4]);
+            expect(transport.bufferedAmount).toBe(0);
+        });
+
+        it('should kill the child on destroy without reporting a disconnect', () => {
+            const child = new FakeChild(10);
+            const transport = new ChildProcessTransport(/** @type {any} */(child));
+            const disconnected = mock();
+            transport.onDisconnect(disconnected);
+
+            transport.destroy();
+            child.emit('exit', null, 'SIGTERM');
+
+            expect(child.kill).toHaveBeenCalledTimes(1);
+            expect(disconnected).not.toHaveBeenCalled();
+            expect(() => transport.send(signal())).toThrow(expect.objectContaining({ code: ErrorCode.DESTROYED }));
+        });
+
+        it('should require an IPC channel', () => {
+            expect(() => new ChildProcessTransport(/** @type {any} */(new EventEmitter()))).toThrow(TypeError);
+            expect(() => ChildProcessTransport.fromParent(/** @type {any} */({}))).toThrow(expect.objectContaining({
+                code: ErrorCode.UNSUPPORTED
+            }));
+        });
+    });
+
+    describe('StdioTransport', () => {
+        function createPair(options = {}) {
+            const input = new PassThrough();
+            const output = new PassThrough();
+            const transport = new StdioTransport({ input, output, ...options });
+            cleanups.push(() => transport.destroy());
+            return { input, output, transport };
+        }
+
+        it('should run handlers in a spawned process over stdin/stdout', async () => {
+            const bus = createBus('parent');
+            const child = startAgent('stdio', 'tools');
+            bus.addTransport(StdioTransport.fromChildProcess(child), { peerId: 'tools' });
+
+            expect(await bus.request('tools', 'log', 'not a message\n{"neither": true}')).toBe(true);
+            expect(await bus.request('tools', 'whoami')).toEqual({ peerId: 'tools', pid: child.pid });
+        });
+
+        it('should report the child exiting with its exit code', async () => {
+            const bus = createBus('parent');
+            bus.addTransport(StdioTransport.fromChildProcess(startAgent('stdio', 'tools')), { peerId: 'tools' });
+            const disconnected = nextEvent(bus, 'peer:disconnected');
+
+            await bus.request('tools', 'exit', { code: 3 });
+
+            expect(await disconnected).toMatchObject({ peerId: 'tools', reason: 'exit', details: { exitCode: 3 } });
+        });
+
+        it('should frame lines split across and packed into chunks', () => {
+            const { input, transport } = createPair();
+            const received = [];
+            transport.onMessage((message, context) => received.push([message.p, context.origin]));
+            const first = line({ text: 'héllo' });
+            const bytes = new TextEncoder().encode(first + line(2));
+
+            // Split inside a multi-byte character
+            const cut = first.indexOf('é') + 1;
+            input.write(bytes.subarray(0, cut));
+            input.write(bytes.subarray(cut, bytes.length - 5));
+            expect(received).toEqual([[{ text: 'héllo' }, 'stdio']]);
+            input.write(bytes.subarray(bytes.length - 5));
+
+            expect(received.map(([payload]) => payload)).toEqual([{ text: 'héllo' }, 2]);
+        });
+
+        it('should skip lines that are not protocol messages', () => {
+            const { input, transport } = createPair();
+            const received = [];
+            transport.onMessage((message) => received.push(message.p));
+
+            input.write('Server listening on 3000\n{broken json\n{"id":"x","t":"sig"}\n\n' + line('ok'));
+
+            expect(received).toEqual(['ok']);
+        });
+
+        it('should drop lines over maxLineLength', () => {
+            const { input, transport } = createPair({ maxLineLength: 100 });
+            const received = [];
+            transport.onMessage((message) => received.push(message.p));
+            const warn = mock();
+            const originalWarn = console.warn;
+            console.warn = warn;
+
+            try {
+                input.write(line('x'.repeat(60)).slice(0, 50));
+                input.write(line('x'.repeat(60)).slice(50));
+                input.write(line('y'.repeat(200)));
+                input.write(line('fits'));
+            } finally {
+                console.warn = originalWarn;
+            }
+
+            expect(received).toEqual(['fits']);
+            expect(warn).toHaveBeenCalledTimes(2);
+        });
+
+        it('should write one line per message', () => {
+            const { output, transport } = createPair();
+
+            const chunks = [];
+            output.on('data', (chunk) => chunks.push(chunk.toString()));
+
+            transport.send(signal({ text: 'multi\nline' }));
+            transport.send(signal(2));
+
+            const lines = chunks.join('').split('\n');
+            expect(lines).toHaveLength(3);
+            expect(JSON.parse(lines[0])).toMatchObject({ [PROTOCOL_MARKER]: PROTOCOL_VERSION, p: { text: 'multi\nline' } });
+            expect(JSON.parse(lines[1]).p).toBe(2);
+        });
+
+        it('should hold messages until the output drains', async () => {
+            const written = [];
+            let release;
+            const output = new Writable({
+                highWaterMark: 1,
+                write(chunk, _encoding, callback) {
+                    written.push(JSON.parse(chunk.toString()).p);
+                    release = callback;
+                }
+            });
+            const transport = new StdioTransport({ input: new PassThrough(), output, maxQueueSize: 2 });
+            cleanups.push(() => transport.destroy());
+
+            transport.send(signal(1));
+            transport.send(signal(2));
+            transport.send(signal(3));
+            expect(() => transport.send(signal(4))).toThrow(expect.objectContaining({ code: ErrorCode.QUEUE_FULL }));
+            expect(transport.bufferedAmount).toBe(2);
+            expect(written).toEqual([1]);
+
+            for (let i = 0; i < 3; i++) {
+                release();
+                await tick(1);
+            }
+            expect(written).toEqual([1, 2, 3]);
+            expect(transport.bufferedAmount).toBe(0);
+        });
+
+        it('should report the input ending when there is no child', async () => {
+            const { input, transport } = createPair();
+            const disconnected = mock();
+            transport.onDisconnect(disconnected);
+
+            input.end();
+            await tick();
+
+            expect(disconnected.mock.calls).toEqual([['close', undefined]]);
+            expect(() => transport.send(signal())).toThrow(expect.objectContaining({
+                code: ErrorCode.PEER_DISCONNECTED
+            }));
+        });
+
+        it('should validate its streams', () => {
+            expect(() => new StdioTransport(/** @type {any} */({ input: {}, output: new PassThrough() }))).toThrow(TypeError);
+            expect(() => new StdioTransport(/** @type {any} */({ input: new PassThrough(), output: {} }))).toThrow(TypeError);
+            expect(() => StdioTransport.fromChildProcess(/** @type {any} */({ stdin: null }))).toThrow(TypeError);
+        });
+    });
+});
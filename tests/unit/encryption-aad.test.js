@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Tests for sealing encrypted payloads to their message (AES-GCM AAD).
+ */
+
+import { describe, it, expect, mock, beforeEach, afterEach } from 'bun:test';
+import { Encryption } from '../../src/plugins/encryption.js';
+import { MessageType } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+import { createBuses, link, violations } from './fixtures/buses.js';
+
+const binding = { type: 'request', name: 'getBalance', source: 'widget', target: 'host' };
+
+describe('Encryption Plugin - Message binding', () => {
+    let key;
+
+    beforeEach(async () => {
+        key = await Encryption.generateKey();
+    });
+
+    it('should seal the payload to its message', async () => {
+        const encrypted = await Encryption.encrypt({ account: 1 }, key, { binding });
+
+        expect(encrypted.context).toMatchObject(binding);
+        expect(encrypted.context.ts).toBeNumber();
+        expect(await Encryption.decrypt(encrypted, key, { binding })).toEqual({ account: 1 });
+    });
+
+    it('should reject payloads sealed for another handler', async () => {
+        const encrypted = await Encryption.encrypt({ account: 1 }, key, { binding });
+
+        await expect(Encryption.decrypt(encrypted, key, { binding: { ...binding, name: 'transferFunds' } }))
+            .rejects.toMatchObject({
+                code: ErrorCode.CONTEXT_MISMATCH,
+                details: {
+                    expected: { name: 'transferFunds' },
+                    actual: { name: 'getBalance' }
+                }
+            });
+    });
+
+    it('should reject payloads sealed for another peer or message type', async () => {
+        const encrypted = await Encryption.encrypt({ account: 1 }, key, { binding });
+
+        for (const other of [{ source: 'evil' }, { target: 'other-host' }, { type: 'response' }, { type: 'signal', target: undefined }]) {
+            await expect(Encryption.decrypt(encrypted, key, { binding: { ...binding, ...other } }))
+                .rejects.toMatchObject({ code: ErrorCode.CONTEXT_MISMATCH });
+        }
+    });
+
+    it('should reject payloads whose context was rewritten', async () => {
+        const encrypted = await Encryption.encrypt({ account: 1 }, key, { binding });
+        const moved = { ...encrypted, context: { ...encrypted.context, name: 'transferFunds' } };
+        const redated = { ...encrypted, context: { ...encrypted.context, ts: Date.now() + 1 } };
+
+        const target = { ...binding, name: 'transferFunds' };
+        await expect(Encryption.decrypt(moved, key, { binding: target })).rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED });
+        await expect(Encryption.decrypt(redated, key, { binding })).rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED });
+    });
+
+    it('should reject expired payloads', async () => {
+        const encrypted = await Encryption.encrypt({ account: 1 }, key, { binding });
+
+        await expect(Encryption.decrypt(encrypted, key, { binding, ttl: -1 }))
+            .rejects.toMatchObject({ code: ErrorCode.REPLAY_DETECTED });
+    });
+
+    it('should reject unsealed payloads when a binding is expected', async () => {
+        const encrypted = await Encryption.encrypt({ account: 1 }, key);
+
+        await expect(Encryption.decrypt(encrypted, key, { binding }))
+            .rejects.toMatchObject({ code: ErrorCode.CONTEXT_MISMATCH, details: { actual: null } });
+    });
+
+    describe('with hooks on a bus', () => {
+        const buses = createBuses();
+        let errors;
+        let originalError;
+
+        function createBus(peerId) {
+            const bus = buses.createBus(peerId);
+            const { encryptHook, decryptHook } = Encryption.createEncryptedHooks(key);
+            bus.addOutboundHook(encryptHook);
+            bus.addInboundHook(decryptHook);
+            return bus;
+        }
+
+        function connect(busA, busB) {
+            return link(busA, busB).transport2;
+        }
+
+        /**
+         * Encrypted request payloads a transport sent.
+         */
+        function sentRequests(transport) {
+            return transport.getSentMessages()
+                .map(({ message }) => message)
+                .filter(message => message.type === MessageType.REQUEST)
+                .map(message => message.payload.data);
+        }
+
+        /**
+         * Codes of the errors the decrypt hook threw.
+         */
+        function hookErrors() {
+            return errors.mock.calls.filter(([label]) => label === '[CrossBus] Hook error:').map(([, error]) => error.code);
+        }
+
+        beforeEach(() => {
+            originalError = console.error;
+            errors = mock();
+            console.error = errors;
+        });
+
+        afterEach(() => {
+            console.error = originalError;
+            buses.destroyAll();
+        });
+
+        it('should bind requests and responses to their handler', async () => {
+            const host = createBus('host');
+            const widget = createBus('widget');
+            connect(host, widget);
+            host.handle('getBalance', () => ({ balance: 100 }));
+
+            expect(await widget.request('host', 'getBalance', { account: 1 })).toEqual({ balance: 100 });
+            expect(hookErrors()).toEqual([]);
+        });
+
+        it('should not accept a ciphertext moved to another handler', async () => {
+            const host = createBus('host');
+            const widget = createBus('widget');
+            const widgetTransport = connect(host, widget);
+            const transfer = mock(() => 'sent');
+            host.handle('getBalance', () => ({ balance: 100 }));
+            host.handle('transferFunds', transfer);
+
+            await widget.request('host', 'getBalance', { account: 1, amount: 100 });
+            const [envelope] = sentRequests(widgetTransport);
+
+            await expect(widget.request('host', 'transferFunds', envelope))
+                .rejects.toMatchObject({ code: ErrorCode.CONTEXT_MISMATCH });
+            expect(transfer).not.toHaveBeenCalled();
+        });
+
+        it('should not accept a ciphertext whose context was rewritten to match', async () => {
+            const host = createBus('host');
+            const widget = createBus('widget');
+            const widgetTransport = connect(host, widget);
+            const transfer = mock(() => 'sent');
+            host.handle('getBalance', () => ({ balance: 100 }));
+            host.handle('transferFunds', transfer);
+
+            await widget.request('host', 'getBalance', { account: 1, amount: 100 });
+            const [envelope] = sentRequests(widgetTransport);
+            const moved = { ...envelope, context: { ...envelope.context, name: 'transferFunds' } };
+
+            await expect(widget.request('host', 'transferFunds', moved))
+                .rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED });
+            expect(transfer).not.toHaveBeenCalled();
+        });
+
+        it('should not accept a ciphertext replayed by another peer', async () => {
+            const host = createBus('host');
+            const widget = createBus('widget');
+            const evil = createBus('evil');
+            const widgetTransport = connect(host, widget);
+            connect(host, evil);
+            const getBalance = mock(() => ({ balance: 100 }));
+            host.handle('getBalance', getBalance);
+
+            const events = violations(host);
+
+            await widget.request('host', 'getBalance', { account: 1 });
+            const [envelope] = sentRequests(widgetTransport);
+
+            await expect(evil.request('host', 'getBalance', envelope))
+                .rejects.toMatchObject({ code: ErrorCode.CONTEXT_MISMATCH });
+            expect(getBalance).toHaveBeenCalledTimes(1);
+            expect(events).toEqual([expect.objectContaining({
+                code: ErrorCode.CONTEXT_MISMATCH,
+                peerId: 'evil',
+                handlerName: 'getBalance'
+            })]);
+        });
+
+        it('should bind signals to their name', async () => {
+            const host = createBus('host');
+            const widget = createBus('widget');
+            connect(host, widget);
+            const received = [];
+            widget.on('price', (e) => received.push(e.data.payload), { mode: 'sync' });
+
+            await host.signal('price', { symbol: 'ACME', price: 42 });
+            await new Promise(r => setTimeout(r, 10));
+
+            expect(received).toEqual([{ symbol: 'ACME', price: 42 }]);
+            expect(hookErrors()).toEqual([]);
+        });
+    });
+});
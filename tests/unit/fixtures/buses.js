@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Buses for tests: created open to every origin, linked by
+ * mock transports, and destroyed together after each test.
+ */
+
+import { CrossBus } from '../../../src/core/cross-bus.js';
+import { createConnectedMocks } from '../../../src/testing/mock-transport.js';
+
+/**
+ * Creates buses that are remembered until `destroyAll()`.
+ *
+ * @param {Object} [defaults={}] - Options of every bus, before those given to `createBus`.
+ * @returns {{ createBus: (peerId: string, options?: Object) => CrossBus, destroyAll: () => void }}
+ *
+ * @example
+ * const { createBus, destroyAll } = createBuses();
+ * afterEach(destroyAll);
+ */
+export function createBuses(defaults = {}) {
+    /** @type {CrossBus[]} */
+    const buses = [];
+
+    return {
+        createBus(peerId, options = {}) {
+            const bus = new CrossBus({ peerId, allowedOrigins: ['*'], ...defaults, ...options });
+            buses.push(bus);
+            return bus;
+        },
+        destroyAll() {
+            while (buses.length) buses.pop().destroy();
+        }
+    };
+}
+
+/**
+ * Connects two buses, each seeing the other under its peer ID.
+ *
+ * @param {CrossBus} busA
+ * @param {CrossBus} busB
+ * @param {Object} [options={}] - `addTransport` options for both ends.
+ * @returns {{ transport1: import('../../../src/testing/mock-transport.js').MockTransport, transport2: import('../../../src/testing/mock-transport.js').MockTransport }}
+ *   `transport1` is busA's end.
+ */
+export function link(busA, busB, options = {}) {
+    const { transport1, transport2 } = createConnectedMocks(busA.peerId, busB.peerId);
+    busA.addTransport(transport1, { peerId: busB.peerId, ...options });
+    busB.addTransport(transport2, { peerId: busA.peerId, ...options });
+    return { transport1, transport2 };
+}
+
+/**
+ * Records the `security:violation` events of a bus.
+ *
+ * @param {CrossBus} bus
+ * @returns {Object[]} The event data, filled in as violations happen.
+ */
+export function violations(bus) {
+    const events = [];
+    bus.on('security:violation', (e) => events.push(e.data), { mode: 'sync' });
+    return events;
+}
@@ -0,0 +1,33 @@
+// Child process agent for testing ChildProcessTransport and StdioTransport.
+// Usage: process-agent.js <ipc|stdio> <peerId>
+import { CrossBus } from '../../../src/core/cross-bus.js';
+import { ChildProcessTransport } from '../../../src/transports/child-process.js';
+import { StdioTransport } from '../../../src/transports/stdio.js';
+
+const [mode, peerId] = process.argv.slice(2);
+
+const bus = new CrossBus({ peerId, allowedOrigins: ['*'] });
+
+bus.handle('whoami', () => ({ peerId, pid: process.pid }));
+
+bus.handle('echo', (payload) => payload);
+
+bus.handle('log', (text) => {
+    // Noise on stdout must not break the stdio framing
+    console.log(text);
+    return true;
+});
+
+bus.handle('exit', ({ code }) => {
+    setTimeout(() => process.exit(code), 10);
+    return true;
+});
+
+const transport = mode === 'ipc' ? ChildProcessTransport.fromParent() : StdioTransport.fromProcess();
+bus.addTransport(transport, { peerId: 'parent' });
+
+// Without a parent, there is nothing left to do
+bus.on('peer:disconnected', () => {
+    bus.destroy();
+    process.exit(0);
+});
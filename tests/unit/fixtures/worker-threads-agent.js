@@ -0,0 +1,36 @@
+// worker_threads agent for testing WorkerThreadsTransport
+import { parentPort, workerData } from 'node:worker_threads';
+import { CrossBus } from '../../../src/core/cross-bus.js';
+import { WorkerThreadsTransport } from '../../../src/transports/worker-threads.js';
+
+const bus = new CrossBus({ peerId: workerData.peerId, allowedOrigins: ['*'] });
+
+bus.handle('fib', ({ n }) => {
+    let [a, b] = [0, 1];
+    for (let i = 0; i < n; i++) [a, b] = [b, a + b];
+    return a;
+});
+
+bus.handle('sum', ({ bytes }) => bytes.reduce((total, byte) => total + byte, 0));
+
+bus.handle('whoami', () => workerData.peerId);
+
+bus.handle('ask', ({ peerId, handler }) => bus.request(peerId, handler));
+
+bus.handle('exit', ({ code }) => {
+    setTimeout(() => process.exit(code), 10);
+    return true;
+});
+
+bus.handle('crash', () => {
+    setTimeout(() => {
+        throw new Error('boom');
+    }, 10);
+    return true;
+});
+
+const transport = WorkerThreadsTransport.fromParentPort(parentPort);
+transport.onPort((port, meta) => {
+    bus.addTransport(new WorkerThreadsTransport(port), { peerId: meta.peerId });
+});
+bus.addTransport(transport, { peerId: 'main' });
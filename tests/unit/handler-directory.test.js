@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Tests for the handler directory and anycast calls.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { HandlerDirectory } from '../../src/router/handler-directory.js';
+import { createHandlersMessage } from '../../src/core/message-types.js';
+import { MessageType, CallStrategy } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+import { createBuses, link } from './fixtures/buses.js';
+
+const tick = () => new Promise(r => setTimeout(r, 5));
+
+describe('bus.call', () => {
+    const { createBus, destroyAll } = createBuses();
+
+    afterEach(destroyAll);
+
+    /**
+     * A page connected to workers that all handle `whoami`.
+     */
+    async function pool(...workerIds) {
+        const page = createBus('page');
+        const workers = workerIds.map((id) => {
+            const worker = createBus(id);
+            worker.handle('whoami', () => id);
+            link(page, worker);
+            return worker;
+        });
+        await tick();
+        return { page, workers };
+    }
+
+    it('should learn the handlers of connected peers', async () => {
+        const { page } = await pool('w1', 'w2');
+
+        expect(page.getProviders('whoami')).toEqual(['w1', 'w2']);
+        expect(page.getProviders('other')).toEqual([]);
+    });
+
+    it('should take turns with round-robin by default', async () => {
+        const { page } = await pool('w1', 'w2', 'w3');
+
+        const answers = [];
+        for (let i = 0; i < 4; i++) answers.push(await page.call('whoami'));
+
+        expect(answers).toEqual(['w1', 'w2', 'w3', 'w1']);
+    });
+
+    it('should always pick the first provider with first', async () => {
+        const { page } = await pool('w1', 'w2');
+
+        expect(await page.call('whoami', null, { strategy: CallStrategy.FIRST })).toBe('w1');
+        expect(await page.call('whoami', null, { strategy: CallStrategy.FIRST })).toBe('w1');
+    });
+
+    it('should pick the provider with the fewest pending requests', async () => {
+        const { page, workers } = await pool('w1', 'w2');
+        workers[0].handle('slow', () => new Promise(() => { }));
+        await tick();
+        page.request('w1', 'slow').catch(() => { });
+
+        expect(await page.call('whoami', null, { strategy: CallStrategy.LEAST_PENDING })).toBe('w2');
+    });
+
+    it('should follow handle and unhandle', async () => {
+        const { page, workers } = await pool('w1', 'w2');
+
+        workers[0].unhandle('whoami');
+        workers[1].handle('extra', () => 'x');
+        await tick();
+
+        expect(page.getProviders('whoami')).toEqual(['w2']);
+        expect(await page.call('extra')).toBe('x');
+    });
+
+    it('should fail over when the provider disconnects', async () => {
+        const { page, workers } = await pool('w1', 'w2');
+        workers[0].handle('job', () => new Promise(() => { }));
+        workers[1].handle('job', () => 'done by w2');
+        await tick();
+
+        const pending = page.call('job', null, { strategy: CallStrategy.FIRST });
+        await tick();
+        workers[0].destroy();
+
+        expect(await pending).toBe('done by w2');
+    });
+
+    it('should not fail over on handler errors', async () => {
+        const { page, workers } = await pool('w1', 'w2');
+        workers[0].handle('job', () => { throw new Error('bad input'); });
+        workers[1].handle('job', () => 'ok');
+        await tick();
+
+        await expect(page.call('job', null, { strategy: CallStrategy.FIRST })).rejects.toThrow('bad input');
+    });
+
+    it('should reject when nobody offers the handler', async () => {
+        const { page } = await pool('w1');
+
+        await expect(page.call('missing')).rejects.toMatchObject({ code: ErrorCode.NO_HANDLER });
+    });
+
+    it('should reject unknown strategies', async () => {
+        const { page } = await pool('w1');
+
+        await expect(page.call('whoami', null, { strategy: 'random' })).rejects.toThrow(TypeError);
+    });
+
+    it('should find providers behind a hub', async () => {
+        const hub = createBus('hub', { isHub: true });
+        const page = createBus('page');
+        const w1 = createBus('w1');
+        const w2 = createBus('w2');
+        w1.handle('whoami', () => 'w1');
+        w2.handle('whoami', () => 'w2');
+        hub.handle('status', () => 'up');
+        link(hub, page);
+        link(hub, w1);
+        link(hub, w2);
+        // Adverts take two hops to reach the page
+        await tick();
+        await tick();
+
+        expect(page.getProviders('whoami')).toEqual(['w1', 'w2']);
+        expect(page.getProviders('status')).toEqual(['hub']);
+        expect([await page.call('whoami'), await page.call('whoami')]).toEqual(['w1', 'w2']);
+
+        w1.destroy();
+        await tick();
+
+        expect(page.getProviders('whoami')).toEqual(['w2']);
+    });
+
+    it('should not advertise restricted handlers or with discovery off', async () => {
+        const page = createBus('page');
+        const w1 = createBus('w1');
+        const w2 = createBus('w2', { discovery: false });
+        w1.handle('admin', () => 1, { allowedPeers: ['someone-else'] });
+        w1.handle('open', () => 2);
+        w2.handle('open', () => 3);
+        link(page, w1);
+        link(page, w2);
+        await tick();
+
+        expect(page.getProviders('admin')).toEqual([]);
+        expect(page.getProviders('open')).toEqual(['w1']);
+    });
+
+    it('should only send advertisements to peers that asked for them', async () => {
+        const worker = createBus('w1');
+        const sendFn = mock();
+        worker.addPeer('page', sendFn);
+        worker.handle('whoami', () => 'w1');
+        await tick();
+        expect(sendFn).not.toHaveBeenCalled();
+
+        await worker.handleMessage(createHandlersMessage('page', []), '*', 'page');
+        await tick();
+
+        expect(sendFn).toHaveBeenCalledTimes(1);
+        const advert = sendFn.mock.calls[0][0];
+        expect(advert.type).toBe(MessageType.HANDLERS);
+        expect(advert.payload.providers).toEqual([{ peerId: 'w1', handlers: ['whoami'] }]);
+    });
+});
+
+describe('HandlerDirectory', () => {
+    it('should replace what was learned from a peer', () => {
+        const directory = new HandlerDirectory();
+        expect(directory.set('hub', [{ peerId: 'a', handlers: ['x'] }, { peerId: 'b', handlers: ['x', 'y'] }])).toBe(true);
+        expect(directory.set('hub', [{ peerId: 'b', handlers: ['y', 'x'] }, { peerId: 'a', handlers: ['x'] }])).toBe(false);
+
+        expect(directory.set('hub', [{ peerId: 'b', handlers: ['y'] }])).toBe(true);
+        expect(directory.getProviders('x')).toEqual([]);
+        expect(directory.getProviders('y')).toEqual(['b']);
+
+        expect(directory.remove('hub')).toBe(true);
+        expect(directory.getEntries()).toEqual([]);
+    });
+
+    it('should prefer what a peer says about itself', () => {
+        const directory = new HandlerDirectory();
+        directory.set('hub', [{ peerId: 'a', handlers: ['old'] }]);
+        directory.set('a', [{ peerId: 'a', handlers: ['new'] }]);
+
+        expect(directory.getHandlers('a')).toEqual(['new']);
+        expect(directory.getHandlers('a', 'a')).toEqual(['old']);
+        expect(directory.getEntries('hub')).toEqual([{ peerId: 'a', handlers: ['new'] }]);
+    });
+
+    it('should rotate round-robin per handler', () => {
+        const directory = new HandlerDirectory();
+        const peers = ['a', 'b', 'c'];
+
+        expect(directory.order('x', peers, CallStrategy.ROUND_ROBIN)).toEqual(['a', 'b', 'c']);
+        expect(directory.order('x', peers, CallStrategy.ROUND_ROBIN)).toEqual(['b', 'c', 'a']);
+        expect(directory.order('y', peers, CallStrategy.ROUND_ROBIN)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should sort by load with least-pending', () => {
+        const directory = new HandlerDirectory();
+        const load = { a: 2, b: 0, c: 2 };
+
+        expect(directory.order('x', ['a', 'b', 'c'], CallStrategy.LEAST_PENDING, id => load[id])).toEqual(['b', 'a', 'c']);
+    });
+});
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Tests for challenge-response authentication in the handshake.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { Handshake } from '../../src/security/handshake.js';
+import {
+    createHmacAuthenticator,
+    createEcdsaAuthenticator,
+    generateEcdsaKeyPair
+} from '../../src/security/authenticators.js';
+import { createConnectedMocks } from '../../src/testing/mock-transport.js';
+import { MessageType, PeerStatus } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+import { createBuses, link } from './fixtures/buses.js';
+
+const tick = () => new Promise(r => setTimeout(r, 20));
+
+describe('Handshake authentication', () => {
+    const { createBus, destroyAll } = createBuses({ handshakeTimeout: 500 });
+
+    /**
+     * Connects two buses and records their handshake failures.
+     */
+    function connect(busA, busB) {
+        const failures = [];
+        for (const bus of [busA, busB]) {
+            bus.on('handshake:failed', (e) => failures.push({ bus: bus.peerId, ...e.data }), { mode: 'sync' });
+        }
+        link(busA, busB);
+        return failures;
+    }
+
+    afterEach(destroyAll);
+
+    describe('HMAC', () => {
+        it('should connect peers sharing the secret', async () => {
+            const host = createBus('host', { authenticator: createHmacAuthenticator('issued-secret') });
+            const widget = createBus('widget', { authenticator: createHmacAuthenticator('issued-secret') });
+            widget.handle('ping', () => 'pong');
+
+            const failures = connect(host, widget);
+            expect(host.getPeer('widget').status).toBe(PeerStatus.CONNECTING);
+
+            expect(await host.request('widget', 'ping')).toBe('pong');
+            expect(widget.getPeer('host').status).toBe(PeerStatus.CONNECTED);
+            expect(failures).toEqual([]);
+        });
+
+        it('should reject peers with another secret', async () => {
+            const host = createBus('host', { authenticator: createHmacAuthenticator('issued-secret') });
+            const widget = createBus('widget', { authenticator: createHmacAuthenticator('guessed') });
+
+            const failures = connect(host, widget);
+
+            await expect(host.request('widget', 'ping')).rejects.toMatchObject({
+                code: ErrorCode.HANDSHAKE_REJECTED,
+                message: 'Invalid authentication proof'
+            });
+            await tick();
+            expect(host.peers).not.toContain('widget');
+            expect(widget.peers).not.toContain('host');
+            expect(failures.map(f => [f.bus, f.code]).sort()).toEqual([
+                ['host', ErrorCode.HANDSHAKE_REJECTED],
+                ['widget', ErrorCode.HANDSHAKE_REJECTED]
+            ]);
+        });
+
+        it('should reject peers without credentials', async () => {
+            const host = createBus('host', { authenticator: createHmacAuthenticator('issued-secret') });
+            const intruder = createBus('widget');
+
+            // Listening before the host sends its INIT, which it answers without a proof
+            const failures = connect(intruder, host);
+            await expect(host.request('widget', 'ping')).rejects.toMatchObject({ code: ErrorCode.HANDSHAKE_REJECTED });
+            expect(failures.find(f => f.bus === 'host').reason).toBe('Peer did not authenticate');
+        });
+
+        it('should refuse handshakes without credentials', async () => {
+            const host = createBus('host', { authenticator: createHmacAuthenticator('issued-secret') });
+            const intruder = createBus('widget');
+            const { transport1, transport2 } = createConnectedMocks('host', 'widget');
+            const failures = [];
+            intruder.on('handshake:failed', (e) => failures.push(e.data), { mode: 'sync' });
+
+            host.addTransport(transport1, { peerId: 'widget' });
+            intruder.addTransport(transport2, { peerId: 'host', handshake: true });
+
+            await expect(intruder.request('host', 'ping')).rejects.toMatchObject({
+                code: ErrorCode.HANDSHAKE_REJECTED,
+                message: 'Authentication required'
+            });
+            expect(failures).toHaveLength(1);
+        });
+
+        it('should connect when the transport is added without handshake by choice', async () => {
+            const host = createBus('host', { authenticator: createHmacAuthenticator('issued-secret') });
+            const sendFn = mock();
+            host.addTransport({ send: sendFn, onMessage: () => { }, peerId: 'trusted' }, { handshake: false });
+
+            expect(host.getPeer('trusted').status).toBe(PeerStatus.CONNECTED);
+        });
+    });
+
+    describe('ECDSA', () => {
+        it('should connect peers with trusted public keys', async () => {
+            const hostKeys = await generateEcdsaKeyPair();
+            const widgetKeys = await generateEcdsaKeyPair();
+            const widgetJwk = await crypto.subtle.exportKey('jwk', widgetKeys.publicKey);
+
+            const host = createBus('host', {
+                authenticator: createEcdsaAuthenticator({ privateKey: hostKeys.privateKey, publicKeys: { widget: widgetJwk } })
+            });
+            const widget = createBus('widget', {
+                authenticator: createEcdsaAuthenticator({
+                    privateKey: widgetKeys.privateKey,
+                    publicKeys: (peerId) => peerId === 'host' ? hostKeys.publicKey : undefined
+                })
+            });
+            widget.handle('ping', () => 'pong');
+
+            connect(host, widget);
+
+            expect(await host.request('widget', 'ping')).toBe('pong');
+        });
+
+        it('should reject peers claiming an ID whose key they do not hold', async () => {
+            const hostKeys = await generateEcdsaKeyPair();
+            const widgetKeys = await generateEcdsaKeyPair();
+            const impostorKeys = await generateEcdsaKeyPair();
+
+            const host = createBus('host', {
+                authenticator: createEcdsaAuthenticator({ privateKey: hostKeys.privateKey, publicKeys: { widget: widgetKeys.publicKey } })
+            });
+            const impostor = createBus('widget', {
+                authenticator: createEcdsaAuthenticator({ privateKey: impostorKeys.privateKey, publicKeys: { host: hostKeys.publicKey } })
+            });
+
+            connect(host, impostor);
+
+            await expect(host.request('widget', 'ping')).rejects.toMatchObject({
+                code: ErrorCode.HANDSHAKE_REJECTED,
+                message: 'Invalid authentication proof'
+            });
+        });
+
+        it('should reject unknown peers', async () => {
+            const keys = await generateEcdsaKeyPair();
+            const host = createBus('host', { authenticator: createEcdsaAuthenticator({ privateKey: keys.privateKey, publicKeys: {} }) });
+            const widget = createBus('widget', { authenticator: createEcdsaAuthenticator({ privateKey: keys.privateKey, publicKeys: { host: keys.publicKey } }) });
+
+            connect(host, widget);
+
+            await expect(host.request('widget', 'ping')).rejects.toMatchObject({ code: ErrorCode.HANDSHAKE_REJECTED });
+        });
+
+        it('should require keys', () => {
+            expect(() => createEcdsaAuthenticator({})).toThrow(TypeError);
+            expect(() => createHmacAuthenticator('')).toThrow(TypeError);
+        });
+    });
+
+    describe('Handshake', () => {
+        it('should reject mismatched schemes', async () => {
+            const hmac = createHmacAuthenticator('secret');
+            const initiator = new Handshake({ peerId: 'a', authenticator: hmac });
+            const responder = new Handshake({ peerId: 'b', authenticator: { ...hmac, type: 'custom' } });
+
+            const result = initiator.initiate((init) => {
+                responder.handleMessage(init, '*', (ack) => initiator.handleMessage(ack, '*', () => { }));
+            });
+
+            expect(await result).toEqual({
+                success: false,
+                error: ErrorCode.HANDSHAKE_REJECTED,
+                reason: 'Unsupported authentication: hmac'
+            });
+        });
+
+        it('should verify the initiator when COMPLETE arrives', async () => {
+            const initiator = new Handshake({ peerId: 'a', authenticator: createHmacAuthenticator('secret') });
+            const responder = new Handshake({ peerId: 'b', authenticator: createHmacAuthenticator('secret') });
+            const messages = [];
+            let verified;
+
+            const result = initiator.initiate((init) => {
+                responder.handleMessage(init, 'https://a.example', (ack) => {
+                    messages.push(ack);
+                    initiator.handleMessage(ack, '*', (complete) => {
+                        messages.push(complete);
+                        verified = responder.handleMessage(complete, 'https://a.example', () => { });
+                    });
+                });
+            });
+
+            expect((await result).peer.peerId).toBe('b');
+            expect(messages.map(m => m.type)).toEqual([MessageType.HANDSHAKE_ACK, MessageType.HANDSHAKE_COMPLETE]);
+            expect(await verified).toMatchObject({ peerId: 'a', origin: 'https://a.example' });
+        });
+
+        it('should not verify a proof for another handshake', async () => {
+            const responder = new Handshake({ peerId: 'b', authenticator: createHmacAuthenticator('secret') });
+            const sent = [];
+
+            await responder.handleMessage(
+                { type: MessageType.HANDSHAKE_INIT, handshakeId: 'h1', peerId: 'a', auth: { type: 'hmac', challenge: 'c' } },
+                '*',
+                (ack) => sent.push(ack)
+            );
+            const ack = sent[0];
+            expect(ack.accept).toBe(true);
+
+            // Replaying the responder's own proof as the initiator's
+            const verified = await responder.handleMessage(
+                { type: MessageType.HANDSHAKE_COMPLETE, handshakeId: 'h1', confirmed: true, auth: { proof: ack.auth.proof } },
+                '*',
+                () => { }
+            );
+            expect(verified).toBeNull();
+        });
+    });
+});
@@ -5,6 +5,7 @@
 import { describe, it, expect, mock } from 'bun:test';
 import { Handshake } from '../../src/security/handshake.js';
 import { MessageType } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
 
 describe('Handshake', () => {
     describe('constructor', () => {
@@ -338,6 +339,14 @@ describe('Handshake', () => {
             // Reason or error should indicate failure
             expect(result.reason || result.error).toBeDefined();
         });
+
+        it('should report ERR_HANDSHAKE_TIMEOUT on timeout', async () => {
+            const handshake = new Handshake({ timeout: 20 });
+
+            const result = await handshake.initiate(mock());
+
+            expect(result.error).toBe(ErrorCode.HANDSHAKE_TIMEOUT);
+        });
     });
 
     describe('hasPending()', () => {
@@ -383,6 +392,18 @@ describe('Handshake', () => {
             expect(r1.success).toBe(false);
             expect(r2.success).toBe(false);
         });
+
+        it('should not throw for responder-side handshakes', () => {
+            const handshake = new Handshake();
+            handshake.handleMessage(
+                { type: MessageType.HANDSHAKE_INIT, handshakeId: 'responder', peerId: 'p' },
+                'https://peer.com',
+                () => { }
+            );
+
+            expect(() => handshake.cancelAll()).not.toThrow();
+            expect(handshake.hasPending('responder')).toBe(false);
+        });
     });
 });
 
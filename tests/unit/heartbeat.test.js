@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Tests for heartbeat liveness detection.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { HeartbeatMonitor } from '../../src/core/heartbeat.js';
+import { CrossBus } from '../../src/core/cross-bus.js';
+import { createConnectedMocks } from '../../src/testing/mock-transport.js';
+import { MessageType, PeerStatus } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('HeartbeatMonitor', () => {
+    let monitor;
+
+    afterEach(() => {
+        monitor?.destroy();
+    });
+
+    it('should send a ping to every tracked peer', () => {
+        const sendPing = mock(() => true);
+        monitor = new HeartbeatMonitor({ timeout: 1000 }, { sendPing, onDead: mock() });
+
+        monitor.track('a');
+        monitor.track('b');
+        monitor.pingAll();
+
+        expect(sendPing).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not send a second ping while one is outstanding', () => {
+        const sendPing = mock(() => true);
+        monitor = new HeartbeatMonitor({ timeout: 1000 }, { sendPing, onDead: mock() });
+
+        monitor.track('a');
+        expect(monitor.ping('a')).toBe(true);
+        expect(monitor.ping('a')).toBe(false);
+    });
+
+    it('should measure rtt from a matching pong', () => {
+        let pingId;
+        monitor = new HeartbeatMonitor({ timeout: 1000 }, {
+            sendPing: (_peerId, id) => { pingId = id; return true; },
+            onDead: mock()
+        });
+
+        monitor.track('a');
+        monitor.ping('a');
+        const rtt = monitor.handlePong('a', pingId, Date.now() - 12);
+
+        expect(rtt).toBeGreaterThanOrEqual(12);
+        expect(monitor.getStats('a').rtt).toBe(rtt);
+    });
+
+    it('should accept a pong that arrives while the ping is being sent', () => {
+        monitor = new HeartbeatMonitor({ timeout: 1000 }, {
+            sendPing: (peerId, id) => { monitor.handlePong(peerId, id, Date.now()); return true; },
+            onDead: mock()
+        });
+
+        monitor.track('a');
+        monitor.ping('a');
+
+        expect(monitor.getStats('a').rtt).toBeGreaterThanOrEqual(0);
+        expect(monitor.ping('a')).toBe(true);
+    });
+
+    it('should ignore pongs for unknown pings', () => {
+        monitor = new HeartbeatMonitor({ timeout: 1000 }, { sendPing: () => true, onDead: mock() });
+
+        monitor.track('a');
+        monitor.ping('a');
+
+        expect(monitor.handlePong('a', 'other', Date.now())).toBeNull();
+        expect(monitor.getStats('a').rtt).toBeNull();
+    });
+
+    it('should report a peer dead after maxMissed timeouts', async () => {
+        const onDead = mock();
+        monitor = new HeartbeatMonitor({ timeout: 10, maxMissed: 2 }, { sendPing: () => true, onDead });
+
+        monitor.track('a');
+        monitor.ping('a');
+        await wait(20);
+        expect(onDead).not.toHaveBeenCalled();
+
+        monitor.ping('a');
+        await wait(20);
+        expect(onDead).toHaveBeenCalledTimes(1);
+        expect(onDead.mock.calls[0][0]).toBe('a');
+        expect(monitor.getStats('a').alive).toBe(false);
+    });
+
+    it('should count a failed send as a miss', () => {
+        const onDead = mock();
+        monitor = new HeartbeatMonitor({ maxMissed: 1 }, {
+            sendPing: () => { throw new Error('closed'); },
+            onDead
+        });
+
+        monitor.track('a');
+        monitor.ping('a');
+
+        expect(onDead).toHaveBeenCalledTimes(1);
+    });
+
+    it('should revive a dead peer on any traffic', async () => {
+        const onAlive = mock();
+        monitor = new HeartbeatMonitor({ timeout: 5, maxMissed: 1 }, { sendPing: () => true, onDead: mock(), onAlive });
+
+        monitor.track('a');
+        monitor.ping('a');
+        await wait(15);
+
+        monitor.touch('a');
+
+        expect(onAlive).toHaveBeenCalledTimes(1);
+        expect(monitor.getStats('a')).toMatchObject({ alive: true, missed: 0 });
+    });
+
+    it('should start and stop the periodic timer', () => {
+        monitor = new HeartbeatMonitor({}, { sendPing: () => false, onDead: mock() });
+
+        monitor.start();
+        expect(monitor.running).toBe(true);
+
+        monitor.stop();
+        expect(monitor.running).toBe(false);
+    });
+
+    it('should forget untracked peers', () => {
+        monitor = new HeartbeatMonitor({}, { sendPing: () => true, onDead: mock() });
+
+        monitor.track('a');
+        expect(monitor.untrack('a')).toBe(true);
+        expect(monitor.getStats('a')).toBeUndefined();
+        expect(monitor.untrack('a')).toBe(false);
+    });
+});
+
+describe('CrossBus heartbeat', () => {
+    let busA;
+    let busB;
+
+    afterEach(() => {
+        busA?.destroy();
+        busB?.destroy();
+    });
+
+    it('should answer PING with PONG even without heartbeat enabled', async () => {
+        busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'] });
+        const sendFn = mock();
+        busA.addPeer('b', sendFn);
+
+        await busA.handleMessage({ id: 'ping-1', type: MessageType.PING, payload: { sentAt: 123 } }, '*', 'b');
+
+        expect(sendFn).toHaveBeenCalledTimes(1);
+        const pong = sendFn.mock.calls[0][0];
+        expect(pong.type).toBe(MessageType.PONG);
+        expect(pong.payload).toMatchObject({ pingId: 'ping-1', sentAt: 123, source: 'a' });
+    });
+
+    it('should not run inbound hooks on heartbeats', async () => {
+        busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'] });
+        busA.addPeer('b', mock());
+        const hook = mock((p) => p);
+        busA.addInboundHook(hook);
+
+        await busA.handleMessage({ id: 'ping-1', type: MessageType.PING, payload: { sentAt: 1 } }, '*', 'b');
+
+        expect(hook).not.toHaveBeenCalled();
+    });
+
+    it('should expose rtt through getPeer()', async () => {
+        const { transport1, transport2 } = createConnectedMocks('a', 'b');
+        busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'], heartbeat: { interval: 10, timeout: 50 } });
+        busB = new CrossBus({ peerId: 'b', allowedOrigins: ['*'] });
+        busA.addTransport(transport1, { peerId: 'b' });
+        busB.addTransport(transport2, { peerId: 'a' });
+
+        await wait(30);
+
+        const peer = busA.getPeer('b');
+        expect(typeof peer.rtt).toBe('number');
+        expect(peer.lastSeen).toBeGreaterThan(0);
+        expect(peer.status).toBe(PeerStatus.CONNECTED);
+    });
+
+    it('should disconnect a silent peer and reject its pending requests', async () => {
+        busA = new CrossBus({
+            peerId: 'a',
+            allowedOrigins: ['*'],
+            heartbeat: { interval: 10, timeout: 10, maxMissed: 1 }
+        });
+        busA.addPeer('dead-iframe', mock());
+
+        const events = [];
+        busA.on('peer:disconnected', (e) => events.push(e.data), { mode: 'sync' });
+
+        const pending = busA.request('dead-iframe', 'getData', null, { timeout: 5000 });
+
+        await expect(pending).rejects.toMatchObject({ code: ErrorCode.PEER_DISCONNECTED });
+        expect(busA.getPeer('dead-iframe').status).toBe(PeerStatus.DISCONNECTED);
+        expect(events[0]).toMatchObject({ peerId: 'dead-iframe', reason: 'heartbeat-timeout' });
+
+        await expect(busA.request('dead-iframe', 'getData')).rejects.toMatchObject({
+            code: ErrorCode.PEER_DISCONNECTED
+        });
+    });
+
+    it('should reconnect a peer that starts answering again', async () => {
+        busA = new CrossBus({
+            peerId: 'a',
+            allowedOrigins: ['*'],
+            heartbeat: { interval: 10, timeout: 10, maxMissed: 1 }
+        });
+        busA.addPeer('b', mock());
+        await wait(40);
+        expect(busA.getPeer('b').status).toBe(PeerStatus.DISCONNECTED);
+
+        const events = [];
+        busA.on('peer:connected', (e) => events.push(e.data), { mode: 'sync' });
+        await busA.handleMessage({ id: 'x', type: MessageType.PING, payload: { sentAt: 1 } }, '*', 'b');
+
+        expect(busA.getPeer('b').status).toBe(PeerStatus.CONNECTED);
+        expect(events[0]).toMatchObject({ peerId: 'b', reason: 'heartbeat' });
+    });
+});
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Tests for hub relay routing between spokes.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { createRequestMessage, createRouteMessage } from '../../src/core/message-types.js';
+import { MessageType, PeerStatus, Defaults } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+import { createBuses, link } from './fixtures/buses.js';
+
+const tick = () => new Promise(r => setTimeout(r, 5));
+
+/**
+ * Builds a request already addressed for relaying.
+ */
+function addressedRequest(dest, meta = {}) {
+    const request = createRequestMessage('echo', {}, 'a', dest, 'req-1');
+    return { ...request, meta: { src: 'a', dest, ttl: Defaults.TTL, ...meta } };
+}
+
+describe('Hub relay', () => {
+    const { createBus, destroyAll } = createBuses();
+
+    afterEach(destroyAll);
+
+    it('should advertise spokes to each other', async () => {
+        const hub = createBus('hub', { isHub: true });
+        const a = createBus('a');
+        const b = createBus('b');
+        link(hub, a);
+        link(hub, b);
+        await tick();
+
+        expect(a.routes).toEqual([{ peerId: 'b', via: 'hub', hops: 1 }]);
+        expect(b.routes).toEqual([{ peerId: 'a', via: 'hub', hops: 1 }]);
+        expect(hub.routes).toEqual([]);
+    });
+
+    it('should not advertise anything when not a hub', async () => {
+        const middle = createBus('middle');
+        const a = createBus('a');
+        const b = createBus('b');
+        link(middle, a);
+        link(middle, b);
+        await tick();
+
+        expect(a.routes).toEqual([]);
+    });
+
+    it('should only advertise to plain addPeer peers once they say hello', async () => {
+        const hub = createBus('hub', { isHub: true });
+        const sendA = mock();
+        const sendB = mock();
+        hub.addPeer('a', sendA);
+        hub.addPeer('b', sendB);
+        await tick();
+
+        expect(sendA).not.toHaveBeenCalled();
+
+        await hub.handleMessage(createRouteMessage('a', []), '*', 'a');
+        await tick();
+
+        const advert = sendA.mock.calls[0][0];
+        expect(advert.type).toBe(MessageType.ROUTE);
+        expect(advert.payload.routes).toEqual([{ peerId: 'b', hops: 1 }]);
+        expect(sendB).not.toHaveBeenCalled();
+    });
+
+    it('should relay requests and responses between spokes', async () => {
+        const hub = createBus('hub', { isHub: true });
+        const a = createBus('a');
+        const b = createBus('b');
+        link(hub, a);
+        link(hub, b);
+        await tick();
+
+        const ctxSeen = [];
+        b.handle('echo', (payload, ctx) => {
+            ctxSeen.push(ctx.peerId);
+            return { echoed: payload.value };
+        });
+
+        const result = await a.request('b', 'echo', { value: 42 });
+
+        expect(result).toEqual({ echoed: 42 });
+        expect(ctxSeen).toEqual(['a']);
+    });
+
+    it('should relay across several hubs', async () => {
+        const hub1 = createBus('hub-1', { isHub: true });
+        const hub2 = createBus('hub-2', { isHub: true });
+        const a = createBus('a');
+        const b = createBus('b');
+        link(hub1, hub2);
+        link(hub1, a);
+        link(hub2, b);
+        await tick();
+        await tick();
+
+        expect(a.routes).toContainEqual({ peerId: 'b', via: 'hub-1', hops: 2 });
+
+        b.handle('whoami', (_, ctx) => ctx.peerId);
+        expect(await a.request('b', 'whoami')).toBe('a');
+    });
+
+    it('should forget routes and reject pending requests when the hub loses a spoke', async () => {
+        const hub = createBus('hub', { isHub: true });
+        const a = createBus('a');
+        const b = createBus('b');
+        link(hub, a);
+        link(hub, b);
+        await tick();
+
+        b.handle('slow', () => new Promise(() => { }));
+        const pending = a.request('b', 'slow', {}, { timeout: 5000 }).catch(e => e);
+        await tick();
+
+        hub.removePeer('b');
+        await tick();
+
+        expect(a.routes).toEqual([]);
+        expect(await pending).toMatchObject({ code: ErrorCode.PEER_DISCONNECTED });
+    });
+
+    it('should fail requests with the error of a hub that cannot relay them', async () => {
+        const hub = createBus('hub', { isHub: true });
+        const a = createBus('a');
+        const b = createBus('b');
+        link(hub, a);
+        link(hub, b);
+        await tick();
+
+        hub.setPeerStatus('b', PeerStatus.RECONNECTING);
+
+        await expect(a.request('b', 'echo', {}, { timeout: 1000 })).rejects.toMatchObject({ code: ErrorCode.NO_ROUTE });
+    });
+
+    it('should answer with ERR_NO_ROUTE for unknown destinations', async () => {
+        const hub = createBus('hub', { isHub: true });
+        const sendFn = mock();
+        hub.addPeer('a', sendFn);
+        await tick();
+        sendFn.mockClear();
+
+        await hub.handleMessage(addressedRequest('ghost'), '*', 'a');
+
+        const response = sendFn.mock.calls[0][0];
+        expect(response.type).toBe(MessageType.RESPONSE);
+        expect(response.payload.requestId).toBe('req-1');
+        expect(response.payload.error.code).toBe(ErrorCode.NO_ROUTE);
+    });
+
+    it('should bounce relayed messages when not a hub', async () => {
+        const bus = createBus('spoke');
+        const sendFn = mock();
+        bus.addPeer('a', sendFn);
+        bus.addPeer('b', mock());
+
+        await bus.handleMessage(addressedRequest('b'), '*', 'a');
+
+        expect(sendFn.mock.calls[0][0].payload.error.code).toBe(ErrorCode.NO_ROUTE);
+    });
+
+    it('should answer with ERR_TTL_EXCEEDED when the TTL runs out', async () => {
+        const hub = createBus('hub', { isHub: true });
+        const sendFn = mock();
+        const sendB = mock();
+        hub.addPeer('a', sendFn);
+        hub.addPeer('b', sendB);
+        await tick();
+        sendFn.mockClear();
+        sendB.mockClear();
+
+        await hub.handleMessage(addressedRequest('b', { ttl: 1 }), '*', 'a');
+
+        expect(sendB).not.toHaveBeenCalled();
+        expect(sendFn.mock.calls[0][0].payload.error.code).toBe(ErrorCode.TTL_EXCEEDED);
+    });
+
+    it('should detect routing loops', async () => {
+        const hub = createBus('hub', { isHub: true });
+        const sendFn = mock();
+        hub.addPeer('other-hub', sendFn);
+        hub.addPeer('b', mock());
+        await hub.handleMessage(createRouteMessage('other-hub', [{ peerId: 'a', hops: 1 }]), '*', 'other-hub');
+        await tick();
+        sendFn.mockClear();
+
+        await hub.handleMessage(addressedRequest('b', { path: ['hub', 'other-hub'] }), '*', 'other-hub');
+
+        const response = sendFn.mock.calls[0][0];
+        expect(response.payload.error.code).toBe(ErrorCode.TTL_EXCEEDED);
+        // Sent back towards the original caller through the previous hub
+        expect(response.meta.dest).toBe('a');
+    });
+
+    it('should decrement TTL and record the path when relaying', async () => {
+        const hub = createBus('hub', { isHub: true });
+        const sendB = mock();
+        hub.addPeer('a', mock());
+        hub.addPeer('b', sendB);
+        await tick();
+        sendB.mockClear();
+
+        await hub.handleMessage(addressedRequest('b'), '*', 'a');
+
+        const relayed = sendB.mock.calls[0][0];
+        expect(relayed.meta).toMatchObject({ src: 'a', dest: 'b', ttl: Defaults.TTL - 1, path: ['hub'] });
+    });
+
+    it('should not let a spoke impersonate another peer', async () => {
+        const bus = createBus('b');
+        bus.addPeer('mallory', mock());
+        const seen = [];
+        bus.handle('echo', (_, ctx) => seen.push(ctx.peerId));
+
+        const spoofed = addressedRequest('b', { src: 'admin', path: ['hub'] });
+        await bus.handleMessage(spoofed, '*', 'mallory');
+
+        expect(seen).toEqual(['mallory']);
+    });
+
+    it('should only let the hub a peer is routed through speak for it', async () => {
+        const hub = createBus('hub', { isHub: true });
+        const sendEvil = mock();
+        hub.addPeer('evil', sendEvil);
+        hub.addPeer('admin', mock());
+        hub.addPeer('other-hub', mock());
+        await hub.handleMessage(createRouteMessage('other-hub', [{ peerId: 'auditor', hops: 1 }]), '*', 'other-hub');
+        // Claims a route to a direct peer, and to a peer reached through someone else
+        await hub.handleMessage(createRouteMessage('evil', [{ peerId: 'admin', hops: 1 }, { peerId: 'auditor', hops: 1 }]), '*', 'evil');
+        const seen = [];
+        hub.handle('secret', (_, ctx) => {
+            seen.push(ctx.peerId);
+            return 'ok';
+        }, { allowedPeers: ['admin', 'auditor'], roles: ['admin'] });
+        hub.setRoles('admin', ['admin']);
+        hub.setRoles('auditor', ['admin']);
+        await tick();
+        sendEvil.mockClear();
+
+        for (const src of ['admin', 'auditor']) {
+            const request = createRequestMessage('secret', {}, src, 'hub', `req-${src}`);
+            await hub.handleMessage({ ...request, meta: { src, dest: 'hub', ttl: Defaults.TTL, path: ['evil'] } }, '*', 'evil');
+        }
+        await tick();
+
+        expect(seen).toEqual([]);
+        expect(hub.routes).toEqual([{ peerId: 'auditor', via: 'other-hub', hops: 1 }]);
+        const responses = sendEvil.mock.calls.map(([message]) => message).filter(m => m.type === MessageType.RESPONSE);
+        expect(responses).toHaveLength(2);
+        expect(responses.every(r => r.payload.success === false)).toBe(true);
+    });
+});
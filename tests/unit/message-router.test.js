@@ -242,4 +242,63 @@ describe('MessageRouter', () => {
             expect(router.peerCount).toBe(0);
         });
     });
+
+    describe('indirect routes', () => {
+        it('should route to a peer advertised by a direct peer', () => {
+            const hubSend = mock();
+            router.addPeer('hub', hubSend);
+            router.setRoutes('hub', [{ peerId: 'widget-2', hops: 1 }]);
+
+            const message = { _cb: 1, id: 'x', type: 'req', payload: {} };
+            const result = router.route({ target: 'widget-2', payload: message });
+
+            expect(result.success).toBe(true);
+            expect(hubSend).toHaveBeenCalledWith(message);
+            expect(router.getRoute('widget-2')).toEqual({ peerId: 'widget-2', via: 'hub', hops: 1 });
+        });
+
+        it('should prefer the shortest route', () => {
+            router.addPeer('hub-1', mock());
+            router.addPeer('hub-2', mock());
+            router.setRoutes('hub-1', [{ peerId: 'far', hops: 3 }]);
+            router.setRoutes('hub-2', [{ peerId: 'far', hops: 2 }]);
+
+            expect(router.getRoute('far').via).toBe('hub-2');
+        });
+
+        it('should ignore routes to direct peers', () => {
+            router.addPeer('hub', mock());
+            router.addPeer('peer-1', mock());
+
+            expect(router.setRoutes('hub', [{ peerId: 'peer-1', hops: 1 }])).toBe(false);
+            expect(router.getRoutes()).toEqual([]);
+        });
+
+        it('should report unchanged routes', () => {
+            router.addPeer('hub', mock());
+
+            expect(router.setRoutes('hub', [{ peerId: 'a', hops: 1 }])).toBe(true);
+            expect(router.setRoutes('hub', [{ peerId: 'a', hops: 1 }])).toBe(false);
+        });
+
+        it('should drop routes and emit route:removed when the via peer is removed', () => {
+            const removed = [];
+            router.on('route:removed', (e) => removed.push(e.data), { mode: 'sync' });
+            router.addPeer('hub', mock());
+            router.setRoutes('hub', [{ peerId: 'a', hops: 1 }, { peerId: 'b', hops: 2 }]);
+
+            router.removePeer('hub');
+
+            expect(router.getRoute('a')).toBeUndefined();
+            expect(removed.map(r => r.peerId)).toEqual(['a', 'b']);
+        });
+
+        it('should skip routes through peers that are not connected', () => {
+            router.addPeer('hub', mock());
+            router.setRoutes('hub', [{ peerId: 'a', hops: 1 }]);
+            router.setPeerStatus('hub', PeerStatus.DISCONNECTED);
+
+            expect(router.getRoute('a')).toBeUndefined();
+        });
+    });
 });
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Tests for the request middleware pipeline.
+ */
+
+import { describe, it, expect, afterEach } from 'bun:test';
+import { CrossBusError, ErrorCode } from '../../src/common/errors.js';
+import { createBuses, link } from './fixtures/buses.js';
+
+describe('Middleware', () => {
+    const { createBus, destroyAll } = createBuses();
+    let client;
+    let server;
+
+    afterEach(destroyAll);
+
+    function connect() {
+        client = createBus('client');
+        server = createBus('server');
+        link(client, server);
+    }
+
+    it('should run global middleware around the handler in order', async () => {
+        connect();
+        const calls = [];
+        server.use(async (ctx, next) => {
+            calls.push('outer:before');
+            await next();
+            calls.push(`outer:after:${ctx.response}`);
+        });
+        server.use(async (_, next) => {
+            calls.push('inner');
+            await next();
+        });
+        server.handle('greet', (payload) => {
+            calls.push('handler');
+            return `hi ${payload.name}`;
+        });
+
+        expect(await client.request('server', 'greet', { name: 'ada' })).toBe('hi ada');
+        expect(calls).toEqual(['outer:before', 'inner', 'handler', 'outer:after:hi ada']);
+    });
+
+    it('should expose the request context', async () => {
+        connect();
+        let seen;
+        server.use(async (ctx, next) => {
+            seen = { ...ctx };
+            await next();
+        });
+        server.handle('info', () => true);
+
+        await client.request('server', 'info', { q: 1 });
+
+        expect(seen.handlerName).toBe('info');
+        expect(seen.peerId).toBe('client');
+        expect(seen.peer.peerId).toBe('client');
+        expect(seen.payload).toEqual({ q: 1 });
+        expect(typeof seen.requestId).toBe('string');
+        expect(seen.stream).toBe(false);
+        expect(seen.signal).toBeInstanceOf(AbortSignal);
+    });
+
+    it('should let middleware replace the payload and the response', async () => {
+        connect();
+        server.use(async (ctx, next) => {
+            ctx.payload = { ...ctx.payload, n: ctx.payload.n * 2 };
+            await next();
+            ctx.response = { wrapped: ctx.response };
+        });
+        server.handle('echo', (payload) => payload.n);
+
+        expect(await client.request('server', 'echo', { n: 21 })).toEqual({ wrapped: 42 });
+    });
+
+    it('should short-circuit when next() is not called', async () => {
+        connect();
+        let handled = false;
+        server.use((ctx) => {
+            ctx.response = 'cached';
+        });
+        server.handle('expensive', () => {
+            handled = true;
+        });
+
+        expect(await client.request('server', 'expensive')).toBe('cached');
+        expect(handled).toBe(false);
+    });
+
+    it('should reject with errors thrown by middleware', async () => {
+        connect();
+        server.use(() => {
+            throw CrossBusError.from(ErrorCode.UNAUTHORIZED, {});
+        });
+        server.handle('secret', () => 'data');
+
+        await expect(client.request('server', 'secret')).rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED });
+    });
+
+    it('should surface handler errors from next()', async () => {
+        connect();
+        const errors = [];
+        server.use(async (ctx, next) => {
+            try {
+                await next();
+            } catch (error) {
+                errors.push(error.message);
+                ctx.response = 'fallback';
+            }
+        });
+        server.handle('broken', () => {
+            throw new Error('boom');
+        });
+
+        expect(await client.request('server', 'broken')).toBe('fallback');
+        expect(errors).toEqual(['boom']);
+    });
+
+    it('should see requests to unknown handlers', async () => {
+        connect();
+        const codes = [];
+        server.use(async (_, next) => {
+            try {
+                await next();
+            } catch (error) {
+                codes.push(error.code);
+                throw error;
+            }
+        });
+
+        await expect(client.request('server', 'missing')).rejects.toMatchObject({ code: ErrorCode.NO_HANDLER });
+        expect(codes).toEqual([ErrorCode.NO_HANDLER]);
+    });
+
+    it('should run handler middleware after global middleware and share state', async () => {
+        connect();
+        const calls = [];
+        server.use(async (ctx, next) => {
+            calls.push('global');
+            ctx.state.user = 'ada';
+            await next();
+        });
+        server.handle('profile', (_, ctx) => ctx.state.user, {
+            middleware: [async (_, next) => {
+                calls.push('handler-mw');
+                await next();
+            }]
+        });
+        server.handle('other', () => 'x');
+
+        expect(await client.request('server', 'profile')).toBe('ada');
+        await client.request('server', 'other');
+        expect(calls).toEqual(['global', 'handler-mw', 'global']);
+    });
+
+    it('should check security options before any middleware', async () => {
+        connect();
+        const seen = [];
+        server.use(async (ctx, next) => {
+            seen.push(ctx.handlerName);
+            await next();
+        });
+        server.handle('admin', () => 'ok', { allowedPeers: ['someone-else'] });
+
+        await expect(client.request('server', 'admin')).rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED });
+        expect(seen).toEqual([]);
+    });
+
+    it('should check security options against the peer, not the context', async () => {
+        connect();
+        server.use(async (ctx, next) => {
+            ctx.peerId = 'admin';
+            await next();
+        });
+        server.use((ctx) => {
+            ctx.response = 'answered by middleware';
+        });
+        server.handle('admin', () => 'ok', { allowedPeers: ['admin'] });
+
+        await expect(client.request('server', 'admin')).rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED });
+    });
+
+    it('should reject next() called twice', async () => {
+        connect();
+        server.use(async (_, next) => {
+            await next();
+            await next();
+        });
+        server.handle('twice', () => 1);
+
+        await expect(client.request('server', 'twice')).rejects.toThrow('next() called multiple times');
+    });
+
+    it('should remove middleware with the returned function', async () => {
+        connect();
+        const remove = server.use((ctx) => {
+            ctx.response = 'intercepted';
+        });
+        server.handle('value', () => 'real');
+
+        expect(remove()).toBe(true);
+        expect(await client.request('server', 'value')).toBe('real');
+        expect(() => server.use(/** @type {any} */('nope'))).toThrow(TypeError);
+    });
+
+    it('should drop handler middleware on unhandle', async () => {
+        connect();
+        server.handle('temp', () => 'first', {
+            middleware: [(ctx) => { ctx.response = 'mw'; }]
+        });
+        server.unhandle('temp');
+        server.handle('temp', () => 'second');
+
+        expect(await client.request('server', 'temp')).toBe('second');
+    });
+});
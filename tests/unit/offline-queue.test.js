@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Tests for queueing messages to (re)connecting peers.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { CrossBus } from '../../src/core/cross-bus.js';
+import { createConnectedMocks } from '../../src/testing/mock-transport.js';
+import { MessageType, PeerStatus } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Sent messages of a given type, in order.
+ */
+function sentOfType(sendFn, type) {
+    return sendFn.mock.calls
+        .map(([message]) => message.p ?? message)
+        .filter((message) => message.type === type);
+}
+
+describe('Offline queue', () => {
+    let busA;
+    let busB;
+
+    afterEach(() => {
+        busA?.destroy();
+        busB?.destroy();
+    });
+
+    it('should queue signals for a reconnecting peer and flush them in order', async () => {
+        busA = new CrossBus({ peerId: 'a' });
+        const sendFn = mock();
+        busA.addPeer('b', sendFn, { status: PeerStatus.RECONNECTING });
+
+        const first = await busA.signal('tick', { n: 1 });
+        await busA.signal('tick', { n: 2 });
+
+        expect(first.queued).toEqual(['b']);
+        expect(first.delivered).toBe(0);
+        expect(sendFn).not.toHaveBeenCalled();
+
+        busA.setPeerStatus('b', PeerStatus.CONNECTED);
+
+        const signals = sentOfType(sendFn, MessageType.SIGNAL);
+        expect(signals.map(s => s.payload.data.n)).toEqual([1, 2]);
+    });
+
+    it('should not queue for connected or excluded peers', async () => {
+        busA = new CrossBus({ peerId: 'a' });
+        busA.addPeer('up', mock());
+        busA.addPeer('down', mock(), { status: PeerStatus.RECONNECTING });
+
+        const result = await busA.signal('tick', {}, { exclude: ['down'] });
+
+        expect(result.delivered).toBe(1);
+        expect(result.queued).toEqual([]);
+    });
+
+    it('should hold requests until the peer is back', async () => {
+        const { transport1, transport2 } = createConnectedMocks('a', 'b');
+        busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'] });
+        busB = new CrossBus({ peerId: 'b', allowedOrigins: ['*'] });
+        busA.addTransport(transport1, { peerId: 'b' });
+        busB.addTransport(transport2, { peerId: 'a' });
+        busB.handle('echo', (payload) => payload);
+
+        busA.setPeerStatus('b', PeerStatus.RECONNECTING);
+        const pending = busA.request('b', 'echo', { ok: true }, { timeout: 1000 });
+        await wait(5);
+
+        busA.setPeerStatus('b', PeerStatus.CONNECTED);
+
+        expect(await pending).toEqual({ ok: true });
+    });
+
+    it('should chunk large queued requests when the peer is back', async () => {
+        const { transport1, transport2 } = createConnectedMocks('a', 'b');
+        const options = { allowedOrigins: ['*'], chunking: { threshold: 1024, chunkSize: 1000 } };
+        busA = new CrossBus({ peerId: 'a', ...options });
+        busB = new CrossBus({ peerId: 'b', ...options });
+        busA.addTransport(transport1, { peerId: 'b' });
+        busB.addTransport(transport2, { peerId: 'a' });
+        busB.handle('import', (payload) => payload.length);
+        const document = 'x'.repeat(20000);
+
+        busA.setPeerStatus('b', PeerStatus.RECONNECTING);
+        const pending = busA.request('b', 'import', document, { timeout: 1000 });
+        await wait(5);
+
+        busA.setPeerStatus('b', PeerStatus.CONNECTED);
+
+        expect(await pending).toBe(20000);
+        const largest = Math.max(...transport1.getSentMessages().map(({ message }) => JSON.stringify(message).length));
+        expect(largest).toBeLessThan(1500);
+    });
+
+    it('should drop expired messages and fail their requests', async () => {
+        busA = new CrossBus({ peerId: 'a', offlineQueue: { maxAge: 10 } });
+        const sendFn = mock();
+        busA.addPeer('b', sendFn, { status: PeerStatus.RECONNECTING });
+
+        await busA.signal('stale', {});
+        const pending = busA.request('b', 'work', {}, { timeout: 1000 }).catch(e => e);
+        await wait(20);
+
+        busA.setPeerStatus('b', PeerStatus.CONNECTED);
+
+        expect(sendFn).not.toHaveBeenCalled();
+        expect(await pending).toMatchObject({ code: ErrorCode.PEER_DISCONNECTED });
+    });
+
+    it('should drop the oldest message when the queue is full', async () => {
+        busA = new CrossBus({ peerId: 'a', offlineQueue: { maxQueueSize: 2 } });
+        busA.addPeer('b', mock(), { status: PeerStatus.CONNECTING });
+
+        const first = busA.request('b', 'one', {}, { timeout: 1000 }).catch(e => e);
+        busA.request('b', 'two', {}, { timeout: 1000 }).catch(() => { });
+        busA.request('b', 'three', {}, { timeout: 1000 }).catch(() => { });
+
+        expect(await first).toMatchObject({ code: ErrorCode.QUEUE_FULL });
+    });
+
+    it('should reject queued requests when the peer is removed', async () => {
+        busA = new CrossBus({ peerId: 'a' });
+        busA.addPeer('b', mock(), { status: PeerStatus.RECONNECTING });
+
+        const pending = busA.request('b', 'work', {}, { timeout: 1000 }).catch(e => e);
+        await wait(0);
+        busA.removePeer('b');
+
+        expect(await pending).toMatchObject({ code: ErrorCode.PEER_DISCONNECTED });
+    });
+
+    it('should not queue when disabled', async () => {
+        busA = new CrossBus({ peerId: 'a', offlineQueue: false });
+        busA.addPeer('b', mock(), { status: PeerStatus.RECONNECTING });
+
+        const result = await busA.signal('tick', {});
+
+        expect(result.queued).toEqual([]);
+        await expect(busA.request('b', 'work')).rejects.toMatchObject({ code: ErrorCode.SEND_FAILED });
+    });
+
+    it('should follow transport state changes', async () => {
+        busA = new CrossBus({ peerId: 'a' });
+        let reportState;
+        const transport = {
+            send: mock(),
+            onMessage: () => { },
+            onStateChange: (handler) => { reportState = handler; }
+        };
+        busA.addTransport(transport, { peerId: 'server' });
+
+        reportState('disconnected');
+        expect(busA.getPeer('server').status).toBe(PeerStatus.RECONNECTING);
+
+        const result = await busA.signal('while-down', {});
+        expect(result.queued).toEqual(['server']);
+        expect(sentOfType(transport.send, MessageType.SIGNAL)).toHaveLength(0);
+
+        reportState('connected');
+        expect(busA.getPeer('server').status).toBe(PeerStatus.CONNECTED);
+        expect(sentOfType(transport.send, MessageType.SIGNAL)).toHaveLength(1);
+    });
+
+    it('should deliver signals sent during a handshake once it completes', async () => {
+        const { transport1, transport2 } = createConnectedMocks('a', 'b');
+        busA = new CrossBus({ peerId: 'a', allowedOrigins: ['*'] });
+        busB = new CrossBus({ peerId: 'b', allowedOrigins: ['*'] });
+        const received = [];
+        busB.on('early', (e) => received.push(e.data.payload), { mode: 'sync' });
+
+        busA.addTransport(transport1, { handshake: true });
+        const result = await busA.signal('early', { n: 1 });
+        busB.addTransport(transport2, { peerId: 'a', handshake: true });
+        await wait(20);
+
+        expect(result.queued).toHaveLength(1);
+        expect(received).toEqual([{ n: 1 }]);
+    });
+});
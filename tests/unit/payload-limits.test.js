@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Tests for maxPayloadSize and maxPendingRequests enforcement.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { createConnectedMocks } from '../../src/testing/mock-transport.js';
+import { MessageType } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+import { createBuses, link, violations } from './fixtures/buses.js';
+
+const tick = () => new Promise(r => setTimeout(r, 0));
+
+describe('Payload and pending limits', () => {
+    const { createBus, destroyAll } = createBuses();
+    let client;
+    let server;
+
+    afterEach(destroyAll);
+
+    function connect(clientOptions = {}, serverOptions = {}) {
+        client = createBus('client', clientOptions);
+        server = createBus('server', serverOptions);
+        link(client, server);
+    }
+
+    describe('maxPayloadSize', () => {
+        it('should reject oversized requests before sending them', async () => {
+            client = createBus('client', { maxPayloadSize: 100 });
+            const sendFn = mock();
+            client.addPeer('server', sendFn);
+
+            await expect(client.request('server', 'store', { text: 'x'.repeat(200) })).rejects.toMatchObject({
+                code: ErrorCode.PAYLOAD_TOO_LARGE,
+                details: { peerId: 'server', limit: 100 }
+            });
+            expect(sendFn).not.toHaveBeenCalled();
+        });
+
+        it('should count binary data by its byte length', async () => {
+            client = createBus('client', { maxPayloadSize: 1024 });
+            client.addPeer('server', mock());
+
+            await expect(client.request('server', 'upload', { file: new Uint8Array(2048) }))
+                .rejects.toMatchObject({ code: ErrorCode.PAYLOAD_TOO_LARGE });
+        });
+
+        it('should drop oversized incoming requests and report the peer', async () => {
+            connect({}, { maxPayloadSize: 100 });
+            const handler = mock(() => 'stored');
+            server.handle('store', handler);
+            const events = violations(server);
+
+            await expect(client.request('server', 'store', { text: 'x'.repeat(200) }))
+                .rejects.toMatchObject({ code: ErrorCode.PAYLOAD_TOO_LARGE });
+
+            expect(handler).not.toHaveBeenCalled();
+            expect(events).toHaveLength(1);
+            expect(events[0]).toMatchObject({
+                code: ErrorCode.PAYLOAD_TOO_LARGE,
+                peerId: 'client',
+                limit: 100,
+                messageType: MessageType.REQUEST
+            });
+            expect(events[0].size).toBeGreaterThan(100);
+        });
+
+        it('should drop oversized incoming signals', async () => {
+            connect({}, { maxPayloadSize: 100 });
+            const received = [];
+            server.on('chat', (e) => received.push(e.data.payload), { mode: 'sync' });
+            const events = violations(server);
+
+            await client.signal('chat', { text: 'hi' });
+            await client.signal('chat', { text: 'x'.repeat(200) });
+            await tick();
+
+            expect(received).toEqual([{ text: 'hi' }]);
+            expect(events.map(e => e.messageType)).toEqual([MessageType.BROADCAST]);
+        });
+
+        it('should answer with an error when the response is too large', async () => {
+            connect({}, { maxPayloadSize: 100 });
+            server.handle('dump', () => 'x'.repeat(200));
+
+            await expect(client.request('server', 'dump')).rejects.toMatchObject({ code: ErrorCode.PAYLOAD_TOO_LARGE });
+        });
+
+        it('should fail streams with an oversized value', async () => {
+            connect({}, { maxPayloadSize: 100 });
+            server.handle('tokens', async function* () {
+                yield 'ok';
+                yield 'x'.repeat(200);
+            });
+
+            const received = [];
+            let error;
+            try {
+                for await (const value of client.requestStream('server', 'tokens')) received.push(value);
+            } catch (e) {
+                error = e;
+            }
+
+            expect(received).toEqual(['ok']);
+            expect(error).toBeDefined();
+        });
+
+        it('should throw for signals over the bus-wide limit', async () => {
+            client = createBus('client', { maxPayloadSize: 100 });
+            client.addPeer('server', mock());
+
+            await expect(client.signal('chat', 'x'.repeat(200))).rejects.toMatchObject({ code: ErrorCode.PAYLOAD_TOO_LARGE });
+        });
+
+        it('should skip peers with a lower limit of their own', async () => {
+            client = createBus('client');
+            const sendSmall = mock();
+            const sendBig = mock();
+            client.addPeer('small', sendSmall, { maxPayloadSize: 100 });
+            client.addPeer('big', sendBig);
+
+            const result = await client.signal('chat', 'x'.repeat(200));
+
+            expect(result.delivered).toBe(1);
+            expect(result.failed).toEqual(['small']);
+            expect(sendSmall).not.toHaveBeenCalled();
+            expect(sendBig).toHaveBeenCalledTimes(1);
+        });
+
+        it('should let trusted peers send more', async () => {
+            const { transport1, transport2 } = createConnectedMocks('client', 'server');
+            client = createBus('client');
+            server = createBus('server', { maxPayloadSize: 100 });
+            client.addTransport(transport1, { peerId: 'server' });
+            server.addTransport(transport2, { peerId: 'client', maxPayloadSize: 1000 });
+            server.handle('store', ({ text }) => text.length);
+
+            expect(server.getPeer('client').limits).toEqual({ maxPayloadSize: 1000 });
+            expect(await client.request('server', 'store', { text: 'x'.repeat(200) })).toBe(200);
+        });
+
+        it('should not limit payloads when set to 0', async () => {
+            connect({ maxPayloadSize: 0 }, { maxPayloadSize: 0 });
+            server.handle('echo', (payload) => payload.length);
+
+            expect(await client.request('server', 'echo', 'x'.repeat(2 * 1024 * 1024))).toBe(2 * 1024 * 1024);
+        });
+    });
+
+    describe('maxPendingRequests', () => {
+        it('should limit outgoing requests', async () => {
+            client = createBus('client', { maxPendingRequests: 2 });
+            client.addPeer('server', mock());
+
+            client.request('server', 'slow').catch(() => { });
+            client.request('server', 'slow').catch(() => { });
+
+            await expect(client.request('server', 'slow')).rejects.toMatchObject({ code: ErrorCode.MAX_PENDING });
+            expect(client.maxPendingRequests).toBe(2);
+        });
+
+        it('should limit outgoing requests per peer', async () => {
+            client = createBus('client');
+            client.addPeer('busy', mock(), { maxPendingRequests: 1 });
+            client.addPeer('idle', mock());
+
+            client.request('busy', 'slow').catch(() => { });
+
+            await expect(client.request('busy', 'slow')).rejects.toMatchObject({
+                code: ErrorCode.MAX_PENDING,
+                details: { peerId: 'busy', max: 1 }
+            });
+            client.request('idle', 'slow').catch(() => { });
+        });
+
+        it('should reject requests from peers flooding the bus', async () => {
+            connect({}, { maxPendingRequests: 2 });
+            const release = [];
+            server.handle('slow', () => new Promise(resolve => release.push(resolve)));
+            const events = violations(server);
+
+            const first = client.request('server', 'slow');
+            const second = client.request('server', 'slow');
+            const third = client.request('server', 'slow');
+
+            await expect(third).rejects.toMatchObject({ code: ErrorCode.MAX_PENDING });
+            expect(events).toEqual([{
+                code: ErrorCode.MAX_PENDING,
+                peerId: 'client',
+                limit: 2,
+                pending: 2,
+                handlerName: 'slow'
+            }]);
+
+            release.forEach(resolve => resolve('done'));
+            expect(await Promise.all([first, second])).toEqual(['done', 'done']);
+
+            const fourth = client.request('server', 'slow');
+            await tick();
+            release[2]('again');
+            expect(await fourth).toBe('again');
+        });
+    });
+});
@@ -256,4 +256,54 @@ describe('PostMessageTransport', () => {
             transport.destroy();
         });
     });
+
+    describe('BYE on unload', () => {
+        let originalWindow;
+        let fakeWindow;
+
+        beforeEach(() => {
+            originalWindow = globalThis.window;
+            fakeWindow = new EventTarget();
+            globalThis.window = /** @type {any} */ (fakeWindow);
+        });
+
+        afterEach(() => {
+            globalThis.window = originalWindow;
+        });
+
+        it('should send BYE to the target on pagehide', () => {
+            const target = new MockPort();
+            const transport = new PostMessageTransport(target);
+
+            fakeWindow.dispatchEvent(new Event('pagehide'));
+
+            expect(target.messages).toHaveLength(1);
+            const bye = target.messages[0].data;
+            expect(bye.type).toBe(MessageType.BYE);
+            expect(bye[PROTOCOL_MARKER]).toBe(PROTOCOL_VERSION);
+            expect(bye.payload.reason).toBe('pagehide');
+
+            transport.destroy();
+        });
+
+        it('should stop listening after destroy()', () => {
+            const target = new MockPort();
+            const transport = new PostMessageTransport(target);
+
+            transport.destroy();
+            fakeWindow.dispatchEvent(new Event('pagehide'));
+
+            expect(target.messages).toHaveLength(0);
+        });
+
+        it('should not hook pagehide when byeOnUnload is false', () => {
+            const target = new MockPort();
+            const transport = new PostMessageTransport(target, { byeOnUnload: false });
+
+            fakeWindow.dispatchEvent(new Event('pagehide'));
+
+            expect(target.messages).toHaveLength(0);
+            transport.destroy();
+        });
+    });
 });
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Tests for per-peer replay protection.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { ReplayGuard } from '../../src/security/replay-guard.js';
+import { MessageType } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+import { createBuses, link, violations } from './fixtures/buses.js';
+
+const tick = () => new Promise(r => setTimeout(r, 10));
+
+describe('Replay protection', () => {
+    describe('ReplayGuard', () => {
+        it('should refuse a message ID seen before from the same peer', () => {
+            const guard = new ReplayGuard();
+
+            expect(guard.check('a', { id: 'm1' })).toBeNull();
+            expect(guard.check('a', { id: 'm1' })).toBe('duplicate');
+            expect(guard.check('b', { id: 'm1' })).toBeNull();
+        });
+
+        it('should accept sequence numbers in the window once', () => {
+            const guard = new ReplayGuard({ window: 4 });
+
+            for (const seq of [1, 3, 2, 5]) expect(guard.check('a', { seq })).toBeNull();
+            expect(guard.check('a', { seq: 3 })).toBe('duplicate');
+            expect(guard.check('a', { seq: 4 })).toBeNull();
+            expect(guard.check('a', { seq: 9 })).toBeNull();
+            expect(guard.check('a', { seq: 5 })).toBe('stale');
+            expect(guard.check('a', { seq: 6 })).toBeNull();
+        });
+
+        it('should only start the sequence over for forgotten peers', () => {
+            const guard = new ReplayGuard();
+            guard.check('a', { id: 'm1', seq: 1 });
+            guard.check('a', { id: 'm2', seq: 2 });
+
+            expect(guard.check('a', { id: 'm3', seq: 1 })).toBe('duplicate');
+            guard.forget('a');
+            expect(guard.check('a', { id: 'm3', seq: 1 })).toBeNull();
+        });
+
+        it('should refuse messages stamped more than maxAge away from our clock', () => {
+            const guard = new ReplayGuard({ maxAge: 1000 });
+            const now = Date.now();
+
+            expect(guard.check('a', { id: 'm1', timestamp: now - 500 })).toBeNull();
+            expect(guard.check('a', { id: 'm2', timestamp: now + 500 })).toBeNull();
+            expect(guard.check('a', { id: 'm3', timestamp: now - 2000 })).toBe('stale');
+            expect(guard.check('a', { id: 'm4', timestamp: now + 3600000 })).toBe('stale');
+            // Not even the first message of a new or forgotten peer
+            expect(guard.check('b', { id: 'm1', timestamp: now - 2000 })).toBe('stale');
+            expect(new ReplayGuard({ maxAge: 0 }).check('a', { id: 'm1', timestamp: 0 })).toBeNull();
+        });
+
+        it('should not let a future timestamp make later messages stale', () => {
+            const guard = new ReplayGuard({ maxAge: 1000 });
+
+            expect(guard.check('a', { id: 'm1', timestamp: Date.now() + 3600000 })).toBe('stale');
+            expect(guard.check('a', { id: 'm2', timestamp: Date.now() })).toBeNull();
+        });
+
+        it('should remember at most maxIds IDs per peer', () => {
+            const guard = new ReplayGuard({ maxIds: 2 });
+            for (const id of ['m1', 'm2', 'm3']) guard.check('a', { id });
+
+            expect(guard.check('a', { id: 'm3' })).toBe('duplicate');
+            expect(guard.check('a', { id: 'm1' })).toBeNull();
+        });
+
+        it('should refuse messages no newer than the IDs it forgot', () => {
+            const guard = new ReplayGuard({ maxIds: 2 });
+            const now = Date.now();
+            for (const [id, offset] of [['m1', -30], ['m2', -20], ['m3', -10]]) {
+                guard.check('a', { id, timestamp: now + offset });
+            }
+
+            expect(guard.check('a', { id: 'm1', timestamp: now - 30 })).toBe('stale');
+            expect(guard.check('a', { id: 'm0', timestamp: now - 40 })).toBe('stale');
+            expect(guard.check('a', { id: 'm4', timestamp: now - 25 })).toBeNull();
+        });
+
+        it('should forget peers', () => {
+            const guard = new ReplayGuard();
+            guard.check('a', { id: 'm1', seq: 1 });
+
+            expect(guard.forget('a')).toBe(true);
+            expect(guard.check('a', { id: 'm1', seq: 1 })).toBeNull();
+        });
+    });
+
+    describe('on a bus', () => {
+        const { createBus, destroyAll } = createBuses();
+        let client;
+        let server;
+
+        afterEach(destroyAll);
+
+        function connect(serverOptions = {}) {
+            client = createBus('client');
+            server = createBus('server', serverOptions);
+            return link(client, server).transport1;
+        }
+
+        /**
+         * Messages of a type a transport sent.
+         */
+        function sent(transport, type) {
+            return transport.getSentMessages()
+                .map(({ message }) => message)
+                .filter(message => (message.type ?? message.t) === type);
+        }
+
+        it('should not run a handler twice for a replayed request', async () => {
+            const transport = connect();
+            const handler = mock(() => 'paid');
+            server.handle('pay', handler);
+            const events = violations(server);
+
+            expect(await client.request('server', 'pay', { amount: 10 })).toBe('paid');
+            const [request] = sent(transport, MessageType.REQUEST);
+            const reply = mock();
+            await server.handleMessage(request, 'https://evil.example', 'client', reply);
+            await tick();
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(reply).not.toHaveBeenCalled();
+            expect(events).toEqual([expect.objectContaining({
+                code: ErrorCode.REPLAY_DETECTED,
+                peerId: 'client',
+                messageType: MessageType.REQUEST,
+                reason: 'duplicate'
+            })]);
+        });
+
+        it('should drop replayed and stale signals', async () => {
+            const transport = connect();
+            const received = [];
+            server.on('price', (e) => received.push(e.data.payload), { mode: 'sync' });
+            const events = violations(server);
+
+            await client.signal('price', 42);
+            await tick();
+            const [envelope] = sent(transport, MessageType.BROADCAST);
+
+            // The same envelope, and the same message under a fresh sequence number
+            await server.handleMessage(envelope, '*', 'client');
+            await server.handleMessage({ ...envelope, seq: envelope.seq + 1 }, '*', 'client');
+            // A new message claiming to be old
+            await server.handleMessage({ ...envelope, seq: envelope.seq + 2, p: { ...envelope.p, id: 'fresh', timestamp: 0 } },
+                '*', 'client');
+            await tick();
+
+            expect(received).toEqual([42]);
+            expect(events.map(e => e.reason)).toEqual(['duplicate', 'duplicate', 'stale']);
+        });
+
+        it('should accept a restarted sequence after the peer reconnects', async () => {
+            connect();
+            const received = [];
+            server.on('price', (e) => received.push(e.data.payload), { mode: 'sync' });
+            const events = violations(server);
+
+            await client.signal('price', 1);
+            await client.signal('price', 2);
+
+            // Both sides forget each other; envelope sequence numbers start over
+            client.removePeer('server');
+            server.removePeer('client');
+            const { transport1 } = link(client, server);
+
+            await client.signal('price', 3);
+            await tick();
+
+            expect(sent(transport1, MessageType.BROADCAST)[0].seq).toBe(1);
+            expect(received).toEqual([1, 2, 3]);
+            expect(events).toEqual([]);
+        });
+
+        it('should re-acknowledge retransmitted signals without reporting them', async () => {
+            const transport = connect();
+            const received = [];
+            server.on('logout', (e) => received.push(e.data.payload), { mode: 'sync' });
+            const events = violations(server);
+
+            await client.signal('logout', { userId: 1 }, { ack: true });
+            const [envelope] = sent(transport, MessageType.BROADCAST);
+            const reply = mock();
+            await server.handleMessage({ ...envelope, seq: envelope.seq + 1 }, '*', 'client', reply);
+
+            expect(received).toEqual([{ userId: 1 }]);
+            expect(reply).toHaveBeenCalledTimes(1);
+            expect(reply.mock.calls[0][0]).toMatchObject({ type: MessageType.ACK, payload: { messageId: envelope.p.id } });
+            expect(events).toEqual([]);
+        });
+
+        it('should tell the senders behind a hub apart', async () => {
+            const hub = createBus('hub', { isHub: true });
+            const page = createBus('page');
+            const w1 = createBus('w1');
+            link(hub, page);
+            const { transport2: toW1 } = link(hub, w1);
+            link(hub, createBus('w2'));
+            const callers = [];
+            page.handle('whoami', (_, ctx) => callers.push(ctx.peerId) && ctx.peerId);
+            const events = violations(page);
+            await tick();
+
+            await w1.request('page', 'whoami');
+            const [request] = toW1.getSentMessages()
+                .map(({ message }) => message)
+                .filter(message => message.type === MessageType.REQUEST);
+
+            // w2 sends a request under w1's message ID: not a replay of w1's
+            await hub.handleMessage({ ...request, meta: { ...request.meta, path: undefined, src: undefined } }, '*', 'w2', () => { });
+            // w1's own request again: a replay
+            await hub.handleMessage(request, '*', 'w1', () => { });
+            await tick();
+
+            expect(callers).toEqual(['w1', 'w2']);
+            expect(events).toEqual([expect.objectContaining({ peerId: 'w1', reason: 'duplicate' })]);
+        });
+
+        it('should let duplicates through when disabled', async () => {
+            const transport = connect({ replayProtection: false });
+            const handler = mock(() => 'paid');
+            server.handle('pay', handler);
+
+            await client.request('server', 'pay');
+            const [request] = sent(transport, MessageType.REQUEST);
+            await server.handleMessage(request, '*', 'client', () => { });
+            await tick();
+
+            expect(handler).toHaveBeenCalledTimes(2);
+        });
+    });
+});
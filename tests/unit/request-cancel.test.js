@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Tests for cancelling requests with an AbortSignal.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { MessageType } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+import { createBuses, link } from './fixtures/buses.js';
+
+const tick = () => new Promise(r => setTimeout(r, 0));
+
+describe('Request cancellation', () => {
+    const { createBus, destroyAll } = createBuses();
+    let busA;
+    let busB;
+
+    afterEach(destroyAll);
+
+    function connect() {
+        busA = createBus('a');
+        busB = createBus('b');
+        link(busA, busB);
+    }
+
+    /**
+     * Registers a handler that runs until its signal aborts.
+     */
+    function handleUntilAborted(bus) {
+        const seen = { ctx: null, reason: null };
+        bus.handle('generate', (_, ctx) => new Promise((resolve) => {
+            seen.ctx = ctx;
+            ctx.signal.addEventListener('abort', () => {
+                seen.reason = ctx.signal.reason;
+                resolve('partial');
+            });
+        }));
+        return seen;
+    }
+
+    it('should reject locally and abort the remote handler', async () => {
+        connect();
+        const seen = handleUntilAborted(busB);
+        const controller = new AbortController();
+
+        const pending = busA.request('b', 'generate', {}, { signal: controller.signal }).catch(e => e);
+        await tick();
+        expect(seen.ctx.signal.aborted).toBe(false);
+
+        controller.abort('stop pressed');
+
+        const error = await pending;
+        expect(error.code).toBe(ErrorCode.ABORTED);
+        expect(error.details.reason).toBe('stop pressed');
+        expect(seen.ctx.signal.aborted).toBe(true);
+        expect(seen.reason.code).toBe(ErrorCode.ABORTED);
+        expect(seen.reason.details.reason).toBe('stop pressed');
+    });
+
+    it('should give handlers the request ID next to the signal', async () => {
+        connect();
+        let ctx;
+        busB.handle('info', (_, c) => { ctx = c; return true; });
+
+        await busA.request('b', 'info', {}, { signal: new AbortController().signal });
+
+        expect(ctx.peerId).toBe('a');
+        expect(typeof ctx.requestId).toBe('string');
+        expect(ctx.signal).toBeInstanceOf(AbortSignal);
+    });
+
+    it('should not send anything for an already aborted signal', async () => {
+        busA = createBus('a');
+        const sendFn = mock();
+        busA.addPeer('b', sendFn);
+
+        const pending = busA.request('b', 'generate', {}, { signal: AbortSignal.abort() });
+
+        await expect(pending).rejects.toMatchObject({ code: ErrorCode.ABORTED });
+        expect(sendFn).not.toHaveBeenCalled();
+    });
+
+    it('should not send a response for a cancelled request', async () => {
+        busB = createBus('b');
+        const sendFn = mock();
+        busB.addPeer('a', sendFn);
+        const seen = handleUntilAborted(busB);
+
+        const handled = busB.handleMessage(
+            { id: 'req-1', type: MessageType.REQUEST, payload: { name: 'generate', data: {} } }, '*', 'a');
+        await tick();
+        expect(seen.ctx).not.toBeNull();
+        await busB.handleMessage({ id: 'c-1', type: MessageType.CANCEL, payload: { requestId: 'req-1' } }, '*', 'a');
+        await handled;
+
+        expect(sendFn).not.toHaveBeenCalled();
+    });
+
+    it('should ignore cancels from other peers', async () => {
+        busB = createBus('b');
+        busB.addPeer('a', mock());
+        busB.addPeer('mallory', mock());
+        const seen = handleUntilAborted(busB);
+
+        busB.handleMessage({ id: 'req-1', type: MessageType.REQUEST, payload: { name: 'generate', data: {} } }, '*', 'a');
+        await tick();
+        await busB.handleMessage({ id: 'c-1', type: MessageType.CANCEL, payload: { requestId: 'req-1' } }, '*', 'mallory');
+
+        expect(seen.ctx.signal.aborted).toBe(false);
+    });
+
+    it('should abort handlers when the caller disconnects', async () => {
+        connect();
+        const seen = handleUntilAborted(busB);
+
+        busA.request('b', 'generate', {}, { timeout: 5000 }).catch(() => { });
+        await tick();
+        busA.destroy();
+        await tick();
+
+        expect(seen.ctx.signal.aborted).toBe(true);
+        expect(seen.reason.code).toBe(ErrorCode.PEER_DISCONNECTED);
+    });
+
+    it('should stop listening to the signal once settled', async () => {
+        connect();
+        busB.handle('quick', () => 'done');
+        const controller = new AbortController();
+        const removeSpy = mock(controller.signal.removeEventListener.bind(controller.signal));
+        controller.signal.removeEventListener = removeSpy;
+
+        expect(await busA.request('b', 'quick', {}, { signal: controller.signal })).toBe('done');
+        await tick();
+
+        expect(removeSpy).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Tests for streaming request handlers.
+ */
+
+import { describe, it, expect, afterEach } from 'bun:test';
+import { CrossBusError, ErrorCode } from '../../src/common/errors.js';
+import { createBuses, link, violations } from './fixtures/buses.js';
+
+const tick = () => new Promise(r => setTimeout(r, 0));
+
+/**
+ * Collects every value of an async iterable.
+ */
+async function collect(iterable) {
+    const values = [];
+    for await (const value of iterable) values.push(value);
+    return values;
+}
+
+describe('Streaming handlers', () => {
+    const { createBus, destroyAll } = createBuses();
+    let busA;
+    let busB;
+
+    afterEach(destroyAll);
+
+    function connect() {
+        busA = createBus('a');
+        busB = createBus('b');
+        link(busA, busB);
+    }
+
+    it('should stream values from an async generator handler', async () => {
+        connect();
+        busB.handle('count', async function* ({ to }) {
+            for (let i = 1; i <= to; i++) yield i;
+        });
+
+        expect(await collect(busA.requestStream('b', 'count', { to: 3 }))).toEqual([1, 2, 3]);
+    });
+
+    it('should keep objects intact', async () => {
+        connect();
+        busB.handle('tokens', async function* () {
+            yield { token: 'Hel' };
+            yield { token: 'lo' };
+        });
+
+        expect(await collect(busA.requestStream('b', 'tokens'))).toEqual([{ token: 'Hel' }, { token: 'lo' }]);
+    });
+
+    it('should stream a returned ReadableStream', async () => {
+        connect();
+        busB.handle('read', () => new ReadableStream({
+            start(controller) {
+                controller.enqueue('x');
+                controller.enqueue('y');
+                controller.close();
+            }
+        }));
+
+        expect(await collect(busA.requestStream('b', 'read'))).toEqual(['x', 'y']);
+    });
+
+    it('should stream a plain result as a single value', async () => {
+        connect();
+        busB.handle('single', () => 42);
+
+        expect(await collect(busA.requestStream('b', 'single'))).toEqual([42]);
+    });
+
+    it('should give plain requests all values at once', async () => {
+        connect();
+        busB.handle('count', async function* () {
+            yield 1;
+            yield 2;
+        });
+
+        expect(await busA.request('b', 'count')).toEqual([1, 2]);
+    });
+
+    it('should surface errors thrown while streaming', async () => {
+        connect();
+        busB.handle('flaky', async function* () {
+            yield 1;
+            throw new Error('model crashed');
+        });
+
+        const received = [];
+        let error;
+        try {
+            for await (const value of busA.requestStream('b', 'flaky')) received.push(value);
+        } catch (e) {
+            error = e;
+        }
+
+        expect(received).toEqual([1]);
+        expect(error.code).toBe(ErrorCode.HANDLER_ERROR);
+        expect(error.message).toBe('model crashed');
+    });
+
+    it('should reject when the handler does not exist', async () => {
+        connect();
+
+        await expect(collect(busA.requestStream('b', 'missing'))).rejects.toMatchObject({ code: ErrorCode.NO_HANDLER });
+    });
+
+    it('should cancel the handler when the caller stops early', async () => {
+        connect();
+        let finished = false;
+        let signal;
+        busB.handle('endless', async function* (_, ctx) {
+            signal = ctx.signal;
+            try {
+                for (let i = 0; ; i++) {
+                    yield i;
+                    await tick();
+                }
+            } finally {
+                finished = true;
+            }
+        });
+
+        for await (const value of busA.requestStream('b', 'endless')) {
+            if (value === 2) break;
+        }
+        await tick();
+        await tick();
+
+        expect(signal.aborted).toBe(true);
+        expect(finished).toBe(true);
+    });
+
+    it('should abort the stream with an AbortSignal', async () => {
+        connect();
+        busB.handle('slow', async function* (_, ctx) {
+            yield 'first';
+            await new Promise(resolve => ctx.signal.addEventListener('abort', resolve));
+        });
+        const controller = new AbortController();
+
+        const received = [];
+        let error;
+        try {
+            for await (const value of busA.requestStream('b', 'slow', {}, { signal: controller.signal })) {
+                received.push(value);
+                controller.abort();
+            }
+        } catch (e) {
+            error = e;
+        }
+
+        expect(received).toEqual(['first']);
+        expect(error.code).toBe(ErrorCode.ABORTED);
+    });
+
+    it('should fail the stream when the responder goes away', async () => {
+        connect();
+        busB.handle('slow', async function* () {
+            yield 'first';
+            await new Promise(() => { });
+        });
+
+        const iterator = busA.requestStream('b', 'slow');
+        expect((await iterator.next()).value).toBe('first');
+
+        busB.destroy();
+
+        await expect(iterator.next()).rejects.toMatchObject({ code: ErrorCode.PEER_DISCONNECTED });
+    });
+
+    it('should run each value through the hooks, in order', async () => {
+        connect();
+        busB.handle('count', async function* () {
+            yield* [1, 2, 3];
+        });
+        busB.addOutboundHook((payload, context) => context.type === 'response' ? { sealed: payload } : payload);
+        const contexts = [];
+        busA.addInboundHook(async (payload, context) => {
+            if (context.type !== 'response') return payload;
+            contexts.push(context);
+            // Later values come out of the hook first
+            await new Promise(r => setTimeout(r, 10 - payload.sealed * 3));
+            return payload.sealed;
+        });
+
+        expect(await collect(busA.requestStream('b', 'count'))).toEqual([1, 2, 3]);
+        expect(contexts).toHaveLength(3);
+        expect(contexts[0]).toMatchObject({ peerId: 'b', handlerName: 'count', direction: 'inbound' });
+    });
+
+    it('should fail the stream and cancel the handler when a hook rejects a value', async () => {
+        connect();
+        let signal;
+        busB.handle('count', async function* (_, ctx) {
+            signal = ctx.signal;
+            yield 1;
+            yield 2;
+            await new Promise(() => { });
+        });
+        busA.addInboundHook((payload, context) => {
+            if (context.type === 'response' && payload === 2) {
+                throw new CrossBusError(ErrorCode.UNAUTHORIZED, 'Unsigned value');
+            }
+            return payload;
+        });
+        const events = violations(busA);
+
+        const values = [];
+        await expect((async () => {
+            for await (const value of busA.requestStream('b', 'count')) values.push(value);
+        })()).rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED });
+        await tick();
+
+        expect(values).toEqual([1]);
+        expect(signal.aborted).toBe(true);
+        expect(events).toEqual([expect.objectContaining({ code: ErrorCode.UNAUTHORIZED, peerId: 'b', handlerName: 'count' })]);
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Tests for handler discovery and the RPC proxy.
+ */
+
+import { describe, it, expect, afterEach } from 'bun:test';
+import { DISCOVERY_HANDLER } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+import getDataSchema from '../../schemas/handlers/getData.schema.json';
+import { createBuses, link } from './fixtures/buses.js';
+
+describe('RPC proxy', () => {
+    const { createBus, destroyAll } = createBuses();
+    let client;
+    let server;
+
+    afterEach(destroyAll);
+
+    function connect(serverOptions = {}) {
+        client = createBus('client');
+        server = createBus('server', serverOptions);
+        link(client, server);
+    }
+
+    /**
+     * Counts the requests the server receives, by handler name.
+     */
+    function countRequests() {
+        const calls = [];
+        server.use(async (ctx, next) => {
+            calls.push(ctx.handlerName);
+            await next();
+        });
+        return calls;
+    }
+
+    it('should list handlers with their schemas', async () => {
+        connect();
+        server.handle('getData', () => null, { schema: getDataSchema });
+        server.handle('ping', () => 'pong');
+
+        expect(await client.discover('server')).toEqual([
+            { name: 'getData', schema: getDataSchema },
+            { name: 'ping' }
+        ]);
+    });
+
+    it('should only list restricted handlers to allowed peers', async () => {
+        connect();
+        server.handle('public', () => 1);
+        server.handle('admin', () => 2, { allowedPeers: ['someone-else'] });
+
+        expect(await client.discover('server')).toEqual([{ name: 'public' }]);
+    });
+
+    it('should drop unregistered handlers and their schemas', async () => {
+        connect();
+        server.handle('temp', () => 1, { schema: { type: 'object' } });
+        server.unhandle('temp');
+        server.handle('temp', () => 2);
+
+        expect(await client.discover('server')).toEqual([{ name: 'temp' }]);
+    });
+
+    it('should not answer discovery when disabled', async () => {
+        connect({ discovery: false });
+        server.handle('ping', () => 'pong');
+
+        await expect(client.discover('server')).rejects.toMatchObject({ code: ErrorCode.NO_HANDLER });
+    });
+
+    it('should run middleware for discovery requests', async () => {
+        connect();
+        const calls = countRequests();
+
+        await client.discover('server');
+
+        expect(calls).toEqual([DISCOVERY_HANDLER]);
+    });
+
+    it('should map method calls to requests', async () => {
+        connect();
+        server.handle('add', ({ a, b }) => a + b);
+        const api = client.proxy('server');
+
+        expect(await api.add({ a: 2, b: 3 })).toBe(5);
+        expect(await api.add({ a: 1, b: 1 })).toBe(2);
+    });
+
+    it('should reject unknown methods without sending them', async () => {
+        connect();
+        server.handle('add', ({ a, b }) => a + b);
+        const calls = countRequests();
+        const api = client.proxy('server');
+
+        await expect(api.subtract({ a: 2, b: 3 })).rejects.toMatchObject({
+            code: ErrorCode.NO_HANDLER,
+            details: { peerId: 'server', handlerName: 'subtract' }
+        });
+        expect(calls.filter(name => name !== DISCOVERY_HANDLER)).toEqual([]);
+    });
+
+    it('should discover once and refresh for handlers added later', async () => {
+        connect();
+        server.handle('first', () => 1);
+        const calls = countRequests();
+        const api = client.proxy('server');
+
+        await api.first();
+        await api.first();
+        server.handle('second', () => 2);
+
+        expect(await api.second()).toBe(2);
+        expect(calls).toEqual([DISCOVERY_HANDLER, 'first', 'first', DISCOVERY_HANDLER, 'second']);
+    });
+
+    it('should call peers without discovery unchecked', async () => {
+        connect({ discovery: false });
+        server.handle('ping', () => 'pong');
+        const api = client.proxy('server');
+
+        expect(await api.ping()).toBe('pong');
+        await expect(api.missing()).rejects.toMatchObject({ code: ErrorCode.NO_HANDLER });
+    });
+
+    it('should skip discovery when disabled on the proxy', async () => {
+        connect();
+        server.handle('ping', () => 'pong');
+        const calls = countRequests();
+
+        expect(await client.proxy('server', { discover: false }).ping()).toBe('pong');
+        expect(calls).toEqual(['ping']);
+    });
+
+    it('should pass request options through', async () => {
+        connect();
+        server.handle('slow', () => new Promise(() => { }));
+        const api = client.proxy('server', { discover: false });
+
+        await expect(api.slow({}, { timeout: 20 })).rejects.toMatchObject({ code: ErrorCode.RESPONSE_TIMEOUT });
+    });
+
+    it('should not be thenable', async () => {
+        connect();
+        const api = client.proxy('server');
+
+        expect(api.then).toBeUndefined();
+        expect(await Promise.resolve(api)).toBe(api);
+    });
+});
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Tests for structural checks of incoming payloads.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { CrossBus } from '../../src/core/cross-bus.js';
+import { MessageSanitizer, SanitizerPresets } from '../../src/security/sanitizer.js';
+import { createRequestMessage } from '../../src/core/message-types.js';
+import { MessageType } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+import { createBuses, link, violations } from './fixtures/buses.js';
+
+const tick = () => new Promise(r => setTimeout(r, 10));
+
+/**
+ * `{ a: { a: ... } }`, `levels` objects deep.
+ */
+function nested(levels) {
+    let value = {};
+    for (let i = 1; i < levels; i++) value = { a: value };
+    return value;
+}
+
+describe('Payload sanitizing', () => {
+    describe('MessageSanitizer', () => {
+        it('should pass clean payloads through untouched', () => {
+            const sanitizer = new MessageSanitizer();
+            const payload = { user: { name: 'x', tags: ['a', 'b'] }, at: new Date(0), bytes: new Uint8Array(4) };
+
+            expect(sanitizer.sanitize(payload)).toBe(payload);
+            expect(sanitizer.sanitize('text')).toBe('text');
+            expect(sanitizer.sanitize(undefined)).toBeUndefined();
+        });
+
+        it('should strip dangerous keys without touching the original', () => {
+            const sanitizer = new MessageSanitizer();
+            const payload = JSON.parse('{"name":"x","list":[{"__proto__":{"admin":true},"id":1}],"constructor":{"prototype":{}}}');
+
+            const clean = sanitizer.sanitize(payload);
+
+            expect(clean).toEqual({ name: 'x', list: [{ id: 1 }] });
+            expect(Object.keys(clean.list[0])).toEqual(['id']);
+            expect(({}).admin).toBeUndefined();
+            expect(Object.keys(payload.list[0])).toEqual(['__proto__', 'id']);
+        });
+
+        it('should reject dangerous keys when told to', () => {
+            const sanitizer = new MessageSanitizer({ dangerousKeys: 'reject' });
+
+            expect(() => sanitizer.sanitize(JSON.parse('{"a":{"__proto__":{}}}'))).toThrow(expect.objectContaining({
+                code: ErrorCode.INVALID_MESSAGE,
+                message: 'Forbidden key "__proto__" at payload.a',
+                details: { rule: 'dangerousKeys', path: 'payload.a', limit: 'reject' }
+            }));
+        });
+
+        it('should enforce each limit', () => {
+            const sanitizer = new MessageSanitizer({ maxDepth: 3, maxKeys: 2, maxArrayLength: 2, maxStringLength: 4 });
+
+            expect(sanitizer.sanitize(nested(3))).toEqual(nested(3));
+            for (const [payload, rule, path] of [
+                [nested(4), 'maxDepth', 'payload.a.a.a'],
+                [[[[[]]]], 'maxDepth', 'payload[0][0][0]'],
+                [{ a: 1, b: 2, c: 3 }, 'maxKeys', 'payload'],
+                [{ list: [1, 2, 3] }, 'maxArrayLength', 'payload.list'],
+                [['ok', 'too long'], 'maxStringLength', 'payload[1]']
+            ]) {
+                expect(() => sanitizer.sanitize(payload)).toThrow(expect.objectContaining({
+                    code: ErrorCode.INVALID_MESSAGE,
+                    details: expect.objectContaining({ rule, path })
+                }));
+            }
+        });
+
+        it('should stop at cyclic payloads', () => {
+            const payload = { a: {} };
+            payload.a.self = payload;
+
+            expect(() => new MessageSanitizer().sanitize(payload)).toThrow(expect.objectContaining({
+                details: expect.objectContaining({ rule: 'maxDepth' })
+            }));
+        });
+
+        it('should fill missing limits from the defaults', () => {
+            expect(new MessageSanitizer({ maxKeys: 5 }).limits).toEqual({ ...SanitizerPresets.DEFAULT, maxKeys: 5 });
+            expect(() => new MessageSanitizer({ maxDepth: 0 })).toThrow(TypeError);
+        });
+    });
+
+    describe('on a bus', () => {
+        const { createBus, destroyAll } = createBuses();
+
+        afterEach(destroyAll);
+
+        function connect(serverOptions = {}) {
+            const client = createBus('client');
+            const server = createBus('server', serverOptions);
+            link(client, server);
+            return { client, server };
+        }
+
+        it('should strip dangerous keys before handlers see them', async () => {
+            const { client, server } = connect();
+            server.handle('merge', (payload) => Object.assign({}, payload).admin ?? false);
+
+            const payload = JSON.parse('{"__proto__":{"admin":true},"name":"x"}');
+            expect(await client.request('server', 'merge', payload)).toBe(false);
+        });
+
+        it('should check payloads as inbound hooks decoded them', async () => {
+            const { client, server } = connect();
+            client.addOutboundHook((payload) => JSON.stringify(payload));
+            server.addInboundHook((payload) => typeof payload === 'string' ? JSON.parse(payload) : payload);
+            server.handle('merge', (payload) => Object.keys(payload));
+
+            // Only the hook turns the string into keys
+            const encoded = '{"__proto__":{"admin":true},"name":"x"}';
+            expect(await client.request('server', 'merge', JSON.parse(encoded))).toEqual(['name']);
+        });
+
+        it('should check message metadata', async () => {
+            const { server } = connect({ sanitize: { maxDepth: 4 } });
+            const handler = mock(() => 'ok');
+            server.handle('store', handler);
+            const events = violations(server);
+            const reply = mock();
+
+            const request = createRequestMessage('store', {}, 'client', 'server');
+            await server.handleMessage({ ...request, meta: { trace: nested(5) } }, '*', 'client', reply);
+            await server.handleMessage({ ...request, id: 'clean', meta: JSON.parse('{"__proto__":{"admin":true}}') }, '*', 'client', reply);
+            await tick();
+
+            expect(reply.mock.calls[0][0].payload.error).toMatchObject({
+                code: ErrorCode.INVALID_MESSAGE,
+                message: 'Payload nested deeper than 4 levels at meta.trace.a.a.a'
+            });
+            expect(reply.mock.calls[1][0].payload).toMatchObject({ success: true, data: 'ok' });
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(events).toHaveLength(1);
+        });
+
+        it('should refuse requests over a limit and report the peer', async () => {
+            const { client, server } = connect({ sanitize: { maxDepth: 4 } });
+            const handler = mock();
+            server.handle('store', handler);
+            const hook = mock((payload) => payload);
+            server.addInboundHook(hook);
+            const events = violations(server);
+
+            await expect(client.request('server', 'store', nested(5))).rejects.toMatchObject({
+                code: ErrorCode.INVALID_MESSAGE,
+                message: 'Payload nested deeper than 4 levels at payload.a.a.a.a'
+            });
+            expect(handler).not.toHaveBeenCalled();
+            expect(hook).toHaveBeenCalledTimes(1);
+            expect(events).toEqual([expect.objectContaining({
+                code: ErrorCode.INVALID_MESSAGE,
+                peerId: 'client',
+                messageType: MessageType.REQUEST,
+                handlerName: 'store'
+            })]);
+        });
+
+        it('should check responses and signals too', async () => {
+            const { client, server } = connect();
+            const limited = createBus('limited', { sanitize: { maxArrayLength: 2 } });
+            link(limited, server);
+            server.handle('list', () => [1, 2, 3]);
+            const received = [];
+            limited.on('list', (e) => received.push(e.data.payload), { mode: 'sync' });
+
+            await expect(limited.request('server', 'list')).rejects.toMatchObject({ code: ErrorCode.INVALID_MESSAGE });
+            expect(await client.request('server', 'list')).toEqual([1, 2, 3]);
+            await server.signal('list', [1, 2, 3]);
+            await tick();
+            expect(received).toEqual([]);
+        });
+
+        it('should let anything through when disabled', async () => {
+            const { client, server } = connect({ sanitize: false });
+            server.handle('keys', (payload) => Object.keys(payload));
+
+            expect(await client.request('server', 'keys', JSON.parse('{"__proto__":1,"a":2}'))).toEqual(['__proto__', 'a']);
+        });
+
+        it('should reject dangerous keys under createSecure()', async () => {
+            const origin = 'https://app.example.com';
+            const secure = CrossBus.createSecure({ peerId: 'secure', allowedOrigins: [origin] });
+            const handler = mock();
+            secure.handle('save', handler);
+            const reply = mock();
+
+            try {
+                const request = createRequestMessage('save', JSON.parse('{"constructor":{"prototype":{}}}'), 'client', 'secure');
+                await secure.handleMessage(request, origin, 'client', reply);
+                await tick();
+
+                expect(handler).not.toHaveBeenCalled();
+                expect(reply.mock.calls[0][0].payload).toMatchObject({
+                    success: false,
+                    error: { code: ErrorCode.INVALID_MESSAGE, message: 'Forbidden key "constructor" at payload' }
+                });
+            } finally {
+                secure.destroy();
+            }
+        });
+    });
+});
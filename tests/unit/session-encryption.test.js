@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Tests for per-peer session keys in the Encryption plugin.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import {
+    Encryption,
+    withSessionEncryption,
+    KEY_EXCHANGE_HANDLER
+} from '../../src/plugins/encryption.js';
+import { createHmacAuthenticator } from '../../src/security/authenticators.js';
+import { MessageType } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+import { createBuses, link, violations } from './fixtures/buses.js';
+
+const tick = () => new Promise(r => setTimeout(r, 20));
+
+describe('Session encryption', () => {
+    const { createBus, destroyAll } = createBuses();
+    const sessions = [];
+
+    function encrypt(bus, options) {
+        const session = withSessionEncryption(bus, options);
+        sessions.push(session);
+        return session;
+    }
+
+    /**
+     * Payloads of the requests and responses a transport sent, except key exchanges.
+     */
+    function sentPayloads(transport) {
+        return transport.getSentMessages()
+            .map(({ message }) => message)
+            .filter(message => (message.type === MessageType.REQUEST || message.type === MessageType.RESPONSE) &&
+                message.payload.name !== KEY_EXCHANGE_HANDLER && message.payload.data?.publicKey === undefined)
+            .map(message => message.payload.data);
+    }
+
+    afterEach(() => {
+        while (sessions.length) sessions.pop().destroy();
+        destroyAll();
+    });
+
+    it('should derive the same key on both sides', async () => {
+        const a = await Encryption.generateKeyPair();
+        const b = await Encryption.generateKeyPair();
+        const options = { salt: 'kid', info: 'test' };
+
+        const keyA = await Encryption.deriveSessionKey(a.privateKey, await Encryption.importPublicKey(
+            await Encryption.exportPublicKey(b.publicKey)), options);
+        const keyB = await Encryption.deriveSessionKey(b.privateKey, a.publicKey, options);
+
+        const encrypted = await Encryption.encrypt({ secret: 42 }, keyA, { keyId: 'kid' });
+        expect(encrypted.kid).toBe('kid');
+        expect(await Encryption.decrypt(encrypted, keyB)).toEqual({ secret: 42 });
+    });
+
+    it('should encrypt requests and responses with a key per peer', async () => {
+        const host = createBus('host');
+        const widget = createBus('widget');
+        const hostSession = encrypt(host);
+        const widgetSession = encrypt(widget);
+        const handler = mock((payload) => ({ echo: payload }));
+        widget.handle('echo', handler);
+
+        const { transport1, transport2 } = link(host, widget);
+
+        expect(await host.request('widget', 'echo', { text: 'secret' })).toEqual({ echo: { text: 'secret' } });
+        expect(handler.mock.calls[0][0]).toEqual({ text: 'secret' });
+
+        const kid = hostSession.getKeyId('widget');
+        expect(kid).toBeString();
+        expect(widgetSession.getKeyId('host')).toBeString();
+        const sent = [...sentPayloads(transport1), ...sentPayloads(transport2)];
+        expect(sent.length).toBeGreaterThan(0);
+        expect(JSON.stringify(sent)).not.toContain('secret');
+        for (const payload of sent) {
+            expect(payload).toMatchObject({ _encrypted: true, kid: expect.any(String) });
+        }
+    });
+
+    it('should not let a peer read traffic meant for another', async () => {
+        const hub = createBus('hub');
+        const hubSession = encrypt(hub);
+        const good = createBus('good');
+        const evil = createBus('evil');
+        encrypt(good);
+        encrypt(evil);
+        const { transport2: goodTransport } = link(hub, good);
+        link(hub, evil);
+
+        await hubSession.ready('good');
+        await hubSession.ready('evil');
+        expect(hubSession.getKeyId('good')).not.toBe(hubSession.getKeyId('evil'));
+
+        const received = [];
+        hub.handle('report', (payload) => received.push(payload));
+        await good.request('hub', 'report', 'for the hub only');
+
+        // The envelope `good` sent, replayed by `evil`
+        const [envelope] = sentPayloads(goodTransport);
+        await expect(evil.request('hub', 'report', envelope)).rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED });
+
+        expect(received).toEqual(['for the hub only']);
+    });
+
+    it('should exchange keys before the first request if needed', async () => {
+        const host = createBus('host');
+        const widget = createBus('widget');
+        link(host, widget);
+        widget.handle('ping', () => 'pong');
+
+        // Installed after the peers connected
+        const session = encrypt(host);
+        encrypt(widget);
+
+        expect(session.getKeyId('widget')).toBeNull();
+        expect(await host.request('widget', 'ping')).toBe('pong');
+        expect(session.getKeyId('widget')).toBeString();
+    });
+
+    it('should rotate keys and accept the old one for the grace period', async () => {
+        const host = createBus('host');
+        const widget = createBus('widget');
+        const session = encrypt(host);
+        encrypt(widget, { gracePeriod: 50 });
+        const { transport1 } = link(host, widget);
+        const received = [];
+        widget.handle('store', (payload) => received.push(payload));
+
+        const first = await session.ready('widget');
+        await host.request('widget', 'store', 'early');
+        const [envelope] = sentPayloads(transport1);
+        expect(envelope.kid).toBe(first);
+
+        const second = await session.rotate('widget');
+        expect(second).not.toBe(first);
+        expect(session.getKeyId('widget')).toBe(second);
+        await host.request('widget', 'store', 'after');
+
+        // A message encrypted with the old key, still in flight
+        await host.request('widget', 'store', envelope);
+        await new Promise(r => setTimeout(r, 60));
+        await expect(host.request('widget', 'store', envelope)).rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED });
+
+        expect(received).toEqual(['early', 'after', 'early']);
+    });
+
+    it('should rotate keys on a schedule', async () => {
+        const host = createBus('host');
+        const widget = createBus('widget');
+        const session = encrypt(host, { rotateInterval: 30 });
+        encrypt(widget, { rotateInterval: 30 });
+        link(host, widget);
+
+        const first = await session.ready('widget');
+        await new Promise(r => setTimeout(r, 80));
+
+        expect(session.getKeyId('widget')).not.toBe(first);
+    });
+
+    it('should encrypt signal payloads for each peer', async () => {
+        const host = createBus('host');
+        const w1 = createBus('w1');
+        const w2 = createBus('w2');
+        encrypt(host);
+        encrypt(w1);
+        encrypt(w2);
+        const { transport1 } = link(host, w1);
+        link(host, w2);
+        const received = [];
+        for (const widget of [w1, w2]) {
+            widget.on('chat', (e) => received.push([widget.peerId, e.data.payload]), { mode: 'sync' });
+        }
+
+        await host.signal('chat', { text: 'secret' });
+        await tick();
+
+        expect(JSON.stringify(transport1.getSentMessages())).not.toContain('secret');
+        expect(received).toEqual([['w1', { text: 'secret' }], ['w2', { text: 'secret' }]]);
+    });
+
+    it('should refuse signals without a copy for us', async () => {
+        const host = createBus('host');
+        const w1 = createBus('w1');
+        const w2 = createBus('w2');
+        encrypt(host);
+        encrypt(w1);
+        encrypt(w2);
+        const { transport1 } = link(host, w1);
+        link(host, w2);
+        const received = [];
+        w2.on('chat', (e) => received.push(e.data.payload), { mode: 'sync' });
+        const events = violations(w2);
+
+        await host.signal('chat', { text: 'secret' }, { exclude: ['w2'] });
+        const signal = transport1.getSentMessages()
+            .map(({ message }) => message)
+            .find(message => (message.p ?? message).type === MessageType.SIGNAL);
+        const inner = signal.p ?? signal;
+        const forwarded = { ...inner, payload: { ...inner.payload, data: { ...inner.payload.data, recipients: {} } } };
+        await w2.handleMessage(forwarded, '*', 'host');
+        await tick();
+
+        expect(received).toEqual([]);
+        expect(events).toEqual([expect.objectContaining({ code: ErrorCode.UNAUTHORIZED, peerId: 'host' })]);
+    });
+
+    it('should refuse payloads encrypted with an unknown key', async () => {
+        const host = createBus('host');
+        const widget = createBus('widget');
+        const session = encrypt(host);
+        encrypt(widget);
+        const { transport1 } = link(host, widget);
+        const handler = mock(() => 'stored');
+        widget.handle('store', handler);
+        const events = violations(widget);
+
+        await session.ready('widget');
+        await host.request('widget', 'store', 'first');
+        const [envelope] = sentPayloads(transport1);
+
+        await expect(host.request('widget', 'store', { ...envelope, kid: 'unknown' }))
+            .rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED });
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(events).toEqual([expect.objectContaining({ code: ErrorCode.UNAUTHORIZED, peerId: 'host' })]);
+    });
+
+    it('should forget keys when a peer disconnects', async () => {
+        const host = createBus('host');
+        const widget = createBus('widget');
+        const session = encrypt(host);
+        encrypt(widget);
+        link(host, widget);
+
+        await session.ready('widget');
+        host.removePeer('widget');
+        await tick();
+
+        expect(session.getKeyId('widget')).toBeNull();
+    });
+
+    describe('with an authenticator', () => {
+        it('should sign the exchanged keys', async () => {
+            const host = createBus('host');
+            const widget = createBus('widget');
+            encrypt(host, { authenticator: createHmacAuthenticator('issued-secret') });
+            encrypt(widget, { authenticator: createHmacAuthenticator('issued-secret') });
+            link(host, widget);
+            widget.handle('ping', () => 'pong');
+
+            expect(await host.request('widget', 'ping')).toBe('pong');
+        });
+
+        it('should refuse keys it cannot verify', async () => {
+            const host = createBus('host');
+            const widget = createBus('widget');
+            const session = encrypt(host, { authenticator: createHmacAuthenticator('issued-secret') });
+            encrypt(widget, { authenticator: createHmacAuthenticator('guessed') });
+            const errors = mock();
+            const original = console.error;
+            console.error = errors;
+            try {
+                const { transport1 } = link(host, widget);
+                widget.handle('ping', () => 'pong');
+
+                await expect(session.ready('widget')).rejects.toBeDefined();
+                host.request('widget', 'ping', 'secret', { timeout: 100 }).catch(() => { });
+                await tick();
+
+                expect(session.getKeyId('widget')).toBeNull();
+                expect(JSON.stringify(transport1.getSentMessages())).not.toContain('secret');
+            } finally {
+                console.error = original;
+            }
+        });
+    });
+});
+
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Tests for acknowledged (at-least-once) signals.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { AckTracker } from '../../src/core/ack-tracker.js';
+import { MessageType, PeerStatus, DeliveryStatus } from '../../src/common/types.js';
+import { createBuses, link } from './fixtures/buses.js';
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Signal ACKs', () => {
+    const { createBus, destroyAll } = createBuses();
+    let busA;
+    let busB;
+
+    afterEach(destroyAll);
+
+    function connect() {
+        busA = createBus('a');
+        busB = createBus('b');
+        link(busA, busB);
+    }
+
+    it('should resolve with a per-peer report once acknowledged', async () => {
+        connect();
+        const received = [];
+        busB.on('logout', (e) => received.push(e.data.payload), { mode: 'sync' });
+
+        const result = await busA.signal('logout', { userId: 1 }, { ack: true });
+
+        expect(result.delivered).toBe(1);
+        expect(result.failed).toEqual([]);
+        expect(result.report).toEqual({ b: DeliveryStatus.ACKED });
+        expect(received).toEqual([{ userId: 1 }]);
+    });
+
+    it('should retransmit until acknowledged', async () => {
+        busA = createBus('a');
+        let copies = 0;
+        const sendFn = mock((envelope) => {
+            // Lose the first copy
+            if (++copies === 2) {
+                busA.handleMessage({ id: 'ack-1', type: MessageType.ACK, payload: { messageId: envelope.p.id } }, '*', 'b');
+            }
+        });
+        busA.addPeer('b', sendFn);
+
+        const result = await busA.signal('revoke', {}, { ack: true, ackTimeout: 70, retries: 2 });
+
+        expect(copies).toBe(2);
+        expect(result.report).toEqual({ b: DeliveryStatus.ACKED });
+    });
+
+    it('should report peers that never acknowledge as timed out', async () => {
+        busA = createBus('a');
+        const sendFn = mock();
+        busA.addPeer('b', sendFn);
+
+        const result = await busA.signal('revoke', {}, { ack: true, ackTimeout: 30, retries: 2 });
+
+        expect(sendFn).toHaveBeenCalledTimes(3);
+        expect(result.delivered).toBe(0);
+        expect(result.failed).toEqual(['b']);
+        expect(result.report).toEqual({ b: DeliveryStatus.TIMEOUT });
+    });
+
+    it('should handle retransmitted signals only once', async () => {
+        busB = createBus('b');
+        const replies = [];
+        const received = [];
+        busB.addPeer('a', (message) => replies.push(message));
+        busB.on('revoke', () => received.push(1), { mode: 'sync' });
+
+        const signal = { id: 'sig-1', type: MessageType.SIGNAL, payload: { name: 'revoke', data: {} }, meta: { ack: true } };
+        await busB.handleMessage(signal, '*', 'a');
+        await busB.handleMessage(signal, '*', 'a');
+
+        expect(received).toHaveLength(1);
+        expect(replies).toHaveLength(2);
+        expect(replies.every(r => r.type === MessageType.ACK && r.payload.messageId === 'sig-1')).toBe(true);
+    });
+
+    it('should report queued and removed peers', async () => {
+        busA = createBus('a');
+        busA.addPeer('down', mock(), { status: PeerStatus.RECONNECTING });
+        busA.addPeer('leaving', mock());
+
+        const pending = busA.signal('revoke', {}, { ack: true, ackTimeout: 1000 });
+        await wait(5);
+        busA.removePeer('leaving');
+        const result = await pending;
+
+        expect(result.report).toEqual({ down: DeliveryStatus.QUEUED, leaving: DeliveryStatus.FAILED });
+        expect(result.queued).toEqual(['down']);
+    });
+
+    it('should not wait for acknowledgements by default', async () => {
+        busA = createBus('a');
+        const sendFn = mock();
+        busA.addPeer('b', sendFn);
+
+        const result = await busA.signal('tick', {});
+
+        expect(result.report).toBeUndefined();
+        expect(sendFn.mock.calls[0][0].p.meta).toEqual({});
+    });
+});
+
+describe('AckTracker', () => {
+    it('should resolve right away without peers', async () => {
+        const tracker = new AckTracker({ send: () => true });
+        expect(await tracker.track({ id: 'm1' }, [])).toEqual({});
+        expect(tracker.size).toBe(0);
+    });
+
+    it('should report peers that could not be sent to as failed', async () => {
+        const tracker = new AckTracker({ send: () => { throw new Error('closed'); } });
+        expect(await tracker.track({ id: 'm1' }, ['x'], { timeout: 10, retries: 1 })).toEqual({ x: DeliveryStatus.FAILED });
+    });
+
+    it('should fail outstanding deliveries on destroy', async () => {
+        const tracker = new AckTracker({ send: () => true });
+        const pending = tracker.track({ id: 'm1' }, ['x', 'y'], { timeout: 1000 });
+        tracker.handleAck('x', 'm1');
+        tracker.destroy();
+
+        expect(await pending).toEqual({ x: DeliveryStatus.ACKED, y: DeliveryStatus.FAILED });
+    });
+
+    it('should forget the oldest seen keys past the limit', () => {
+        const tracker = new AckTracker({ send: () => true });
+        expect(tracker.markSeen('k0')).toBe(true);
+        expect(tracker.markSeen('k0')).toBe(false);
+
+        for (let i = 1; i <= 1000; i++) tracker.markSeen(`k${i}`);
+
+        expect(tracker.markSeen('k0')).toBe(true);
+    });
+});
@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Tests for the Signing plugin.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { Signing, SigningAlgorithm, withSigning } from '../../src/plugins/signing.js';
+import { MessageType } from '../../src/common/types.js';
+import { CrossBusError, ErrorCode } from '../../src/common/errors.js';
+import { createResponseMessage } from '../../src/core/message-types.js';
+import { createBuses, link, violations } from './fixtures/buses.js';
+
+const tick = () => new Promise(r => setTimeout(r, 10));
+
+describe('Signing Plugin', () => {
+    describe('sign() / verify()', () => {
+        for (const algorithm of [SigningAlgorithm.ED25519, SigningAlgorithm.ECDSA]) {
+            it(`should sign and verify with ${algorithm}`, async () => {
+                const keys = await Signing.generateKeyPair(algorithm);
+                const context = { type: 'request', name: 'audit', source: 'a', target: 'b' };
+
+                const signed = await Signing.sign({ amount: 10 }, keys.privateKey, { keyId: 'k1', context });
+
+                expect(signed).toMatchObject({ _signed: true, kid: 'k1', alg: algorithm, data: '{"amount":10}' });
+                expect(await Signing.verify(signed, keys.publicKey, { context })).toEqual({ amount: 10 });
+            });
+        }
+
+        it('should reject tampered payloads and contexts', async () => {
+            const keys = await Signing.generateKeyPair();
+            const signed = await Signing.sign({ amount: 10 }, keys.privateKey);
+
+            for (const forged of [
+                { ...signed, data: '{"amount":1000}' },
+                { ...signed, context: { ...signed.context, name: 'transfer' } },
+                { ...signed, context: { ...signed.context, ts: signed.context.ts + 1 } },
+                { ...signed, kid: 'other' },
+                { ...signed, sig: 'not base64!' }
+            ]) {
+                await expect(Signing.verify(forged, keys.publicKey)).rejects.toMatchObject({
+                    code: ErrorCode.UNAUTHORIZED,
+                    message: 'Invalid signature'
+                });
+            }
+        });
+
+        it('should reject payloads signed for another message', async () => {
+            const keys = await Signing.generateKeyPair();
+            const signed = await Signing.sign(1, keys.privateKey, { context: { type: 'request', name: 'getBalance' } });
+
+            await expect(Signing.verify(signed, keys.publicKey, { context: { type: 'request', name: 'transferFunds' } }))
+                .rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED, message: 'Payload was signed for another message' });
+        });
+
+        it('should reject keys of another algorithm or signer', async () => {
+            const ed = await Signing.generateKeyPair(SigningAlgorithm.ED25519);
+            const ecdsa = await Signing.generateKeyPair(SigningAlgorithm.ECDSA);
+            const other = await Signing.generateKeyPair(SigningAlgorithm.ECDSA);
+            const signed = await Signing.sign('x', ecdsa.privateKey);
+
+            await expect(Signing.verify(signed, ed.publicKey)).rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED });
+            await expect(Signing.verify(signed, other.publicKey)).rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED });
+        });
+
+        it('should reject payloads signed longer ago than maxAge', async () => {
+            const keys = await Signing.generateKeyPair();
+            const signed = await Signing.sign('x', keys.privateKey);
+            await new Promise(r => setTimeout(r, 30));
+
+            expect(await Signing.verify(signed, keys.publicKey, { maxAge: 1000 })).toBe('x');
+            await expect(Signing.verify(signed, keys.publicKey, { maxAge: 10 })).rejects.toMatchObject({
+                code: ErrorCode.UNAUTHORIZED,
+                details: { maxAge: 10 }
+            });
+        });
+
+        it('should import JWKs', async () => {
+            const keys = await Signing.generateKeyPair(SigningAlgorithm.ED25519);
+            const jwk = await crypto.subtle.exportKey('jwk', keys.publicKey);
+            const signed = await Signing.sign(undefined, keys.privateKey);
+
+            expect(await Signing.verify(signed, await Signing.importKey(jwk, 'verify'))).toBeUndefined();
+            await expect(Signing.importKey({ kty: 'RSA' }, 'verify')).rejects.toThrow(TypeError);
+        });
+    });
+
+    describe('withSigning()', () => {
+        const { createBus, destroyAll } = createBuses();
+
+        /**
+         * Signs `host` and `widget` traffic, each trusting the other's key.
+         */
+        async function signedPair(options = {}) {
+            const hostKeys = await Signing.generateKeyPair(SigningAlgorithm.ED25519);
+            const widgetKeys = await Signing.generateKeyPair();
+            const host = createBus('host');
+            const widget = createBus('widget');
+            const hostSigner = withSigning(host, {
+                privateKey: hostKeys.privateKey,
+                keyId: 'host-1',
+                publicKeys: { widget: { 'widget-1': await crypto.subtle.exportKey('jwk', widgetKeys.publicKey) } },
+                ...options
+            });
+            const widgetSigner = withSigning(widget, {
+                privateKey: widgetKeys.privateKey,
+                keyId: 'widget-1',
+                publicKeys: { host: { 'host-1': hostKeys.publicKey } },
+                ...options
+            });
+            const { transport2 } = link(host, widget);
+            return { host, widget, hostSigner, widgetSigner, widgetTransport: transport2 };
+        }
+
+        afterEach(destroyAll);
+
+        it('should sign requests, responses and signals readably', async () => {
+            const { host, widget, widgetTransport } = await signedPair();
+            host.handle('audit', (entry) => ({ stored: entry.id }));
+            const received = [];
+            host.on('log', (e) => received.push(e.data.payload), { mode: 'sync' });
+
+            expect(await widget.request('host', 'audit', { id: 7 })).toEqual({ stored: 7 });
+            await widget.signal('log', 'hello');
+            await tick();
+
+            expect(received).toEqual(['hello']);
+            const request = widgetTransport.getSentMessages().find(({ message }) => message.type === MessageType.REQUEST);
+            expect(request.message.payload.data).toMatchObject({ _signed: true, data: '{"id":7}', kid: 'widget-1' });
+        });
+
+        it('should reject unsigned messages', async () => {
+            const { host } = await signedPair();
+            const intruder = createBus('intruder');
+            link(host, intruder);
+            const handler = mock();
+            host.handle('audit', handler);
+            const events = violations(host);
+
+            await expect(intruder.request('host', 'audit', { id: 1 })).rejects.toMatchObject({
+                code: ErrorCode.UNAUTHORIZED,
+                message: 'Unsigned message'
+            });
+            await expect(intruder.request('host', 'audit')).rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED });
+            expect(handler).not.toHaveBeenCalled();
+            expect(events[0]).toMatchObject({ code: ErrorCode.UNAUTHORIZED, peerId: 'intruder', handlerName: 'audit' });
+        });
+
+        it('should drop unsigned signals', async () => {
+            const { host } = await signedPair();
+            const intruder = createBus('intruder');
+            link(host, intruder);
+            const received = [];
+            host.on('log', (e) => received.push(e.data.payload), { mode: 'sync' });
+
+            await intruder.signal('log', 'forged');
+            await tick();
+
+            expect(received).toEqual([]);
+        });
+
+        it('should reject messages signed with a key registered for another peer', async () => {
+            const { host, widget, widgetTransport } = await signedPair();
+            const impostor = createBus('impostor');
+            link(host, impostor);
+            const handler = mock();
+            host.handle('audit', handler);
+
+            // A valid message from the widget, replayed by another peer
+            await widget.request('host', 'audit', { id: 1 });
+            const request = widgetTransport.getSentMessages().find(({ message }) => message.type === MessageType.REQUEST);
+
+            await expect(impostor.request('host', 'audit', request.message.payload.data))
+                .rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED, message: 'Unknown signing key widget-1' });
+            expect(handler).toHaveBeenCalledTimes(1);
+        });
+
+        it('should reject tampered responses', async () => {
+            const { host, widget } = await signedPair();
+            host.handle('balance', () => 100);
+            host.addOutboundHook((payload) => ({ ...payload, data: '1000000' }), 100);
+
+            await expect(widget.request('host', 'balance')).rejects.toMatchObject({
+                code: ErrorCode.UNAUTHORIZED,
+                message: 'Invalid signature'
+            });
+        });
+
+        it('should sign error responses and keep them readable', async () => {
+            const { host, widget } = await signedPair();
+            const intruder = createBus('intruder');
+            link(host, intruder);
+            host.handle('audit', () => { throw new CrossBusError(ErrorCode.INVALID_PAYLOAD, 'Bad entry'); });
+
+            await expect(widget.request('host', 'audit')).rejects.toMatchObject({
+                code: ErrorCode.INVALID_PAYLOAD,
+                message: 'Bad entry'
+            });
+            // Peers that don't check signatures still read the error
+            await expect(intruder.request('host', 'audit')).rejects.toMatchObject({
+                code: ErrorCode.UNAUTHORIZED,
+                message: 'Unsigned message'
+            });
+        });
+
+        it('should not let forged error responses settle requests', async () => {
+            const { host, widget, widgetTransport } = await signedPair();
+            host.handle('slow', async () => {
+                await tick();
+                return 'done';
+            });
+
+            const pending = widget.request('host', 'slow');
+            await new Promise(r => setTimeout(r, 0));
+            const request = widgetTransport.getSentMessages().find(({ message }) => message.type === MessageType.REQUEST);
+            const forged = createResponseMessage(request.message.id, null, 'intruder', false, {
+                code: ErrorCode.HANDLER_ERROR,
+                message: 'Forged'
+            });
+
+            // From a peer that was not asked: ignored
+            await widget.handleMessage(forged, '*', 'intruder');
+            expect(await pending).toBe('done');
+
+            // Unsigned, from the peer that was asked: rejected as such, not as the forger wanted
+            const next = widget.request('host', 'slow');
+            await new Promise(r => setTimeout(r, 0));
+            const [, second] = widgetTransport.getSentMessages().filter(({ message }) => message.type === MessageType.REQUEST);
+            await widget.handleMessage({ ...forged, payload: { ...forged.payload, requestId: second.message.id } }, '*', 'host');
+            await expect(next).rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED, message: 'Unsigned message' });
+        });
+
+        it('should reject messages signed longer ago than maxAge', async () => {
+            const { host, widget } = await signedPair({ maxAge: 20 });
+            const handler = mock();
+            host.handle('audit', handler);
+            // Held up on the way after it was signed
+            widget.addOutboundHook(async (payload) => {
+                await new Promise(r => setTimeout(r, 40));
+                return payload;
+            }, 100);
+
+            await expect(widget.request('host', 'audit', { id: 1 })).rejects.toMatchObject({
+                code: ErrorCode.UNAUTHORIZED,
+                message: expect.stringContaining('Signature expired')
+            });
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should accept old keys for the grace period after a rotation', async () => {
+            const { host, widget, hostSigner, widgetSigner } = await signedPair({ gracePeriod: 50 });
+            host.handle('ping', () => 'pong');
+            const newKeys = await Signing.generateKeyPair();
+
+            // The host learns the new key first; the widget still signs with the old one
+            hostSigner.addPeerKey('widget', 'widget-2', newKeys.publicKey);
+            expect(await widget.request('host', 'ping')).toBe('pong');
+
+            widgetSigner.rotate(newKeys.privateKey, 'widget-2');
+            expect(widgetSigner.keyId).toBe('widget-2');
+            expect(await widget.request('host', 'ping')).toBe('pong');
+
+            widgetSigner.rotate((await Signing.generateKeyPair()).privateKey, 'widget-1');
+            await new Promise(r => setTimeout(r, 60));
+            await expect(widget.request('host', 'ping')).rejects.toMatchObject({
+                code: ErrorCode.UNAUTHORIZED,
+                message: 'Expired signing key widget-1'
+            });
+        });
+
+        it('should stop accepting removed keys', async () => {
+            const { host, widget, hostSigner } = await signedPair();
+            host.handle('ping', () => 'pong');
+
+            expect(hostSigner.removePeerKey('widget', 'widget-1')).toBe(true);
+            await expect(widget.request('host', 'ping')).rejects.toMatchObject({ code: ErrorCode.UNAUTHORIZED });
+        });
+
+        it('should require a key', () => {
+            expect(() => withSigning(createBus('a'), /** @type {any} */({ keyId: 'k' }))).toThrow(TypeError);
+        });
+    });
+});
@@ -6,7 +6,8 @@ import { describe, it, expect, mock } from 'bun:test';
 import {
     WritableSignalStream,
     ReadableSignalStream,
-    StreamManager
+    StreamManager,
+    toAsyncIterable
 } from '../../src/core/stream.js';
 
 describe('WritableSignalStream', () => {
@@ -76,6 +77,20 @@ describe('WritableSignalStream', () => {
 
             expect(stream.write('data')).rejects.toThrow();
         });
+
+        it('should send values as is in object mode', async () => {
+            const messages = [];
+            const stream = new WritableSignalStream((msg) => messages.push(msg), 'tokens', {
+                streamId: 'req-1',
+                objectMode: true
+            });
+
+            await stream.write({ token: 'hi' });
+            await stream.write('x'.repeat(10));
+
+            expect(messages.every(m => m.sid === 'req-1')).toBe(true);
+            expect(messages.slice(1).map(m => m.d)).toEqual([{ token: 'hi' }, 'xxxxxxxxxx']);
+        });
     });
 
     describe('end()', () => {
@@ -219,6 +234,44 @@ describe('ReadableSignalStream', () => {
                 }
             }).toThrow('Connection lost');
         });
+
+        it('should throw the given error object', async () => {
+            const stream = new ReadableSignalStream('s1', 'test');
+            const error = Object.assign(new Error('gone'), { code: 'ERR_X' });
+            stream.error(error);
+
+            await expect(stream.collect()).rejects.toBe(error);
+        });
+    });
+});
+
+describe('toAsyncIterable()', () => {
+    it('should return async iterables as they are', () => {
+        const generator = (async function* () { })();
+        expect(toAsyncIterable(generator)).toBe(generator);
+    });
+
+    it('should return null for single values', () => {
+        expect(toAsyncIterable(42)).toBeNull();
+        expect(toAsyncIterable('text')).toBeNull();
+        expect(toAsyncIterable([1, 2])).toBeNull();
+        expect(toAsyncIterable(null)).toBeNull();
+    });
+
+    it('should read ReadableStream-like objects through their reader', async () => {
+        const chunks = ['a', 'b'];
+        const reader = {
+            read: async () => chunks.length ? { done: false, value: chunks.shift() } : { done: true },
+            cancel: mock(async () => { }),
+            releaseLock: mock()
+        };
+
+        const values = [];
+        for await (const value of toAsyncIterable({ getReader: () => reader })) values.push(value);
+
+        expect(values).toEqual(['a', 'b']);
+        expect(reader.cancel).not.toHaveBeenCalled();
+        expect(reader.releaseLock).toHaveBeenCalled();
     });
 });
 
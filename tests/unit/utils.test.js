@@ -10,7 +10,8 @@ import {
     withTimeout,
     isCloneable,
     detectPeerType,
-    timestamp
+    timestamp,
+    byteSize
 } from '../../src/common/utils.js';
 
 describe('Utils', () => {
@@ -220,5 +221,43 @@ describe('Utils', () => {
         });
     });
 
+    describe('byteSize()', () => {
+        it('should count UTF-8 bytes of strings', () => {
+            expect(byteSize('abc')).toBe(5);
+            expect(byteSize('é')).toBe(4);
+            expect(byteSize('😀')).toBe(6);
+        });
+
+        it('should match JSON length for plain data', () => {
+            const value = { name: 'ada', tags: ['x', 'y'], age: 36, ok: true, none: null };
+            expect(byteSize(value)).toBe(JSON.stringify(value).length);
+        });
+
+        it('should count binary data by byte length', () => {
+            expect(byteSize(new ArrayBuffer(100))).toBe(100);
+            expect(byteSize(new Float64Array(10))).toBe(80);
+            expect(byteSize({ file: new Uint8Array(1000) })).toBe(1000 + 9);
+            expect(byteSize(new Blob(['hello']))).toBe(5);
+        });
+
+        it('should count Maps and Sets', () => {
+            expect(byteSize(new Set(['a', 'b']))).toBe(byteSize(['a', 'b']));
+            expect(byteSize(new Map([['k', 1]]))).toBe(byteSize([['k', 1]]));
+        });
+
+        it('should survive cycles', () => {
+            const value = { a: 'x' };
+            value.self = value;
+            expect(byteSize(value)).toBeGreaterThan(0);
+        });
+
+        it('should stop measuring past the limit', () => {
+            const big = Array.from({ length: 10000 }, () => 'x'.repeat(100));
+            const size = byteSize(big, 1000);
+            expect(size).toBeGreaterThan(1000);
+            expect(size).toBeLessThan(byteSize(big));
+        });
+    });
+
 });
 
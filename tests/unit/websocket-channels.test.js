@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Tests for channels multiplexed over one WebSocket.
+ */
+
+import { describe, it, expect, mock, spyOn } from 'bun:test';
+import { ChannelMultiplexer, DRAIN_INTERVAL_MS } from '../../src/transports/websocket-channels.js';
+import { ErrorCode } from '../../src/common/errors.js';
+
+const tick = (ms = DRAIN_INTERVAL_MS * 2) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * A socket end whose buffer fills as it is written to, until `flush()`.
+ */
+function createLink(highWaterMark = Infinity) {
+    const link = {
+        written: [],
+        buffered: 0,
+        write: (message) => {
+            link.written.push(message);
+            link.buffered += 1;
+        },
+        bufferedAmount: () => (link.buffered >= highWaterMark ? link.buffered : 0),
+        flush: () => { link.buffered = 0; }
+    };
+    return link;
+}
+
+describe('ChannelMultiplexer', () => {
+    it('should tag what channels send and route what arrives', () => {
+        const link = createLink();
+        const channels = new ChannelMultiplexer(link);
+        const billing = channels.open('billing');
+        const received = [];
+        billing.onMessage((message) => received.push(message));
+
+        billing.send({ t: 'req', p: 1 });
+
+        expect(link.written).toEqual([{ t: 'req', p: 1, _ch: 'billing' }]);
+        expect(channels.receive({ t: 'res', p: 2, _ch: 'billing' })).toBe(true);
+        expect(channels.receive({ t: 'res', p: 3 })).toBe(false);
+        expect(received).toEqual([{ t: 'res', p: 2 }]);
+        expect(channels.open('billing')).toBe(billing);
+    });
+
+    it('should ask for unknown channels and drop them if refused', () => {
+        const channels = new ChannelMultiplexer(createLink());
+        const received = [];
+        const asked = mock((id) => {
+            if (id === 'search') channels.open(id).onMessage((message) => received.push(message.p));
+        });
+        channels.onChannel(asked);
+
+        channels.receive({ p: 1, _ch: 'search' });
+        channels.receive({ p: 2, _ch: 'search' });
+        channels.receive({ p: 3, _ch: 'admin' });
+        channels.receive({ p: 4, _ch: 'admin' });
+
+        expect(received).toEqual([1, 2]);
+        expect(asked.mock.calls).toEqual([['search'], ['admin']]);
+    });
+
+    it('should keep a busy channel from starving the others', async () => {
+        const link = createLink(2);
+        const channels = new ChannelMultiplexer(link, { highWaterMark: 2 });
+        const noisy = channels.open('noisy', { maxQueueSize: 3 });
+        const quiet = channels.open('quiet');
+
+        for (let i = 0; i < 5; i++) noisy.send({ p: `n${i}` });
+        expect(() => noisy.send({ p: 'n5' })).toThrow(expect.objectContaining({ code: ErrorCode.QUEUE_FULL }));
+        quiet.send({ p: 'q0' });
+        quiet.send({ p: 'q1' });
+        expect(noisy.bufferedAmount).toBe(3);
+        expect(quiet.bufferedAmount).toBe(2);
+
+        // Room for two messages at a time
+        link.flush();
+        await tick();
+        link.flush();
+        await tick();
+        link.flush();
+        await tick();
+
+        expect(link.written.map(m => m.p)).toEqual(['n0', 'n1', 'n2', 'q0', 'n3', 'q1', 'n4']);
+        expect(noisy.bufferedAmount).toBe(0);
+    });
+
+    it('should ask again for refused channels once too many were refused', () => {
+        const channels = new ChannelMultiplexer(createLink());
+        const asked = mock();
+        channels.onChannel(asked);
+
+        for (let i = 0; i <= 1000; i++) channels.receive({ _ch: `c${i}` });
+        channels.receive({ _ch: 'c1000' });
+        channels.receive({ _ch: 'c0' });
+
+        expect(asked).toHaveBeenCalledTimes(1002);
+        expect(asked.mock.calls.at(-1)).toEqual(['c0']);
+    });
+
+    it('should keep a queued message the socket failed to take', async () => {
+        const link = createLink(1);
+        const channels = new ChannelMultiplexer(link, { highWaterMark: 1 });
+        const channel = channels.open('billing');
+        const write = link.write;
+        const error = spyOn(console, 'error').mockImplementation(() => { });
+
+        channel.send({ p: 1 });
+        channel.send({ p: 2 });
+        channel.send({ p: 3 });
+        link.write = () => {
+            link.write = write;
+            throw new Error('Socket closing');
+        };
+        link.flush();
+        await tick();
+        link.flush();
+        await tick();
+        link.flush();
+        await tick();
+        error.mockRestore();
+
+        expect(link.written.map(m => m.p)).toEqual([1, 2, 3]);
+        expect(channel.bufferedAmount).toBe(0);
+    });
+
+    it('should tell every channel the socket dropped, came back, and closed', () => {
+        const channels = new ChannelMultiplexer(createLink());
+        const events = [];
+        for (const id of ['a', 'b']) {
+            const channel = channels.open(id);
+            channel.onStateChange((state) => events.push([id, state]));
+            channel.onDisconnect((reason, details) => events.push([id, reason, details]));
+        }
+
+        channels.setState('disconnected');
+        channels.setState('connected');
+        channels.disconnect('close', { code: 1006 });
+        channels.disconnect('close', { code: 1006 });
+
+        expect(events).toEqual([
+            ['a', 'disconnected'], ['b', 'disconnected'],
+            ['a', 'connected'], ['b', 'connected'],
+            ['a', 'close', { code: 1006 }], ['b', 'close', { code: 1006 }]
+        ]);
+        expect(() => channels.open('a').send({})).toThrow(expect.objectContaining({
+            code: ErrorCode.PEER_DISCONNECTED
+        }));
+    });
+
+    it('should close one channel on destroy', () => {
+        const link = createLink();
+        const channels = new ChannelMultiplexer(link);
+        const billing = channels.open('billing');
+        const received = mock();
+        billing.onMessage(received);
+
+        billing.destroy();
+        channels.receive({ _ch: 'billing' });
+
+        expect(received).not.toHaveBeenCalled();
+        expect(channels.size).toBe(0);
+        expect(() => billing.send({})).toThrow(expect.objectContaining({ code: ErrorCode.DESTROYED }));
+        expect(() => channels.open('')).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,555 @@
+/**
+ * @fileoverview Tests for the WebSocket hub server and its frame codec.
+ */
+
+import { describe, it, expect, afterEach, mock } from 'bun:test';
+import { createServer } from 'node:http';
+import { connect } from 'node:net';
+import { CrossBus } from '../../src/core/cross-bus.js';
+import { WebSocketHub } from '../../src/server/websocket-hub.js';
+import {
+    FrameParser,
+    Opcode,
+    CloseCode,
+    acceptKey,
+    encodeFrame,
+    encodeClose,
+    decodeClose
+} from '../../src/server/websocket-frames.js';
+import { WebSocketTransport } from '../../src/transports/websocket.js';
+import { ErrorCode } from '../../src/common/errors.js';
+
+const MASK = new Uint8Array([0x37, 0xFA, 0x21, 0x3D]);
+const KEY = 'dGhlIHNhbXBsZSBub25jZQ==';
+
+const tick = (ms = 10) => new Promise(r => setTimeout(r, ms));
+const text = (value) => new TextEncoder().encode(typeof value === 'string' ? value : JSON.stringify(value));
+
+/**
+ * A masked client frame.
+ */
+function clientFrame(opcode, payload, fin = true) {
+    const frame = encodeFrame(opcode, payload, MASK);
+    if (!fin) frame[0] &= 0x7F;
+    return frame;
+}
+
+/**
+ * The close code a parser error asks for.
+ */
+function closeCodeOf(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error.details.closeCode;
+    }
+    return null;
+}
+
+describe('WebSocket frames', () => {
+    it('should compute the accept key', async () => {
+        expect(await acceptKey(KEY)).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    });
+
+    it('should parse masked frames of every length encoding, split anywhere', () => {
+        const parser = new FrameParser();
+        const payloads = [10, 300, 70000].map(size => new Uint8Array(size).fill(size % 251));
+        const bytes = new Uint8Array(payloads.reduce((n, p) => n + p.length + 14, 0));
+        let length = 0;
+        for (const payload of payloads) {
+            const frame = clientFrame(Opcode.BINARY, payload);
+            bytes.set(frame, length);
+            length += frame.length;
+        }
+
+        const frames = [];
+        for (let offset = 0; offset < length; offset += 1000) {
+            frames.push(...parser.push(bytes.subarray(offset, Math.min(offset + 1000, length))));
+        }
+        // One byte at a time through the headers
+        frames.push(...[...clientFrame(Opcode.TEXT, text('hi'))].flatMap(b => parser.push(new Uint8Array([b]))));
+
+        expect(frames.map(f => f.payload.length)).toEqual([10, 300, 70000, 2]);
+        expect(frames[2].payload).toEqual(payloads[2]);
+        expect(new TextDecoder().decode(frames[3].payload)).toBe('hi');
+    });
+
+    it('should join fragments around control frames', () => {
+        const parser = new FrameParser();
+
+        const frames = [
+            clientFrame(Opcode.TEXT, text('{"a":'), false),
+            clientFrame(Opcode.PING, text('beat')),
+            clientFrame(Opcode.CONTINUATION, text('1}'))
+        ].flatMap(frame => parser.push(frame));
+
+        expect(frames.map(f => f.opcode)).toEqual([Opcode.PING, Opcode.TEXT]);
+        expect(new TextDecoder().decode(frames[1].payload)).toBe('{"a":1}');
+    });
+
+    it('should refuse frames that break the protocol', () => {
+        const tooLong = encodeFrame(Opcode.PING, new Uint8Array(126), MASK);
+        const unfinished = clientFrame(Opcode.PING, text('x'), false);
+        const reserved = clientFrame(Opcode.TEXT, text('x'));
+        reserved[0] |= 0x40;
+
+        expect(closeCodeOf(() => new FrameParser().push(encodeFrame(Opcode.TEXT, text('x'))))).toBe(CloseCode.PROTOCOL_ERROR);
+        expect(closeCodeOf(() => new FrameParser().push(tooLong))).toBe(CloseCode.PROTOCOL_ERROR);
+        expect(closeCodeOf(() => new FrameParser().push(unfinished))).toBe(CloseCode.PROTOCOL_ERROR);
+        expect(closeCodeOf(() => new FrameParser().push(reserved))).toBe(CloseCode.PROTOCOL_ERROR);
+        expect(closeCodeOf(() => new FrameParser().push(clientFrame(Opcode.CONTINUATION, text('x'))))).toBe(CloseCode.PROTOCOL_ERROR);
+        expect(closeCodeOf(() => new FrameParser().push(clientFrame(0x3, text('x'))))).toBe(CloseCode.PROTOCOL_ERROR);
+    });
+
+    it('should refuse oversized messages from their header', () => {
+        const parser = new FrameParser({ maxMessageSize: 100 });
+        parser.push(clientFrame(Opcode.TEXT, new Uint8Array(60), false));
+
+        // Only the header of the second fragment has arrived
+        const header = clientFrame(Opcode.CONTINUATION, new Uint8Array(60)).subarray(0, 6);
+        let error;
+        try {
+            parser.push(header);
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.code).toBe(ErrorCode.MESSAGE_TOO_LARGE);
+        expect(error.details).toMatchObject({ size: 120, maxMessageSize: 100, closeCode: CloseCode.MESSAGE_TOO_BIG });
+    });
+
+    it('should encode close frames', () => {
+        const frames = new FrameParser({ requireMask: false }).push(encodeClose(CloseCode.GOING_AWAY, 'bye'));
+
+        expect(decodeClose(frames[0].payload)).toEqual({ code: 1001, reason: 'bye' });
+        expect(decodeClose(new Uint8Array(0))).toEqual({ code: 1005, reason: '' });
+    });
+});
+
+describe('WebSocketHub', () => {
+    const cleanups = [];
+
+    afterEach(async () => {
+        while (cleanups.length) await cleanups.pop()();
+    });
+
+    function createBus(peerId, options = {}) {
+        const bus = new CrossBus({ peerId, allowedOrigins: ['*'], ...options });
+        cleanups.push(() => bus.destroy());
+        return bus;
+    }
+
+    /**
+     * Resolves with the data of the first matching event a bus emits.
+     */
+    function nextEvent(bus, name, peerId) {
+        return new Promise(resolve => bus.on(name, (e) => {
+            if (!peerId || e.data.peerId === peerId) resolve(e.data);
+        }, { mode: 'sync' }));
+    }
+
+    async function startHub(options = {}) {
+        const bus = createBus('hub', { isHub: true });
+        const server = createServer();
+        const hub = new WebSocketHub(bus, { server, ...options });
+        const sockets = [];
+        server.on('connection', (socket) => sockets.push(socket));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        cleanups.push(async () => {
+            await hub.close();
+            await new Promise(resolve => server.close(resolve));
+        });
+        const { port } = /** @type {import('node:net').AddressInfo} */ (server.address());
+        // Drops every connection without a close frame, like a network outage
+        const drop = () => sockets.splice(0).forEach(socket => socket.destroy());
+        return { bus, hub, server, port, drop, url: `ws://127.0.0.1:${port}/` };
+    }
+
+    /**
+     * A client bus connected to the hub, once the hub has verified it.
+     */
+    async function connectClient(hub, peerId, options = {}) {
+        const bus = createBus(peerId);
+        const transport = new WebSocketTransport({
+            url: hub.url, peerId, autoReconnect: false, heartbeatIntervalMs: 0, ...options
+        });
+        bus.addTransport(transport, { peerId: 'hub' });
+        const verified = nextEvent(hub.bus, 'peer:connected', peerId);
+        await transport.connect();
+        await verified;
+        return { bus, transport };
+    }
+
+    /**
+     * Sends a raw upgrade request; resolves with the socket, the response
+     * head, and the frames received so far (kept up to date).
+     */
+    function upgrade(port, { path = '/', headers = {} } = {}) {
+        const socket = connect(port, '127.0.0.1');
+        cleanups.push(() => socket.destroy());
+        const lines = [
+            `GET ${path} HTTP/1.1`,
+            'Host: localhost',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Key: ${KEY}`,
+            'Sec-WebSocket-Version: 13',
+            ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`)
+        ];
+        socket.write(lines.join('\r\n') + '\r\n\r\n');
+
+        const parser = new FrameParser({ requireMask: false });
+        const frames = [];
+        return new Promise(resolve => {
+            let head = null;
+            socket.on('data', (chunk) => {
+                if (head === null) {
+                    const end = chunk.indexOf('\r\n\r\n') + 4;
+                    head = chunk.subarray(0, end).toString();
+                    chunk = chunk.subarray(end);
+                    resolve({ socket, head, frames });
+                }
+                if (head.startsWith('HTTP/1.1 101')) frames.push(...parser.push(chunk));
+            });
+        });
+    }
+
+    it('should add each client as a peer under its handshake ID', async () => {
+        const hub = await startHub();
+        hub.bus.handle('greet', (payload, ctx) => `hello ${ctx.peerId}`);
+        const { bus: client } = await connectClient(hub, 'client-a');
+        client.handle('whoami', () => 'client-a');
+
+        expect(hub.bus.peers).toEqual(['client-a']);
+        expect(hub.hub.connectionCount).toBe(1);
+        expect(await client.request('hub', 'greet')).toBe('hello client-a');
+        expect(await hub.bus.request('client-a', 'whoami')).toBe('client-a');
+    });
+
+    it('should route requests between clients', async () => {
+        const hub = await startHub();
+        const { bus: a } = await connectClient(hub, 'client-a');
+        const { bus: b } = await connectClient(hub, 'client-b');
+        b.handle('add', ({ x, y }) => x + y);
+        await tick(50);
+
+        expect(a.routes).toEqual([{ peerId: 'client-b', via: 'hub', hops: 1 }]);
+        expect(await a.request('client-b', 'add', { x: 2, y: 3 })).toBe(5);
+    });
+
+    it('should remove the peer when its socket closes', async () => {
+        const hub = await startHub();
+        const { bus: a } = await connectClient(hub, 'client-a');
+        const { transport } = await connectClient(hub, 'client-b');
+        await tick(50);
+        const disconnected = nextEvent(hub.bus, 'peer:disconnected');
+
+        transport.disconnect();
+
+        expect(await disconnected).toMatchObject({
+            peerId: 'client-b', reason: 'close', details: { code: 1000, reason: 'Client disconnect' }
+        });
+        await tick(50);
+        expect(hub.bus.peers).toEqual(['client-a']);
+        expect(hub.hub.connectionCount).toBe(1);
+        expect(a.routes).toEqual([]);
+    });
+
+    it('should close a client whose peer ID is already connected', async () => {
+        const hub = await startHub();
+        await connectClient(hub, 'client-a');
+        const failed = nextEvent(hub.bus, 'handshake:failed');
+        const duplicate = createBus('client-a');
+        const transport = new WebSocketTransport({ url: hub.url, peerId: 'client-a', autoReconnect: false, heartbeatIntervalMs: 0 });
+        duplicate.addTransport(transport, { peerId: 'hub' });
+        await transport.connect();
+
+        expect((await failed).code).toBe(ErrorCode.PEER_EXISTS);
+        await tick(50);
+        expect(transport.state).toBe('disconnected');
+        expect(hub.hub.connectionCount).toBe(1);
+        expect(hub.bus.peers).toEqual(['client-a']);
+    });
+
+    it('should answer transport heartbeats and WebSocket pings itself', async () => {
+        const hub = await startHub();
+        const { socket, head, frames } = await upgrade(hub.port);
+
+        socket.write(clientFrame(Opcode.TEXT, text({ type: 'ping', from: 'raw' })));
+        socket.write(clientFrame(Opcode.PING, text('beat')));
+        await tick(50);
+
+        expect(head).toContain('HTTP/1.1 101 Switching Protocols');
+        expect(head).toContain('Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+        const decoded = frames.map(f => [f.opcode, new TextDecoder().decode(f.payload)]);
+        expect(decoded).toContainEqual([Opcode.TEXT, '{"type":"pong"}']);
+        expect(decoded).toContainEqual([Opcode.PONG, 'beat']);
+    });
+
+    it('should drop connections that stop answering pings', async () => {
+        const hub = await startHub({ pingIntervalMs: 40 });
+        await connectClient(hub, 'client-a');
+        const silent = await upgrade(hub.port);
+
+        await tick(150);
+
+        expect(silent.frames.some(f => f.opcode === Opcode.PING)).toBe(true);
+        expect(silent.socket.destroyed || silent.socket.readableEnded).toBe(true);
+        expect(hub.hub.connectionCount).toBe(1);
+        expect(hub.bus.peers).toEqual(['client-a']);
+    });
+
+    it('should close connections that send oversized or broken frames', async () => {
+        const hub = await startHub({ maxMessageSize: 1024 });
+        const big = await upgrade(hub.port);
+        const broken = await upgrade(hub.port);
+        const closeCode = ({ frames }) => decodeClose(frames.find(f => f.opcode === Opcode.CLOSE).payload).code;
+
+        big.socket.write(clientFrame(Opcode.TEXT, new Uint8Array(2048)));
+        broken.socket.write(encodeFrame(Opcode.TEXT, text('unmasked')));
+        await tick(50);
+
+        expect(closeCode(big)).toBe(CloseCode.MESSAGE_TOO_BIG);
+        expect(closeCode(broken)).toBe(CloseCode.PROTOCOL_ERROR);
+        expect(hub.hub.connectionCount).toBe(0);
+    });
+
+    it('should refuse upgrades it cannot accept', async () => {
+        const hub = await startHub({ path: '/bus', verifyClient: (request) => request.headers.authorization === 'Bearer ok' });
+        const status = async (options) => (await upgrade(hub.port, options)).head.split('\r\n')[0];
+
+        expect(await status({ path: '/other' })).toBe('HTTP/1.1 404 Not Found');
+        expect(await status({ path: '/bus' })).toBe('HTTP/1.1 401 Unauthorized');
+        expect(await status({ path: '/bus?token=1', headers: { Authorization: 'Bearer ok' } })).toBe('HTTP/1.1 101 Switching Protocols');
+    });
+
+    it('should refuse request URLs it cannot parse', async () => {
+        const hub = await startHub();
+
+        const { head } = await upgrade(hub.port, { path: 'http://[/ws' });
+
+        expect(head.split('\r\n')[0]).toBe('HTTP/1.1 400 Bad Request');
+    });
+
+    it('should drop a socket it failed to add to the bus', async () => {
+        const hub = await startHub();
+        hub.bus.destroy();
+        const logged = mock();
+        const originalError = console.error;
+        console.error = logged;
+
+        try {
+            const { socket } = await upgrade(hub.port);
+            await new Promise(resolve => socket.once('close', resolve));
+        } finally {
+            console.error = originalError;
+        }
+
+        expect(logged).toHaveBeenCalledTimes(1);
+        expect(logged.mock.calls[0][1].code).toBe(ErrorCode.DESTROYED);
+    });
+
+    it('should leave other paths to other upgrade listeners', async () => {
+        const hub = await startHub({ path: '/bus' });
+        const others = [];
+        hub.server.on('upgrade', (request, socket) => {
+            others.push(request.url);
+            socket.destroy();
+        });
+
+        upgrade(hub.port, { path: '/other' });
+        await tick(100);
+
+        expect(others).toEqual(['/other']);
+    });
+
+    describe('session resumption', () => {
+        /**
+         * Frames of a raw connection, as JSON.
+         */
+        const messages = (frames) => frames.map(f => JSON.parse(new TextDecoder().decode(f.payload)));
+
+        it('should keep pending requests alive through an outage', async () => {
+            const hub = await startHub();
+            hub.bus.handle('slow', async () => {
+                await tick(150);
+                return 'done';
+            });
+            const { bus: client, transport } = await connectClient(hub, 'client-a', {
+                resume: true, autoReconnect: true, reconnectDelayMs: 50
+            });
+            client.handle('whoami', () => 'client-a');
+            const disconnected = [];
+            hub.bus.on('peer:disconnected', (e) => disconnected.push(e.data), { mode: 'sync' });
+            const sessionId = transport.sessionId;
+
+            const slow = client.request('hub', 'slow', {}, { timeout: 2000 });
+            await tick(30);
+            hub.drop();
+            await tick(10);
+            const reverse = hub.bus.request('client-a', 'whoami', {}, { timeout: 2000 });
+
+            expect(await slow).toBe('done');
+            expect(await reverse).toBe('client-a');
+            expect(transport.sessionId).toBe(sessionId);
+            expect(disconnected).toEqual([]);
+            expect(hub.bus.peers).toEqual(['client-a']);
+            expect(hub.hub.connectionCount).toBe(1);
+            transport.disconnect();
+        });
+
+        it('should retransmit what the client has not acknowledged', async () => {
+            const hub = await startHub();
+            const first = await upgrade(hub.port, { path: '/?crossbus_session=' });
+            await tick(50);
+            const [session, init] = messages(first.frames);
+            expect(session).toMatchObject({ type: 'session', ack: 0, resumed: false });
+            expect(init._seq).toBe(1);
+
+            first.socket.destroy();
+            await tick(20);
+            const resumed = await upgrade(hub.port, { path: `/?crossbus_session=${session.session}&crossbus_ack=0` });
+            await tick(50);
+
+            expect(messages(resumed.frames)).toEqual([
+                { type: 'session', session: session.session, ack: 0, resumed: true },
+                init
+            ]);
+            expect(hub.hub.connectionCount).toBe(1);
+        });
+
+        it('should drop messages it already received', async () => {
+            const hub = await startHub();
+            const received = [];
+            hub.bus.on('note', (e) => received.push(e.data.payload), { mode: 'sync' });
+            await connectClient(hub, 'client-a');
+            const raw = await upgrade(hub.port, { path: '/?crossbus_session=' });
+            // The raw client completes no handshake: deliver through the verified peer's session instead
+            const note = (seq) => clientFrame(Opcode.TEXT, text({ _cb: 1, id: `n${seq}`, t: 'sig', name: 'note', p: seq, _seq: seq }));
+
+            raw.socket.write(note(1));
+            raw.socket.write(note(1));
+            raw.socket.write(note(3));
+            await tick(150);
+
+            const acks = messages(raw.frames).filter(m => m.type === 'session_ack');
+            expect(acks).toEqual([{ type: 'session_ack', ack: 1 }]);
+            expect(received).toEqual([]);
+        });
+
+        it('should start a new session for an unknown token', async () => {
+            const hub = await startHub();
+            const { frames } = await upgrade(hub.port, { path: '/?crossbus_session=forgotten&crossbus_ack=7' });
+            await tick(20);
+
+            const [session] = messages(frames);
+            expect(session).toMatchObject({ type: 'session', ack: 0, resumed: false });
+            expect(session.session).not.toBe('forgotten');
+        });
+
+        it('should remove the peer once the session times out', async () => {
+            const hub = await startHub({ sessionTimeoutMs: 100 });
+            await connectClient(hub, 'client-a', { resume: true });
+            const disconnected = nextEvent(hub.bus, 'peer:disconnected');
+
+            hub.drop();
+            await tick(50);
+            expect(hub.bus.peers).toEqual(['client-a']);
+
+            expect(await disconnected).toMatchObject({ peerId: 'client-a', reason: 'close', details: { code: 1006 } });
+            expect(hub.hub.connectionCount).toBe(0);
+        });
+
+        it('should end the session when the client disconnects on purpose', async () => {
+            const hub = await startHub();
+            const { transport } = await connectClient(hub, 'client-a', { resume: true });
+            const disconnected = nextEvent(hub.bus, 'peer:disconnected');
+
+            transport.disconnect();
+
+            expect(await disconnected).toMatchObject({ peerId: 'client-a', details: { code: 1000 } });
+            expect(transport.sessionId).toBeNull();
+        });
+    });
+
+    describe('channels', () => {
+        /**
+         * A hub with a bus per service, and a client bus reaching them over one socket.
+         */
+        async function startServices() {
+            const billing = createBus('billing');
+            const search = createBus('search');
+            const hub = await startHub({ services: { billing, search } });
+            const client = createBus('client-a');
+            const transport = new WebSocketTransport({
+                url: hub.url, peerId: 'client-a', autoReconnect: false, heartbeatIntervalMs: 0
+            });
+            client.addTransport(transport.channel('billing'), { peerId: 'billing' });
+            client.addTransport(transport.channel('search'), { peerId: 'search' });
+            cleanups.push(() => transport.destroy());
+            await transport.connect();
+            return { hub, billing, search, client, transport };
+        }
+
+        it('should surface each service as its own peer', async () => {
+            const { hub, billing, search, client } = await startServices();
+            billing.handle('invoice', ({ id }, ctx) => ({ id, for: ctx.peerId }));
+            search.handle('find', (query) => [`${query}-1`]);
+            client.handle('whoami', () => 'client-a');
+
+            expect(client.peers).toEqual(['billing', 'search']);
+            expect(await client.request('billing', 'invoice', { id: 42 })).toEqual({ id: 42, for: 'client-a' });
+            expect(await client.request('search', 'find', 'cat')).toEqual(['cat-1']);
+            expect(await billing.request('client-a', 'whoami')).toBe('client-a');
+            expect(billing.peers).toEqual(['client-a']);
+            expect(hub.hub.connectionCount).toBe(1);
+        });
+
+        it('should remove service peers when the socket closes', async () => {
+            const { hub, billing, search, client, transport } = await startServices();
+            billing.handle('ping', () => 'pong');
+            search.handle('ping', () => 'pong');
+            await client.request('billing', 'ping');
+            await client.request('search', 'ping');
+            const disconnected = nextEvent(billing, 'peer:disconnected');
+
+            hub.drop();
+
+            expect(await disconnected).toMatchObject({ peerId: 'client-a', reason: 'close', details: { code: 1006 } });
+            await tick(50);
+            expect(search.peers).toEqual([]);
+
+            transport.destroy();
+            expect(client.peers).toEqual([]);
+        });
+
+        it('should ignore channels to unknown services', async () => {
+            const { client, transport } = await startServices();
+            client.addTransport(transport.channel('admin'), { peerId: 'admin' });
+
+            await expect(client.request('admin', 'reset', null, { timeout: 200 })).rejects.toMatchObject({
+                code: ErrorCode.RESPONSE_TIMEOUT
+            });
+        });
+    });
+
+    it('should close every connection on close()', async () => {
+        const hub = await startHub();
+        await connectClient(hub, 'client-a');
+        const { transport } = await connectClient(hub, 'client-b');
+        const events = [];
+        hub.bus.on('peer:disconnected', (e) => events.push(e.data), { mode: 'sync' });
+
+        await hub.hub.close();
+
+        expect(hub.hub.connectionCount).toBe(0);
+        expect(hub.bus.peers).toEqual([]);
+        expect(events.map(e => e.details.code)).toEqual([1001, 1001]);
+        expect(transport.state).toBe('disconnected');
+        expect(() => hub.hub.attach(hub.server)).toThrow(expect.objectContaining({ code: ErrorCode.DESTROYED }));
+    });
+
+    it('should require a bus', () => {
+        expect(() => new WebSocketHub(/** @type {any} */(null))).toThrow(TypeError);
+    });
+});
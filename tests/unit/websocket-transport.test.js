@@ -204,4 +204,104 @@ describe('WebSocketTransport', () => {
             expect(captured.id).toBeDefined();
         });
     });
+
+    describe('resume', () => {
+        let sockets;
+
+        beforeEach(() => {
+            sockets = [];
+            globalThis.WebSocket = class extends MockWebSocket {
+                constructor(url) {
+                    super(url);
+                    sockets.push(this);
+                }
+            };
+        });
+
+        /**
+         * Connects, answering the last socket with a session frame once it opens.
+         */
+        async function connectWithSession(transport, session) {
+            const connected = transport.connect();
+            await new Promise(r => setTimeout(r, 20));
+            sockets.at(-1).simulateMessage({ type: 'session', ...session });
+            await connected;
+        }
+
+        const sent = (socket) => socket.sentMessages.map(data => JSON.parse(data));
+
+        it('should wait for the server session before connecting', async () => {
+            const transport = new WebSocketTransport({ url: 'wss://example.com/ws', resume: true });
+            let connected = false;
+            transport.connect().then(() => { connected = true; });
+            await new Promise(r => setTimeout(r, 20));
+
+            expect(connected).toBe(false);
+            expect(new URL(sockets[0].url).searchParams.get('crossbus_session')).toBe('');
+
+            sockets[0].simulateMessage({ type: 'session', session: 'abc', ack: 0, resumed: false });
+            await new Promise(r => setTimeout(r, 0));
+
+            expect(connected).toBe(true);
+            expect(transport.sessionId).toBe('abc');
+            transport.disconnect();
+        });
+
+        it('should drop messages it already received', async () => {
+            const transport = new WebSocketTransport({ url: 'wss://example.com/ws', resume: true });
+            const received = [];
+            transport.onMessage((msg) => received.push(msg.p));
+            await connectWithSession(transport, { session: 'abc', ack: 0, resumed: false });
+
+            const message = (seq, p) => ({ _cb: 1, _m: 'crossbus', t: 'sig', _seq: seq, p });
+            sockets[0].simulateMessage(message(1, 'a'));
+            sockets[0].simulateMessage(message(1, 'a'));
+            sockets[0].simulateMessage(message(2, 'b'));
+            await new Promise(r => setTimeout(r, 150));
+
+            expect(received).toEqual(['a', 'b']);
+            expect(sent(sockets[0])).toEqual([{ type: 'session_ack', ack: 2 }]);
+            transport.disconnect();
+        });
+
+        it('should resume its session and retransmit what the server missed', async () => {
+            const transport = new WebSocketTransport({
+                url: 'wss://example.com/ws', resume: true, reconnectDelayMs: 10
+            });
+            await connectWithSession(transport, { session: 'abc', ack: 0, resumed: false });
+            transport.send({ t: 'sig', p: 1 });
+            transport.send({ t: 'sig', p: 2 });
+            sockets[0].simulateMessage({ type: 'session_ack', ack: 1 });
+
+            // Dropped without a close frame; sent while away
+            sockets[0].close(1006);
+            expect(transport.send({ t: 'sig', p: 3 })).toBe(false);
+            await new Promise(r => setTimeout(r, 30));
+
+            const params = new URL(sockets[1].url).searchParams;
+            expect(params.get('crossbus_session')).toBe('abc');
+            expect(params.get('crossbus_ack')).toBe('0');
+
+            sockets[1].simulateMessage({ type: 'session', session: 'abc', ack: 1, resumed: true });
+            expect(sent(sockets[1]).map(m => [m._seq, m.p])).toEqual([[2, 2], [3, 3]]);
+            expect(transport.state).toBe('connected');
+            transport.disconnect();
+        });
+
+        it('should send unacknowledged messages again in a new session', async () => {
+            const transport = new WebSocketTransport({
+                url: 'wss://example.com/ws', resume: true, reconnectDelayMs: 10
+            });
+            await connectWithSession(transport, { session: 'abc', ack: 0, resumed: false });
+            transport.send({ t: 'sig', p: 1 });
+            sockets[0].close(1006);
+            await new Promise(r => setTimeout(r, 30));
+
+            sockets[1].simulateMessage({ type: 'session', session: 'def', ack: 0, resumed: false });
+
+            expect(sent(sockets[1]).map(m => [m._seq, m.p])).toEqual([[1, 1]]);
+            expect(transport.sessionId).toBe('def');
+            transport.disconnect();
+        });
+    });
 });
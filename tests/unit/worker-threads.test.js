@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Tests for the Node.js worker_threads transport.
+ */
+
+import { describe, it, expect, mock, afterEach } from 'bun:test';
+import { Worker, MessageChannel } from 'node:worker_threads';
+import { CrossBus } from '../../src/core/cross-bus.js';
+import { WorkerThreadsTransport } from '../../src/transports/worker-threads.js';
+import { MessageType, PROTOCOL_MARKER, PROTOCOL_VERSION } from '../../src/common/types.js';
+import { ErrorCode } from '../../src/common/errors.js';
+
+const AGENT = new URL('./fixtures/worker-threads-agent.js', import.meta.url);
+
+const tick = (ms = 10) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * A minimal protocol message.
+ */
+function signal(payload) {
+    return { id: crypto.randomUUID(), t: MessageType.SIGNAL, p: payload };
+}
+
+/**
+ * Resolves with the arguments of the first event a bus emits.
+ */
+function nextEvent(bus, name) {
+    return new Promise(resolve => bus.on(name, (e) => resolve(e.data), { mode: 'sync' }));
+}
+
+describe('WorkerThreadsTransport', () => {
+    const cleanups = [];
+
+    afterEach(async () => {
+        while (cleanups.length) await cleanups.pop()();
+    });
+
+    function createBus(peerId) {
+        const bus = new CrossBus({ peerId, allowedOrigins: ['*'] });
+        cleanups.push(() => bus.destroy());
+        return bus;
+    }
+
+    function startAgent(peerId) {
+        const worker = new Worker(AGENT, { workerData: { peerId } });
+        cleanups.push(() => worker.terminate());
+        return worker;
+    }
+
+    describe('over a MessagePort', () => {
+        function createPair(options) {
+            const { port1, port2 } = new MessageChannel();
+            const local = new WorkerThreadsTransport(port1, options);
+            const remote = new WorkerThreadsTransport(port2, options);
+            cleanups.push(() => local.destroy(), () => remote.destroy());
+            return { local, remote };
+        }
+
+        it('should deliver protocol messages and ignore others', async () => {
+            const { port1, port2 } = new MessageChannel();
+            const transport = new WorkerThreadsTransport(port2);
+            cleanups.push(() => port1.close(), () => transport.destroy());
+            const received = [];
+            transport.onMessage((message, context) => received.push([message.p, context.origin]));
+
+            port1.postMessage({ t: MessageType.SIGNAL, p: 'unmarked' });
+            port1.postMessage({ [PROTOCOL_MARKER]: PROTOCOL_VERSION, ...signal('marked') });
+            await tick();
+            transport.offMessage();
+            port1.postMessage({ [PROTOCOL_MARKER]: PROTOCOL_VERSION, ...signal('unheard') });
+            await tick();
+
+            expect(received).toEqual([['marked', 'worker_threads']]);
+        });
+
+        it('should transfer buffers listed or found', async () => {
+            const { local, remote } = createPair({ autoTransfer: true });
+            const received = [];
+            remote.onMessage((message) => received.push(message.p.buffer.byteLength));
+            const listed = new ArrayBuffer(8);
+            const found = new ArrayBuffer(16);
+
+            local.send(signal({ buffer: listed }), [listed]);
+            local.send(signal({ buffer: found }));
+            await tick();
+
+            expect(received).toEqual([8, 16]);
+            expect(listed.byteLength).toBe(0);
+            expect(found.byteLength).toBe(0);
+        });
+
+        it('should report the other end closing, once', async () => {
+            const { local, remote } = createPair();
+            const disconnected = mock();
+            local.onDisconnect(disconnected);
+
+            remote.destroy();
+            await tick();
+
+            expect(disconnected.mock.calls).toEqual([['close', undefined]]);
+            expect(local.isDisconnected).toBe(true);
+            expect(() => local.send(signal())).toThrow(expect.objectContaining({
+                code: ErrorCode.PEER_DISCONNECTED
+            }));
+        });
+
+        it('should hand ports over to onPort instead of the bus', async () => {
+            const { local, remote } = createPair();
+            const onMessage = mock();
+            const onPort = mock();
+            remote.onMessage(onMessage);
+            remote.onPort(onPort);
+            const channel = new MessageChannel();
+            cleanups.push(() => channel.port2.close());
+
+            local.sendPort(channel.port1, { peerId: 'direct' });
+            await tick();
+
+            expect(onMessage).not.toHaveBeenCalled();
+            expect(onPort).toHaveBeenCalledWith(expect.anything(), { peerId: 'direct' });
+            onPort.mock.calls[0][0].close();
+        });
+
+        it('should refuse to send once destroyed', () => {
+            const { local } = createPair();
+            local.destroy();
+
+            expect(local.isDestroyed).toBe(true);
+            expect(() => local.send(signal())).toThrow(expect.objectContaining({
+                code: ErrorCode.DESTROYED
+            }));
+        });
+
+        it('should validate its arguments', () => {
+            expect(() => new WorkerThreadsTransport(/** @type {any} */({}))).toThrow(TypeError);
+            expect(() => WorkerThreadsTransport.fromParentPort(null)).toThrow(expect.objectContaining({
+                code: ErrorCode.UNSUPPORTED
+            }));
+            expect(() => createPair().local.onMessage(/** @type {any} */(null))).toThrow(TypeError);
+            expect(WorkerThreadsTransport.isSupported()).toBe(true);
+        });
+    });
+
+    describe('with a worker', () => {
+        it('should run handlers in the worker', async () => {
+            const bus = createBus('main');
+            bus.addTransport(new WorkerThreadsTransport(startAgent('agent')), { peerId: 'agent' });
+
+            expect(await bus.request('agent', 'fib', { n: 50 })).toBe(12586269025);
+            expect(await bus.request('agent', 'sum', { bytes: new Uint8Array([1, 2, 3]) })).toBe(6);
+        });
+
+        it('should report the worker exiting as a peer disconnect', async () => {
+            const bus = createBus('main');
+            bus.addTransport(new WorkerThreadsTransport(startAgent('agent')), { peerId: 'agent' });
+            const disconnected = nextEvent(bus, 'peer:disconnected');
+
+            await bus.request('agent', 'exit', { code: 3 });
+
+            expect(await disconnected).toMatchObject({ peerId: 'agent', reason: 'exit', details: { exitCode: 3 } });
+            expect(bus.peers).not.toContain('agent');
+        });
+
+        it('should report an uncaught error in the worker as a peer disconnect', async () => {
+            const bus = createBus('main');
+            bus.addTransport(new WorkerThreadsTransport(startAgent('agent')), { peerId: 'agent' });
+            const events = [];
+            bus.on('peer:disconnected', (e) => events.push(e.data), { mode: 'sync' });
+
+            await bus.request('agent', 'crash');
+            await tick(200);
+
+            expect(events).toEqual([expect.objectContaining({ reason: 'error' })]);
+            expect(events[0].details.error.message).toBe('boom');
+        });
+
+        it('should connect two workers directly through a handed-over port', async () => {
+            const bus = createBus('main');
+            const toA = new WorkerThreadsTransport(startAgent('worker-a'));
+            const toB = new WorkerThreadsTransport(startAgent('worker-b'));
+            bus.addTransport(toA, { peerId: 'worker-a' });
+            bus.addTransport(toB, { peerId: 'worker-b' });
+
+            const { port1, port2 } = new MessageChannel();
+            toA.sendPort(port1, { peerId: 'worker-b' });
+            toB.sendPort(port2, { peerId: 'worker-a' });
+
+            expect(await bus.request('worker-a', 'ask', { peerId: 'worker-b', handler: 'whoami' })).toBe('worker-b');
+        });
+
+        it('should terminate the worker when the transport is removed', async () => {
+            const bus = createBus('main');
+            const worker = startAgent('agent');
+            const exited = new Promise(resolve => worker.once('exit', resolve));
+            const disconnected = mock();
+            bus.on('peer:disconnected', disconnected, { mode: 'sync' });
+            const cleanup = bus.addTransport(new WorkerThreadsTransport(worker), { peerId: 'agent' });
+            await bus.request('agent', 'whoami');
+
+            cleanup();
+            await exited;
+
+            expect(disconnected).toHaveBeenCalledTimes(1);
+            expect(disconnected.mock.calls[0][0].data.reason).toBe('removed');
+        });
+    });
+
+    it('should mark outgoing messages', async () => {
+        const { port1, port2 } = new MessageChannel();
+        const transport = new WorkerThreadsTransport(port1);
+        const received = new Promise(resolve => port2.once('message', resolve));
+
+        transport.send(signal());
+
+        expect(await received).toMatchObject({ [PROTOCOL_MARKER]: PROTOCOL_VERSION });
+        transport.destroy();
+        port2.close();
+    });
+});